@@ -10,8 +10,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const axios = require('axios');
+const path = require('path');
 
 const serviceRegistry = require('../shared/serviceRegistry');
+const SnapshotManager = require('../shared/SnapshotManager');
 
 /**
  * API Gateway com roteamento, circuit breaker e agregação de dados
@@ -27,6 +29,12 @@ class APIGateway {
         this.port = process.env.PORT || 3000;
         
         this.circuitBreakers = new Map();
+
+        // Snapshots dos diretórios de dados de todos os serviços (mesmo diretório usado por npm run backup)
+        this.snapshots = SnapshotManager.forServices(
+            path.join(__dirname, '..', 'services'),
+            process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups')
+        );
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -38,10 +46,12 @@ class APIGateway {
 
     setupMiddleware() {
         this.app.use(helmet());
-        this.app.use(cors());
+        this.app.use(cors({ exposedHeaders: ['ETag'] }));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
+        // Importações (CSV/NDJSON) são repassadas aos serviços como texto
+        this.app.use(express.text({ type: ['text/csv', 'application/x-ndjson'], limit: '10mb' }));
 
         this.app.use((req, res, next) => {
             res.setHeader('X-Gateway', 'api-gateway');
@@ -84,7 +94,9 @@ class APIGateway {
                     health: '/health',
                     registry: '/registry',
                     dashboard: '/api/dashboard',
-                    search: '/api/search'
+                    search: '/api/search',
+                    dbStats: '/debug/db-stats',
+                    snapshots: '/api/admin/snapshots'
                 },
                 services: serviceRegistry.listServices()
             });
@@ -108,6 +120,9 @@ class APIGateway {
             });
         });
 
+        // Perfil das consultas dos bancos de todos os serviços
+        this.app.get('/debug/db-stats', this.getDatabaseStats.bind(this));
+
         // Dashboard agregado com autenticação
         this.app.get('/api/dashboard', this.authMiddleware.bind(this), async (req, res) => {
             try {
@@ -181,6 +196,15 @@ class APIGateway {
             }
         });
 
+        // Backup e restauração dos bancos dos serviços (somente administradores)
+        const admin = [this.authMiddleware.bind(this), this.adminMiddleware.bind(this)];
+        this.app.get('/api/admin/snapshots', ...admin, this.listSnapshots.bind(this));
+        this.app.post('/api/admin/snapshots', ...admin, this.createSnapshot.bind(this));
+        this.app.post('/api/admin/snapshots/prune', ...admin, this.pruneSnapshots.bind(this));
+        this.app.post('/api/admin/snapshots/:id/verify', ...admin, this.verifySnapshot.bind(this));
+        this.app.post('/api/admin/snapshots/:id/restore', ...admin, this.restoreSnapshot.bind(this));
+        this.app.delete('/api/admin/snapshots/:id', ...admin, this.deleteSnapshot.bind(this));
+
         // Roteamento para serviços
         this.app.all('/api/users/*', this.proxyToService.bind(this, 'user-service'));
         this.app.all('/api/users', this.proxyToService.bind(this, 'user-service'));
@@ -207,6 +231,8 @@ class APIGateway {
                     '/registry',
                     '/api/dashboard',
                     '/api/search',
+                    '/debug/db-stats',
+                    '/api/admin/snapshots',
                     '/api/users',
                     '/api/users/*',
                     '/api/auth',
@@ -250,7 +276,8 @@ class APIGateway {
             }, { timeout: 5000 });
 
             if (response.data.success) {
-                req.user = response.data.data.user;
+                // Guardar o token para que chamadas agregadas possam repassá-lo aos serviços
+                req.user = { ...response.data.data.user, token: authHeader.replace('Bearer ', '') };
                 next();
             } else {
                 res.status(401).json(response.data);
@@ -264,6 +291,267 @@ class APIGateway {
         }
     }
 
+    // Exige papel de administrador (usar após authMiddleware)
+    adminMiddleware(req, res, next) {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Acesso restrito a administradores'
+            });
+        }
+        next();
+    }
+
+    async listSnapshots(req, res) {
+        try {
+            const snapshots = await this.snapshots.list();
+            res.json({
+                success: true,
+                data: snapshots,
+                count: snapshots.length
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao listar snapshots'
+            });
+        }
+    }
+
+    async createSnapshot(req, res) {
+        try {
+            const { label } = req.body || {};
+            if (label !== undefined && typeof label !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'label deve ser um texto'
+                });
+            }
+
+            const snapshot = await this.snapshots.create({ label });
+            res.status(201).json({
+                success: true,
+                message: 'Snapshot criado com sucesso',
+                data: snapshot
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao criar snapshot'
+            });
+        }
+    }
+
+    async verifySnapshot(req, res) {
+        try {
+            const result = await this.snapshots.verify(req.params.id);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Snapshot não encontrado'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao verificar snapshot'
+            });
+        }
+    }
+
+    // Restaura os arquivos e pede a cada serviço restaurado que recarregue suas coleções
+    async restoreSnapshot(req, res) {
+        try {
+            const { services } = req.body || {};
+            if (services !== undefined && (!Array.isArray(services) || services.length === 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'services deve ser uma lista não vazia de serviços'
+                });
+            }
+
+            const verification = await this.snapshots.verify(req.params.id);
+            if (!verification) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Snapshot não encontrado'
+                });
+            }
+            if (!verification.valid) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'Snapshot com falha de integridade',
+                    errors: verification.errors
+                });
+            }
+
+            const missing = (services || []).filter(service => !verification.services.includes(service));
+            if (missing.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Snapshot não contém: ${missing.join(', ')}`
+                });
+            }
+
+            const result = await this.snapshots.restore(req.params.id, { services });
+            const reloaded = await this.reloadServices(result.services, req.header('Authorization'));
+
+            res.json({
+                success: true,
+                message: 'Snapshot restaurado com sucesso',
+                data: { ...result, reloaded }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao restaurar snapshot'
+            });
+        }
+    }
+
+    // Descarta snapshots antigos; sem parâmetros, usa BACKUP_KEEP_LAST e BACKUP_MAX_AGE_DAYS
+    async pruneSnapshots(req, res) {
+        try {
+            const body = req.body || {};
+            const keepLast = body.keepLast ?? (process.env.BACKUP_KEEP_LAST || undefined);
+            const maxAgeDays = body.maxAgeDays ?? (process.env.BACKUP_MAX_AGE_DAYS || undefined);
+            const policy = {
+                keepLast: keepLast === undefined ? undefined : Number(keepLast),
+                maxAgeDays: maxAgeDays === undefined ? undefined : Number(maxAgeDays)
+            };
+
+            if (policy.keepLast === undefined && policy.maxAgeDays === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Informe keepLast e/ou maxAgeDays'
+                });
+            }
+            if (Object.values(policy).some(value => value !== undefined && !(Number.isInteger(value) && value >= 0))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'keepLast e maxAgeDays devem ser inteiros não negativos'
+                });
+            }
+
+            const removed = await this.snapshots.prune(policy);
+            res.json({
+                success: true,
+                message: `${removed.length} snapshot(s) removido(s)`,
+                data: { removed, policy }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao descartar snapshots'
+            });
+        }
+    }
+
+    async deleteSnapshot(req, res) {
+        try {
+            const removed = await this.snapshots.remove(req.params.id);
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Snapshot não encontrado'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Snapshot removido com sucesso'
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao remover snapshot'
+            });
+        }
+    }
+
+    // Cada instância mantém as coleções em memória, então todas precisam recarregar;
+    // serviços fora do ar recarregam os arquivos restaurados ao iniciar
+    async reloadServices(services, authorization) {
+        const reloaded = {};
+
+        for (const serviceName of services) {
+            const instances = serviceRegistry.discoverAll(serviceName);
+            reloaded[serviceName] = instances.length > 0;
+
+            for (const instance of instances) {
+                try {
+                    await axios.post(`${instance.url}/admin/reload`, {}, {
+                        headers: { Authorization: authorization },
+                        timeout: 10000
+                    });
+                } catch (error) {
+                    console.error(`Erro ao recarregar ${serviceName} (${instance.id}):`, error.message);
+                    reloaded[serviceName] = false;
+                }
+            }
+        }
+
+        return reloaded;
+    }
+
+    // Reúne o perfil das consultas de cada instância dos serviços, com totais e as consultas mais lentas de todas
+    async getDatabaseStats(req, res) {
+        const top = parseInt(req.query.top) || 20;
+        const services = {};
+        const totals = { count: 0, totalMs: 0, slow: 0 };
+        const queries = [];
+        const slowQueries = [];
+
+        // O próprio gateway também aparece no registry, mas não tem banco
+        const serviceNames = Object.keys(serviceRegistry.listServices()).filter(name => name !== 'api-gateway');
+        await Promise.all(serviceNames.map(async serviceName => {
+            services[serviceName] = { instances: {} };
+
+            await Promise.all(serviceRegistry.discoverAll(serviceName).map(async instance => {
+                try {
+                    const response = await axios.get(`${instance.url}/debug/db-stats`, {
+                        params: { top },
+                        timeout: 5000
+                    });
+                    const { collections } = response.data.data;
+                    services[serviceName].instances[instance.id] = { status: 'healthy', url: instance.url, collections };
+
+                    Object.values(collections).filter(Boolean).forEach(stats => {
+                        totals.count += stats.totals.count;
+                        totals.totalMs += stats.totals.totalMs;
+                        totals.slow += stats.totals.slow;
+                        const origin = { service: serviceName, instance: instance.id, collection: stats.collection };
+                        queries.push(...stats.queries.map(query => ({ ...origin, ...query })));
+                        slowQueries.push(...stats.slowQueries.map(query => ({ service: serviceName, instance: instance.id, ...query })));
+                    });
+                } catch (error) {
+                    services[serviceName].instances[instance.id] = {
+                        status: 'unavailable',
+                        url: instance.url,
+                        error: error.message
+                    };
+                }
+            }));
+        }));
+
+        res.json({
+            success: true,
+            timestamp: new Date().toISOString(),
+            data: {
+                totals: { ...totals, totalMs: Math.round(totals.totalMs * 100) / 100 },
+                // Formatos de filtro com maior tempo acumulado e as consultas lentas mais demoradas
+                queries: queries.sort((a, b) => b.totalMs - a.totalMs).slice(0, top),
+                slowQueries: slowQueries.sort((a, b) => b.durationMs - a.durationMs).slice(0, top),
+                services
+            }
+        });
+    }
+
     async executeWithCircuitBreaker(serviceName, operation) {
         const circuitBreaker = this.getCircuitBreaker(serviceName);
         
@@ -310,10 +598,43 @@ class APIGateway {
         return this.circuitBreakers.get(serviceName);
     }
 
+    // Executa a operação em uma instância do serviço escolhida pelo registry (cada instância tem seu
+    // circuit breaker); se o circuito dela estiver aberto ou a conexão for recusada, tenta as demais
+    async executeOnInstance(serviceName, operation) {
+        const tried = [];
+        let lastError = null;
+
+        while (true) {
+            let instance;
+            try {
+                instance = serviceRegistry.discover(serviceName, { exclude: tried });
+            } catch (error) {
+                throw lastError || error;
+            }
+
+            try {
+                const result = await this.executeWithCircuitBreaker(
+                    `${serviceName}@${instance.id}`,
+                    () => operation(instance)
+                );
+                return { instance, result };
+            } catch (error) {
+                const circuitOpen = error.message.includes('Circuit breaker aberto');
+                if (!circuitOpen) {
+                    serviceRegistry.reportFailure(serviceName, instance.id);
+                }
+                // Só é seguro repetir em outra instância quando a requisição não chegou a ser enviada
+                if (!circuitOpen && error.code !== 'ECONNREFUSED') {
+                    throw error;
+                }
+                tried.push(instance.id);
+                lastError = error;
+            }
+        }
+    }
+
     async proxyToService(serviceName, req, res) {
         try {
-            const service = serviceRegistry.discover(serviceName);
-            
             let targetPath = req.originalUrl;
             if (targetPath.startsWith('/api/users')) {
                 targetPath = targetPath.replace('/api/users', '/users');
@@ -327,27 +648,42 @@ class APIGateway {
                 targetPath = targetPath.replace('/api/lists', '/lists');
             }
 
-            const url = `${service.url}${targetPath}`;
-
-            const result = await this.executeWithCircuitBreaker(serviceName, async () => {
+            const { instance, result } = await this.executeOnInstance(serviceName, async service => {
                 const response = await axios({
                     method: req.method,
-                    url: url,
+                    url: `${service.url}${targetPath}`,
                     data: req.body,
                     headers: {
                         ...req.headers,
                         host: undefined,
                         'content-length': undefined
                     },
-                    timeout: 10000
+                    timeout: 10000,
+                    // Exportações (CSV/NDJSON) são repassadas como texto, sem interpretar como JSON
+                    transformResponse: [(data, headers) => (/application\/json/i.test(headers['content-type'] || '') && data
+                        ? JSON.parse(data)
+                        : data)],
+                    // Respostas 4xx (ex: 404, 409, 412) são erros do cliente e não devem abrir o circuit breaker
+                    validateStatus: status => status < 500
                 });
                 return response;
             });
 
             res.set('X-Proxied-By', 'api-gateway');
             res.set('X-Service-Source', serviceName);
-            
-            res.status(result.status).json(result.data);
+            res.set('X-Service-Instance', instance.id);
+            if (result.headers.etag) {
+                res.set('ETag', result.headers.etag);
+            }
+
+            if (/application\/json/i.test(result.headers['content-type'] || '')) {
+                res.status(result.status).json(result.data);
+            } else {
+                ['content-type', 'content-disposition']
+                    .filter(header => result.headers[header])
+                    .forEach(header => res.set(header, result.headers[header]));
+                res.status(result.status).send(result.data);
+            }
             
         } catch (error) {
             console.error(`Erro no proxy para ${serviceName}:`, error.message);
@@ -425,8 +761,10 @@ class APIGateway {
             dashboard.summary.totalItems = itemHealth.data.database?.itemCount || 0;
             dashboard.summary.activeItems = itemHealth.data.database?.activeItems || 0;
 
-            const categoriesResponse = await axios.get(`${itemService.url}/categories`, { timeout: 5000 });
-            dashboard.summary.categories = categoriesResponse.data.data?.length || 0;
+            // Estatísticas por categoria calculadas pelo pipeline de agregação do Item Service
+            const categoriesResponse = await axios.get(`${itemService.url}/categories/stats`, { timeout: 5000 });
+            dashboard.categories = categoriesResponse.data.data || [];
+            dashboard.summary.categories = dashboard.categories.length;
         } catch (error) {
             dashboard.services.itemService = {
                 status: 'unhealthy',
@@ -449,13 +787,15 @@ class APIGateway {
             // Se usuário autenticado, buscar suas listas
             if (user) {
                 try {
-                    const userListsResponse = await axios.get(`${listService.url}/lists`, {
+                    const userStatsResponse = await axios.get(`${listService.url}/lists/stats`, {
                         headers: { Authorization: `Bearer ${user.token || ''}` },
                         timeout: 5000
                     });
-                    dashboard.summary.userLists = userListsResponse.data.data?.length || 0;
+                    dashboard.summary.userLists = userStatsResponse.data.data?.totalLists || 0;
+                    dashboard.spendingByMonth = userStatsResponse.data.data?.spendingByMonth || [];
                 } catch (error) {
                     dashboard.summary.userLists = 0;
+                    dashboard.spendingByMonth = [];
                 }
             }
         } catch (error) {
@@ -508,7 +848,7 @@ class APIGateway {
     }
 
     registerWithRegistry() {
-        serviceRegistry.register('api-gateway', {
+        this.instanceId = serviceRegistry.register('api-gateway', {
             url: `http://localhost:${this.port}`,
             version: '1.0.0',
             endpoints: ['/health', '/registry', '/api/dashboard', '/api/search', '/api/users/*', '/api/items/*', '/api/lists/*']
@@ -517,7 +857,7 @@ class APIGateway {
 
     startHealthReporting() {
         setInterval(() => {
-            serviceRegistry.updateHealth('api-gateway', true);
+            serviceRegistry.updateHealth('api-gateway', true, this.instanceId);
         }, 30000);
     }
 
@@ -542,11 +882,11 @@ if (require.main === module) {
     gateway.start();
 
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('api-gateway');
+        serviceRegistry.unregister('api-gateway', gateway.instanceId);
         process.exit(0);
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('api-gateway');
+        serviceRegistry.unregister('api-gateway', gateway.instanceId);
         process.exit(0);
     });
 }
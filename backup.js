@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Snapshots dos bancos de todos os serviços (npm run backup -- [create|list|verify|restore|prune|delete])
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const SnapshotManager = require('./shared/SnapshotManager');
+const { runBackupCli } = require('./shared/backupCli');
+
+const manager = SnapshotManager.forServices(
+    path.join(__dirname, 'services'),
+    process.env.BACKUP_DIR || path.join(__dirname, 'backups')
+);
+
+runBackupCli(manager, process.argv.slice(2));
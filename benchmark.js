@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Benchmark do cache de leitura do JsonDatabase em um catálogo grande
+ * (npm run benchmark -- [--items N] [--iterations N])
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const JsonDatabase = require('./shared/JsonDatabase');
+const { numericOption } = require('./shared/migrationCli');
+
+const CATEGORIES = ['Alimentos', 'Limpeza', 'Higiene', 'Bebidas', 'Padaria'];
+
+/**
+ * Gera um catálogo de itens no formato do Item Service
+ * @param {number} total - Quantidade de itens
+ * @returns {Array<Object>} Itens
+ */
+function generateItems(total) {
+    const now = new Date().toISOString();
+    return Array.from({ length: total }, (value, position) => ({
+        id: uuidv4(),
+        name: `Produto ${position}`,
+        category: CATEGORIES[position % CATEGORIES.length],
+        brand: `Marca ${position % 250}`,
+        unit: 'un',
+        averagePrice: Math.round(Math.random() * 10000) / 100,
+        barcode: String(7890000000000 + position),
+        description: `Descrição do produto ${position}, embalagem padrão`,
+        active: position % 10 !== 0,
+        createdAt: now,
+        updatedAt: now,
+        _version: 1
+    }));
+}
+
+/**
+ * Mede o tempo médio de uma operação
+ * @async
+ * @param {number} iterations - Repetições
+ * @param {Function} operation - Função assíncrona (iteração) => *
+ * @returns {Promise<number>} Tempo médio, em milissegundos
+ */
+async function measure(iterations, operation) {
+    const start = process.hrtime.bigint();
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        await operation(iteration);
+    }
+    return Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+}
+
+/**
+ * Executa as consultas do benchmark em uma coleção
+ * @async
+ * @param {JsonDatabase} db - Coleção
+ * @param {Array<string>} ids - IDs usados no findById
+ * @param {number} iterations - Repetições de cada consulta
+ * @returns {Promise<Object<string, number>>} Tempo médio (ms) por consulta
+ */
+async function runQueries(db, ids, iterations) {
+    return {
+        'findById': await measure(iterations, iteration => db.findById(ids[iteration % ids.length])),
+        'find({ category })': await measure(iterations, () => db.find({ category: 'Limpeza' }, { limit: 20 })),
+        'count()': await measure(iterations, () => db.count()),
+        'count({ active })': await measure(iterations, () => db.count({ active: true })),
+        'update + findById': await measure(iterations, async iteration => {
+            const id = ids[iteration % ids.length];
+            await db.update(id, { $inc: { averagePrice: 1 } });
+            return db.findById(id);
+        })
+    };
+}
+
+/**
+ * Gera o catálogo e compara as consultas sem e com cache, na mesma massa de dados
+ * @async
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const total = numericOption(args, 'items') || 50000;
+    const iterations = numericOption(args, 'iterations') || 20;
+    const dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-cache-'));
+
+    try {
+        const items = generateItems(total);
+        const ids = items.filter(item => item.active).slice(0, iterations).map(item => item.id);
+        const options = { indexes: ['category', 'barcode', 'active'] };
+        const results = {};
+
+        console.log(`Catálogo: ${total} itens; ${iterations} repetições por consulta`);
+        for (const cache of [false, true]) {
+            const collectionName = cache ? 'items_cache' : 'items_nocache';
+            await fs.writeFile(path.join(dbPath, `${collectionName}.json`), JSON.stringify(items, null, 2));
+
+            const db = new JsonDatabase(dbPath, collectionName, { ...options, cache });
+            await db.ready;
+            results[cache ? 'com cache' : 'sem cache'] = await runQueries(db, ids, iterations);
+            if (cache) {
+                console.log('Estatísticas do cache:', db.cacheStats());
+            }
+        }
+
+        const rows = {};
+        Object.keys(results['sem cache']).forEach(query => {
+            const uncached = results['sem cache'][query];
+            const cached = results['com cache'][query];
+            rows[query] = {
+                'sem cache (ms)': Number(uncached.toFixed(2)),
+                'com cache (ms)': Number(cached.toFixed(2)),
+                'ganho': `${(uncached / cached).toFixed(1)}x`
+            };
+        });
+        console.table(rows);
+    } catch (error) {
+        console.error('Erro no benchmark:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await fs.remove(dbPath);
+    }
+}
+
+main();
@@ -368,7 +368,10 @@ class ShoppingListClient {
             
             Object.entries(response.data.services).forEach(([name, service]) => {
                 const status = service.healthy ? '✅' : '❌';
-                console.log(`  ${status} ${name}: ${service.url}`);
+                const instances = service.instances && service.instances.length > 1
+                    ? ` (${service.healthyInstances}/${service.instances.length} instâncias saudáveis)`
+                    : '';
+                console.log(`  ${status} ${name}: ${service.url}${instances}`);
             });
             
             return response.data;
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Coleções do Item Service, compartilhadas entre o servidor e as migrações
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const JsonDatabase = require('../../shared/JsonDatabase');
+const MigrationRunner = require('../../shared/MigrationRunner');
+
+const dbPath = path.join(__dirname, 'database');
+
+// Adaptador de armazenamento: file, journal, ndjson ou memory (ITEM_DB_STORAGE tem prioridade sobre DB_STORAGE)
+const storage = process.env.ITEM_DB_STORAGE || process.env.DB_STORAGE || 'file';
+
+// Operações mais lentas que DB_SLOW_QUERY_MS entram no log de consultas lentas (GET /debug/db-stats);
+// com DB_SLOW_QUERY_LOG, o log também é acrescentado a esse arquivo (NDJSON) e, com
+// DB_SLOW_QUERY_WARN=true, cada consulta lenta é avisada no console
+const profile = {
+    slowThreshold: parseInt(process.env.DB_SLOW_QUERY_MS) || 100,
+    slowLogFile: process.env.DB_SLOW_QUERY_LOG,
+    logToConsole: process.env.DB_SLOW_QUERY_WARN === 'true'
+};
+
+/**
+ * JSON Schema dos itens do catálogo
+ * @type {Object}
+ */
+const ITEM_SCHEMA = {
+    type: 'object',
+    required: ['name', 'category', 'unit'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        category: { type: 'string', minLength: 1, maxLength: 100 },
+        brand: { type: 'string', maxLength: 100 },
+        unit: { type: 'string', minLength: 1, maxLength: 20 },
+        averagePrice: { type: 'number', minimum: 0 },
+        barcode: { type: 'string', pattern: '^\\d{8,14}$' },
+        description: { type: 'string', maxLength: 1000 },
+        active: { type: 'boolean' }
+    }
+};
+
+/**
+ * Abre as coleções do serviço com suas opções (índices, restrições, schema, histórico e busca textual)
+ * @returns {Object<string, JsonDatabase>} Coleções ({ items })
+ */
+function openCollections() {
+    return {
+        items: new JsonDatabase(dbPath, 'items', {
+            storage,
+            profile,
+            indexes: ['category', 'barcode', 'active'],
+            unique: ['barcode'],
+            schema: ITEM_SCHEMA,
+            history: { limit: 20 },
+            textIndex: { name: 8, brand: 4, category: 2, description: 1 }
+        })
+    };
+}
+
+/**
+ * Cria o executor das migrações do serviço (diretório migrations/)
+ * @param {Object<string, JsonDatabase>} collections - Coleções abertas por openCollections
+ * @returns {MigrationRunner} Executor de migrações
+ */
+function createMigrationRunner(collections) {
+    return new MigrationRunner(dbPath, path.join(__dirname, 'migrations'), collections, { storage });
+}
+
+module.exports = {
+    openCollections,
+    createMigrationRunner
+};
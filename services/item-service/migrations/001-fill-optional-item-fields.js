@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Migração 001 - Campos opcionais vazios para itens criados sem eles
+ * Itens criados por POST /items aceitam campos livres e podem não ter brand ou description
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const OPTIONAL_FIELDS = ['brand', 'description'];
+
+module.exports = {
+    description: 'Preenche brand e description vazios nos itens que não possuem esses campos',
+
+    async up({ items }) {
+        const filled = {};
+
+        for (const field of OPTIONAL_FIELDS) {
+            const missing = await items.find({ [field]: { $exists: false } }, { projection: { id: 1 } });
+            filled[field] = missing.map(item => item.id);
+            await items.updateMany({ id: { $in: filled[field] } }, { $set: { [field]: '' } });
+        }
+
+        return filled;
+    },
+
+    async down({ items }, filled) {
+        for (const field of OPTIONAL_FIELDS) {
+            await items.updateMany({ id: { $in: filled[field] } }, { $unset: { [field]: '' } });
+        }
+    }
+};
@@ -10,10 +10,21 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
 const axios = require('axios');
 
-const JsonDatabase = require('../../shared/JsonDatabase');
+const { openCollections, createMigrationRunner } = require('./collections');
+const {
+    DuplicateKeyError,
+    InvalidCursorError,
+    InvalidQueryError,
+    InvalidUpdateError,
+    SchemaValidationError,
+    TransferFormatError,
+    VersionConflictError
+} = require('../../shared/databaseErrors');
+const { etagFor, expectedVersionFrom } = require('../../shared/conditionalRequest');
+const { parseListingQuery, parseTextParams } = require('../../shared/listingQuery');
+const { TRANSFER_CONTENT_TYPES, parseExportQuery, parseImportQuery } = require('../../shared/transferQuery');
 const serviceRegistry = require('../../shared/serviceRegistry');
 
 /**
@@ -35,15 +46,25 @@ class ItemService {
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
-        this.seedInitialData();
     }
 
     setupDatabase() {
-        const dbPath = path.join(__dirname, 'database');
-        this.itemsDb = new JsonDatabase(dbPath, 'items');
+        this.collections = openCollections();
+        this.itemsDb = this.collections.items;
+        this.migrations = createMigrationRunner(this.collections);
         console.log('Item Service: Banco NoSQL inicializado');
     }
 
+    // Aplica as migrações pendentes; o serviço não inicia com dados em formato desatualizado
+    async runMigrations() {
+        try {
+            await this.migrations.up();
+        } catch (error) {
+            console.error('Item Service: falha nas migrações, encerrando');
+            process.exit(1);
+        }
+    }
+
     async seedInitialData() {
         setTimeout(async () => {
             try {
@@ -308,9 +329,58 @@ class ItemService {
         }, 2000);
     }
 
+    // Relê as coleções do disco após a restauração de um snapshot (somente administradores)
+    async reloadDatabase(req, res) {
+        try {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso restrito a administradores'
+                });
+            }
+
+            for (const collection of Object.values(this.collections)) {
+                await collection.reload();
+            }
+            await this.migrations.reload();
+            const migrations = await this.migrations.up();
+
+            res.json({
+                success: true,
+                message: 'Banco de dados recarregado',
+                data: {
+                    collections: Object.keys(this.collections),
+                    migrations
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao recarregar banco de dados:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Perfil das consultas de cada coleção (tempos, uso de índices e consultas lentas recentes)
+    getDatabaseStats(req, res) {
+        const top = parseInt(req.query.top) || undefined;
+        const collections = {};
+        Object.entries(this.collections).forEach(([name, collection]) => {
+            collections[name] = collection.queryStats({ top });
+        });
+
+        res.json({
+            success: true,
+            service: this.serviceName,
+            timestamp: new Date().toISOString(),
+            data: { collections }
+        });
+    }
+
     setupMiddleware() {
         this.app.use(helmet());
-        this.app.use(cors());
+        this.app.use(cors({ exposedHeaders: ['ETag'] }));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
@@ -337,7 +407,8 @@ class ItemService {
                     database: {
                         type: 'JSON-NoSQL',
                         itemCount,
-                        activeItems
+                        activeItems,
+                        cache: this.itemsDb.cacheStats()
                     }
                 });
             } catch (error) {
@@ -357,22 +428,39 @@ class ItemService {
                 database: 'JSON-NoSQL',
                 endpoints: [
                     'GET /items',
+                    'GET /items/export?format=csv',
+                    'POST /items/import',
                     'GET /items/:id',
                     'POST /items',
                     'PUT /items/:id',
+                    'GET /items/:id/history',
+                    'GET /items/:id/history/diff?from=1&to=2',
+                    'POST /items/:id/restore',
                     'GET /categories',
-                    'GET /search?q=termo'
+                    'GET /categories/stats',
+                    'GET /search?q=termo',
+                    'POST /admin/reload',
+                    'GET /debug/db-stats'
                 ]
             });
         });
 
         this.app.get('/items', this.getItems.bind(this));
+        this.app.get('/items/export', this.exportItems.bind(this));
+        this.app.post('/items/import', this.authMiddleware.bind(this), this.importItems.bind(this));
         this.app.get('/items/:id', this.getItem.bind(this));
         this.app.post('/items', this.authMiddleware.bind(this), this.createItem.bind(this));
         this.app.put('/items/:id', this.authMiddleware.bind(this), this.updateItem.bind(this));
+        this.app.get('/items/:id/history', this.authMiddleware.bind(this), this.getItemHistory.bind(this));
+        this.app.get('/items/:id/history/diff', this.authMiddleware.bind(this), this.diffItemRevisions.bind(this));
+        this.app.post('/items/:id/restore', this.authMiddleware.bind(this), this.restoreItem.bind(this));
 
         this.app.get('/categories', this.getCategories.bind(this));
+        this.app.get('/categories/stats', this.getCategoryStats.bind(this));
         this.app.get('/search', this.searchItems.bind(this));
+
+        this.app.post('/admin/reload', this.authMiddleware.bind(this), this.reloadDatabase.bind(this));
+        this.app.get('/debug/db-stats', this.getDatabaseStats.bind(this));
     }
 
     setupErrorHandling() {
@@ -428,32 +516,54 @@ class ItemService {
 
     async getItems(req, res) {
         try {
-            const { 
-                category,
-                name
-            } = req.query;
-            
+            const { values, error: paramError } = parseTextParams(req.query, ['category', 'name']);
+            if (paramError) {
+                return res.status(400).json({
+                    success: false,
+                    message: paramError
+                });
+            }
+            const { category, name } = values;
+
+            const { options, error } = parseListingQuery(req.query, { sort: { createdAt: 1 } });
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
             let filters = { active: true };
 
             if (category) {
                 filters.category = category;
             }
 
-            let items = await this.itemsDb.find(filters);
-
-            // Filtro por nome (busca parcial)
+            // Filtro por nome (busca parcial, sem diferenciar maiúsculas/minúsculas)
             if (name) {
-                const searchTerm = name.toLowerCase();
-                items = items.filter(item => 
-                    item.name?.toLowerCase().includes(searchTerm)
-                );
+                filters.name = { $regex: name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
             }
 
+            const { documents: items, pageInfo } = await this.itemsDb.findPage(filters, options);
+
             res.json({
                 success: true,
-                data: items
+                data: items,
+                pagination: {
+                    limit: options.limit || null,
+                    ...pageInfo
+                }
             });
         } catch (error) {
+            if (error instanceof InvalidCursorError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cursor de paginação inválido'
+                });
+            }
+            if (error instanceof InvalidQueryError) {
+                return this.sendQueryError(res, error);
+            }
             console.error('Erro ao buscar itens:', error);
             res.status(500).json({
                 success: false,
@@ -462,6 +572,95 @@ class ItemService {
         }
     }
 
+    // Exporta os itens ativos (opcionalmente de uma categoria) em NDJSON ou CSV
+    async exportItems(req, res) {
+        try {
+            const { values, error: paramError } = parseTextParams(req.query, ['category']);
+            if (paramError) {
+                return res.status(400).json({
+                    success: false,
+                    message: paramError
+                });
+            }
+
+            const { options, error } = parseExportQuery(req.query);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            const filters = { active: true };
+            if (values.category) {
+                filters.category = values.category;
+            }
+
+            const stream = await this.itemsDb.exportDocuments(filters, { sort: { name: 1 }, ...options });
+
+            res.set('Content-Type', TRANSFER_CONTENT_TYPES[options.format]);
+            res.set('Content-Disposition', `attachment; filename="items.${options.format}"`);
+            stream.pipe(res);
+        } catch (error) {
+            if (error instanceof InvalidQueryError) {
+                return this.sendQueryError(res, error);
+            }
+            console.error('Erro ao exportar itens:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao exportar itens'
+            });
+        }
+    }
+
+    // Importa itens enviados no corpo como text/csv ou application/x-ndjson (lido como stream)
+    async importItems(req, res) {
+        try {
+            if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+                return res.status(415).json({
+                    success: false,
+                    message: 'Envie o conteúdo como text/csv ou application/x-ndjson'
+                });
+            }
+
+            const { options, error } = parseImportQuery(req.query, req.get('Content-Type'));
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            // Pelo gateway o corpo chega já lido como texto
+            const source = typeof req.body === 'string' ? req.body : req;
+            const report = await this.itemsDb.importDocuments(source, {
+                ...options,
+                defaults: { active: true },
+                actor: req.user.id
+            });
+
+            res.json({
+                success: true,
+                message: options.dryRun
+                    ? 'Simulação concluída; nenhum item foi gravado'
+                    : `Importação concluída: ${report.created} criado(s), ${report.updated} atualizado(s), ${report.rejected} rejeitado(s)`,
+                data: report
+            });
+        } catch (error) {
+            if (error instanceof TransferFormatError) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.reason
+                });
+            }
+            console.error('Erro ao importar itens:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao importar itens'
+            });
+        }
+    }
+
     async getItem(req, res) {
         try {
             const { id } = req.params;
@@ -474,6 +673,7 @@ class ItemService {
                 });
             }
 
+            res.set('ETag', etagFor(item._version));
             res.json({
                 success: true,
                 data: item
@@ -489,6 +689,10 @@ class ItemService {
 
     async createItem(req, res) {
         try {
+            if (this.rejectOperatorFields(req, res)) {
+                return;
+            }
+
             const itemData = {
                 id: uuidv4(),
                 ...req.body,
@@ -496,14 +700,21 @@ class ItemService {
                 createdAt: new Date().toISOString()
             };
 
-            const newItem = await this.itemsDb.create(itemData);
+            const newItem = await this.itemsDb.create(itemData, { actor: req.user.id });
 
+            res.set('ETag', etagFor(newItem._version));
             res.status(201).json({
                 success: true,
                 message: 'Item criado com sucesso',
                 data: newItem
             });
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof DuplicateKeyError) {
+                return this.sendDuplicateKeyError(res, error);
+            }
             console.error('Erro ao criar item:', error);
             res.status(500).json({
                 success: false,
@@ -514,13 +725,21 @@ class ItemService {
 
     async updateItem(req, res) {
         try {
+            if (this.rejectOperatorFields(req, res)) {
+                return;
+            }
+
             const { id } = req.params;
             const updates = {
                 ...req.body,
                 updatedAt: new Date().toISOString()
             };
 
-            const updatedItem = await this.itemsDb.update(id, updates);
+            // If-Match: só atualiza se o cliente tiver a versão atual do item
+            const updatedItem = await this.itemsDb.update(id, updates, {
+                expectedVersion: expectedVersionFrom(req),
+                actor: req.user.id
+            });
 
             if (!updatedItem) {
                 return res.status(404).json({
@@ -529,12 +748,29 @@ class ItemService {
                 });
             }
 
+            res.set('ETag', etagFor(updatedItem._version));
             res.json({
                 success: true,
                 message: 'Item atualizado com sucesso',
                 data: updatedItem
             });
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof DuplicateKeyError) {
+                return this.sendDuplicateKeyError(res, error);
+            }
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
+            if (error instanceof InvalidUpdateError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Atualização inválida',
+                    reason: error.reason
+                });
+            }
             console.error('Erro ao atualizar item:', error);
             res.status(500).json({
                 success: false,
@@ -543,14 +779,175 @@ class ItemService {
         }
     }
 
+    async getItemHistory(req, res) {
+        try {
+            const { id } = req.params;
+            const revisions = await this.itemsDb.listRevisions(id);
+
+            if (revisions.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Histórico do item não encontrado'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: revisions
+            });
+        } catch (error) {
+            console.error('Erro ao buscar histórico do item:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar histórico do item'
+            });
+        }
+    }
+
+    async diffItemRevisions(req, res) {
+        try {
+            const { id } = req.params;
+            const from = parseInt(req.query.from);
+            const to = parseInt(req.query.to);
+
+            if (isNaN(from) || isNaN(to)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Parâmetros from e to são obrigatórios'
+                });
+            }
+
+            const diff = await this.itemsDb.diffRevisions(id, from, to);
+
+            if (!diff) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revisão não encontrada'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: diff
+            });
+        } catch (error) {
+            console.error('Erro ao comparar revisões do item:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao comparar revisões do item'
+            });
+        }
+    }
+
+    async restoreItem(req, res) {
+        try {
+            const { id } = req.params;
+            const version = parseInt(req.body.version);
+
+            if (isNaN(version)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Versão a restaurar é obrigatória'
+                });
+            }
+
+            // If-Match: só restaura se o cliente tiver a versão atual do item
+            const restoredItem = await this.itemsDb.restoreRevision(id, version, {
+                expectedVersion: expectedVersionFrom(req),
+                actor: req.user.id
+            });
+
+            if (!restoredItem) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revisão não encontrada'
+                });
+            }
+
+            res.set('ETag', etagFor(restoredItem._version));
+            res.json({
+                success: true,
+                message: `Item restaurado para a versão ${version}`,
+                data: restoredItem
+            });
+        } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof DuplicateKeyError) {
+                return this.sendDuplicateKeyError(res, error);
+            }
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
+            console.error('Erro ao restaurar item:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao restaurar item'
+            });
+        }
+    }
+
+    // O corpo é gravado como dados do item: campos "$..." seriam interpretados como operadores
+    // de atualização ou gravados literalmente, então são recusados com 400
+    rejectOperatorFields(req, res) {
+        const field = Object.keys(req.body || {}).find(key => key.startsWith('$'));
+        if (!field) {
+            return false;
+        }
+
+        res.status(400).json({
+            success: false,
+            message: `Campo "${field}" não é permitido no corpo da requisição`
+        });
+        return true;
+    }
+
+    sendDuplicateKeyError(res, error) {
+        res.status(409).json({
+            success: false,
+            message: error.fields.includes('barcode')
+                ? 'Código de barras já cadastrado'
+                : 'Item duplicado',
+            fields: error.fields
+        });
+    }
+
+    sendVersionConflictError(res, error) {
+        res.set('ETag', etagFor(error.currentVersion));
+        res.status(412).json({
+            success: false,
+            message: 'Item foi modificado por outra requisição',
+            currentVersion: error.currentVersion
+        });
+    }
+
+    sendValidationError(res, error) {
+        res.status(422).json({
+            success: false,
+            message: 'Dados do item inválidos',
+            errors: error.errors
+        });
+    }
+
+    sendQueryError(res, error) {
+        res.status(400).json({
+            success: false,
+            message: 'Filtro inválido',
+            reason: error.reason
+        });
+    }
+
     async getCategories(req, res) {
         try {
-            const items = await this.itemsDb.find({ active: true });
-            const categories = [...new Set(items.map(item => item.category))].filter(Boolean);
+            const groups = await this.itemsDb.aggregate([
+                { $match: { active: true, category: { $nin: [null, ''] } } },
+                { $group: { _id: '$category' } }
+            ]);
 
             res.json({
                 success: true,
-                data: categories
+                data: groups.map(group => group._id)
             });
         } catch (error) {
             console.error('Erro ao buscar categorias:', error);
@@ -561,9 +958,49 @@ class ItemService {
         }
     }
 
+    async getCategoryStats(req, res) {
+        try {
+            const stats = await this.itemsDb.aggregate([
+                { $match: { active: true, category: { $nin: [null, ''] } } },
+                {
+                    $group: {
+                        _id: '$category',
+                        itemCount: { $count: {} },
+                        averagePrice: { $avg: '$averagePrice' },
+                        minPrice: { $min: '$averagePrice' },
+                        maxPrice: { $max: '$averagePrice' }
+                    }
+                },
+                { $project: { _id: 0, category: '$_id', itemCount: 1, averagePrice: 1, minPrice: 1, maxPrice: 1 } },
+                { $sort: { category: 1 } }
+            ]);
+
+            res.json({
+                success: true,
+                data: stats.map(stat => ({
+                    ...stat,
+                    averagePrice: stat.averagePrice === null ? null : parseFloat(stat.averagePrice.toFixed(2))
+                }))
+            });
+        } catch (error) {
+            console.error('Erro ao calcular estatísticas de categorias:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao calcular estatísticas de categorias'
+            });
+        }
+    }
+
     async searchItems(req, res) {
         try {
-            const { q: query } = req.query;
+            const { values, error: paramError } = parseTextParams(req.query, ['q', 'category']);
+            if (paramError) {
+                return res.status(400).json({
+                    success: false,
+                    message: paramError
+                });
+            }
+            const { q: query, category } = values;
 
             if (!query) {
                 return res.status(400).json({
@@ -572,17 +1009,22 @@ class ItemService {
                 });
             }
 
-            const searchTerm = query.toLowerCase();
-            const allItems = await this.itemsDb.find({ active: true });
+            const filter = { active: true };
+            if (category) {
+                filter.category = category;
+            }
 
-            const results = allItems.filter(item => {
-                const matchName = item.name?.toLowerCase().includes(searchTerm);
-                const matchDescription = item.description?.toLowerCase().includes(searchTerm);
-                const matchCategory = item.category?.toLowerCase().includes(searchTerm);
-                const matchBrand = item.brand?.toLowerCase().includes(searchTerm);
+            const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+            if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Parâmetro "limit" deve ser um inteiro positivo'
+                });
+            }
 
-                return matchName || matchDescription || matchCategory || matchBrand;
-            });
+            // Resultados em ordem de relevância, com a pontuação e os trechos destacados de cada item
+            const hits = await this.itemsDb.search(query, { filter, limit });
+            const results = hits.map(({ document, score, highlights }) => ({ ...document, score, highlights }));
 
             res.json({
                 success: true,
@@ -593,6 +1035,9 @@ class ItemService {
                 }
             });
         } catch (error) {
+            if (error instanceof InvalidQueryError) {
+                return this.sendQueryError(res, error);
+            }
             console.error('Erro na busca de itens:', error);
             res.status(500).json({
                 success: false,
@@ -602,20 +1047,23 @@ class ItemService {
     }
 
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
-            endpoints: ['/health', '/items', '/categories', '/search']
+            endpoints: ['/health', '/items', '/categories', '/categories/stats', '/search']
         });
     }
 
     startHealthReporting() {
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
+            serviceRegistry.updateHealth(this.serviceName, true, this.instanceId);
         }, 30000);
     }
 
-    start() {
+    async start() {
+        await this.runMigrations();
+        this.seedInitialData();
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`Item Service iniciado na porta ${this.port}`);
@@ -635,11 +1083,11 @@ if (require.main === module) {
     service.start();
 
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('item-service');
+        serviceRegistry.unregister('item-service', service.instanceId);
         process.exit(0);
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('item-service');
+        serviceRegistry.unregister('item-service', service.instanceId);
         process.exit(0);
     });
 }
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Coleções do List Service, compartilhadas entre o servidor e as migrações
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const JsonDatabase = require('../../shared/JsonDatabase');
+const MigrationRunner = require('../../shared/MigrationRunner');
+
+const dbPath = path.join(__dirname, 'database');
+
+// Adaptador de armazenamento: file, journal, ndjson ou memory (LIST_DB_STORAGE tem prioridade sobre DB_STORAGE)
+const storage = process.env.LIST_DB_STORAGE || process.env.DB_STORAGE || 'file';
+
+// Operações mais lentas que DB_SLOW_QUERY_MS entram no log de consultas lentas (GET /debug/db-stats);
+// com DB_SLOW_QUERY_LOG, o log também é acrescentado a esse arquivo (NDJSON) e, com
+// DB_SLOW_QUERY_WARN=true, cada consulta lenta é avisada no console
+const profile = {
+    slowThreshold: parseInt(process.env.DB_SLOW_QUERY_MS) || 100,
+    slowLogFile: process.env.DB_SLOW_QUERY_LOG,
+    logToConsole: process.env.DB_SLOW_QUERY_WARN === 'true'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Tempo que listas removidas ficam na lixeira antes de serem descartadas definitivamente
+const TRASH_RETENTION = (parseInt(process.env.LIST_TRASH_RETENTION_DAYS) || 30) * DAY;
+
+/**
+ * JSON Schema das listas de compras e de seus itens
+ * @type {Object}
+ */
+const LIST_SCHEMA = {
+    type: 'object',
+    required: ['userId', 'name', 'status', 'items'],
+    additionalProperties: false,
+    properties: {
+        userId: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string', maxLength: 1000 },
+        status: { enum: ['active', 'completed', 'archived'] },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['itemId', 'quantity', 'purchased'],
+                additionalProperties: false,
+                properties: {
+                    itemId: { type: 'string', minLength: 1 },
+                    itemName: { type: 'string' },
+                    quantity: { type: 'number', exclusiveMinimum: 0 },
+                    unit: { type: 'string' },
+                    estimatedPrice: { type: 'number', minimum: 0 },
+                    purchased: { type: 'boolean' },
+                    notes: { type: 'string', maxLength: 500 },
+                    addedAt: { type: 'string', format: 'date-time' }
+                }
+            }
+        },
+        summary: {
+            type: 'object',
+            properties: {
+                totalItems: { type: 'integer', minimum: 0 },
+                purchasedItems: { type: 'integer', minimum: 0 },
+                estimatedTotal: { type: 'number', minimum: 0 }
+            }
+        }
+    }
+};
+
+/**
+ * Abre as coleções do serviço com suas opções (partições, índices, schema, histórico e lixeira)
+ * @returns {Object<string, JsonDatabase>} Coleções ({ lists })
+ */
+function openCollections() {
+    return {
+        lists: new JsonDatabase(dbPath, 'lists', {
+            storage,
+            profile,
+            // Um arquivo por usuário (lists@<userId>.json): cada operação regrava apenas as listas do dono
+            partitionBy: 'userId',
+            indexes: ['userId', 'status'],
+            schema: LIST_SCHEMA,
+            history: { limit: 20 },
+            softDelete: { retention: TRASH_RETENTION }
+        })
+    };
+}
+
+/**
+ * Cria o executor das migrações do serviço (diretório migrations/)
+ * @param {Object<string, JsonDatabase>} collections - Coleções abertas por openCollections
+ * @returns {MigrationRunner} Executor de migrações
+ */
+function createMigrationRunner(collections) {
+    return new MigrationRunner(dbPath, path.join(__dirname, 'migrations'), collections, { storage });
+}
+
+module.exports = {
+    DAY,
+    TRASH_RETENTION,
+    openCollections,
+    createMigrationRunner
+};
@@ -0,0 +1,11 @@
+/**
+ * @fileoverview Migrações do List Service (npm run migrate -- [up|down|status])
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { openCollections, createMigrationRunner } = require('./collections');
+const { runMigrationCli } = require('../../shared/migrationCli');
+
+runMigrationCli(createMigrationRunner(openCollections()), process.argv.slice(2));
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Migração 001 - Recalcula o resumo das listas a partir dos itens gravados
+ * O campo summary é derivado e pode ter divergido em listas alteradas antes das atualizações atômicas
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { deepEqual } = require('../../../shared/queryMatcher');
+
+module.exports = {
+    description: 'Recalcula summary (totalItems, purchasedItems, estimatedTotal) de todas as listas',
+
+    async up({ lists }) {
+        const totals = await lists.aggregate([
+            { $unwind: '$items' },
+            {
+                $group: {
+                    _id: '$id',
+                    totalItems: { $count: {} },
+                    purchasedItems: { $sum: { $cond: ['$items.purchased', 1, 0] } },
+                    estimatedTotal: { $sum: { $multiply: ['$items.quantity', '$items.estimatedPrice'] } }
+                }
+            }
+        ]);
+        const totalsById = new Map(totals.map(total => [total._id, total]));
+        const recomputed = [];
+
+        for (const list of await lists.find({}, { projection: { id: 1, summary: 1 } })) {
+            const total = totalsById.get(list.id);
+            const summary = {
+                totalItems: total ? total.totalItems : 0,
+                purchasedItems: total ? total.purchasedItems : 0,
+                estimatedTotal: total ? parseFloat(total.estimatedTotal.toFixed(2)) : 0
+            };
+
+            if (!deepEqual(list.summary, summary)) {
+                await lists.update(list.id, { $set: { summary } });
+                recomputed.push(list.id);
+            }
+        }
+
+        return { recomputed };
+    },
+
+    // O resumo é derivado dos itens: não há estado anterior a restaurar
+    async down() {}
+};
@@ -10,10 +10,21 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
 const axios = require('axios');
 
-const JsonDatabase = require('../../shared/JsonDatabase');
+const { openCollections, createMigrationRunner, TRASH_RETENTION, DAY } = require('./collections');
+const {
+    InvalidCursorError,
+    InvalidQueryError,
+    SchemaValidationError,
+    TransactionConflictError,
+    VersionConflictError
+} = require('../../shared/databaseErrors');
+const { etagFor, expectedVersionFrom } = require('../../shared/conditionalRequest');
+const { applyUpdate } = require('../../shared/updateOperators');
+const { runPipeline } = require('../../shared/aggregationPipeline');
+const { parseListingQuery, parseTextParams } = require('../../shared/listingQuery');
+const { TRANSFER_CONTENT_TYPES, parseExportQuery } = require('../../shared/transferQuery');
 const serviceRegistry = require('../../shared/serviceRegistry');
 
 /**
@@ -38,14 +49,74 @@ class ListService {
     }
 
     setupDatabase() {
-        const dbPath = path.join(__dirname, 'database');
-        this.listsDb = new JsonDatabase(dbPath, 'lists');
+        this.collections = openCollections();
+        this.listsDb = this.collections.lists;
+        this.migrations = createMigrationRunner(this.collections);
         console.log('List Service: Banco NoSQL inicializado');
     }
 
+    // Aplica as migrações pendentes; o serviço não inicia com dados em formato desatualizado
+    async runMigrations() {
+        try {
+            await this.migrations.up();
+        } catch (error) {
+            console.error('List Service: falha nas migrações, encerrando');
+            process.exit(1);
+        }
+    }
+
+    // Relê as coleções do disco após a restauração de um snapshot (somente administradores)
+    async reloadDatabase(req, res) {
+        try {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso restrito a administradores'
+                });
+            }
+
+            for (const collection of Object.values(this.collections)) {
+                await collection.reload();
+            }
+            await this.migrations.reload();
+            const migrations = await this.migrations.up();
+
+            res.json({
+                success: true,
+                message: 'Banco de dados recarregado',
+                data: {
+                    collections: Object.keys(this.collections),
+                    migrations
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao recarregar banco de dados:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Perfil das consultas de cada coleção (tempos, uso de índices e consultas lentas recentes)
+    getDatabaseStats(req, res) {
+        const top = parseInt(req.query.top) || undefined;
+        const collections = {};
+        Object.entries(this.collections).forEach(([name, collection]) => {
+            collections[name] = collection.queryStats({ top });
+        });
+
+        res.json({
+            success: true,
+            service: this.serviceName,
+            timestamp: new Date().toISOString(),
+            data: { collections }
+        });
+    }
+
     setupMiddleware() {
         this.app.use(helmet());
-        this.app.use(cors());
+        this.app.use(cors({ exposedHeaders: ['ETag'] }));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
@@ -72,7 +143,8 @@ class ListService {
                     database: {
                         type: 'JSON-NoSQL',
                         listCount,
-                        activeLists
+                        activeLists,
+                        cache: this.listsDb.cacheStats()
                     }
                 });
             } catch (error) {
@@ -93,28 +165,49 @@ class ListService {
                 endpoints: [
                     'POST /lists',
                     'GET /lists',
+                    'GET /lists/stats',
+                    'GET /lists/trash',
+                    'GET /lists/export?format=csv',
                     'GET /lists/:id',
                     'PUT /lists/:id',
                     'DELETE /lists/:id',
+                    'POST /lists/:id/undelete',
+                    'GET /lists/:id/history',
+                    'GET /lists/:id/history/diff?from=1&to=2',
+                    'POST /lists/:id/restore',
+                    'POST /lists/:id/merge',
                     'POST /lists/:id/items',
                     'PUT /lists/:id/items/:itemId',
                     'DELETE /lists/:id/items/:itemId',
-                    'GET /lists/:id/summary'
+                    'GET /lists/:id/summary',
+                    'POST /admin/reload',
+                    'GET /debug/db-stats'
                 ]
             });
         });
 
         this.app.post('/lists', this.authMiddleware.bind(this), this.createList.bind(this));
         this.app.get('/lists', this.authMiddleware.bind(this), this.getLists.bind(this));
+        this.app.get('/lists/stats', this.authMiddleware.bind(this), this.getListStats.bind(this));
+        this.app.get('/lists/trash', this.authMiddleware.bind(this), this.getTrash.bind(this));
+        this.app.get('/lists/export', this.authMiddleware.bind(this), this.exportLists.bind(this));
         this.app.get('/lists/:id', this.authMiddleware.bind(this), this.getList.bind(this));
         this.app.put('/lists/:id', this.authMiddleware.bind(this), this.updateList.bind(this));
         this.app.delete('/lists/:id', this.authMiddleware.bind(this), this.deleteList.bind(this));
+        this.app.post('/lists/:id/undelete', this.authMiddleware.bind(this), this.undeleteList.bind(this));
+        this.app.get('/lists/:id/history', this.authMiddleware.bind(this), this.getListHistory.bind(this));
+        this.app.get('/lists/:id/history/diff', this.authMiddleware.bind(this), this.diffListRevisions.bind(this));
+        this.app.post('/lists/:id/restore', this.authMiddleware.bind(this), this.restoreList.bind(this));
+        this.app.post('/lists/:id/merge', this.authMiddleware.bind(this), this.mergeLists.bind(this));
 
         this.app.post('/lists/:id/items', this.authMiddleware.bind(this), this.addItemToList.bind(this));
         this.app.put('/lists/:id/items/:itemId', this.authMiddleware.bind(this), this.updateItemInList.bind(this));
         this.app.delete('/lists/:id/items/:itemId', this.authMiddleware.bind(this), this.removeItemFromList.bind(this));
 
         this.app.get('/lists/:id/summary', this.authMiddleware.bind(this), this.getListSummary.bind(this));
+
+        this.app.post('/admin/reload', this.authMiddleware.bind(this), this.reloadDatabase.bind(this));
+        this.app.get('/debug/db-stats', this.getDatabaseStats.bind(this));
     }
 
     setupErrorHandling() {
@@ -195,14 +288,18 @@ class ListService {
                 updatedAt: new Date().toISOString()
             };
 
-            const newList = await this.listsDb.create(listData);
+            const newList = await this.listsDb.create(listData, { actor: req.user.id });
 
+            res.set('ETag', etagFor(newList._version));
             res.status(201).json({
                 success: true,
                 message: 'Lista criada com sucesso',
                 data: newList
             });
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
             console.error('Erro ao criar lista:', error);
             res.status(500).json({
                 success: false,
@@ -213,13 +310,38 @@ class ListService {
 
     async getLists(req, res) {
         try {
-            const lists = await this.listsDb.find({ userId: req.user.id });
+            const { options, error } = parseListingQuery(req.query, { sort: { createdAt: 1 } });
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            const { documents: lists, pageInfo } = await this.listsDb.findPage({ userId: req.user.id }, options);
 
             res.json({
                 success: true,
-                data: lists
+                data: lists,
+                pagination: {
+                    limit: options.limit || null,
+                    ...pageInfo
+                }
             });
         } catch (error) {
+            if (error instanceof InvalidCursorError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cursor de paginação inválido'
+                });
+            }
+            if (error instanceof InvalidQueryError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Filtro inválido',
+                    reason: error.reason
+                });
+            }
             console.error('Erro ao buscar listas:', error);
             res.status(500).json({
                 success: false,
@@ -228,6 +350,111 @@ class ListService {
         }
     }
 
+    // Exporta as listas do usuário em NDJSON ou CSV (no CSV, os itens ficam em JSON na coluna items)
+    async exportLists(req, res) {
+        try {
+            const { values, error: paramError } = parseTextParams(req.query, ['status']);
+            if (paramError) {
+                return res.status(400).json({
+                    success: false,
+                    message: paramError
+                });
+            }
+
+            const { options, error } = parseExportQuery(req.query);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+
+            const filters = { userId: req.user.id };
+            if (values.status) {
+                filters.status = values.status;
+            }
+
+            const stream = await this.listsDb.exportDocuments(filters, { sort: { createdAt: 1 }, ...options });
+
+            res.set('Content-Type', TRANSFER_CONTENT_TYPES[options.format]);
+            res.set('Content-Disposition', `attachment; filename="lists.${options.format}"`);
+            stream.pipe(res);
+        } catch (error) {
+            if (error instanceof InvalidQueryError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Filtro inválido',
+                    reason: error.reason
+                });
+            }
+            console.error('Erro ao exportar listas:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao exportar listas'
+            });
+        }
+    }
+
+    async getListStats(req, res) {
+        try {
+            const userId = req.user.id;
+
+            const byStatus = await this.listsDb.aggregate([
+                { $match: { userId } },
+                {
+                    $group: {
+                        _id: '$status',
+                        lists: { $count: {} },
+                        estimatedTotal: { $sum: '$summary.estimatedTotal' }
+                    }
+                },
+                { $project: { _id: 0, status: '$_id', lists: 1, estimatedTotal: 1 } },
+                { $sort: { status: 1 } }
+            ]);
+
+            // Gasto por mês de criação da lista (estimado e já comprado)
+            const byMonth = await this.listsDb.aggregate([
+                { $match: { userId } },
+                { $unwind: '$items' },
+                {
+                    $group: {
+                        _id: { $substr: ['$createdAt', 0, 7] },
+                        items: { $count: {} },
+                        estimatedTotal: { $sum: { $multiply: ['$items.quantity', '$items.estimatedPrice'] } },
+                        purchasedTotal: {
+                            $sum: {
+                                $cond: ['$items.purchased', { $multiply: ['$items.quantity', '$items.estimatedPrice'] }, 0]
+                            }
+                        }
+                    }
+                },
+                { $project: { _id: 0, month: '$_id', items: 1, estimatedTotal: 1, purchasedTotal: 1 } },
+                { $sort: { month: 1 } }
+            ]);
+
+            const round = value => parseFloat(value.toFixed(2));
+
+            res.json({
+                success: true,
+                data: {
+                    totalLists: byStatus.reduce((total, group) => total + group.lists, 0),
+                    byStatus: byStatus.map(group => ({ ...group, estimatedTotal: round(group.estimatedTotal) })),
+                    spendingByMonth: byMonth.map(month => ({
+                        ...month,
+                        estimatedTotal: round(month.estimatedTotal),
+                        purchasedTotal: round(month.purchasedTotal)
+                    }))
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao calcular estatísticas das listas:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao calcular estatísticas das listas'
+            });
+        }
+    }
+
     async getList(req, res) {
         try {
             const { id } = req.params;
@@ -248,6 +475,7 @@ class ListService {
                 });
             }
 
+            res.set('ETag', etagFor(list._version));
             res.json({
                 success: true,
                 data: list
@@ -282,20 +510,37 @@ class ListService {
                 });
             }
 
-            const updates = { ...list };
+            const updates = {};
             if (name) updates.name = name;
             if (description !== undefined) updates.description = description;
             if (status) updates.status = status;
-            updates.updatedAt = new Date().toISOString();
 
-            const updatedList = await this.listsDb.update(id, updates);
+            // If-Match: só atualiza se o cliente tiver a versão atual da lista
+            const updatedList = await this.listsDb.update(id, updates, {
+                expectedVersion: expectedVersionFrom(req),
+                actor: req.user.id
+            });
+
+            if (!updatedList) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada'
+                });
+            }
 
+            res.set('ETag', etagFor(updatedList._version));
             res.json({
                 success: true,
                 message: 'Lista atualizada com sucesso',
                 data: updatedList
             });
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
             console.error('Erro ao atualizar lista:', error);
             res.status(500).json({
                 success: false,
@@ -323,13 +568,17 @@ class ListService {
                 });
             }
 
-            await this.listsDb.delete(id);
+            // Soft delete: a lista vai para a lixeira e pode ser recuperada até o fim da retenção
+            await this.listsDb.delete(id, { expectedVersion: expectedVersionFrom(req), actor: req.user.id });
 
             res.json({
                 success: true,
-                message: 'Lista removida com sucesso'
+                message: 'Lista movida para a lixeira'
             });
         } catch (error) {
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
             console.error('Erro ao remover lista:', error);
             res.status(500).json({
                 success: false,
@@ -426,20 +675,34 @@ class ListService {
                 addedAt: new Date().toISOString()
             };
 
-            list.items.push(newItem);
-            
-            // Recalcular resumo
-            this.updateListSummary(list);
-            list.updatedAt = new Date().toISOString();
+            // Adicionar apenas se o item ainda não estiver na lista (verificado de forma atômica),
+            // gravando o resumo recalculado na mesma escrita
+            const updatedList = await this.listsDb.updateOne(
+                { id, 'items.itemId': { $ne: itemId } },
+                current => this.withSummary(current, { $push: { items: newItem } }),
+                { expectedVersion: expectedVersionFrom(req), actor: req.user.id }
+            );
 
-            const updatedList = await this.listsDb.update(id, list);
+            if (!updatedList) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Item já existe na lista'
+                });
+            }
 
+            res.set('ETag', etagFor(updatedList._version));
             res.status(201).json({
                 success: true,
                 message: 'Item adicionado à lista com sucesso',
                 data: updatedList
             });
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
             console.error('Erro ao adicionar item à lista:', error);
             res.status(500).json({
                 success: false,
@@ -477,24 +740,39 @@ class ListService {
                 });
             }
 
-            // Atualizar campos do item
-            if (quantity !== undefined) list.items[itemIndex].quantity = parseFloat(quantity);
-            if (estimatedPrice !== undefined) list.items[itemIndex].estimatedPrice = parseFloat(estimatedPrice);
-            if (purchased !== undefined) list.items[itemIndex].purchased = purchased;
-            if (notes !== undefined) list.items[itemIndex].notes = notes;
-
-            // Recalcular resumo
-            this.updateListSummary(list);
-            list.updatedAt = new Date().toISOString();
+            // Atualizar apenas os campos informados do item
+            const changes = {};
+            if (quantity !== undefined) changes['items.$[item].quantity'] = parseFloat(quantity);
+            if (estimatedPrice !== undefined) changes['items.$[item].estimatedPrice'] = parseFloat(estimatedPrice);
+            if (purchased !== undefined) changes['items.$[item].purchased'] = purchased;
+            if (notes !== undefined) changes['items.$[item].notes'] = notes;
+
+            const updatedList = await this.updateListItems(id, { $set: changes }, {
+                arrayFilters: [{ 'item.itemId': itemId }],
+                expectedVersion: expectedVersionFrom(req),
+                actor: req.user.id
+            });
 
-            const updatedList = await this.listsDb.update(id, list);
+            if (!updatedList) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada'
+                });
+            }
 
+            res.set('ETag', etagFor(updatedList._version));
             res.json({
                 success: true,
                 message: 'Item atualizado com sucesso',
                 data: updatedList
             });
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
             console.error('Erro ao atualizar item na lista:', error);
             res.status(500).json({
                 success: false,
@@ -531,20 +809,31 @@ class ListService {
                 });
             }
 
-            list.items.splice(itemIndex, 1);
-
-            // Recalcular resumo
-            this.updateListSummary(list);
-            list.updatedAt = new Date().toISOString();
+            const updatedList = await this.updateListItems(id, { $pull: { items: { itemId } } }, {
+                expectedVersion: expectedVersionFrom(req),
+                actor: req.user.id
+            });
 
-            const updatedList = await this.listsDb.update(id, list);
+            if (!updatedList) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada'
+                });
+            }
 
+            res.set('ETag', etagFor(updatedList._version));
             res.json({
                 success: true,
                 message: 'Item removido da lista com sucesso',
                 data: updatedList
             });
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
             console.error('Erro ao remover item da lista:', error);
             res.status(500).json({
                 success: false,
@@ -553,6 +842,302 @@ class ListService {
         }
     }
 
+    async getTrash(req, res) {
+        try {
+            const lists = await this.listsDb.findDeleted(
+                { userId: req.user.id },
+                { sort: { deletedAt: -1 } }
+            );
+
+            res.json({
+                success: true,
+                data: lists,
+                retentionDays: TRASH_RETENTION / DAY
+            });
+        } catch (error) {
+            console.error('Erro ao buscar lixeira:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar lixeira'
+            });
+        }
+    }
+
+    async undeleteList(req, res) {
+        try {
+            const { id } = req.params;
+            const [list] = await this.listsDb.findDeleted({ id });
+
+            if (!list) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada na lixeira'
+                });
+            }
+
+            if (list.userId !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso negado'
+                });
+            }
+
+            const restoredList = await this.listsDb.undelete(id, {
+                expectedVersion: expectedVersionFrom(req),
+                actor: req.user.id
+            });
+
+            if (!restoredList) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada na lixeira'
+                });
+            }
+
+            res.set('ETag', etagFor(restoredList._version));
+            res.json({
+                success: true,
+                message: 'Lista recuperada da lixeira',
+                data: restoredList
+            });
+        } catch (error) {
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
+            console.error('Erro ao recuperar lista:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao recuperar lista'
+            });
+        }
+    }
+
+    async getListHistory(req, res) {
+        try {
+            const { id } = req.params;
+            const list = await this.findListOrLatestRevision(id);
+
+            if (!list) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada'
+                });
+            }
+
+            if (list.userId !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso negado'
+                });
+            }
+
+            const revisions = await this.listsDb.listRevisions(id);
+
+            res.json({
+                success: true,
+                data: revisions
+            });
+        } catch (error) {
+            console.error('Erro ao buscar histórico da lista:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao buscar histórico da lista'
+            });
+        }
+    }
+
+    async diffListRevisions(req, res) {
+        try {
+            const { id } = req.params;
+            const from = parseInt(req.query.from);
+            const to = parseInt(req.query.to);
+
+            if (isNaN(from) || isNaN(to)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Parâmetros from e to são obrigatórios'
+                });
+            }
+
+            const list = await this.findListOrLatestRevision(id);
+
+            if (!list) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada'
+                });
+            }
+
+            if (list.userId !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso negado'
+                });
+            }
+
+            const diff = await this.listsDb.diffRevisions(id, from, to);
+
+            if (!diff) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revisão não encontrada'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: diff
+            });
+        } catch (error) {
+            console.error('Erro ao comparar revisões da lista:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao comparar revisões da lista'
+            });
+        }
+    }
+
+    async restoreList(req, res) {
+        try {
+            const { id } = req.params;
+            const version = parseInt(req.body.version);
+
+            if (isNaN(version)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Versão a restaurar é obrigatória'
+                });
+            }
+
+            const list = await this.findListOrLatestRevision(id);
+
+            if (!list) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lista não encontrada'
+                });
+            }
+
+            if (list.userId !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso negado'
+                });
+            }
+
+            // If-Match: só restaura se o cliente tiver a versão atual da lista
+            const restoredList = await this.listsDb.restoreRevision(id, version, {
+                expectedVersion: expectedVersionFrom(req),
+                actor: req.user.id
+            });
+
+            if (!restoredList) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Revisão não encontrada'
+                });
+            }
+
+            res.set('ETag', etagFor(restoredList._version));
+            res.json({
+                success: true,
+                message: `Lista restaurada para a versão ${version}`,
+                data: restoredList
+            });
+        } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
+            console.error('Erro ao restaurar lista:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao restaurar lista'
+            });
+        }
+    }
+
+    async mergeLists(req, res) {
+        try {
+            const { id } = req.params;
+            const { sourceListId } = req.body;
+
+            if (!sourceListId || sourceListId === id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'sourceListId é obrigatório e deve ser diferente da lista de destino'
+                });
+            }
+
+            // Itens da origem entram no destino (com o resumo recalculado) e a origem vai para a
+            // lixeira, tudo ou nada
+            const { status, mergedList } = await this.listsDb.transaction(async (tx) => {
+                const lists = tx.collection(this.listsDb);
+                const target = await lists.findById(id);
+                const source = await lists.findById(sourceListId);
+
+                if (!target || !source) {
+                    return { status: 404 };
+                }
+                if (target.userId !== req.user.id || source.userId !== req.user.id) {
+                    return { status: 403 };
+                }
+
+                const items = target.items.map(item => ({ ...item }));
+                source.items.forEach(sourceItem => {
+                    const existing = items.find(item => item.itemId === sourceItem.itemId);
+                    if (existing) {
+                        existing.quantity += sourceItem.quantity;
+                        existing.purchased = existing.purchased && sourceItem.purchased;
+                    } else {
+                        items.push(sourceItem);
+                    }
+                });
+
+                const merged = await lists.update(id, current => this.withSummary(current, { $set: { items } }), {
+                    expectedVersion: expectedVersionFrom(req),
+                    actor: req.user.id
+                });
+                await lists.delete(sourceListId, { actor: req.user.id });
+                return { status: 200, mergedList: merged };
+            });
+
+            if (status !== 200) {
+                return res.status(status).json({
+                    success: false,
+                    message: status === 404 ? 'Lista não encontrada' : 'Acesso negado'
+                });
+            }
+
+            res.set('ETag', etagFor(mergedList._version));
+            res.json({
+                success: true,
+                message: 'Listas combinadas com sucesso; a lista de origem foi movida para a lixeira',
+                data: mergedList
+            });
+        } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
+            if (error instanceof TransactionConflictError) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Listas modificadas por outra requisição, tente novamente'
+                });
+            }
+            console.error('Erro ao combinar listas:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro ao combinar listas'
+            });
+        }
+    }
+
     async getListSummary(req, res) {
         try {
             const { id } = req.params;
@@ -594,36 +1179,87 @@ class ListService {
         }
     }
 
-    // Método auxiliar para atualizar resumo da lista
+    // Aplica uma alteração aos itens da lista e grava o resumo recalculado na mesma escrita
+    // (uma única versão, revisão do histórico e evento de alteração)
+    updateListItems(id, changes, options = {}) {
+        return this.listsDb.update(id, current => this.withSummary(current, changes, options.arrayFilters), options);
+    }
+
+    // Acrescenta a uma atualização dos itens o $set do resumo calculado sobre a versão atual da lista
+    // já com a atualização aplicada; usada na forma de função de update, dentro da fila de escrita
+    withSummary(current, changes, arrayFilters) {
+        const list = applyUpdate(current, changes, arrayFilters);
+        this.updateListSummary(list);
+        return { ...changes, $set: { ...changes.$set, summary: list.summary } };
+    }
+
+    // Lista atual ou, se removida, o último conteúdo guardado no histórico (para verificar o dono)
+    async findListOrLatestRevision(id) {
+        const list = await this.listsDb.findById(id);
+        if (list) {
+            return list;
+        }
+
+        const revisions = await this.listsDb.listRevisions(id);
+        const latest = revisions.find(revision => revision.document);
+        return latest ? latest.document : null;
+    }
+
+    sendVersionConflictError(res, error) {
+        res.set('ETag', etagFor(error.currentVersion));
+        res.status(412).json({
+            success: false,
+            message: 'Lista foi modificada por outra requisição',
+            currentVersion: error.currentVersion
+        });
+    }
+
+    sendValidationError(res, error) {
+        res.status(422).json({
+            success: false,
+            message: 'Dados da lista inválidos',
+            errors: error.errors
+        });
+    }
+
+    // Método auxiliar para atualizar resumo da lista (calculado pelo pipeline de agregação sobre os itens)
     updateListSummary(list) {
-        const totalItems = list.items.length;
-        const purchasedItems = list.items.filter(item => item.purchased).length;
-        const estimatedTotal = list.items.reduce((total, item) => {
-            return total + (item.quantity * item.estimatedPrice);
-        }, 0);
+        const [totals] = runPipeline([list], [
+            { $unwind: '$items' },
+            {
+                $group: {
+                    _id: null,
+                    totalItems: { $count: {} },
+                    purchasedItems: { $sum: { $cond: ['$items.purchased', 1, 0] } },
+                    estimatedTotal: { $sum: { $multiply: ['$items.quantity', '$items.estimatedPrice'] } }
+                }
+            }
+        ]);
 
         list.summary = {
-            totalItems,
-            purchasedItems,
-            estimatedTotal: parseFloat(estimatedTotal.toFixed(2))
+            totalItems: totals ? totals.totalItems : 0,
+            purchasedItems: totals ? totals.purchasedItems : 0,
+            estimatedTotal: totals ? parseFloat(totals.estimatedTotal.toFixed(2)) : 0
         };
     }
 
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
-            endpoints: ['/health', '/lists', '/lists/:id/items', '/lists/:id/summary']
+            endpoints: ['/health', '/lists', '/lists/stats', '/lists/trash', '/lists/:id/items', '/lists/:id/summary']
         });
     }
 
     startHealthReporting() {
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
+            serviceRegistry.updateHealth(this.serviceName, true, this.instanceId);
         }, 30000);
     }
 
-    start() {
+    async start() {
+        await this.runMigrations();
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`List Service iniciado na porta ${this.port}`);
@@ -643,11 +1279,11 @@ if (require.main === module) {
     service.start();
 
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('list-service');
+        serviceRegistry.unregister('list-service', service.instanceId);
         process.exit(0);
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('list-service');
+        serviceRegistry.unregister('list-service', service.instanceId);
         process.exit(0);
     });
 }
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Coleções do User Service, compartilhadas entre o servidor e as migrações
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const JsonDatabase = require('../../shared/JsonDatabase');
+const FieldCipher = require('../../shared/FieldCipher');
+const MigrationRunner = require('../../shared/MigrationRunner');
+
+const dbPath = path.join(__dirname, 'database');
+
+// Adaptador de armazenamento: file, journal, ndjson ou memory (USER_DB_STORAGE tem prioridade sobre DB_STORAGE)
+const storage = process.env.USER_DB_STORAGE || process.env.DB_STORAGE || 'file';
+
+// Operações mais lentas que DB_SLOW_QUERY_MS entram no log de consultas lentas (GET /debug/db-stats);
+// com DB_SLOW_QUERY_LOG, o log também é acrescentado a esse arquivo (NDJSON) e, com
+// DB_SLOW_QUERY_WARN=true, cada consulta lenta é avisada no console
+const profile = {
+    slowThreshold: parseInt(process.env.DB_SLOW_QUERY_MS) || 100,
+    slowLogFile: process.env.DB_SLOW_QUERY_LOG,
+    logToConsole: process.env.DB_SLOW_QUERY_WARN === 'true'
+};
+
+/**
+ * JSON Schema dos usuários (password guarda o hash bcrypt)
+ * @type {Object}
+ */
+const USER_SCHEMA = {
+    type: 'object',
+    required: ['email', 'username', 'password', 'firstName', 'lastName', 'role', 'status'],
+    additionalProperties: false,
+    properties: {
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        username: { type: 'string', minLength: 1, maxLength: 50 },
+        password: { type: 'string', minLength: 1 },
+        firstName: { type: 'string', minLength: 1, maxLength: 100 },
+        lastName: { type: 'string', minLength: 1, maxLength: 100 },
+        preferences: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                defaultStore: { type: 'string', maxLength: 100 },
+                currency: { type: 'string', pattern: '^[A-Z]{3}$' }
+            }
+        },
+        role: { enum: ['user', 'admin'] },
+        status: { enum: ['active', 'inactive'] }
+    }
+};
+
+/**
+ * Chave de desenvolvimento derivada de um texto fixo (qualquer pessoa com o código-fonte a reproduz),
+ * usada apenas com USER_DEV_ENCRYPTION_KEYS=true fora de produção
+ * @param {string} purpose - Uso da chave
+ * @returns {string} Chave de 32 bytes em base64
+ */
+function developmentKey(purpose) {
+    return crypto.createHash('sha256').update(`user-service-${purpose}-puc-minas`).digest('base64');
+}
+
+/**
+ * Chaves da criptografia dos dados pessoais dos usuários
+ * USER_ENCRYPTION_KEYS lista as chaves (id:base64 de 32 bytes, separadas por vírgula); a última cifra os
+ * novos valores, a menos que USER_ENCRYPTION_KEY_ID indique outra. USER_BLIND_INDEX_KEY é a chave do
+ * índice cego do email. Sem nenhuma delas, as chaves de desenvolvimento fixas (ID 'dev') só são usadas
+ * se USER_DEV_ENCRYPTION_KEYS=true e NODE_ENV não for 'production'
+ * @returns {Object} Chaves no formato de FieldCipher ({ keys, keyId, blindIndexKey })
+ * @throws {Error} Se as chaves não forem configuradas e as de desenvolvimento não puderem ser usadas
+ */
+function encryptionKeys() {
+    if (!process.env.USER_ENCRYPTION_KEYS && !process.env.USER_BLIND_INDEX_KEY) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('USER_ENCRYPTION_KEYS e USER_BLIND_INDEX_KEY são obrigatórias em produção');
+        }
+        if (process.env.USER_DEV_ENCRYPTION_KEYS !== 'true') {
+            throw new Error('USER_ENCRYPTION_KEYS e USER_BLIND_INDEX_KEY não definidas: configure as chaves ' +
+                'ou, em desenvolvimento, use USER_DEV_ENCRYPTION_KEYS=true');
+        }
+        console.warn('USER_DEV_ENCRYPTION_KEYS=true: usando chaves de desenvolvimento, que não protegem os dados');
+        return { keys: { dev: developmentKey('encryption') }, blindIndexKey: developmentKey('blind-index') };
+    }
+
+    return {
+        keys: FieldCipher.parseKeys(process.env.USER_ENCRYPTION_KEYS || ''),
+        keyId: process.env.USER_ENCRYPTION_KEY_ID || undefined,
+        blindIndexKey: process.env.USER_BLIND_INDEX_KEY
+    };
+}
+
+/**
+ * Abre as coleções do serviço com suas opções (índices, restrições, schema e criptografia)
+ * @returns {Object<string, JsonDatabase>} Coleções ({ users })
+ */
+function openCollections() {
+    return {
+        users: new JsonDatabase(dbPath, 'users', {
+            storage,
+            profile,
+            indexes: ['email', 'username'],
+            unique: ['email', 'username'],
+            schema: USER_SCHEMA,
+            // Dados pessoais cifrados em repouso; o email (login e cadastro) é consultado pelo índice cego
+            encryption: {
+                fields: ['email', 'firstName', 'lastName', 'preferences'],
+                blindIndex: ['email'],
+                ...encryptionKeys()
+            }
+        })
+    };
+}
+
+/**
+ * Cria o executor das migrações do serviço (diretório migrations/)
+ * @param {Object<string, JsonDatabase>} collections - Coleções abertas por openCollections
+ * @returns {MigrationRunner} Executor de migrações
+ */
+function createMigrationRunner(collections) {
+    return new MigrationRunner(dbPath, path.join(__dirname, 'migrations'), collections, { storage });
+}
+
+module.exports = {
+    openCollections,
+    createMigrationRunner
+};
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Migração 001 - Preferências padrão para usuários criados sem elas
+ * O administrador criado pelo seedInitialData e usuários antigos não têm o campo preferences
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const DEFAULT_PREFERENCES = {
+    defaultStore: '',
+    currency: 'BRL'
+};
+
+module.exports = {
+    description: 'Adiciona preferências padrão aos usuários sem preferences',
+
+    async up({ users }) {
+        const missing = await users.find({ preferences: { $exists: false } }, { projection: { id: 1 } });
+        const userIds = missing.map(user => user.id);
+
+        await users.updateMany({ id: { $in: userIds } }, { $set: { preferences: DEFAULT_PREFERENCES } });
+        return { userIds };
+    },
+
+    async down({ users }, { userIds }) {
+        await users.updateMany({ id: { $in: userIds } }, { $unset: { preferences: '' } });
+    }
+};
@@ -0,0 +1,11 @@
+/**
+ * @fileoverview Rotação das chaves de criptografia do User Service (npm run rotate-keys -- [rotate|status])
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { openCollections } = require('./collections');
+const { runKeyRotationCli } = require('../../shared/keyRotationCli');
+
+runKeyRotationCli(openCollections(), process.argv.slice(2));
@@ -12,9 +12,10 @@ const morgan = require('morgan');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
 
-const JsonDatabase = require('../../shared/JsonDatabase');
+const { openCollections, createMigrationRunner } = require('./collections');
+const { DuplicateKeyError, SchemaValidationError, VersionConflictError } = require('../../shared/databaseErrors');
+const { etagFor, expectedVersionFrom } = require('../../shared/conditionalRequest');
 const serviceRegistry = require('../../shared/serviceRegistry');
 
 /**
@@ -36,19 +37,33 @@ class UserService {
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
-        this.seedInitialData();
     }
 
     /**
-     * Configura o banco de dados NoSQL para usuários
+     * Configura o banco de dados NoSQL para usuários e o executor de migrações
      * @private
      */
     setupDatabase() {
-        const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
+        this.collections = openCollections();
+        this.usersDb = this.collections.users;
+        this.migrations = createMigrationRunner(this.collections);
         console.log('User Service: Banco NoSQL inicializado');
     }
 
+    /**
+     * Aplica as migrações pendentes; o serviço não inicia com dados em formato desatualizado
+     * @async
+     * @private
+     */
+    async runMigrations() {
+        try {
+            await this.migrations.up();
+        } catch (error) {
+            console.error('User Service: falha nas migrações, encerrando');
+            process.exit(1);
+        }
+    }
+
     /**
      * Cria dados iniciais no banco (usuário administrador)
      * @async
@@ -85,13 +100,73 @@ class UserService {
         }, 1000);
     }
 
+    /**
+     * Relê as coleções do disco após a restauração de um snapshot e aplica migrações pendentes
+     * (somente administradores)
+     * @async
+     * @param {Object} req - Request object
+     * @param {Object} res - Response object
+     */
+    async reloadDatabase(req, res) {
+        try {
+            if (req.user.role !== 'admin') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso restrito a administradores'
+                });
+            }
+
+            for (const collection of Object.values(this.collections)) {
+                await collection.reload();
+            }
+            await this.migrations.reload();
+            const migrations = await this.migrations.up();
+
+            res.json({
+                success: true,
+                message: 'Banco de dados recarregado',
+                data: {
+                    collections: Object.keys(this.collections),
+                    migrations
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao recarregar banco de dados:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    /**
+     * Perfil das consultas de cada coleção: tempos por operação e por formato de filtro, uso de
+     * índices e consultas lentas recentes (os filtros não trazem valores, apenas campos e operadores)
+     * @param {Object} req - Request object (query.top: formatos de filtro listados por coleção)
+     * @param {Object} res - Response object
+     */
+    getDatabaseStats(req, res) {
+        const top = parseInt(req.query.top) || undefined;
+        const collections = {};
+        Object.entries(this.collections).forEach(([name, collection]) => {
+            collections[name] = collection.queryStats({ top });
+        });
+
+        res.json({
+            success: true,
+            service: this.serviceName,
+            timestamp: new Date().toISOString(),
+            data: { collections }
+        });
+    }
+
     /**
      * Configura middlewares do Express
      * @private
      */
     setupMiddleware() {
         this.app.use(helmet());
-        this.app.use(cors());
+        this.app.use(cors({ exposedHeaders: ['ETag'] }));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
@@ -120,7 +195,8 @@ class UserService {
                     version: '1.0.0',
                     database: {
                         type: 'JSON-NoSQL',
-                        userCount: userCount
+                        userCount: userCount,
+                        cache: this.usersDb.cacheStats()
                     }
                 });
             } catch (error) {
@@ -142,7 +218,9 @@ class UserService {
                     'POST /auth/register',
                     'POST /auth/login', 
                     'GET /users/:id',
-                    'PUT /users/:id'
+                    'PUT /users/:id',
+                    'POST /admin/reload',
+                    'GET /debug/db-stats'
                 ]
             });
         });
@@ -153,6 +231,9 @@ class UserService {
 
         this.app.get('/users/:id', this.authMiddleware.bind(this), this.getUser.bind(this));
         this.app.put('/users/:id', this.authMiddleware.bind(this), this.updateUser.bind(this));
+
+        this.app.post('/admin/reload', this.authMiddleware.bind(this), this.reloadDatabase.bind(this));
+        this.app.get('/debug/db-stats', this.getDatabaseStats.bind(this));
     }
 
     /**
@@ -225,23 +306,6 @@ class UserService {
                 });
             }
 
-            const existingEmail = await this.usersDb.findOne({ email: email.toLowerCase() });
-            const existingUsername = await this.usersDb.findOne({ username: username.toLowerCase() });
-
-            if (existingEmail) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'Email já está em uso'
-                });
-            }
-
-            if (existingUsername) {
-                return res.status(409).json({
-                    success: false,
-                    message: 'Username já está em uso'
-                });
-            }
-
             const hashedPassword = await bcrypt.hash(password, 12);
 
             const newUser = await this.usersDb.create({
@@ -280,6 +344,12 @@ class UserService {
                 data: { user: userWithoutPassword, token }
             });
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof DuplicateKeyError) {
+                return this.sendDuplicateKeyError(res, error);
+            }
             console.error('Erro no registro:', error);
             res.status(500).json({
                 success: false,
@@ -305,11 +375,9 @@ class UserService {
                 });
             }
 
-            const users = await this.usersDb.find();
-            const user = users.find(u => 
-                u.email === identifier.toLowerCase() || 
-                u.username === identifier.toLowerCase()
-            );
+            const normalizedIdentifier = identifier.toLowerCase();
+            const user = await this.usersDb.findOne({ email: normalizedIdentifier })
+                || await this.usersDb.findOne({ username: normalizedIdentifier });
 
             if (!user || !await bcrypt.compare(password, user.password)) {
                 return res.status(401).json({
@@ -431,6 +499,7 @@ class UserService {
 
             const { password, ...userWithoutPassword } = user;
 
+            res.set('ETag', etagFor(user._version));
             res.json({
                 success: true,
                 data: userWithoutPassword
@@ -488,15 +557,34 @@ class UserService {
 
             updates.updatedAt = new Date().toISOString();
 
-            const updatedUser = await this.usersDb.update(id, updates);
+            // If-Match: só atualiza se o cliente tiver a versão atual do perfil
+            const updatedUser = await this.usersDb.update(id, updates, {
+                expectedVersion: expectedVersionFrom(req)
+            });
+            if (!updatedUser) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
             const { password, ...userWithoutPassword } = updatedUser;
 
+            res.set('ETag', etagFor(updatedUser._version));
             res.json({
                 success: true,
                 message: 'Usuário atualizado com sucesso',
                 data: userWithoutPassword
             });
         } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                return this.sendValidationError(res, error);
+            }
+            if (error instanceof DuplicateKeyError) {
+                return this.sendDuplicateKeyError(res, error);
+            }
+            if (error instanceof VersionConflictError) {
+                return this.sendVersionConflictError(res, error);
+            }
             console.error('Erro ao atualizar usuário:', error);
             res.status(500).json({
                 success: false,
@@ -505,12 +593,60 @@ class UserService {
         }
     }
 
+    /**
+     * Responde 409 para violações de unicidade de email/username
+     * @private
+     * @param {Object} res - Response object
+     * @param {DuplicateKeyError} error - Erro de chave duplicada
+     */
+    sendDuplicateKeyError(res, error) {
+        const messages = {
+            email: 'Email já está em uso',
+            username: 'Username já está em uso'
+        };
+
+        res.status(409).json({
+            success: false,
+            message: messages[error.fields[0]] || 'Registro duplicado',
+            fields: error.fields
+        });
+    }
+
+    /**
+     * Responde 412 quando o If-Match não corresponde à versão atual do usuário
+     * @private
+     * @param {Object} res - Response object
+     * @param {VersionConflictError} error - Erro de conflito de versão
+     */
+    sendVersionConflictError(res, error) {
+        res.set('ETag', etagFor(error.currentVersion));
+        res.status(412).json({
+            success: false,
+            message: 'Usuário foi modificado por outra requisição',
+            currentVersion: error.currentVersion
+        });
+    }
+
+    /**
+     * Responde a um documento rejeitado pelo schema da coleção (422 com os campos inválidos)
+     * @private
+     * @param {Object} res - Response object
+     * @param {SchemaValidationError} error - Erro de validação
+     */
+    sendValidationError(res, error) {
+        res.status(422).json({
+            success: false,
+            message: 'Dados do usuário inválidos',
+            errors: error.errors
+        });
+    }
+
     /**
      * Registra o serviço no Service Registry
      * @private
      */
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
             database: 'JSON-NoSQL',
@@ -524,14 +660,17 @@ class UserService {
      */
     startHealthReporting() {
         setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
+            serviceRegistry.updateHealth(this.serviceName, true, this.instanceId);
         }, 30000);
     }
 
     /**
      * Inicia o servidor HTTP
      */
-    start() {
+    async start() {
+        await this.runMigrations();
+        this.seedInitialData();
+
         this.app.listen(this.port, () => {
             console.log('=====================================');
             console.log(`User Service iniciado na porta ${this.port}`);
@@ -558,11 +697,11 @@ if (require.main === module) {
      * Graceful shutdown handlers
      */
     process.on('SIGTERM', () => {
-        serviceRegistry.unregister('user-service');
+        serviceRegistry.unregister('user-service', userService.instanceId);
         process.exit(0);
     });
     process.on('SIGINT', () => {
-        serviceRegistry.unregister('user-service');
+        serviceRegistry.unregister('user-service', userService.instanceId);
         process.exit(0);
     });
 }
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Fluxo de alterações (change stream) de uma coleção do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require('events');
+const { matchesFilter } = require('./queryMatcher');
+
+/**
+ * Fluxo de eventos de alteração (insert, update, delete) de uma coleção
+ * Pode ser consumido como EventEmitter (eventos 'change', 'insert', 'update', 'delete', 'error'
+ * e 'close') ou como iterador assíncrono (`for await (const change of stream)`).
+ * Cada evento tem o formato { type, collection, id, before, after, source, timestamp }, onde
+ * source é 'local' (escrita neste processo) ou 'external' (arquivo alterado por fora)
+ * @class ChangeStream
+ * @extends EventEmitter
+ */
+class ChangeStream extends EventEmitter {
+    /**
+     * Construtor do ChangeStream
+     * @param {Object} filter - Filtro aplicado ao documento antes ou depois da alteração
+     * @param {Function} onClose - Função chamada quando o fluxo é encerrado
+     */
+    constructor(filter, onClose) {
+        super();
+        this.filter = filter || {};
+        this.onClose = onClose;
+        this.closed = false;
+        this.iterating = false;
+        this.queue = [];
+        this.waiting = [];
+    }
+
+    /**
+     * Verifica se um evento atende ao filtro do fluxo
+     * Atualizações são entregues se o documento atendia ao filtro antes ou passou a atender depois
+     * @private
+     * @param {Object} change - Evento de alteração
+     * @returns {boolean} true se o evento deve ser entregue
+     */
+    matches(change) {
+        if (Object.keys(this.filter).length === 0) {
+            return true;
+        }
+        return [change.before, change.after].some(document => document && matchesFilter(document, this.filter));
+    }
+
+    /**
+     * Entrega um evento aos ouvintes e aos iteradores pendentes
+     * @param {Object} change - Evento de alteração
+     */
+    push(change) {
+        if (this.closed || !this.matches(change)) {
+            return;
+        }
+
+        this.emit('change', change);
+        this.emit(change.type, change);
+
+        if (this.waiting.length > 0) {
+            this.waiting.shift().resolve({ value: change, done: false });
+        } else if (this.iterating) {
+            // Eventos só são acumulados quando o fluxo é consumido como iterador
+            this.queue.push(change);
+        }
+    }
+
+    /**
+     * Propaga um erro de observação (ex: falha ao ler o arquivo alterado)
+     * @param {Error} error - Erro ocorrido
+     */
+    fail(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+        this.waiting.splice(0).forEach(({ reject }) => reject(error));
+    }
+
+    /**
+     * Encerra o fluxo e libera a observação da coleção
+     */
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.queue = [];
+        this.waiting.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+        this.onClose();
+        this.emit('close');
+    }
+
+    /**
+     * Permite consumir o fluxo com `for await`; sair do laço encerra o fluxo
+     * @returns {Object} Iterador assíncrono de eventos de alteração
+     */
+    [Symbol.asyncIterator]() {
+        this.iterating = true;
+
+        return {
+            next: () => {
+                if (this.queue.length > 0) {
+                    return Promise.resolve({ value: this.queue.shift(), done: false });
+                }
+                if (this.closed) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+            },
+            return: () => {
+                this.close();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+}
+
+module.exports = ChangeStream;
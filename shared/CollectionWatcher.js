@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Observação de alterações de uma coleção para os change streams do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Tempo (ms) de espera após um evento do sistema de arquivos antes de reler a coleção,
+ * agrupando as várias notificações geradas por uma única gravação
+ * @type {number}
+ */
+const EXTERNAL_CHECK_DELAY = 50;
+
+/**
+ * Tipo do evento de alteração para cada operação de escrita
+ * @type {Object<string, string>}
+ */
+const EVENT_TYPES = { create: 'insert', update: 'update', delete: 'delete' };
+
+/**
+ * Copia um documento para entregá-lo nos eventos
+ * @private
+ * @param {Object} [document] - Documento
+ * @returns {Object|null} Cópia do documento ou null
+ */
+function clone(document) {
+    return document ? JSON.parse(JSON.stringify(document)) : null;
+}
+
+/**
+ * Distribui as alterações de uma coleção para os change streams abertos
+ * Escritas feitas pelo próprio processo são publicadas diretamente pelo JsonDatabase; nos adaptadores
+ * com arquivo observável ('file' e 'ndjson'), alterações externas são detectadas observando o
+ * diretório da coleção e comparando o arquivo com o último estado conhecido
+ * @class CollectionWatcher
+ */
+class CollectionWatcher {
+    /**
+     * Construtor do CollectionWatcher
+     * @param {JsonDatabase} database - Instância usada para ler a coleção e acessar sua fila de escrita
+     * @param {Function} onIdle - Função chamada quando o último fluxo é encerrado
+     */
+    constructor(database, onIdle) {
+        this.database = database;
+        this.onIdle = onIdle;
+        this.streams = new Set();
+        this.snapshot = null;
+        this.snapshotReady = null;
+        this.fsWatcher = null;
+        this.checkTimer = null;
+    }
+
+    /**
+     * Registra um fluxo e inicia a observação do arquivo, se ainda não estiver ativa
+     * @param {ChangeStream} stream - Fluxo de alterações
+     */
+    subscribe(stream) {
+        this.streams.add(stream);
+        if (this.database.adapter.watchPath && !this.snapshotReady) {
+            this.startExternal();
+        }
+    }
+
+    /**
+     * Remove um fluxo; sem fluxos restantes, a observação do arquivo é encerrada
+     * @param {ChangeStream} stream - Fluxo de alterações
+     */
+    unsubscribe(stream) {
+        this.streams.delete(stream);
+        if (this.streams.size > 0) {
+            return;
+        }
+
+        clearTimeout(this.checkTimer);
+        if (this.fsWatcher) {
+            this.fsWatcher.close();
+            this.fsWatcher = null;
+        }
+        this.onIdle();
+    }
+
+    /**
+     * Publica alterações aos fluxos e atualiza o último estado conhecido da coleção
+     * @param {Array<Object>} changes - Operações ({ op, id, doc, before })
+     * @param {string} source - Origem: 'local' ou 'external'
+     */
+    publish(changes, source) {
+        const timestamp = new Date().toISOString();
+
+        changes.forEach(change => {
+            if (this.snapshot) {
+                if (change.op === 'delete') {
+                    this.snapshot.delete(change.id);
+                } else {
+                    this.snapshot.set(change.id, JSON.stringify(change.doc));
+                }
+            }
+
+            const event = {
+                type: EVENT_TYPES[change.op],
+                collection: this.database.collectionName,
+                id: change.id,
+                before: clone(change.before),
+                after: change.op === 'delete' ? null : clone(change.doc),
+                source,
+                timestamp
+            };
+            this.streams.forEach(stream => stream.push(event));
+        });
+    }
+
+    /**
+     * Inicia a observação do diretório da coleção, após a sua inicialização
+     * O diretório é observado (e não o arquivo) porque a escrita atômica substitui o arquivo por rename
+     * @private
+     */
+    startExternal() {
+        const watchPath = this.database.adapter.watchPath;
+        const fileName = path.basename(watchPath);
+
+        this.snapshotReady = this.database.ready
+            .then(() => this.database.runExclusive(async () => {
+                if (this.streams.size === 0) {
+                    return;
+                }
+
+                this.fsWatcher = fs.watch(path.dirname(watchPath), (eventType, changedFile) => {
+                    if (!changedFile || changedFile === fileName) {
+                        this.scheduleCheck();
+                    }
+                });
+                this.fsWatcher.on('error', error => this.fail(error));
+                this.snapshot = this.toSnapshot(await this.database.loadDocuments());
+            }))
+            .catch(error => this.fail(error));
+    }
+
+    /**
+     * Agenda a releitura da coleção após um evento do sistema de arquivos
+     * @private
+     */
+    scheduleCheck() {
+        clearTimeout(this.checkTimer);
+        this.checkTimer = setTimeout(() => {
+            this.checkExternal().catch(error => this.fail(error));
+        }, EXTERNAL_CHECK_DELAY);
+    }
+
+    /**
+     * Relê a coleção e publica as diferenças em relação ao último estado conhecido
+     * Executa na fila de escrita da coleção para não confundir escritas locais em andamento
+     * com alterações externas
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     */
+    async checkExternal() {
+        await this.snapshotReady;
+        if (!this.fsWatcher || !this.snapshot) {
+            return;
+        }
+
+        await this.database.runExclusive(async () => {
+            let documents;
+            try {
+                documents = await this.database.loadDocuments();
+            } catch (error) {
+                if (error instanceof SyntaxError) {
+                    // Arquivo ainda sendo gravado por outro processo; o próximo evento fará a releitura
+                    return;
+                }
+                throw error;
+            }
+
+            const changes = this.diff(documents);
+            if (changes.length > 0) {
+                this.database.applyExternalChanges(changes);
+                this.publish(changes, 'external');
+            }
+        });
+    }
+
+    /**
+     * Compara os documentos lidos com o último estado conhecido
+     * @private
+     * @param {Array<Object>} documents - Documentos atuais do arquivo
+     * @returns {Array<Object>} Operações ({ op, id, doc, before }) que levam ao estado atual
+     */
+    diff(documents) {
+        const changes = [];
+        const seen = new Set();
+
+        documents.forEach(document => {
+            seen.add(document.id);
+            const previous = this.snapshot.get(document.id);
+            if (previous === undefined) {
+                changes.push({ op: 'create', id: document.id, doc: document });
+            } else if (previous !== JSON.stringify(document)) {
+                changes.push({ op: 'update', id: document.id, doc: document, before: JSON.parse(previous) });
+            }
+        });
+
+        this.snapshot.forEach((previous, id) => {
+            if (!seen.has(id)) {
+                changes.push({ op: 'delete', id, before: JSON.parse(previous) });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Converte documentos no estado conhecido (ID → JSON serializado)
+     * @private
+     * @param {Array<Object>} documents - Documentos da coleção
+     * @returns {Map<string, string>} Estado conhecido
+     */
+    toSnapshot(documents) {
+        return new Map(documents.map(document => [document.id, JSON.stringify(document)]));
+    }
+
+    /**
+     * Repassa um erro de observação a todos os fluxos
+     * @private
+     * @param {Error} error - Erro ocorrido
+     */
+    fail(error) {
+        console.error(`Erro ao observar a coleção ${this.database.collectionName}:`, error);
+        this.streams.forEach(stream => stream.fail(error));
+    }
+}
+
+module.exports = CollectionWatcher;
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Cache em memória dos documentos lidos de arquivos de coleção
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { readFileSignature } = require('./atomicFile');
+
+/**
+ * Caches abertos, por arquivo de coleção
+ * Instâncias que apontam para o mesmo arquivo compartilham os documentos e as estatísticas
+ * @type {Map<string, DocumentCache>}
+ */
+const caches = new Map();
+
+/**
+ * Mantém a última versão interpretada de um arquivo de coleção
+ * Cada leitura confere a assinatura do arquivo (inode, tamanho e data de modificação): como as
+ * escritas do JsonDatabase substituem o arquivo por rename atômico, qualquer alteração feita por
+ * outro processo muda o inode e descarta a cópia. As escritas do próprio processo atualizam a cópia
+ * diretamente. Os documentos em cache são compartilhados e não devem ser modificados
+ * @class DocumentCache
+ */
+class DocumentCache {
+    /**
+     * Construtor do DocumentCache
+     * @param {string} filePath - Arquivo da coleção
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.documents = null;
+        this.signature = null;
+        this.stats = { hits: 0, misses: 0, externalChanges: 0, writes: 0 };
+    }
+
+    /**
+     * Obtém o cache de um arquivo, compartilhado no processo
+     * @static
+     * @param {string} filePath - Arquivo da coleção
+     * @returns {DocumentCache} Cache do arquivo
+     */
+    static for(filePath) {
+        const key = path.resolve(filePath);
+        if (!caches.has(key)) {
+            caches.set(key, new DocumentCache(key));
+        }
+        return caches.get(key);
+    }
+
+    /**
+     * Assinatura do arquivo no disco
+     * @async
+     * @private
+     * @returns {Promise<string|null>} Assinatura ou null se o arquivo não existir
+     */
+    async readSignature() {
+        return readFileSignature(this.filePath);
+    }
+
+    /**
+     * Retorna os documentos em cache ou, se o arquivo mudou, lê e interpreta o arquivo novamente
+     * @async
+     * @param {Function} parse - Função assíncrona que lê e interpreta o arquivo
+     * @returns {Promise<Array>} Documentos, que não devem ser modificados
+     */
+    async read(parse) {
+        // A assinatura é lida antes do arquivo: uma alteração no meio da leitura é detectada na próxima
+        const signature = await this.readSignature();
+        if (this.documents && signature !== null && signature === this.signature) {
+            this.stats.hits++;
+            return this.documents;
+        }
+
+        if (this.documents) {
+            this.stats.externalChanges++;
+        }
+        this.stats.misses++;
+        this.documents = await parse();
+        this.signature = signature;
+        return this.documents;
+    }
+
+    /**
+     * Registra o estado gravado pelo próprio processo, evitando reler o arquivo
+     * Documentos alterados pela escrita são copiados, para que os objetos entregues ao chamador
+     * não modifiquem o cache
+     * @async
+     * @param {Array} documents - Estado completo da coleção gravado no arquivo
+     * @param {Array<Object>} [changes=[]] - Operações realizadas ({ doc })
+     * @returns {Promise<void>}
+     */
+    async store(documents, changes = []) {
+        const changed = new Set(changes.map(change => change.doc));
+        this.documents = documents.map(doc => changed.has(doc) ? JSON.parse(JSON.stringify(doc)) : doc);
+        this.signature = await this.readSignature();
+        this.stats.writes++;
+    }
+
+    /**
+     * Descarta a cópia em memória; a próxima leitura relê o arquivo
+     */
+    invalidate() {
+        this.documents = null;
+        this.signature = null;
+    }
+
+    /**
+     * Estatísticas de uso do cache desde o início do processo
+     * @returns {Object} { hits, misses, hitRate, externalChanges, writes, documents }
+     */
+    getStats() {
+        const reads = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: reads > 0 ? Math.round((this.stats.hits / reads) * 1000) / 1000 : 0,
+            documents: this.documents ? this.documents.length : 0
+        };
+    }
+}
+
+module.exports = DocumentCache;
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Adaptador de armazenamento que criptografa campos dos documentos em repouso
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+const FieldCipher = require('./FieldCipher');
+const { EncryptionError } = require('./databaseErrors');
+const { resolvePath } = require('./queryMatcher');
+
+/**
+ * Substitui o valor de um campo (notação de ponto) sem modificar o documento original
+ * @private
+ * @param {Object} document - Documento
+ * @param {string} field - Campo
+ * @param {Function} transform - Função (valor) => novo valor, chamada apenas se o campo existir
+ * @returns {Object} O próprio documento, se nada mudou, ou uma cópia com o novo valor
+ */
+function replaceField(document, field, transform) {
+    const [head, ...rest] = field.split('.');
+    if (!document || typeof document !== 'object' || Array.isArray(document) || document[head] === undefined) {
+        return document;
+    }
+
+    const value = rest.length > 0 ? replaceField(document[head], rest.join('.'), transform) : transform(document[head]);
+    return value === document[head] ? document : { ...document, [head]: value };
+}
+
+/**
+ * Grava os campos configurados cifrados com AES-256-GCM (ver FieldCipher) e os decifra ao carregar,
+ * delegando o armazenamento a outro adaptador (file, journal, ndjson, memory ou particionado).
+ * O JsonDatabase trabalha com os documentos decifrados; apenas o armazenamento, o registro de
+ * transações e os arquivos derivados deles (snapshots) recebem os valores cifrados.
+ * Valores ainda em texto puro (coleções criadas antes da criptografia) são cifrados ao abrir a coleção
+ * @class EncryptedStorageAdapter
+ * @extends StorageAdapter
+ */
+class EncryptedStorageAdapter extends StorageAdapter {
+    /**
+     * Construtor do EncryptedStorageAdapter
+     * @param {string} dbPath - Diretório de dados
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} options - Opções do adaptador
+     * @param {StorageAdapter} options.adapter - Adaptador que grava os documentos cifrados
+     * @param {Array<string>} options.fields - Campos cifrados (notação de ponto permitida)
+     * @param {FieldCipher} options.cipher - Chaves da coleção
+     */
+    constructor(dbPath, collectionName, options) {
+        super(dbPath, collectionName, options);
+        this.inner = options.adapter;
+        this.fields = options.fields;
+        this.cipher = options.cipher;
+        // Última versão carregada de cada documento: { stored, plain }
+        this.entries = new Map();
+
+        this.shared = this.inner.shared;
+        this.durable = this.inner.durable;
+        this.persistsIndex = this.inner.persistsIndex;
+        this.compactable = this.inner.compactable;
+        this.watchPath = this.inner.watchPath;
+        this.lockPath = this.inner.lockPath;
+    }
+
+    /**
+     * Abre o armazenamento e cifra os valores que ainda estão em texto puro
+     * @async
+     * @returns {Promise<void>}
+     */
+    async open() {
+        await this.inner.open();
+
+        const { count } = await this.reencrypt(value => !FieldCipher.isEncrypted(value));
+        if (count > 0) {
+            // No journal, o snapshot com os valores originais só é substituído na compactação
+            if (this.inner.compactable) {
+                await this.inner.compact();
+            }
+            console.warn(`Coleção ${this.collectionName}: ${count} documento(s) com campos em texto puro criptografado(s); cópias anteriores (.bak, snapshots) ainda contêm os valores originais`);
+        }
+    }
+
+    /**
+     * Carrega e decifra os documentos
+     * Documentos que não mudaram desde a última carga não são decifrados novamente quando o
+     * adaptador interno mantém o estado em memória
+     * @async
+     * @param {Array<string>|null} [partitions=null] - Partições a carregar (ver StorageAdapter.load)
+     * @returns {Promise<Array>} Documentos decifrados (compartilhados quando `shared`)
+     */
+    async load(partitions = null) {
+        const stored = await this.inner.load(partitions);
+        const entries = partitions ? this.entries : new Map();
+
+        const documents = stored.map(doc => {
+            const entry = this.entries.get(doc.id);
+            const plain = entry && entry.stored === doc ? entry.plain : this.fromStored(doc);
+            entries.set(doc.id, { stored: doc, plain });
+            return plain;
+        });
+        this.entries = entries;
+        return documents;
+    }
+
+    /**
+     * Cifra os documentos alterados e grava pelo adaptador interno
+     * Documentos não alterados reaproveitam os valores cifrados da última carga
+     * @async
+     * @param {Array} documents - Estado completo da coleção após as operações
+     * @param {Array<Object>} changes - Operações realizadas ({ op, id, doc, before })
+     * @returns {Promise<Object|null>} Metadados retornados pelo adaptador interno
+     */
+    async write(documents, changes) {
+        const sealed = new Map();
+        const seal = doc => {
+            if (!sealed.has(doc)) {
+                sealed.set(doc, this.toStored(doc));
+            }
+            return sealed.get(doc);
+        };
+
+        const storedChanges = changes.map(change => ({
+            ...change,
+            ...(change.doc && { doc: seal(change.doc) }),
+            ...(change.before && { before: sealed.get(change.before) || this.storedOf(change.before) })
+        }));
+        const storedDocuments = documents.map(doc => sealed.get(doc) || this.storedOf(doc));
+
+        const meta = await this.inner.write(storedDocuments, storedChanges);
+        changes.forEach(change => this.entries.delete(change.id));
+        return meta;
+    }
+
+    /**
+     * Versão gravada de um documento, a partir da última carga
+     * @private
+     * @param {Object} document - Documento decifrado
+     * @returns {Object} Documento cifrado
+     */
+    storedOf(document) {
+        const entry = this.entries.get(document.id);
+        return entry ? entry.stored : this.toStored(document);
+    }
+
+    /**
+     * Cifra os campos configurados de um documento
+     * @param {Object} document - Documento decifrado
+     * @returns {Object} Cópia do documento com os campos cifrados
+     */
+    toStored(document) {
+        return this.fields.reduce((stored, field) => replaceField(
+            stored,
+            field,
+            value => this.cipher.encrypt(value, `${document.id}/${field}`)
+        ), document);
+    }
+
+    /**
+     * Decifra os campos configurados de um documento; valores em texto puro são mantidos
+     * @param {Object} document - Documento gravado
+     * @returns {Object} Cópia do documento com os campos decifrados
+     * @throws {EncryptionError} Se a chave de um valor não estiver configurada ou ele tiver sido adulterado
+     */
+    fromStored(document) {
+        return this.fields.reduce((plain, field) => replaceField(plain, field, value => {
+            if (!FieldCipher.isEncrypted(value)) {
+                return value;
+            }
+            try {
+                return this.cipher.decrypt(value, `${document.id}/${field}`);
+            } catch (error) {
+                throw new EncryptionError(this.collectionName, document.id, field, error.message);
+            }
+        }), document);
+    }
+
+    /**
+     * Cifra novamente, com a chave ativa, os documentos com algum valor que atenda ao critério
+     * A gravação não altera versões nem datas dos documentos
+     * @async
+     * @private
+     * @param {Function} needsUpdate - Função (valor gravado) => boolean
+     * @returns {Promise<Object>} { total, count, meta }: documentos lidos, documentos regravados e
+     *   metadados da escrita (null se nada foi gravado)
+     */
+    async reencrypt(needsUpdate) {
+        const stored = await this.inner.load();
+        const changes = [];
+
+        const documents = stored.map(doc => {
+            const outdated = this.fields.some(field => {
+                const value = resolvePath(doc, field);
+                return value !== undefined && needsUpdate(value);
+            });
+            if (!outdated) {
+                return doc;
+            }
+
+            const updated = this.toStored(this.fromStored(doc));
+            changes.push({ op: 'update', id: doc.id, doc: updated, before: doc });
+            return updated;
+        });
+
+        const meta = changes.length > 0 ? await this.inner.write(documents, changes) : null;
+        this.entries.clear();
+        return { total: stored.length, count: changes.length, meta };
+    }
+
+    /**
+     * Cifra com a chave ativa todos os valores cifrados com outras chaves (ou ainda em texto puro)
+     * @async
+     * @returns {Promise<Object>} { total, count, meta } (ver reencrypt)
+     */
+    async rotate() {
+        return this.reencrypt(value => !FieldCipher.isEncrypted(value) || FieldCipher.keyIdOf(value) !== this.cipher.keyId);
+    }
+
+    /**
+     * Conta os valores gravados por chave
+     * @async
+     * @returns {Promise<Object>} { keys: { id: quantidade }, plaintext: quantidade em texto puro }
+     */
+    async keyUsage() {
+        const usage = { keys: {}, plaintext: 0 };
+
+        (await this.inner.load()).forEach(doc => this.fields.forEach(field => {
+            const value = resolvePath(doc, field);
+            if (value === undefined) {
+                return;
+            }
+            if (FieldCipher.isEncrypted(value)) {
+                const keyId = FieldCipher.keyIdOf(value);
+                usage.keys[keyId] = (usage.keys[keyId] || 0) + 1;
+            } else {
+                usage.plaintext++;
+            }
+        }));
+        return usage;
+    }
+
+    /**
+     * Lê os metadados de integridade do adaptador interno
+     * @async
+     * @returns {Promise<Object|null>} Metadados (generation, checksum) ou null
+     */
+    async readMeta() {
+        return this.inner.readMeta();
+    }
+
+    /**
+     * Identifica a versão gravada dos dados no adaptador interno
+     * @async
+     * @returns {Promise<string|null>} Assinatura do adaptador interno
+     */
+    async signature() {
+        return this.inner.signature();
+    }
+
+    /**
+     * Descarta os documentos decifrados e o estado em memória do adaptador interno
+     * @async
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        this.entries.clear();
+        await this.inner.reset();
+    }
+
+    /**
+     * Estatísticas do cache de leitura do adaptador interno (documentos cifrados)
+     * @returns {Object|null} Estatísticas (ver DocumentCache.getStats) ou null
+     */
+    cacheStats() {
+        return this.inner.cacheStats();
+    }
+
+    /**
+     * Partições que podem conter documentos que atendem a um filtro (ver StorageAdapter.partitionsFor)
+     * @param {Object} filter - Critérios de busca
+     * @returns {Array<string>|null} Nomes das partições ou null
+     */
+    partitionsFor(filter) {
+        return this.inner.partitionsFor(filter);
+    }
+
+    /**
+     * Indica se o adaptador interno precisa de compactação
+     * @returns {boolean} true se compact deve ser executado
+     */
+    needsCompaction() {
+        return this.inner.needsCompaction();
+    }
+
+    /**
+     * Compacta o adaptador interno
+     * @async
+     * @returns {Promise<boolean>} true se houve compactação
+     */
+    async compact() {
+        return this.inner.compact();
+    }
+}
+
+module.exports = EncryptedStorageAdapter;
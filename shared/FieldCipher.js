@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Criptografia de valores de campos (AES-256-GCM) e índice cego (HMAC-SHA256)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Prefixo dos valores cifrados: `enc:v1:<chave>:<iv>:<tag>:<dados>` (iv, tag e dados em base64)
+ * @type {string}
+ */
+const ENVELOPE_PREFIX = 'enc:v1:';
+
+/**
+ * Identificadores de chave aceitos (aparecem no valor cifrado e na configuração)
+ * @type {RegExp}
+ */
+const KEY_ID = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Tamanho das chaves, em bytes
+ * @type {number}
+ */
+const KEY_LENGTH = 32;
+
+/**
+ * Tamanho do vetor de inicialização do GCM, em bytes
+ * @type {number}
+ */
+const IV_LENGTH = 12;
+
+/**
+ * Cifra e decifra valores de campos com um conjunto de chaves identificadas
+ * Os valores são serializados em JSON antes de cifrados, preservando o tipo (textos, números,
+ * objetos). O ID do documento e o caminho do campo entram como dados autenticados: um valor
+ * cifrado copiado para outro documento ou campo não é aceito. Novos valores usam a chave ativa;
+ * as demais chaves continuam decifrando os valores antigos até a rotação.
+ * O índice cego é um HMAC determinístico do valor, com chave própria, que permite localizar
+ * documentos por igualdade sem guardar o valor em texto puro
+ * @class FieldCipher
+ */
+class FieldCipher {
+    /**
+     * Construtor do FieldCipher
+     * @param {Object} options - Chaves
+     * @param {Object<string, Buffer|string>} options.keys - Chaves por ID (32 bytes, em Buffer ou base64)
+     * @param {string} [options.keyId] - ID da chave usada para cifrar (padrão: a última de `keys`)
+     * @param {Buffer|string} options.blindIndexKey - Chave do índice cego (32 bytes, em Buffer ou base64)
+     * @throws {Error} Se alguma chave for inválida ou a chave ativa não estiver em `keys`
+     */
+    constructor(options) {
+        const ids = Object.keys(options.keys || {});
+        if (ids.length === 0) {
+            throw new Error('Criptografia sem chaves configuradas');
+        }
+
+        this.keys = new Map(ids.map(id => {
+            if (!KEY_ID.test(id)) {
+                throw new Error(`ID de chave inválido: ${id} (use letras, dígitos, _ ou -)`);
+            }
+            return [id, FieldCipher.toKey(options.keys[id], `chave ${id}`)];
+        }));
+        this.keyId = options.keyId || ids[ids.length - 1];
+        if (!this.keys.has(this.keyId)) {
+            throw new Error(`Chave ativa ${this.keyId} não está entre as chaves configuradas`);
+        }
+        this.blindIndexKey = FieldCipher.toKey(options.blindIndexKey, 'chave do índice cego');
+    }
+
+    /**
+     * Interpreta a lista de chaves no formato das variáveis de ambiente: `id:base64,id:base64`
+     * @static
+     * @param {string} text - Lista de chaves
+     * @returns {Object<string, string>} Chaves (base64) por ID, na ordem informada
+     * @throws {Error} Se algum item não estiver no formato id:chave
+     */
+    static parseKeys(text) {
+        const keys = {};
+        String(text).split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+            const separator = item.indexOf(':');
+            if (separator <= 0) {
+                throw new Error(`Chave sem ID: use o formato id:chave (ex: k1:${'A'.repeat(8)}...)`);
+            }
+            keys[item.slice(0, separator)] = item.slice(separator + 1);
+        });
+        return keys;
+    }
+
+    /**
+     * Valida e converte uma chave
+     * @static
+     * @private
+     * @param {Buffer|string} value - Chave em Buffer ou base64
+     * @param {string} label - Descrição usada na mensagem de erro
+     * @returns {Buffer} Chave de 32 bytes
+     * @throws {Error} Se a chave não tiver 32 bytes
+     */
+    static toKey(value, label) {
+        const key = Buffer.isBuffer(value) ? value : Buffer.from(String(value || ''), 'base64');
+        if (key.length !== KEY_LENGTH) {
+            throw new Error(`A ${label} deve ter ${KEY_LENGTH} bytes (em base64: openssl rand -base64 ${KEY_LENGTH})`);
+        }
+        return key;
+    }
+
+    /**
+     * Verifica se um valor está cifrado
+     * @static
+     * @param {*} value - Valor gravado
+     * @returns {boolean} true se o valor é um envelope cifrado
+     */
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+    }
+
+    /**
+     * ID da chave que cifrou um valor
+     * @static
+     * @param {string} envelope - Valor cifrado
+     * @returns {string} ID da chave
+     */
+    static keyIdOf(envelope) {
+        return envelope.slice(ENVELOPE_PREFIX.length).split(':')[0];
+    }
+
+    /**
+     * Cifra um valor com a chave ativa
+     * @param {*} value - Valor (serializável em JSON)
+     * @param {string} context - Dados autenticados (documento e campo)
+     * @returns {string} Envelope cifrado
+     */
+    encrypt(value, context) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.keyId), iv);
+        cipher.setAAD(Buffer.from(context, 'utf8'));
+        const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return ENVELOPE_PREFIX + [this.keyId, iv, cipher.getAuthTag(), data]
+            .map(part => Buffer.isBuffer(part) ? part.toString('base64') : part)
+            .join(':');
+    }
+
+    /**
+     * Decifra um valor
+     * @param {string} envelope - Valor cifrado
+     * @param {string} context - Dados autenticados usados ao cifrar
+     * @returns {*} Valor original
+     * @throws {Error} Se a chave do valor não estiver configurada ou o valor tiver sido adulterado
+     */
+    decrypt(envelope, context) {
+        const [keyId, iv, tag, data] = envelope.slice(ENVELOPE_PREFIX.length).split(':');
+        if (!this.keys.has(keyId)) {
+            throw new Error(`chave ${keyId} não configurada`);
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.keys.get(keyId), Buffer.from(iv, 'base64'));
+            decipher.setAAD(Buffer.from(context, 'utf8'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64'));
+            const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+            return JSON.parse(text.toString('utf8'));
+        } catch (error) {
+            throw new Error(`valor adulterado ou cifrado com outra chave ${keyId}`);
+        }
+    }
+
+    /**
+     * Índice cego de um valor: HMAC-SHA256 do campo e do valor
+     * @param {string} field - Campo
+     * @param {string} key - Valor já convertido em chave de índice (ver SecondaryIndex.keyOf)
+     * @returns {string} HMAC em base64url
+     */
+    blindIndex(field, key) {
+        return crypto.createHmac('sha256', this.blindIndexKey).update(`${field}\u0000${key}`).digest('base64url');
+    }
+
+    /**
+     * Identifica a chave do índice cego sem revelá-la, para invalidar índices gravados com outra chave
+     * @returns {string} Assinatura da chave
+     */
+    blindIndexSignature() {
+        return crypto.createHmac('sha256', this.blindIndexKey).update('signature').digest('base64url').slice(0, 16);
+    }
+}
+
+module.exports = FieldCipher;
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Adaptador de armazenamento em um único arquivo JSON por coleção
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const DocumentCache = require('./DocumentCache');
+const {
+    computeChecksum,
+    writeFileAtomic,
+    inspectJsonFile,
+    findOrphanedTempFiles,
+    readFileSignature
+} = require('./atomicFile');
+
+/**
+ * Armazena a coleção em `<colecao>.json`, reescrito de forma atômica a cada operação
+ * Mantém a versão anterior em `<colecao>.json.bak` e o checksum e a geração em `<colecao>_meta.json`,
+ * usados para recuperar a coleção após uma falha e para validar o arquivo de índice.
+ * Com o cache habilitado (padrão), os documentos lidos ficam em memória até o arquivo mudar
+ * @class FileStorageAdapter
+ * @extends StorageAdapter
+ */
+class FileStorageAdapter extends StorageAdapter {
+    /**
+     * Construtor do FileStorageAdapter
+     * @param {string} dbPath - Diretório de dados
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} [options={}] - Opções do adaptador
+     * @param {boolean} [options.cache=true] - Mantém em memória os documentos lidos (ver DocumentCache)
+     */
+    constructor(dbPath, collectionName, options = {}) {
+        super(dbPath, collectionName, options);
+        this.filePath = path.join(dbPath, `${collectionName}.json`);
+        this.metaPath = path.join(dbPath, `${collectionName}_meta.json`);
+        this.backupPath = `${this.filePath}.bak`;
+        this.persistsIndex = true;
+        this.watchPath = this.filePath;
+        this.lockPath = path.join(dbPath, `${collectionName}.lock`);
+        this.cache = options.cache === false ? null : DocumentCache.for(this.filePath);
+        this.shared = Boolean(this.cache);
+    }
+
+    /**
+     * Cria o diretório e valida o arquivo da coleção (ou o cria)
+     * @async
+     * @returns {Promise<void>}
+     */
+    async open() {
+        await fs.ensureDir(this.dbPath);
+        await this.recoverCollection();
+    }
+
+    /**
+     * Lê todos os documentos do arquivo, ou da memória se o arquivo não mudou desde a última leitura
+     * @async
+     * @returns {Promise<Array>} Documentos (com cache, o estado em memória, que não deve ser modificado)
+     */
+    async load() {
+        return this.cache ? this.cache.read(() => this.readDocuments()) : this.readDocuments();
+    }
+
+    /**
+     * Identifica a versão gravada do arquivo da coleção pela sua assinatura no disco
+     * @async
+     * @returns {Promise<string|null>} Assinatura do arquivo (null se ele não existir)
+     */
+    async signature() {
+        return readFileSignature(this.filePath);
+    }
+
+    /**
+     * Lê e interpreta o arquivo da coleção
+     * @async
+     * @private
+     * @returns {Promise<Array>} Documentos
+     */
+    async readDocuments() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Grava o estado da coleção após operações de escrita
+     * @async
+     * @param {Array} documents - Estado completo da coleção
+     * @param {Array<Object>} changes - Operações realizadas ({ op, id, doc })
+     * @returns {Promise<Object>} Novos metadados da coleção (generation, checksum)
+     */
+    async write(documents, changes) {
+        const meta = await this.writeSnapshot(documents);
+        if (this.cache) {
+            await this.cache.store(documents, changes);
+        }
+        return meta;
+    }
+
+    /**
+     * Escreve todos os documentos no arquivo de forma atômica
+     * Preserva a versão anterior como backup e avança a geração nos metadados
+     * @async
+     * @protected
+     * @param {Array} documents - Array de documentos para salvar
+     * @returns {Promise<Object>} Novos metadados da coleção (generation, checksum)
+     */
+    async writeSnapshot(documents) {
+        const content = JSON.stringify(documents, null, 2);
+        const meta = await this.readMeta();
+
+        await writeFileAtomic(this.filePath, content, { backupPath: this.backupPath });
+        return this.writeMeta(computeChecksum(content), meta ? meta.generation + 1 : 0);
+    }
+
+    /**
+     * Lê os metadados de integridade da coleção
+     * @async
+     * @returns {Promise<Object|null>} Metadados (generation, checksum) ou null se ausentes
+     */
+    async readMeta() {
+        const meta = await inspectJsonFile(this.metaPath);
+        return meta.valid ? meta.data : null;
+    }
+
+    /**
+     * Grava os metadados de integridade da coleção
+     * @async
+     * @private
+     * @param {string} checksum - Checksum SHA-256 do arquivo da coleção
+     * @param {number} generation - Número da geração (incrementado a cada escrita)
+     * @returns {Promise<Object>} Metadados gravados
+     */
+    async writeMeta(checksum, generation) {
+        const meta = {
+            collection: this.collectionName,
+            generation,
+            checksum,
+            updatedAt: new Date().toISOString()
+        };
+        await writeFileAtomic(this.metaPath, JSON.stringify(meta, null, 2));
+        return meta;
+    }
+
+    /**
+     * Verifica a integridade do arquivo da coleção e recupera a última cópia válida
+     * Candidatos, em ordem: arquivo atual, escritas temporárias concluídas de processos encerrados
+     * (a mais recente primeiro) e cópia de segurança
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     * @throws {Error} Se o arquivo estiver corrompido e não houver cópia válida
+     */
+    async recoverCollection() {
+        const meta = await this.readMeta();
+        const current = await inspectJsonFile(this.filePath);
+        const tempFiles = await findOrphanedTempFiles(this.filePath);
+
+        if (current.valid && Array.isArray(current.data)) {
+            if (!meta || meta.checksum !== current.checksum) {
+                if (meta) {
+                    console.warn(`Checksum divergente em ${this.collectionName}.json (alteração externa?), metadados atualizados`);
+                }
+                await this.writeMeta(current.checksum, meta ? meta.generation + 1 : 0);
+            }
+            await Promise.all(tempFiles.map(tempPath => fs.remove(tempPath)));
+            return;
+        }
+
+        // Escrita temporária só existe completa se já passou pelo fsync
+        const candidates = [
+            ...await Promise.all(tempFiles.map(async tempPath => ({
+                source: 'temporário',
+                file: await inspectJsonFile(tempPath)
+            }))),
+            { source: 'backup', file: await inspectJsonFile(this.backupPath) }
+        ];
+        const recovered = candidates.find(({ file }) => file.valid && Array.isArray(file.data));
+
+        if (!recovered) {
+            if (!current.exists) {
+                await this.writeSnapshot([]);
+                return;
+            }
+            throw new Error(`Coleção ${this.collectionName} corrompida e sem cópia válida para recuperação`);
+        }
+
+        if (current.exists) {
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            await fs.move(this.filePath, corruptPath);
+            console.error(`Arquivo corrompido preservado em ${corruptPath}`);
+        }
+
+        await writeFileAtomic(this.filePath, recovered.file.content);
+        await this.writeMeta(recovered.file.checksum, meta ? meta.generation + 1 : 0);
+        await Promise.all(tempFiles.map(tempPath => fs.remove(tempPath)));
+        console.warn(`Coleção ${this.collectionName} recuperada a partir do arquivo ${recovered.source} (${recovered.file.data.length} documentos)`);
+    }
+}
+
+module.exports = FileStorageAdapter;
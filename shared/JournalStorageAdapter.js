@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Adaptador de armazenamento em log append-only (journal) com snapshot JSON
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const FileStorageAdapter = require('./FileStorageAdapter');
+const JournalStore = require('./JournalStore');
+
+/**
+ * Estado dos journals abertos, por arquivo de coleção
+ * Instâncias que apontam para a mesma coleção compartilham o mesmo estado em memória
+ * @type {Map<string, JournalStore>}
+ */
+const journals = new Map();
+
+/**
+ * Mantém a coleção em memória e grava cada operação em `<colecao>_journal.ndjson`; o arquivo
+ * `<colecao>.json` passa a ser o snapshot, regravado na compactação
+ * @class JournalStorageAdapter
+ * @extends FileStorageAdapter
+ */
+class JournalStorageAdapter extends FileStorageAdapter {
+    /**
+     * Construtor do JournalStorageAdapter
+     * @param {string} dbPath - Diretório de dados
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} [options={}] - Opções do adaptador
+     * @param {number} [options.compactThreshold=500] - Operações no journal que disparam a compactação
+     */
+    constructor(dbPath, collectionName, options = {}) {
+        super(dbPath, collectionName, options);
+        this.journalPath = path.join(dbPath, `${collectionName}_journal.ndjson`);
+        this.key = path.resolve(this.filePath);
+        this.compactThreshold = options.compactThreshold || 500;
+        // O journal já mantém o estado em memória; o snapshot só é lido ao abrir
+        this.cache = null;
+        this.shared = true;
+        this.persistsIndex = false;
+        this.compactable = true;
+        this.watchPath = null;
+    }
+
+    /**
+     * Valida o snapshot e reconstrói o estado em memória a partir dele e do journal,
+     * reaproveitando o estado se já carregado por outra instância
+     * @async
+     * @returns {Promise<void>}
+     */
+    async open() {
+        await super.open();
+
+        if (!journals.has(this.key)) {
+            journals.set(this.key, new JournalStore(this.journalPath));
+        }
+
+        if (!this.journal.loaded) {
+            const snapshot = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            await this.journal.load(snapshot);
+            console.log(`Journal ${this.collectionName}: ${this.journal.entries} operações reaplicadas sobre o snapshot`);
+        }
+    }
+
+    /**
+     * Journal da coleção, compartilhado entre as instâncias do processo
+     * @type {JournalStore|undefined}
+     */
+    get journal() {
+        return journals.get(this.key);
+    }
+
+    /**
+     * Descarta o estado em memória compartilhado; o próximo open relê o snapshot e o journal
+     * @async
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        journals.delete(this.key);
+    }
+
+    /**
+     * Retorna o estado em memória, que não deve ser modificado
+     * @async
+     * @returns {Promise<Array>} Documentos
+     */
+    async load() {
+        return this.journal.documents;
+    }
+
+    /**
+     * Acrescenta as operações ao journal e atualiza o estado em memória
+     * @async
+     * @param {Array} documents - Estado completo da coleção após as operações
+     * @param {Array<Object>} changes - Operações realizadas ({ op, id, doc })
+     * @returns {Promise<null>} Sem metadados: os índices não são gravados neste modo
+     */
+    async write(documents, changes) {
+        await this.journal.append(changes.map(({ op, id, doc }) => ({ op, id, doc })));
+
+        // Guardar cópias para que os documentos retornados ao chamador não alterem o estado
+        const changed = new Set(changes.map(change => change.doc));
+        this.journal.documents = documents.map(doc => changed.has(doc) ? JSON.parse(JSON.stringify(doc)) : doc);
+        return null;
+    }
+
+    /**
+     * Indica se o journal atingiu o limite de operações
+     * @returns {boolean} true se compact deve ser executado
+     */
+    needsCompaction() {
+        return this.journal.entries >= this.compactThreshold;
+    }
+
+    /**
+     * Grava o estado atual como snapshot e esvazia o journal
+     * @async
+     * @returns {Promise<boolean>} true se um novo snapshot foi gravado
+     */
+    async compact() {
+        if (!this.journal || this.journal.entries === 0) {
+            return false;
+        }
+
+        await this.writeSnapshot(this.journal.documents);
+        await this.journal.truncate();
+        return true;
+    }
+}
+
+module.exports = JournalStorageAdapter;
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Journal append-only para o modo de armazenamento em log do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const { writeFileAtomic } = require('./atomicFile');
+
+/**
+ * Mantém o estado em memória de uma coleção e o log de operações aplicadas desde o último snapshot
+ * Cada linha do journal é um JSON com a operação (create/update/delete) e a imagem completa
+ * do documento, o que torna o replay idempotente mesmo se o snapshot já contiver a operação
+ * @class JournalStore
+ */
+class JournalStore {
+    /**
+     * Construtor do JournalStore
+     * @param {string} journalPath - Caminho do arquivo de journal (NDJSON)
+     */
+    constructor(journalPath) {
+        this.journalPath = journalPath;
+        this.documents = [];
+        this.entries = 0;
+        this.loaded = false;
+    }
+
+    /**
+     * Carrega o estado a partir do snapshot e reaplica as operações do journal
+     * Uma última linha incompleta (queda durante o append) é descartada
+     * @async
+     * @param {Array} snapshot - Documentos do último snapshot
+     * @returns {Promise<void>}
+     */
+    async load(snapshot) {
+        let content = '';
+        try {
+            content = await fs.readFile(this.journalPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const documents = [...snapshot];
+        const lines = content.split('\n').filter(line => line.trim());
+        const validLines = [];
+
+        lines.forEach((line, position) => {
+            let change;
+            try {
+                change = JSON.parse(line);
+            } catch (error) {
+                const isLast = position === lines.length - 1;
+                console.warn(`Journal ${this.journalPath}: linha ${position + 1} inválida ${isLast ? '(escrita interrompida) descartada' : 'ignorada'}`);
+                return;
+            }
+            JournalStore.applyChange(documents, change);
+            validLines.push(line);
+        });
+
+        // Remover linhas inválidas para que novos appends não se concatenem a elas
+        if (validLines.length !== lines.length) {
+            await writeFileAtomic(this.journalPath, validLines.map(line => line + '\n').join(''));
+        }
+
+        this.documents = documents;
+        this.entries = validLines.length;
+        this.loaded = true;
+    }
+
+    /**
+     * Acrescenta operações ao journal com um único fsync
+     * @async
+     * @param {Array<Object>} changes - Operações ({ op, id, doc })
+     * @returns {Promise<void>}
+     */
+    async append(changes) {
+        const ts = new Date().toISOString();
+        const lines = changes.map(change => JSON.stringify({ ...change, ts }) + '\n').join('');
+        const handle = await fs.promises.open(this.journalPath, 'a');
+
+        try {
+            await handle.writeFile(lines, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        this.entries += changes.length;
+    }
+
+    /**
+     * Esvazia o journal após a gravação de um novo snapshot
+     * @async
+     * @returns {Promise<void>}
+     */
+    async truncate() {
+        await writeFileAtomic(this.journalPath, '');
+        this.entries = 0;
+    }
+
+    /**
+     * Aplica uma operação do journal sobre um array de documentos
+     * @static
+     * @param {Array} documents - Documentos a serem modificados (in-place)
+     * @param {Object} change - Operação ({ op, id, doc })
+     * @returns {Array} O mesmo array de documentos
+     */
+    static applyChange(documents, change) {
+        const index = documents.findIndex(doc => doc.id === change.id);
+
+        if (change.op === 'delete') {
+            if (index !== -1) {
+                documents.splice(index, 1);
+            }
+        } else if (index === -1) {
+            documents.push(change.doc);
+        } else {
+            documents[index] = change.doc;
+        }
+
+        return documents;
+    }
+}
+
+module.exports = JournalStore;
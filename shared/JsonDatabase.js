@@ -5,9 +5,131 @@
  * @version 1.0.0
  */
 
-const fs = require('fs-extra');
 const path = require('path');
+const { Readable } = require('stream');
+const { AsyncLocalStorage } = require('async_hooks');
 const { v4: uuidv4 } = require('uuid');
+const { writeFileAtomic, inspectJsonFile } = require('./atomicFile');
+const { withFileLock } = require('./fileLock');
+const { createStorageAdapter } = require('./storageAdapters');
+const SecondaryIndex = require('./SecondaryIndex');
+const TextIndex = require('./TextIndex');
+const FieldCipher = require('./FieldCipher');
+const QueryProfiler = require('./QueryProfiler');
+const ChangeStream = require('./ChangeStream');
+const CollectionWatcher = require('./CollectionWatcher');
+const Transaction = require('./Transaction');
+const TransactionLog = require('./TransactionLog');
+const {
+    DuplicateKeyError,
+    InvalidCursorError,
+    SchemaValidationError,
+    TransactionConflictError,
+    TransferFormatError,
+    VersionConflictError
+} = require('./databaseErrors');
+const { matchesFilter, resolvePath, compareForSort, deepEqual } = require('./queryMatcher');
+const { isOperatorUpdate, applyUpdate, hasForbiddenSegment } = require('./updateOperators');
+const { runPipeline } = require('./aggregationPipeline');
+const { compileProjection } = require('./projection');
+const { diffDocuments } = require('./documentDiff');
+const { validateSchema } = require('./schemaValidator');
+const {
+    TRANSFER_FORMATS,
+    parseNdjsonRecords,
+    parseCsvRecords,
+    toCsvLines,
+    toNdjsonLines,
+    schemaProperty,
+    coerceCsvValue
+} = require('./dataTransfer');
+
+/**
+ * Filas de escrita por arquivo de coleção
+ * Compartilhadas entre todas as instâncias do processo que apontam para o mesmo arquivo,
+ * garantindo que ciclos de leitura-modificação-escrita não se intercalem. Entre processos, a
+ * coordenação é feita pela trava de arquivo do adaptador (ver runExclusive)
+ * @type {Map<string, Promise<void>>}
+ */
+const writeQueues = new Map();
+
+/**
+ * Índices secundários em memória, por arquivo de coleção
+ * @type {Map<string, SecondaryIndex>}
+ */
+const collectionIndexes = new Map();
+
+/**
+ * Índices textuais (busca) em memória, por arquivo de coleção
+ * Instâncias que apontam para a mesma coleção compartilham o mesmo índice
+ * @type {Map<string, TextIndex>}
+ */
+const textIndexes = new Map();
+
+/**
+ * Assinatura do armazenamento refletida pelos índices em memória, por arquivo de coleção
+ * Uma assinatura diferente no adaptador indica uma escrita de outro processo (ver syncIndexes)
+ * @type {Map<string, string|null>}
+ */
+const indexSignatures = new Map();
+
+/**
+ * Observadores de alterações ativos, por arquivo de coleção
+ * Existem apenas enquanto houver change streams abertos
+ * @type {Map<string, CollectionWatcher>}
+ */
+const collectionWatchers = new Map();
+
+/**
+ * Primeira instância aberta de cada coleção no processo, usada para resolver coleções pelo
+ * nome dentro de transações
+ * @type {Map<string, JsonDatabase>}
+ */
+const openDatabases = new Map();
+
+/**
+ * Perfis das operações (tempos e consultas lentas), por arquivo de coleção
+ * Instâncias que apontam para a mesma coleção acumulam no mesmo perfil
+ * @type {Map<string, QueryProfiler>}
+ */
+const queryProfilers = new Map();
+
+/**
+ * Espera na fila de escrita da operação em perfil ({ queueMs }), acumulada por runExclusive para
+ * que profile a registre separada do tempo de execução
+ * @type {AsyncLocalStorage}
+ */
+const profileTimings = new AsyncLocalStorage();
+
+/**
+ * Registros de intenção das transações, por diretório de dados
+ * @type {Map<string, TransactionLog>}
+ */
+const transactionLogs = new Map();
+
+/**
+ * Campos de controle ignorados ao comparar e restaurar revisões
+ * @type {Array<string>}
+ */
+const REVISION_CONTROL_FIELDS = ['id', 'createdAt', 'updatedAt', '_version'];
+
+/**
+ * Campos de controle descartados dos registros importados (são gerados pela própria coleção)
+ * @type {Array<string>}
+ */
+const IMPORT_CONTROL_FIELDS = ['createdAt', 'updatedAt', '_version', 'deletedAt'];
+
+/**
+ * Intervalo padrão (ms) da limpeza periódica de documentos expirados e da lixeira
+ * @type {number}
+ */
+const DEFAULT_PURGE_INTERVAL = 60000;
+
+/**
+ * Campos de controle, que não podem ser criptografados
+ * @type {Array<string>}
+ */
+const UNENCRYPTABLE_FIELDS = ['id', 'createdAt', 'updatedAt', '_version', 'deletedAt'];
 
 /**
  * Classe que implementa um banco de dados NoSQL usando arquivos JSON
@@ -19,63 +141,194 @@ class JsonDatabase {
      * Construtor da classe JsonDatabase
      * @param {string} dbPath - Caminho do diretório do banco de dados
      * @param {string} collectionName - Nome da coleção/tabela
+     * @param {Object} [options={}] - Opções da coleção
+     * @param {string|Function} [options.storage='file'] - Adaptador de armazenamento: 'file' (reescreve o
+     *   arquivo JSON a cada operação), 'journal' (log append-only com compactação em snapshot), 'ndjson'
+     *   (um documento por linha), 'memory' (sem acesso a disco) ou uma classe derivada de StorageAdapter
+     * @param {number} [options.compactThreshold=500] - Operações no journal que disparam a compactação
+     * @param {boolean} [options.cache=true] - Nos modos 'file' e 'ndjson', mantém os documentos lidos em
+     *   memória até o arquivo ser alterado (por este ou por outro processo)
+     * @param {string} [options.partitionBy] - Divide a coleção em um arquivo por valor do campo (ex: 'userId');
+     *   escritas gravam apenas as partições alteradas e consultas com igualdade no campo leem só a sua
+     * @param {number} [options.compactInterval=0] - Intervalo (ms) de compactação periódica; 0 desativa
+     * @param {Array<string>} [options.indexes=[]] - Campos com índice secundário (ex: ['email', 'userId'])
+     * @param {Array<string|Array<string>>} [options.unique=[]] - Restrições de unicidade; um array
+     *   de campos declara uma restrição composta (ex: ['email', ['storeId', 'barcode']])
+     * @param {boolean|Object} [options.history=false] - Mantém o histórico de revisões dos documentos
+     *   na coleção auxiliar `<colecao>_history`; use { limit } para o número de revisões (padrão 20)
+     * @param {boolean|Object} [options.softDelete=false] - Remoções apenas marcam `deletedAt`, movendo o
+     *   documento para a lixeira; use { retention } (ms) para descartá-lo definitivamente após esse tempo
+     * @param {Object} [options.ttl] - Índice TTL: { field, expireAfter } expira documentos quando a data em
+     *   `field` somada a `expireAfter` (ms, padrão 0) é atingida; documentos sem o campo não expiram
+     * @param {number} [options.purgeInterval=60000] - Intervalo (ms) da limpeza de documentos expirados
+     *   e da lixeira, ativa quando há TTL ou retenção configurados
+     * @param {Object} [options.schema] - JSON Schema validado a cada criação e atualização; os campos de
+     *   controle (id, createdAt, updatedAt, _version, deletedAt) não precisam ser declarados
+     * @param {Object<string, number>} [options.textIndex] - Índice textual usado por search: peso de cada
+     *   campo na relevância (ex: { name: 4, description: 1 }); mantido em memória a cada escrita
+     * @param {Object} [options.encryption] - Criptografia de campos em repouso (AES-256-GCM), decifrados
+     *   na leitura: { fields, blindIndex, keys, keyId, blindIndexKey } (chaves: ver FieldCipher).
+     *   Campos em `blindIndex` ganham índice secundário pelo HMAC do valor (índice cego), o único
+     *   modo de indexar um campo criptografado; os demais campos cifrados não podem ser indexados
+     * @param {boolean|Object} [options.profile=true] - Mede o tempo das operações (ver queryStats);
+     *   use { slowThreshold, slowLogSize, slowLogFile, logToConsole } para o log de consultas lentas
+     *   (ver QueryProfiler) ou false para desativar
      */
-    constructor(dbPath, collectionName) {
+    constructor(dbPath, collectionName, options = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
         this.filePath = path.join(dbPath, `${collectionName}.json`);
         this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
 
-        this.ensureDatabase();
+        this.encryptedFields = options.encryption ? options.encryption.fields || [] : [];
+        this.blindIndexFields = options.encryption ? options.encryption.blindIndex || [] : [];
+        this.cipher = options.encryption ? new FieldCipher(options.encryption) : null;
+        this.checkEncryptionOptions(options);
+
+        this.storage = options.storage || 'file';
+        this.adapter = createStorageAdapter(this.storage, dbPath, collectionName, {
+            compactThreshold: options.compactThreshold,
+            cache: options.cache,
+            partitionBy: options.partitionBy,
+            encryption: this.cipher ? { fields: this.encryptedFields, cipher: this.cipher } : undefined
+        });
+        this.partitionKey = options.partitionBy || null;
+        this.indexFields = [...new Set([...(options.indexes || []), ...this.blindIndexFields])];
+        this.uniqueConstraints = (options.unique || []).map(fields => Array.isArray(fields) ? fields : [fields]);
+        this.historyLimit = options.history ? (options.history.limit || 20) : 0;
+        this.historyDb = options.history
+            ? new JsonDatabase(dbPath, `${collectionName}_history`, {
+                storage: this.storage,
+                indexes: ['documentId'],
+                // As revisões guardam o documento inteiro: os mesmos campos são cifrados dentro de `document`
+                encryption: options.encryption && {
+                    ...options.encryption,
+                    fields: this.encryptedFields.map(field => `document.${field}`),
+                    blindIndex: []
+                },
+                profile: options.profile
+            })
+            : null;
+        this.softDelete = Boolean(options.softDelete);
+        this.trashRetention = options.softDelete ? options.softDelete.retention : undefined;
+        this.ttl = options.ttl ? { expireAfter: 0, ...options.ttl } : null;
+        this.schema = options.schema || null;
+        this.textWeights = options.textIndex || null;
+
+        if (!openDatabases.has(this.collectionKey())) {
+            openDatabases.set(this.collectionKey(), this);
+        }
+        if (options.profile !== false && !queryProfilers.has(this.collectionKey())) {
+            const profileOptions = options.profile && typeof options.profile === 'object' ? options.profile : {};
+            queryProfilers.set(this.collectionKey(), new QueryProfiler(collectionName, profileOptions));
+        }
+        this.profiler = options.profile !== false ? queryProfilers.get(this.collectionKey()) : null;
+
+        this.ready = this.runExclusive(() => this.ensureDatabase());
+
+        if (this.adapter.compactable && options.compactInterval) {
+            this.compactTimer = setInterval(() => {
+                this.compact().catch(error => console.error('Erro na compactação do journal:', error));
+            }, options.compactInterval);
+            this.compactTimer.unref();
+        }
+
+        if (this.ttl || this.trashRetention !== undefined) {
+            this.purgeTimer = setInterval(() => {
+                this.purge().catch(error => console.error('Erro na limpeza da coleção:', error));
+            }, options.purgeInterval || DEFAULT_PURGE_INTERVAL);
+            this.purgeTimer.unref();
+        }
     }
 
     /**
      * Garante que o banco de dados e seus arquivos existam
-     * Cria diretório e arquivos de coleção e índice se necessário
+     * Cria diretório e arquivos de coleção e índice se necessário,
+     * recuperando a coleção da última cópia válida caso esteja corrompida
      * @async
      * @returns {Promise<void>}
      */
     async ensureDatabase() {
         try {
-            // Criar diretório do banco se não existir
-            await fs.ensureDir(this.dbPath);
+            // Criar, validar ou recuperar o armazenamento antes de aceitar operações
+            await this.adapter.open();
 
-            // Criar arquivo da coleção se não existir
-            if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
-            }
+            // Carregar índices secundários (ou reconstruí-los se desatualizados)
+            const signature = await this.adapter.signature();
+            await this.openIndex();
+            await this.openTextIndex();
+            indexSignatures.set(this.collectionKey(), signature);
 
-            // Criar índice se não existir
-            if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
-            }
+            // Concluir transações interrompidas antes de gravar nesta coleção
+            await this.recoverTransactions();
         } catch (error) {
             console.error('Erro ao inicializar banco:', error);
             throw error;
         }
     }
 
+    /**
+     * Reaplica nesta coleção as transações confirmadas cuja gravação foi interrompida
+     * Documentos que já estão no estado registrado não são regravados
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     */
+    async recoverTransactions() {
+        if (!this.adapter.durable) {
+            return;
+        }
+
+        const log = this.transactionLog();
+
+        for (const entry of await log.pending(this.collectionName)) {
+            const documents = [...(await this.loadDocuments())];
+            const changes = [];
+
+            entry.collections[this.collectionName].forEach(({ id, doc: stored }) => {
+                const doc = stored && this.adapter.fromStored(stored);
+                const position = documents.findIndex(existing => existing.id === id);
+                const before = position === -1 ? null : documents[position];
+
+                if (JSON.stringify(before) === JSON.stringify(doc)) {
+                    return;
+                }
+                if (doc === null) {
+                    documents.splice(position, 1);
+                    changes.push({ op: 'delete', id, before });
+                } else if (before === null) {
+                    documents.push(doc);
+                    changes.push({ op: 'create', id, doc });
+                } else {
+                    documents[position] = doc;
+                    changes.push({ op: 'update', id, doc, before });
+                }
+            });
+
+            if (changes.length > 0) {
+                await this.persist(documents, changes);
+                console.warn(`Transação ${entry.id}: ${changes.length} alteração(ões) reaplicada(s) em ${this.collectionName}`);
+            }
+            await log.markApplied(entry.id, this.collectionName);
+        }
+    }
+
     /**
      * Cria um novo documento na coleção
      * @async
      * @param {Object} data - Dados do documento a ser criado
+     * @param {Object} [options={}] - Opções da escrita
+     * @param {string} [options.actor] - Autor da alteração, registrado no histórico
      * @returns {Promise<Object>} O documento criado com ID e timestamps
+     * @throws {SchemaValidationError} Se o documento não atender ao schema da coleção
+     * @throws {DuplicateKeyError} Se o documento violar uma restrição de unicidade
      */
-    async create(data) {
+    async create(data, options = {}) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
-
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
-
-            return document;
+            return await this.profile('create', null, async () => {
+                const document = await this.insertDocument(this.buildDocument(data), options);
+                return { result: document, stats: { documentsReturned: 1 } };
+            });
         } catch (error) {
             console.error('Erro ao criar documento:', error);
             throw error;
@@ -90,8 +343,20 @@ class JsonDatabase {
      */
     async findById(id) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            return await this.profile('findById', { id }, async () => {
+                await this.ready;
+                const documents = await this.loadDocuments();
+                const document = documents.find(doc => doc.id === id);
+                const found = Boolean(document) && this.inScope(document, 'active');
+                return {
+                    result: found ? this.detach(document) : null,
+                    stats: {
+                        totalDocuments: documents.length,
+                        documentsExamined: documents.length,
+                        documentsReturned: found ? 1 : 0
+                    }
+                };
+            });
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -106,8 +371,13 @@ class JsonDatabase {
      */
     async findOne(filter) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            return await this.profile('findOne', filter, async () => {
+                const { documents, stats } = await this.queryDocuments(filter);
+                return {
+                    result: documents.length > 0 ? this.detach(documents[0]) : null,
+                    stats: { ...stats, documentsReturned: Math.min(documents.length, 1) }
+                };
+            });
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -118,40 +388,50 @@ class JsonDatabase {
      * Busca múltiplos documentos com filtros e opções
      * @async
      * @param {Object} [filter={}] - Critérios de busca
-     * @param {Object} [options={}] - Opções de busca (sort, skip, limit)
+     * @param {Object} [options={}] - Opções de busca (sort, skip, limit, projection, after, before)
      * @param {Object} [options.sort] - Critérios de ordenação
      * @param {number} [options.skip] - Número de documentos para pular
      * @param {number} [options.limit] - Limite de documentos retornados
+     * @param {Object} [options.projection] - Campos a incluir (1) ou excluir (0), com notação de ponto
+     * @param {string} [options.after] - Cursor: retorna documentos posteriores a ele na ordenação
+     * @param {string} [options.before] - Cursor: retorna documentos anteriores a ele na ordenação
      * @returns {Promise<Array>} Array de documentos encontrados
+     * @throws {InvalidCursorError} Se um cursor for inválido ou de outra ordenação
      */
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
-
-            // Aplicar filtro
-            if (Object.keys(filter).length > 0) {
-                documents = documents.filter(doc => this.matchesFilter(doc, filter));
-            }
-
-            // Aplicar ordenação
-            if (options.sort) {
-                documents = this.sortDocuments(documents, options.sort);
-            }
-
-            // Aplicar paginação
-            if (options.skip || options.limit) {
-                const skip = options.skip || 0;
-                const limit = options.limit || documents.length;
-                documents = documents.slice(skip, skip + limit);
-            }
-
-            return documents;
+            return await this.profile('find', filter, async () => {
+                const { documents, stats } = await this.queryPage(filter, options, false);
+                return { result: documents, stats: { ...stats, documentsReturned: documents.length } };
+            });
         } catch (error) {
             console.error('Erro ao buscar documentos:', error);
             throw error;
         }
     }
 
+    /**
+     * Busca uma página de documentos com paginação por cursor
+     * A ordenação recebe o ID como critério de desempate, garantindo posições estáveis mesmo
+     * com inserções entre as páginas; sem `sort`, os documentos são ordenados pelo ID
+     * @async
+     * @param {Object} [filter={}] - Critérios de busca
+     * @param {Object} [options={}] - Mesmas opções de find (sort, limit, projection, after, before)
+     * @returns {Promise<Object>} Documentos e pageInfo ({ startCursor, endCursor, hasNextPage, hasPreviousPage })
+     * @throws {InvalidCursorError} Se um cursor for inválido ou de outra ordenação
+     */
+    async findPage(filter = {}, options = {}) {
+        try {
+            return await this.profile('findPage', filter, async () => {
+                const { documents, pageInfo, stats } = await this.queryPage(filter, options, true);
+                return { result: { documents, pageInfo }, stats: { ...stats, documentsReturned: documents.length } };
+            });
+        } catch (error) {
+            console.error('Erro ao buscar página de documentos:', error);
+            throw error;
+        }
+    }
+
     /**
      * Conta o número de documentos que atendem aos critérios
      * @async
@@ -160,11 +440,10 @@ class JsonDatabase {
      */
     async count(filter = {}) {
         try {
-            const documents = await this.readAll();
-            if (Object.keys(filter).length === 0) {
-                return documents.length;
-            }
-            return documents.filter(doc => this.matchesFilter(doc, filter)).length;
+            return await this.profile('count', filter, async () => {
+                const { documents, stats } = await this.queryDocuments(filter);
+                return { result: documents.length, stats: { ...stats, documentsReturned: documents.length } };
+            });
         } catch (error) {
             console.error('Erro ao contar documentos:', error);
             throw error;
@@ -172,259 +451,1827 @@ class JsonDatabase {
     }
 
     /**
-     * Atualiza um documento existente
+     * Descreve como uma consulta é executada, indicando se um índice secundário foi usado
+     * Em coleções particionadas, informa também as partições lidas (null quando todas são lidas)
      * @async
-     * @param {string} id - ID do documento a ser atualizado
-     * @param {Object} updates - Dados para atualização
-     * @returns {Promise<Object|null>} O documento atualizado ou null se não encontrado
+     * @param {Object} [filter={}] - Critérios de busca
+     * @returns {Promise<Object>} Plano de execução (stage, índice usado, documentos examinados e retornados)
      */
-    async update(id, updates) {
+    async explain(filter = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            const { documents, stats } = await this.queryDocuments(filter);
+            return {
+                collection: this.collectionName,
+                filter,
+                stage: stats.index ? 'IXSCAN' : 'COLLSCAN',
+                indexUsed: Boolean(stats.index),
+                index: stats.index,
+                availableIndexes: collectionIndexes.get(this.collectionKey()).fields,
+                ...(this.partitionKey && { partitionKey: this.partitionKey, partitions: stats.partitions }),
+                totalDocuments: stats.totalDocuments,
+                documentsExamined: stats.documentsExamined,
+                documentsReturned: documents.length
+            };
+        } catch (error) {
+            console.error('Erro ao explicar consulta:', error);
+            throw error;
+        }
+    }
 
-            if (index === -1) {
-                return null;
+    /**
+     * Executa um pipeline de agregação sobre a coleção
+     * Estágios suportados: $match, $group ($sum, $avg, $min, $max, $count), $unwind, $project,
+     * $sort e $limit. Um $match no início do pipeline aproveita os índices secundários
+     * @async
+     * @param {Array<Object>} pipeline - Estágios (ex: [{ $match: {...} }, { $group: {...} }])
+     * @returns {Promise<Array>} Documentos resultantes do último estágio
+     * @throws {Error} Se o pipeline ou algum estágio for inválido
+     */
+    async aggregate(pipeline) {
+        try {
+            if (!Array.isArray(pipeline)) {
+                throw new Error('O pipeline de agregação deve ser um array de estágios');
             }
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+            const [first] = pipeline;
+            const leadingMatch = first && Object.keys(first).length === 1 && first.$match;
+            return await this.profile('aggregate', leadingMatch || {}, async () => {
+                const { documents, stats } = await this.queryDocuments(leadingMatch || {});
+                const results = runPipeline(documents, leadingMatch ? pipeline.slice(1) : pipeline);
+                return { result: JSON.parse(JSON.stringify(results)), stats: { ...stats, documentsReturned: results.length } };
+            });
+        } catch (error) {
+            console.error('Erro ao executar agregação:', error);
+            throw error;
+        }
+    }
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+    /**
+     * Atualiza um documento existente
+     * `updates` pode ser um objeto de campos (merge simples) ou de operadores
+     * ($set, $unset, $inc, $push, $pull) com caminhos em notação de ponto.
+     * Quando `updates` é uma função, ela recebe uma cópia do documento atual e é executada
+     * dentro da fila de escrita da coleção, tornando o ciclo leitura-modificação-escrita atômico
+     * @async
+     * @param {string} id - ID do documento a ser atualizado
+     * @param {Object|Function} updates - Dados/operadores para atualização ou função (documento) => dados
+     * @param {Object} [options={}] - Opções da atualização
+     * @param {Array<Object>} [options.arrayFilters] - Filtros para caminhos posicionais $[id]
+     * @param {number|Array<number>} [options.expectedVersion] - Só atualiza se `_version` for igual
+     *   (ou um dos valores informados); caso contrário lança VersionConflictError
+     * @param {string} [options.actor] - Autor da alteração, registrado no histórico
+     * @returns {Promise<Object|null>} O documento atualizado ou null se não encontrado
+     * @throws {SchemaValidationError} Se o documento resultante não atender ao schema da coleção
+     * @throws {DuplicateKeyError} Se a atualização violar uma restrição de unicidade
+     * @throws {VersionConflictError} Se o documento estiver em outra versão
+     */
+    async update(id, updates, options = {}) {
+        try {
+            return await this.profile('update', { id }, async () => {
+                const [updated] = await this.modifyDocuments(
+                    documents => documents.filter(doc => doc.id === id),
+                    updates,
+                    options
+                );
+                return { result: updated || null, stats: { documentsReturned: updated ? 1 : 0 } };
+            });
+        } catch (error) {
+            console.error('Erro ao atualizar documento:', error);
+            throw error;
+        }
+    }
 
-            return documents[index];
+    /**
+     * Atualiza o primeiro documento que atende ao filtro
+     * Útil para atualizações condicionais (ex: só adicionar item se ainda não estiver na lista)
+     * @async
+     * @param {Object} filter - Critérios de busca
+     * @param {Object|Function} updates - Dados/operadores para atualização ou função (documento) => dados
+     * @param {Object} [options={}] - Opções da atualização (arrayFilters, expectedVersion, actor)
+     * @returns {Promise<Object|null>} O documento atualizado ou null se nenhum atender ao filtro
+     * @throws {SchemaValidationError} Se o documento resultante não atender ao schema da coleção
+     * @throws {DuplicateKeyError} Se a atualização violar uma restrição de unicidade
+     * @throws {VersionConflictError} Se o documento estiver em outra versão
+     */
+    async updateOne(filter, updates, options = {}) {
+        try {
+            return await this.profile('updateOne', filter, async () => {
+                const [updated] = await this.modifyDocuments(
+                    documents => documents.filter(doc => this.matchesFilter(doc, filter)).slice(0, 1),
+                    updates,
+                    options
+                );
+                return { result: updated || null, stats: { documentsReturned: updated ? 1 : 0 } };
+            });
         } catch (error) {
             console.error('Erro ao atualizar documento:', error);
             throw error;
         }
     }
 
+    /**
+     * Atualiza todos os documentos que atendem ao filtro em uma única escrita
+     * @async
+     * @param {Object} filter - Critérios de busca
+     * @param {Object|Function} updates - Dados/operadores para atualização ou função (documento) => dados
+     * @param {Object} [options={}] - Opções da atualização (arrayFilters, actor)
+     * @returns {Promise<number>} Número de documentos atualizados
+     * @throws {SchemaValidationError} Se algum documento resultante não atender ao schema da coleção
+     * @throws {DuplicateKeyError} Se a atualização violar uma restrição de unicidade
+     */
+    async updateMany(filter, updates, options = {}) {
+        try {
+            return await this.profile('updateMany', filter, async () => {
+                const updated = await this.modifyDocuments(
+                    documents => documents.filter(doc => this.matchesFilter(doc, filter)),
+                    updates,
+                    options
+                );
+                return { result: updated.length, stats: { documentsReturned: updated.length } };
+            });
+        } catch (error) {
+            console.error('Erro ao atualizar documentos:', error);
+            throw error;
+        }
+    }
+
     /**
      * Remove um documento da coleção
+     * Com soft delete habilitado, o documento vai para a lixeira (campo `deletedAt`) e deixa de
+     * aparecer nas consultas; `hard: true` o remove definitivamente, inclusive da lixeira
      * @async
      * @param {string} id - ID do documento a ser removido
+     * @param {Object} [options={}] - Opções da remoção
+     * @param {number|Array<number>} [options.expectedVersion] - Só remove se `_version` for igual
+     * @param {string} [options.actor] - Autor da remoção, registrado no histórico
+     * @param {boolean} [options.hard=false] - Remove definitivamente mesmo com soft delete habilitado
      * @returns {Promise<boolean>} true se removido com sucesso, false se não encontrado
+     * @throws {VersionConflictError} Se o documento estiver em outra versão
      */
-    async delete(id) {
+    async delete(id, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.profile('delete', { id }, async () => {
+                const removed = await this.removeDocuments(doc => doc.id === id, options);
+                return { result: removed > 0, stats: { documentsReturned: removed } };
+            });
+        } catch (error) {
+            console.error('Erro ao deletar documento:', error);
+            throw error;
+        }
+    }
 
-            if (index === -1) {
-                return false;
-            }
+    /**
+     * Remove todos os documentos que atendem ao filtro em uma única escrita
+     * @async
+     * @param {Object} filter - Critérios de busca
+     * @param {Object} [options={}] - Opções da remoção (actor, hard)
+     * @returns {Promise<number>} Número de documentos removidos
+     */
+    async deleteMany(filter, options = {}) {
+        try {
+            return await this.profile('deleteMany', filter, async () => {
+                const removed = await this.removeDocuments(doc => this.matchesFilter(doc, filter), options);
+                return { result: removed, stats: { documentsReturned: removed } };
+            });
+        } catch (error) {
+            console.error('Erro ao deletar documentos:', error);
+            throw error;
+        }
+    }
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+    /**
+     * Lista os documentos na lixeira (removidos com soft delete)
+     * @async
+     * @param {Object} [filter={}] - Critérios de busca
+     * @param {Object} [options={}] - Mesmas opções de find (sort, skip, limit, projection)
+     * @returns {Promise<Array>} Documentos removidos, com o campo `deletedAt`
+     * @throws {Error} Se a coleção não tiver soft delete habilitado
+     */
+    async findDeleted(filter = {}, options = {}) {
+        try {
+            this.assertSoftDelete();
+            return await this.profile('findDeleted', filter, async () => {
+                const { documents, stats } = await this.queryPage(filter, options, false, 'deleted');
+                return { result: documents, stats: { ...stats, documentsReturned: documents.length } };
+            });
+        } catch (error) {
+            console.error('Erro ao buscar documentos removidos:', error);
+            throw error;
+        }
+    }
 
-            return true;
+    /**
+     * Retira um documento da lixeira, tornando-o visível novamente
+     * @async
+     * @param {string} id - ID do documento removido
+     * @param {Object} [options={}] - Opções da escrita (expectedVersion, actor)
+     * @returns {Promise<Object|null>} O documento recuperado ou null se não estiver na lixeira
+     * @throws {VersionConflictError} Se o documento estiver em outra versão
+     * @throws {Error} Se a coleção não tiver soft delete habilitado
+     */
+    async undelete(id, options = {}) {
+        try {
+            this.assertSoftDelete();
+            const [restored] = await this.modifyDocuments(
+                documents => documents.filter(doc => doc.id === id),
+                { $unset: { deletedAt: '' } },
+                { ...options, scope: 'deleted', skipSchema: true }
+            );
+            return restored || null;
         } catch (error) {
-            console.error('Erro ao deletar documento:', error);
+            console.error('Erro ao recuperar documento:', error);
             throw error;
         }
     }
 
     /**
-     * Realiza busca de texto nos documentos
+     * Remove definitivamente os documentos expirados pelo índice TTL e os que estão na lixeira
+     * há mais tempo que a retenção. Executado periodicamente quando há TTL ou retenção configurados
      * @async
-     * @param {string} query - Termo de busca
-     * @param {Array<string>} [fields=[]] - Campos específicos para buscar
-     * @returns {Promise<Array>} Array de documentos que contêm o termo
+     * @param {Object} [options={}] - Opções da limpeza
+     * @param {number} [options.olderThan] - Idade mínima (ms) na lixeira; padrão é a retenção da coleção
+     *   (sem retenção, a lixeira só é esvaziada quando informado)
+     * @returns {Promise<Object>} Quantidade de documentos descartados ({ expired, deleted })
      */
-    async search(query, fields = []) {
+    async purge(options = {}) {
         try {
-            const documents = await this.readAll();
-            const searchTerm = query.toLowerCase();
-
-            return documents.filter(doc => {
-                // Se campos específicos foram fornecidos, buscar apenas neles
-                if (fields.length > 0) {
-                    return fields.some(field => {
-                        const value = this.getNestedValue(doc, field);
-                        return value && value.toString().toLowerCase().includes(searchTerm);
-                    });
-                }
+            const now = Date.now();
+            const olderThan = options.olderThan !== undefined ? options.olderThan : this.trashRetention;
+            const counts = { expired: 0, deleted: 0 };
 
-                // Buscar em todos os campos de string do documento
-                return this.searchInObject(doc, searchTerm);
-            });
+            if (this.ttl) {
+                counts.expired = await this.removeDocuments(
+                    doc => this.isExpired(doc, now),
+                    { hard: true, scope: 'any' }
+                );
+            }
+            if (this.softDelete && olderThan !== undefined) {
+                counts.deleted = await this.removeDocuments(
+                    doc => now - new Date(doc.deletedAt).getTime() >= olderThan,
+                    { hard: true, scope: 'deleted' }
+                );
+            }
+
+            if (counts.expired > 0 || counts.deleted > 0) {
+                console.log(`Limpeza ${this.collectionName}: ${counts.expired} expirado(s), ${counts.deleted} da lixeira`);
+            }
+            return counts;
         } catch (error) {
-            console.error('Erro na busca:', error);
+            console.error('Erro ao limpar coleção:', error);
             throw error;
         }
     }
 
     /**
-     * MÉTODOS AUXILIARES PRIVADOS
+     * Abre um fluxo de alterações (insert, update, delete) da coleção
+     * Recebe as escritas feitas por qualquer instância deste processo e, nos modos 'file' e 'ndjson',
+     * também alterações feitas no arquivo da coleção por outros processos ou editores
+     * @param {Object} [filter={}] - Critérios aplicados ao documento antes ou depois da alteração
+     * @returns {ChangeStream} Fluxo de eventos ({ type, id, before, after, source, timestamp });
+     *   use como EventEmitter ou com `for await`, e chame close() ao terminar
      */
+    watch(filter = {}) {
+        const key = this.collectionKey();
+        if (!collectionWatchers.has(key)) {
+            collectionWatchers.set(key, new CollectionWatcher(this, () => collectionWatchers.delete(key)));
+        }
+
+        const watcher = collectionWatchers.get(key);
+        const stream = new ChangeStream(filter, () => watcher.unsubscribe(stream));
+        watcher.subscribe(stream);
+        return stream;
+    }
 
     /**
-     * Lê todos os documentos do arquivo
+     * Lista as revisões guardadas de um documento, da mais recente para a mais antiga
+     * Inclui revisões de documentos já removidos (a remoção é registrada com document null)
      * @async
-     * @private
-     * @returns {Promise<Array>} Array de documentos
+     * @param {string} id - ID do documento
+     * @returns {Promise<Array<Object>>} Revisões ({ version, op, changedAt, changedBy, document })
+     * @throws {Error} Se a coleção não tiver histórico habilitado
      */
-    async readAll() {
+    async listRevisions(id) {
         try {
-            return await fs.readJson(this.filePath);
+            this.assertHistory();
+            const records = await this.historyDb.find({ documentId: id }, { sort: { version: -1 } });
+            return records.map(record => this.toRevision(record));
         } catch (error) {
-            return [];
+            console.error('Erro ao listar revisões:', error);
+            throw error;
         }
     }
 
     /**
-     * Escreve todos os documentos no arquivo
+     * Busca uma revisão específica de um documento
      * @async
-     * @private
-     * @param {Array} documents - Array de documentos para salvar
-     * @returns {Promise<void>}
+     * @param {string} id - ID do documento
+     * @param {number} version - Versão do documento na revisão
+     * @returns {Promise<Object|null>} A revisão ou null se não estiver no histórico
+     * @throws {Error} Se a coleção não tiver histórico habilitado
      */
-    async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+    async getRevision(id, version) {
+        try {
+            this.assertHistory();
+            const record = await this.historyDb.findOne({ documentId: id, version });
+            return record ? this.toRevision(record) : null;
+        } catch (error) {
+            console.error('Erro ao buscar revisão:', error);
+            throw error;
+        }
     }
 
     /**
-     * Atualiza o índice com informações do documento
+     * Compara duas revisões de um documento campo a campo
+     * Campos de controle (id, createdAt, updatedAt, _version) não entram na comparação
      * @async
-     * @private
-     * @param {Object} document - Documento para indexar
-     * @returns {Promise<void>}
+     * @param {string} id - ID do documento
+     * @param {number} fromVersion - Versão de origem
+     * @param {number} toVersion - Versão de destino
+     * @returns {Promise<Object|null>} { from, to, changes } ou null se alguma revisão não existir
+     * @throws {Error} Se a coleção não tiver histórico habilitado
      */
-    async updateIndex(document) {
+    async diffRevisions(id, fromVersion, toVersion) {
         try {
-            let index = {};
-            if (await fs.pathExists(this.indexPath)) {
-                index = await fs.readJson(this.indexPath);
+            const [from, to] = await Promise.all([
+                this.getRevision(id, fromVersion),
+                this.getRevision(id, toVersion)
+            ]);
+            if (!from || !to) {
+                return null;
             }
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
+
+            return {
+                from,
+                to,
+                changes: diffDocuments(this.omitControlFields(from.document), this.omitControlFields(to.document))
             };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
         } catch (error) {
-            console.error('Erro ao atualizar índice:', error);
+            console.error('Erro ao comparar revisões:', error);
+            throw error;
         }
     }
 
     /**
-     * Remove documento do índice
+     * Restaura um documento ao conteúdo de uma revisão
+     * A restauração é uma nova escrita: o documento recebe uma nova versão e a operação entra no histórico.
+     * Documentos removidos são recriados com o mesmo ID
      * @async
-     * @private
-     * @param {string} id - ID do documento a ser removido do índice
-     * @returns {Promise<void>}
+     * @param {string} id - ID do documento
+     * @param {number} version - Versão a restaurar
+     * @param {Object} [options={}] - Opções da escrita
+     * @param {number|Array<number>} [options.expectedVersion] - Só restaura se `_version` atual for igual
+     * @param {string} [options.actor] - Autor da restauração, registrado no histórico
+     * @returns {Promise<Object|null>} O documento restaurado ou null se a revisão não existir
+     *   (ou registrar a remoção do documento)
+     * @throws {VersionConflictError} Se a versão atual não for a esperada
+     * @throws {Error} Se a coleção não tiver histórico habilitado
      */
-    async removeFromIndex(id) {
+    async restoreRevision(id, version, options = {}) {
         try {
-            if (await fs.pathExists(this.indexPath)) {
-                const index = await fs.readJson(this.indexPath);
-                delete index[id];
-                await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            const revision = await this.getRevision(id, version);
+            if (!revision || !revision.document) {
+                return null;
             }
+
+            const data = this.omitControlFields(revision.document);
+            const restoreOptions = { ...options, restoredFrom: version, scope: 'stored' };
+            const [restored] = await this.modifyDocuments(
+                documents => documents.filter(doc => doc.id === id),
+                current => {
+                    const removed = Object.keys(this.omitControlFields(current)).filter(field => !(field in data));
+                    return {
+                        $set: data,
+                        $unset: Object.fromEntries(removed.map(field => [field, ''])) // Campos criados após a revisão
+                    };
+                },
+                restoreOptions
+            );
+            if (restored) {
+                return restored;
+            }
+
+            // Documento removido: recriar a partir da revisão, continuando a sequência de versões
+            const [latest] = await this.listRevisions(id);
+            return await this.insertDocument({
+                ...revision.document,
+                updatedAt: new Date().toISOString(),
+                _version: latest.version + 1
+            }, restoreOptions);
         } catch (error) {
-            console.error('Erro ao remover do índice:', error);
+            console.error('Erro ao restaurar revisão:', error);
+            throw error;
         }
     }
 
     /**
-     * Verifica se um documento atende aos critérios de filtro
-     * @private
-     * @param {Object} document - Documento a ser verificado
-     * @param {Object} filter - Critérios de filtro
-     * @returns {boolean} true se o documento atende aos critérios
+     * Executa uma função em uma transação que pode envolver várias coleções do mesmo diretório
+     * de dados. As leituras e escritas feitas por `tx.collection(nome)` ficam em uma cópia de
+     * trabalho e só são gravadas quando a função termina: todas as coleções são atualizadas, ou
+     * nenhuma, se a função lançar um erro. Se outra escrita alterar um documento lido ou
+     * alterado pela transação, a função é executada novamente
+     * @async
+     * @param {Function} fn - Função assíncrona (tx) => resultado
+     * @param {Object} [options={}] - Opções da transação
+     * @param {number} [options.retries=3] - Novas tentativas em caso de TransactionConflictError
+     * @returns {Promise<*>} Valor retornado pela função
+     * @throws {TransactionConflictError} Se o conflito persistir após as novas tentativas
      */
-    matchesFilter(document, filter) {
-        return Object.entries(filter).every(([key, value]) => {
-            const docValue = this.getNestedValue(document, key);
-
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
-                }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
-                }
-                if (value.$gt) {
-                    return docValue > value.$gt;
-                }
-                if (value.$lt) {
-                    return docValue < value.$lt;
-                }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
-                }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
+    async transaction(fn, options = {}) {
+        const retries = options.retries !== undefined ? options.retries : 3;
+        const resolve = name => openDatabases.get(path.resolve(this.dbPath, `${name}.json`));
+
+        for (let attempt = 0; ; attempt++) {
+            const tx = new Transaction(this, resolve);
+            try {
+                const result = await fn(tx);
+                await tx.commit(this.transactionLog());
+                return result;
+            } catch (error) {
+                tx.abort();
+                if (error instanceof TransactionConflictError && attempt < retries) {
+                    continue;
                 }
+                console.error('Erro na transação:', error);
+                throw error;
             }
+        }
+    }
 
-            return docValue === value;
-        });
+    /**
+     * Estatísticas do cache de leitura da coleção (compartilhadas pelas instâncias do processo)
+     * @returns {Object|null} { hits, misses, hitRate, externalChanges, writes, documents }, ou null se
+     *   o armazenamento não usa cache (journal e memory já mantêm os documentos em memória)
+     */
+    cacheStats() {
+        return this.adapter.cacheStats();
     }
 
     /**
-     * Obtém valor de propriedade aninhada usando notação de ponto
-     * @private
-     * @param {Object} obj - Objeto fonte
-     * @param {string} path - Caminho da propriedade (ex: "user.name")
-     * @returns {*} Valor da propriedade ou undefined
+     * Perfil das operações da coleção (compartilhado pelas instâncias do processo): tempo por operação
+     * e por formato de filtro (valores substituídos por '?'), documentos examinados e retornados,
+     * uso de índices e as consultas lentas mais recentes
+     * @param {Object} [options={}] - Opções (top: formatos de filtro listados, padrão 20)
+     * @returns {Object|null} Estatísticas (ver QueryProfiler.getStats) ou null se o perfil estiver desativado
      */
-    getNestedValue(obj, path) {
-        return path.split('.').reduce((current, key) => {
-            return current && current[key] !== undefined ? current[key] : undefined;
-        }, obj);
+    queryStats(options = {}) {
+        return this.profiler ? this.profiler.getStats(options) : null;
     }
 
     /**
-     * Ordena documentos baseado nas opções de ordenação
+     * Cifra novamente, com a chave ativa, os valores cifrados com chaves anteriores ou ainda em
+     * texto puro (rotação de chave). Para trocar a chave, acrescente a nova ao final de `keys`
+     * mantendo as antigas, execute a rotação e só então remova as antigas da configuração.
+     * A regravação não altera versões nem datas dos documentos; o índice cego não muda
+     * @async
+     * @returns {Promise<Object>} { collection, keyId, total, reencrypted } e, com histórico, o mesmo
+     *   resultado para as revisões em `history`
+     * @throws {Error} Se a coleção não tiver criptografia configurada
+     */
+    async rotateEncryptionKey() {
+        try {
+            this.assertEncryption();
+            await this.ready;
+
+            const result = await this.runExclusive(async () => {
+                const { total, count, meta } = await this.adapter.rotate();
+                const index = collectionIndexes.get(this.collectionKey());
+                if (meta && index.fields.length > 0) {
+                    await this.writeIndex(index, meta);
+                }
+                return { collection: this.collectionName, keyId: this.cipher.keyId, total, reencrypted: count };
+            });
+            if (this.historyDb) {
+                result.history = await this.historyDb.rotateEncryptionKey();
+            }
+            return result;
+        } catch (error) {
+            console.error('Erro ao rotacionar chave de criptografia:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Informa a criptografia da coleção e quantos valores gravados usam cada chave
+     * @async
+     * @returns {Promise<Object>} { collection, keyId, fields, blindIndex, keys: { id: quantidade }, plaintext }
+     * @throws {Error} Se a coleção não tiver criptografia configurada
+     */
+    async encryptionStatus() {
+        try {
+            this.assertEncryption();
+            await this.ready;
+
+            const usage = await this.runExclusive(() => this.adapter.keyUsage());
+            return {
+                collection: this.collectionName,
+                keyId: this.cipher.keyId,
+                fields: this.encryptedFields,
+                blindIndex: this.blindIndexFields,
+                ...usage
+            };
+        } catch (error) {
+            console.error('Erro ao consultar criptografia:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Compacta o armazenamento (no modo journal, grava o estado atual como snapshot)
+     * Sem efeito em adaptadores que não acumulam operações ou com o journal vazio
+     * @async
+     * @returns {Promise<boolean>} true se houve compactação
+     */
+    async compact() {
+        if (!this.adapter.compactable) {
+            return false;
+        }
+
+        return this.runExclusive(() => this.adapter.compact());
+    }
+
+    /**
+     * Recarrega a coleção (e seu histórico) do armazenamento, descartando o estado mantido em
+     * memória pelo processo, como índices e o journal. Usado quando os arquivos são substituídos
+     * com o serviço em execução, por exemplo na restauração de um snapshot
+     * @async
+     * @returns {Promise<void>}
+     */
+    async reload() {
+        try {
+            await this.runExclusive(async () => {
+                collectionIndexes.delete(this.collectionKey());
+                textIndexes.delete(this.collectionKey());
+                await this.adapter.reset();
+                await this.ensureDatabase();
+            });
+            if (this.historyDb) {
+                await this.historyDb.reload();
+            }
+        } catch (error) {
+            console.error('Erro ao recarregar coleção:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Exporta os documentos que atendem ao filtro como um stream de linhas NDJSON ou CSV
+     * Sem colunas informadas, o NDJSON contém os documentos inteiros e o CSV uma coluna para cada
+     * campo de primeiro nível encontrado; objetos e arrays viram JSON nas células do CSV
+     * @async
+     * @param {Object} [filter={}] - Critérios de busca
+     * @param {Object} [options={}] - Opções da exportação
+     * @param {string} [options.format='ndjson'] - Formato: 'ndjson' ou 'csv'
+     * @param {Array<string>} [options.fields] - Campos exportados, com notação de ponto
+     * @param {Object<string, string>} [options.mapping] - Colunas exportadas, como { coluna: campo };
+     *   tem prioridade sobre `fields`
+     * @param {Object} [options.sort] - Critérios de ordenação
+     * @param {string} [options.delimiter=','] - Separador de campos do CSV
+     * @returns {Promise<Readable>} Stream com uma linha por documento (no CSV, precedidas do cabeçalho)
+     * @throws {TransferFormatError} Se o formato não for suportado
+     */
+    async exportDocuments(filter = {}, options = {}) {
+        try {
+            const format = this.transferFormat(options.format);
+            const documents = await this.find(filter, { sort: options.sort });
+            let columns = null;
+
+            if (options.mapping) {
+                columns = Object.entries(options.mapping);
+            } else if (options.fields) {
+                columns = options.fields.map(field => [field, field]);
+            } else if (format === 'csv') {
+                const fields = new Set(documents.flatMap(document => Object.keys(document)));
+                columns = [...fields].map(field => [field, field]);
+            }
+
+            return Readable.from(format === 'csv'
+                ? toCsvLines(documents, columns, options.delimiter)
+                : toNdjsonLines(documents, columns));
+        } catch (error) {
+            console.error('Erro ao exportar documentos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Importa documentos de um conteúdo NDJSON ou CSV
+     * O conteúdo é lido como stream e todas as linhas aceitas são gravadas em uma única escrita.
+     * Linhas inválidas (JSON malformado, schema, unicidade, chave ausente) são rejeitadas
+     * individualmente e descritas no relatório, sem impedir a gravação das demais.
+     * Campos de controle (createdAt, updatedAt, _version, deletedAt) do conteúdo são ignorados;
+     * no CSV, células vazias são omitidas e os valores são convertidos pelos tipos do schema
+     * @async
+     * @param {string|Buffer|AsyncIterable<string|Buffer>} source - Conteúdo ou stream (ex: requisição HTTP)
+     * @param {Object} [options={}] - Opções da importação
+     * @param {string} [options.format='ndjson'] - Formato: 'ndjson' ou 'csv' (com cabeçalho)
+     * @param {Object<string, string>} [options.mapping] - Colunas importadas, como { coluna: campo com
+     *   notação de ponto }; colunas fora do mapeamento são ignoradas
+     * @param {string|Array<string>} [options.upsertBy] - Campo(s) chave: linhas cuja chave já existe
+     *   atualizam o documento em vez de criar outro
+     * @param {Object} [options.defaults={}] - Valores aplicados aos documentos criados
+     * @param {boolean} [options.dryRun=false] - Apenas valida e informa o resultado, sem gravar
+     * @param {string} [options.delimiter=','] - Separador de campos do CSV
+     * @param {string} [options.actor] - Autor das alterações, registrado no histórico
+     * @returns {Promise<Object>} Relatório ({ dryRun, total, created, updated, unchanged, rejected, errors }),
+     *   com { line, message, code, errors } para cada linha rejeitada; linhas iguais ao documento
+     *   existente contam como unchanged e não geram escrita
+     * @throws {TransferFormatError} Se o formato não for suportado, o cabeçalho do CSV for inválido ou
+     *   algum campo passar por __proto__, constructor ou prototype (nada é gravado)
+     */
+    async importDocuments(source, options = {}) {
+        try {
+            const format = this.transferFormat(options.format);
+            const keyFields = options.upsertBy ? [].concat(options.upsertBy) : null;
+            const report = {
+                dryRun: Boolean(options.dryRun),
+                total: 0,
+                created: 0,
+                updated: 0,
+                unchanged: 0,
+                rejected: 0,
+                errors: []
+            };
+            const reject = (line, error) => {
+                report.rejected++;
+                report.errors.push({ line, message: error.message || error, code: error.code, errors: error.errors });
+            };
+
+            const rows = [];
+            for await (const entry of this.readImportRows(source, format, options)) {
+                report.total++;
+                if (entry.error) {
+                    reject(entry.line, entry.error);
+                } else {
+                    rows.push(entry);
+                }
+            }
+
+            await this.runExclusive(async () => {
+                const documents = await this.readAll();
+                const now = Date.now();
+                const ids = new Set(documents.map(doc => doc.id));
+                const keyOf = doc => JSON.stringify(keyFields.map(field => this.getNestedValue(doc, field)));
+                const byKey = keyFields
+                    ? new Map(documents.filter(doc => this.inScope(doc, 'active', now)).map(doc => [keyOf(doc), doc]))
+                    : null;
+                const changes = [];
+
+                for (const { line, fields } of rows) {
+                    try {
+                        const data = applyUpdate({}, { $set: fields });
+                        if (keyFields && keyFields.some(field => this.getNestedValue(data, field) === undefined)) {
+                            throw new Error(`Chave de upsert ausente (${keyFields.join(', ')})`);
+                        }
+
+                        const before = byKey ? byKey.get(keyOf(data)) : undefined;
+                        if (before) {
+                            const updated = this.applyChanges(before, { $set: fields });
+                            if (deepEqual(this.omitControlFields(updated), this.omitControlFields(before))) {
+                                report.unchanged++;
+                                continue;
+                            }
+                            this.checkSchema(updated);
+                            this.checkUnique(documents, updated);
+                            documents[documents.indexOf(before)] = updated;
+                            byKey.set(keyOf(updated), updated);
+                            changes.push({ op: 'update', id: updated.id, doc: updated, before, actor: options.actor });
+                            report.updated++;
+                        } else {
+                            const document = this.buildDocument({ ...options.defaults, ...data });
+                            if (ids.has(document.id)) {
+                                throw new DuplicateKeyError(this.collectionName, ['id'], [document.id]);
+                            }
+                            this.checkSchema(document);
+                            this.checkUnique(documents, document);
+                            documents.push(document);
+                            ids.add(document.id);
+                            if (byKey) {
+                                byKey.set(keyOf(document), document);
+                            }
+                            changes.push({ op: 'create', id: document.id, doc: document, actor: options.actor });
+                            report.created++;
+                        }
+                    } catch (error) {
+                        reject(line, error);
+                    }
+                }
+
+                if (!options.dryRun && changes.length > 0) {
+                    await this.persist(documents, changes);
+                }
+            });
+
+            report.errors.sort((a, b) => a.line - b.line);
+            return report;
+        } catch (error) {
+            console.error('Erro ao importar documentos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Busca textual nos documentos, do mais para o menos relevante
+     * A consulta é comparada sem acentos e com plurais e femininos reduzidos ('acucar' encontra
+     * 'Açúcar', 'feijões pretos' encontra 'Feijão Preto'); cada palavra também encontra termos que
+     * começam com ela. Usa o índice textual da coleção (opção textIndex); sem ele, ou com campos fora
+     * do índice, os documentos são indexados no momento da busca, com o mesmo peso para cada campo
+     * @async
+     * @param {string} query - Texto da consulta
+     * @param {Object|Array<string>} [options={}] - Opções da busca; um array equivale a { fields }
+     * @param {Array<string>} [options.fields] - Campos pesquisados (padrão: os do índice textual ou,
+     *   sem ele, todos os textos do documento)
+     * @param {Object} [options.filter={}] - Critérios que os documentos também devem atender
+     * @param {number} [options.limit] - Quantidade máxima de resultados
+     * @param {boolean} [options.prefix=true] - Palavras da consulta encontram termos que começam com elas
+     * @param {string} [options.operator='and'] - 'and' exige todas as palavras; 'or' aceita qualquer uma
+     * @param {Object} [options.highlight] - Marcadores, tamanho e escape dos trechos destacados
+     *   ({ pre, post, length, escape }; ver textAnalyzer.highlightText)
+     * @returns {Promise<Array<Object>>} Resultados ({ document, score, highlights }), com o trecho
+     *   destacado de cada campo onde a consulta foi encontrada
+     */
+    async search(query, options = {}) {
+        try {
+            const { fields, filter = {}, limit, prefix, operator, highlight } = Array.isArray(options)
+                ? { fields: options }
+                : options;
+            return await this.profile('search', filter, async () => {
+                const { documents, stats } = await this.queryDocuments(filter);
+                const configured = textIndexes.get(this.collectionKey());
+                const indexed = Boolean(configured) && (!fields || fields.every(field => (
+                    Object.prototype.hasOwnProperty.call(configured.weights, field)
+                )));
+                const index = indexed
+                    ? configured
+                    : new TextIndex(fields ? Object.fromEntries(fields.map(field => [field, 1])) : null, resolvePath)
+                        .rebuild(documents);
+
+                const byId = new Map(documents.map(doc => [doc.id, doc]));
+                const hits = index.search(String(query), { fields: indexed ? fields : undefined, prefix, operator })
+                    .filter(hit => byId.has(hit.id));
+
+                const results = hits.slice(0, limit || hits.length).map(hit => ({
+                    document: this.detach(byId.get(hit.id)),
+                    score: hit.score,
+                    highlights: index.highlight(byId.get(hit.id), hit.terms, {
+                        ...highlight,
+                        fields: indexed ? fields : undefined
+                    })
+                }));
+                return { result: results, stats: { ...stats, documentsReturned: results.length } };
+            });
+        } catch (error) {
+            console.error('Erro na busca:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * MÉTODOS AUXILIARES PRIVADOS
+     */
+
+    /**
+     * Executa uma operação de forma exclusiva na fila de escrita da coleção
+     * Operações enfileiradas no mesmo arquivo são executadas uma de cada vez, em ordem de chegada.
+     * Em adaptadores com trava de arquivo (file e ndjson), a operação também mantém a trava da coleção,
+     * excluindo os demais processos
+     * @async
      * @private
-     * @param {Array} documents - Documentos a serem ordenados
-     * @param {Object} sortOptions - Opções de ordenação
-     * @returns {Array} Documentos ordenados
+     * @param {Function} operation - Função assíncrona a ser executada
+     * @returns {Promise<*>} Resultado da operação
+     * @throws {LockTimeoutError} Se outro processo não liberar a trava da coleção a tempo
      */
-    sortDocuments(documents, sortOptions) {
-        return documents.sort((a, b) => {
-            for (const [field, direction] of Object.entries(sortOptions)) {
-                const valueA = this.getNestedValue(a, field);
-                const valueB = this.getNestedValue(b, field);
+    runExclusive(operation) {
+        const key = this.collectionKey();
+        const previous = writeQueues.get(key) || Promise.resolve();
+        const timing = profileTimings.getStore();
+        const queuedAt = process.hrtime.bigint();
+        const run = async () => {
+            if (timing) {
+                timing.queueMs += Number(process.hrtime.bigint() - queuedAt) / 1e6;
+            }
+            return operation();
+        };
+        const { lockPath } = this.adapter;
+        const result = previous.then(() => (lockPath ? withFileLock(lockPath, run) : run()));
+        const tail = result.then(() => {}, () => {});
+
+        writeQueues.set(key, tail);
+        tail.then(() => {
+            // Liberar a fila quando não houver operações pendentes
+            if (writeQueues.get(key) === tail) {
+                writeQueues.delete(key);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Executa uma operação medindo seu tempo e a registra no perfil da coleção
+     * A espera na fila de escrita é registrada à parte (queueMs), fora da duração da operação.
+     * Operações que falham não são registradas
+     * @async
+     * @private
+     * @param {string} operation - Nome da operação
+     * @param {Object|null} filter - Filtro da operação (apenas o formato é registrado)
+     * @param {Function} run - Função assíncrona que retorna { result, stats }, com documentsReturned e,
+     *   nas consultas, as estatísticas de queryDocuments
+     * @returns {Promise<*>} O resultado da operação
+     */
+    async profile(operation, filter, run) {
+        if (!this.profiler) {
+            return (await run()).result;
+        }
+
+        const timing = { queueMs: 0 };
+        const start = process.hrtime.bigint();
+        const { result, stats } = await profileTimings.run(timing, run);
+        const { partitions, ...rest } = stats;
+
+        this.profiler.record({
+            operation,
+            filter,
+            durationMs: Number(process.hrtime.bigint() - start) / 1e6 - timing.queueMs,
+            queueMs: timing.queueMs,
+            ...rest,
+            ...(this.partitionKey && partitions !== undefined && { partitions })
+        });
+        return result;
+    }
+
+    /**
+     * Monta um novo documento com ID, timestamps e versão inicial
+     * @private
+     * @param {Object} data - Dados do documento
+     * @returns {Object} Documento completo
+     */
+    buildDocument(data) {
+        return {
+            id: data.id || uuidv4(),
+            ...data,
+            createdAt: data.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            _version: 1
+        };
+    }
+
+    /**
+     * Insere um documento já completo (ID, timestamps e versão) dentro da fila de escrita
+     * @async
+     * @private
+     * @param {Object} document - Documento a inserir
+     * @param {Object} [options={}] - Metadados da escrita para o histórico (actor, restoredFrom)
+     * @returns {Promise<Object>} O documento inserido
+     * @throws {SchemaValidationError} Se o documento não atender ao schema da coleção
+     * @throws {DuplicateKeyError} Se o ID já existir ou o documento violar uma restrição de unicidade
+     */
+    insertDocument(document, options = {}) {
+        return this.runExclusive(async () => {
+            const documents = await this.readAll();
+
+            if (documents.some(doc => doc.id === document.id)) {
+                throw new DuplicateKeyError(this.collectionName, ['id'], [document.id]);
+            }
+            this.checkSchema(document);
+            this.checkUnique(documents, document);
+            documents.push(document);
+            await this.persist(documents, [{
+                op: 'create',
+                id: document.id,
+                doc: document,
+                actor: options.actor,
+                restoredFrom: options.restoredFrom
+            }]);
+
+            return document;
+        });
+    }
+
+    /**
+     * Aplica uma atualização aos documentos selecionados dentro da fila de escrita
+     * @async
+     * @private
+     * @param {Function} select - Função (documentos) => documentos a atualizar
+     * @param {Object|Function} updates - Dados/operadores ou função (documento) => dados
+     * @param {Object} options - Opções da atualização (arrayFilters, expectedVersion, actor, restoredFrom)
+     * @param {string} [options.scope='active'] - Documentos elegíveis (ver inScope)
+     * @param {boolean} [options.skipSchema=false] - Não valida o schema (escritas que só movem para a lixeira)
+     * @returns {Promise<Array>} Documentos atualizados
+     */
+    modifyDocuments(select, updates, options) {
+        return this.runExclusive(async () => {
+            const documents = await this.readAll();
+            const now = Date.now();
+            const targets = select(documents.filter(doc => this.inScope(doc, options.scope, now)));
+            const changes = [];
+
+            targets.forEach(target => this.checkVersion(target, options.expectedVersion));
 
-                let comparison = 0;
-                if (valueA < valueB) comparison = -1;
-                if (valueA > valueB) comparison = 1;
+            for (const before of targets) {
+                const changesForDoc = typeof updates === 'function'
+                    ? await updates(JSON.parse(JSON.stringify(before)))
+                    : updates;
+                const updated = this.applyChanges(before, changesForDoc, options);
 
-                if (comparison !== 0) {
-                    return direction === -1 ? -comparison : comparison;
+                if (!options.skipSchema) {
+                    this.checkSchema(updated);
                 }
+                this.checkUnique(documents, updated);
+                documents[documents.indexOf(before)] = updated;
+                changes.push({
+                    op: 'update',
+                    id: updated.id,
+                    doc: updated,
+                    before,
+                    actor: options.actor,
+                    restoredFrom: options.restoredFrom
+                });
+            }
+
+            if (changes.length > 0) {
+                await this.persist(documents, changes);
             }
-            return 0;
+            return changes.map(change => change.doc);
         });
     }
 
     /**
-     * Busca recursivamente por termo em objeto
+     * Aplica alterações (merge simples ou operadores) preservando campos de controle
      * @private
-     * @param {Object} obj - Objeto para buscar
-     * @param {string} searchTerm - Termo de busca
-     * @returns {boolean} true se o termo foi encontrado
+     * @param {Object} document - Documento atual
+     * @param {Object} changes - Campos ou operadores de atualização
+     * @param {Object} [options={}] - Opções da atualização (arrayFilters)
+     * @returns {Object} Novo documento
      */
-    searchInObject(obj, searchTerm) {
-        for (const value of Object.values(obj)) {
-            if (typeof value === 'string' && value.toLowerCase().includes(searchTerm)) {
-                return true;
+    applyChanges(document, changes, options = {}) {
+        const merged = isOperatorUpdate(changes)
+            ? applyUpdate(document, changes, options.arrayFilters)
+            : { ...document, ...changes };
+
+        return {
+            ...merged,
+            id: document.id, // Preservar ID
+            createdAt: document.createdAt, // Preservar data de criação
+            updatedAt: new Date().toISOString(),
+            _version: (document._version || 0) + 1 // Documentos anteriores ao versionamento partem da versão 0
+        };
+    }
+
+    /**
+     * Verifica a versão esperada em uma escrita condicional
+     * @private
+     * @param {Object} document - Documento atual
+     * @param {number|Array<number>} [expectedVersion] - Versão(ões) aceita(s); undefined desativa a verificação
+     * @throws {VersionConflictError} Se a versão atual não for uma das esperadas
+     */
+    checkVersion(document, expectedVersion) {
+        if (expectedVersion === undefined) {
+            return;
+        }
+        const currentVersion = document._version || 0;
+        if (![].concat(expectedVersion).includes(currentVersion)) {
+            throw new VersionConflictError(this.collectionName, document.id, expectedVersion, currentVersion);
+        }
+    }
+
+    /**
+     * Remove os documentos selecionados dentro da fila de escrita
+     * Com soft delete habilitado (e sem `hard`), os documentos apenas recebem `deletedAt`
+     * @async
+     * @private
+     * @param {Function} predicate - Função (documento) => boolean
+     * @param {Object} [options={}] - Opções da remoção (expectedVersion, actor, hard)
+     * @param {string} [options.scope] - Documentos elegíveis (ver inScope); padrão 'active', ou
+     *   'stored' na remoção definitiva, para alcançar também a lixeira
+     * @returns {Promise<number>} Número de documentos removidos
+     */
+    removeDocuments(predicate, options = {}) {
+        if (this.softDelete && !options.hard) {
+            return this.modifyDocuments(
+                documents => documents.filter(predicate),
+                { $set: { deletedAt: new Date().toISOString() } },
+                { ...options, skipSchema: true }
+            ).then(trashed => trashed.length);
+        }
+
+        return this.runExclusive(async () => {
+            const documents = await this.readAll();
+            const now = Date.now();
+            const scope = options.scope || (options.hard ? 'stored' : 'active');
+            const selected = new Set(documents.filter(doc => this.inScope(doc, scope, now) && predicate(doc)));
+
+            if (selected.size === 0) {
+                return 0;
             }
-            if (typeof value === 'object' && value !== null && this.searchInObject(value, searchTerm)) {
+
+            const remaining = documents.filter(doc => !selected.has(doc));
+            const targets = [...selected];
+            targets.forEach(target => this.checkVersion(target, options.expectedVersion));
+
+            const changes = targets.map(doc => ({ op: 'delete', id: doc.id, before: doc, actor: options.actor }));
+            await this.persist(remaining, changes);
+            return changes.length;
+        });
+    }
+
+    /**
+     * Lê todos os documentos da coleção
+     * Aguarda a inicialização/recuperação da coleção antes da primeira leitura.
+     * Em adaptadores que mantêm o estado em memória (journal, memory ou com cache), retorna uma cópia
+     * @async
+     * @private
+     * @returns {Promise<Array>} Array de documentos
+     * @throws {Error} Se o arquivo da coleção não puder ser interpretado
+     */
+    async readAll() {
+        await this.ready;
+
+        const documents = await this.adapter.load();
+        return this.adapter.shared ? JSON.parse(JSON.stringify(documents)) : documents;
+    }
+
+    /**
+     * Carrega os documentos sem cópia defensiva
+     * Em adaptadores que mantêm o estado em memória, retorna o próprio estado, que não deve ser modificado
+     * @async
+     * @private
+     * @param {Array<string>|null} [partitions=null] - Em coleções particionadas, partições a carregar
+     * @returns {Promise<Array>} Array de documentos
+     */
+    async loadDocuments(partitions = null) {
+        return this.adapter.load(partitions);
+    }
+
+    /**
+     * Persiste o resultado de operações de escrita
+     * Atualiza os índices secundários em memória (ou os reconstrói, se outro processo alterou a coleção)
+     * e grava as operações pelo adaptador de armazenamento;
+     * no modo 'file' também regrava o arquivo de índice, e no modo 'journal' agenda a compactação
+     * quando o limite de operações é atingido.
+     * Com histórico habilitado, as revisões são gravadas antes de liberar a fila de escrita
+     * @async
+     * @private
+     * @param {Array} documents - Estado completo da coleção após as operações
+     * @param {Array<Object>} changes - Operações realizadas ({ op, id, doc, before, actor })
+     * @returns {Promise<void>}
+     */
+    async persist(documents, changes) {
+        const index = collectionIndexes.get(this.collectionKey());
+        if (!await this.syncIndexes(documents)) {
+            this.applyToIndexes(changes);
+        }
+
+        const meta = await this.adapter.write(documents, changes);
+        indexSignatures.set(this.collectionKey(), await this.adapter.signature());
+        if (meta && index.fields.length > 0) {
+            await this.writeIndex(index, meta);
+        }
+        this.publishChanges(changes);
+        await this.recordHistory(changes);
+
+        if (this.adapter.needsCompaction()) {
+            this.compact().catch(error => console.error('Erro na compactação do journal:', error));
+        }
+    }
+
+    /**
+     * Notifica os change streams abertos sobre escritas já gravadas
+     * @private
+     * @param {Array<Object>} changes - Operações ({ op, id, doc, before })
+     */
+    publishChanges(changes) {
+        const watcher = collectionWatchers.get(this.collectionKey());
+        if (watcher) {
+            watcher.publish(changes, 'local');
+        }
+    }
+
+    /**
+     * Grava no histórico as revisões produzidas por escritas já persistidas
+     * Documentos sem revisões anteriores (ex: criados antes de o histórico ser habilitado) ganham
+     * uma revisão 'baseline' com o estado anterior à escrita. Mantém apenas as `historyLimit`
+     * revisões mais recentes de cada documento. Falhas são registradas sem desfazer a escrita
+     * @async
+     * @private
+     * @param {Array<Object>} changes - Operações realizadas ({ op, id, doc, before, actor })
+     * @returns {Promise<void>}
+     */
+    async recordHistory(changes) {
+        if (!this.historyDb) {
+            return;
+        }
+
+        try {
+            const changedAt = new Date().toISOString();
+            const existing = await this.historyDb.find({ documentId: { $in: changes.map(change => change.id) } });
+            const versionsById = new Map();
+            existing.forEach(record => versionsById.set(record.documentId, [
+                ...(versionsById.get(record.documentId) || []),
+                record.version
+            ]));
+
+            for (const change of changes) {
+                // Compartilhado entre alterações do mesmo documento na mesma escrita (ex: importação)
+                if (!versionsById.has(change.id)) {
+                    versionsById.set(change.id, []);
+                }
+                const versions = versionsById.get(change.id);
+                const revisions = [];
+
+                if (change.before && !versions.includes(change.before._version || 0)) {
+                    revisions.push({
+                        version: change.before._version || 0,
+                        op: 'baseline',
+                        changedAt: change.before.updatedAt || null,
+                        changedBy: null,
+                        document: change.before
+                    });
+                }
+                revisions.push({
+                    version: change.op === 'delete' ? (change.before._version || 0) + 1 : change.doc._version,
+                    op: change.restoredFrom !== undefined ? 'restore' : change.op,
+                    changedAt,
+                    changedBy: change.actor || null,
+                    ...(change.restoredFrom !== undefined && { restoredFrom: change.restoredFrom }),
+                    document: change.op === 'delete' ? null : change.doc
+                });
+
+                for (const revision of revisions) {
+                    await this.historyDb.create({ documentId: change.id, ...revision });
+                    versions.push(revision.version);
+                }
+
+                if (versions.length > this.historyLimit) {
+                    const cutoff = versions.sort((a, b) => b - a)[this.historyLimit - 1];
+                    await this.historyDb.deleteMany({ documentId: change.id, version: { $lt: cutoff } });
+                }
+            }
+        } catch (error) {
+            console.error('Erro ao gravar histórico:', error);
+        }
+    }
+
+    /**
+     * Verifica se a coleção mantém histórico de revisões
+     * @private
+     * @throws {Error} Se o histórico não estiver habilitado
+     */
+    assertHistory() {
+        if (!this.historyDb) {
+            throw new Error(`Histórico não habilitado para a coleção ${this.collectionName}`);
+        }
+    }
+
+    /**
+     * Verifica se a coleção tem criptografia de campos configurada
+     * @private
+     * @throws {Error} Se a criptografia não estiver configurada
+     */
+    assertEncryption() {
+        if (!this.cipher) {
+            throw new Error(`Criptografia não configurada para a coleção ${this.collectionName}`);
+        }
+    }
+
+    /**
+     * Valida os campos criptografados em relação às demais opções da coleção
+     * Campos de controle e a chave de partição não podem ser cifrados, e um índice sobre um campo
+     * cifrado (ou parte dele) gravaria os valores em texto puro no arquivo de índice
+     * @private
+     * @param {Object} options - Opções da coleção
+     * @throws {Error} Se a configuração for inválida
+     */
+    checkEncryptionOptions(options) {
+        if (!this.cipher) {
+            return;
+        }
+
+        const overlaps = (field, encrypted) => field === encrypted
+            || field.startsWith(`${encrypted}.`)
+            || encrypted.startsWith(`${field}.`);
+        const encryptedOf = field => this.encryptedFields.find(encrypted => overlaps(field, encrypted));
+
+        if (this.encryptedFields.length === 0) {
+            throw new Error(`Criptografia da coleção ${this.collectionName} sem campos (encryption.fields)`);
+        }
+        [...UNENCRYPTABLE_FIELDS, options.partitionBy].filter(Boolean).forEach(field => {
+            if (encryptedOf(field)) {
+                throw new Error(`Campo ${field} da coleção ${this.collectionName} não pode ser criptografado`);
+            }
+        });
+        this.blindIndexFields.forEach(field => {
+            if (!this.encryptedFields.includes(field)) {
+                throw new Error(`Índice cego em ${field}, que não está entre os campos criptografados de ${this.collectionName}`);
+            }
+        });
+        (options.indexes || []).forEach(field => {
+            if (encryptedOf(field) && !this.blindIndexFields.includes(field)) {
+                throw new Error(`Campo criptografado ${field} de ${this.collectionName} só pode ser indexado com índice cego (encryption.blindIndex)`);
+            }
+        });
+    }
+
+    /**
+     * Opções dos índices secundários: campos com índice cego são indexados pelo HMAC do valor
+     * @private
+     * @returns {Object} Opções do SecondaryIndex ({ transforms, signature })
+     */
+    indexOptions() {
+        if (!this.cipher) {
+            return {};
+        }
+
+        return {
+            transforms: Object.fromEntries(this.blindIndexFields.map(field => [
+                field,
+                key => this.cipher.blindIndex(field, key)
+            ])),
+            signature: this.cipher.blindIndexSignature()
+        };
+    }
+
+    /**
+     * Verifica se a coleção usa soft delete
+     * @private
+     * @throws {Error} Se o soft delete não estiver habilitado
+     */
+    assertSoftDelete() {
+        if (!this.softDelete) {
+            throw new Error(`Soft delete não habilitado para a coleção ${this.collectionName}`);
+        }
+    }
+
+    /**
+     * Verifica se um documento pertence ao escopo de uma consulta ou escrita
+     * Escopos: 'active' (visível nas consultas normais), 'deleted' (na lixeira), 'stored'
+     * (ativo ou na lixeira) e 'any' (inclui expirados ainda não descartados)
+     * @private
+     * @param {Object} document - Documento
+     * @param {string} [scope='active'] - Escopo
+     * @param {number} [now=Date.now()] - Instante de referência para a expiração
+     * @returns {boolean} true se o documento pertence ao escopo
+     */
+    inScope(document, scope = 'active', now = Date.now()) {
+        if (scope === 'any') {
+            return true;
+        }
+        if (this.isExpired(document, now)) {
+            return false;
+        }
+
+        const deleted = this.softDelete && Boolean(document.deletedAt);
+        switch (scope) {
+            case 'deleted':
+                return deleted;
+            case 'stored':
                 return true;
+            default:
+                return !deleted;
+        }
+    }
+
+    /**
+     * Verifica se um documento expirou pelo índice TTL da coleção
+     * @private
+     * @param {Object} document - Documento
+     * @param {number} [now=Date.now()] - Instante de referência
+     * @returns {boolean} true se a data do campo TTL somada a expireAfter já passou
+     */
+    isExpired(document, now = Date.now()) {
+        if (!this.ttl) {
+            return false;
+        }
+
+        const value = this.getNestedValue(document, this.ttl.field);
+        const time = value === undefined || value === null ? NaN : new Date(value).getTime();
+        return !isNaN(time) && time + this.ttl.expireAfter <= now;
+    }
+
+    /**
+     * Converte um registro da coleção de histórico em revisão
+     * @private
+     * @param {Object} record - Registro do histórico
+     * @returns {Object} Revisão ({ version, op, changedAt, changedBy, restoredFrom, document })
+     */
+    toRevision(record) {
+        const { documentId, version, op, changedAt, changedBy, restoredFrom, document } = record;
+        return { documentId, version, op, changedAt, changedBy, restoredFrom, document };
+    }
+
+    /**
+     * Valida o formato de uma importação ou exportação
+     * @private
+     * @param {string} [format='ndjson'] - Formato informado
+     * @returns {string} Formato
+     * @throws {TransferFormatError} Se o formato não for suportado
+     */
+    transferFormat(format = 'ndjson') {
+        if (!TRANSFER_FORMATS.includes(format)) {
+            throw new TransferFormatError(this.collectionName, `formato desconhecido ${format} (use ${TRANSFER_FORMATS.join(' ou ')})`);
+        }
+        return format;
+    }
+
+    /**
+     * Lê as linhas de uma importação e as converte em campos a gravar, com notação de ponto
+     * @async
+     * @private
+     * @param {string|Buffer|AsyncIterable<string|Buffer>} source - Conteúdo ou stream
+     * @param {string} format - 'ndjson' ou 'csv'
+     * @param {Object} options - Opções da importação (mapping, delimiter)
+     * @returns {AsyncGenerator<Object>} Linhas ({ line, fields }) ou falhas ({ line, error })
+     * @throws {TransferFormatError} Se o cabeçalho do CSV tiver colunas repetidas ou não tiver as colunas
+     *   do mapeamento, ou se algum campo passar por __proto__, constructor ou prototype
+     */
+    async* readImportRows(source, format, options) {
+        const mapping = options.mapping ? Object.entries(options.mapping) : null;
+        // Campos como "__proto__.x" alterariam os protótipos do processo ao montar o documento:
+        // o conteúdo inteiro é recusado, como um cabeçalho inválido
+        const checkFields = fields => {
+            const forbidden = fields.find(hasForbiddenSegment);
+            if (forbidden !== undefined) {
+                throw new TransferFormatError(this.collectionName, `campo não permitido: ${forbidden}`);
             }
+        };
+        if (mapping) {
+            checkFields(mapping.map(([, field]) => field));
         }
-        return false;
+        const toFields = (record, coerce) => {
+            const entries = mapping
+                ? mapping.filter(([column]) => Object.prototype.hasOwnProperty.call(record, column))
+                    .map(([column, field]) => [field, record[column]])
+                : Object.entries(record);
+            checkFields(entries.map(([field]) => field));
+            return Object.fromEntries(entries
+                .filter(([field]) => !IMPORT_CONTROL_FIELDS.includes(field))
+                .map(([field, value]) => [field, coerce ? coerceCsvValue(value, schemaProperty(this.schema, field)) : value])
+                .filter(([, value]) => value !== undefined));
+        };
+        const row = (line, fields) => (Object.keys(fields).length > 0
+            ? { line, fields }
+            : { line, error: 'Linha sem campos a importar' });
+
+        if (format === 'ndjson') {
+            for await (const entry of parseNdjsonRecords(source)) {
+                yield entry.error ? entry : row(entry.line, toFields(entry.record, false));
+            }
+            return;
+        }
+
+        let header = null;
+        for await (const entry of parseCsvRecords(source, options.delimiter)) {
+            if (entry.error) {
+                yield entry;
+            } else if (!header) {
+                header = entry.fields.map(column => column.trim());
+                const repeated = header.find((column, position) => header.indexOf(column) !== position);
+                if (repeated !== undefined) {
+                    throw new TransferFormatError(this.collectionName, `coluna repetida no cabeçalho do CSV: ${repeated}`);
+                }
+                const missing = (mapping || []).filter(([column]) => !header.includes(column));
+                if (missing.length > 0) {
+                    throw new TransferFormatError(
+                        this.collectionName,
+                        `colunas do mapeamento ausentes no CSV: ${missing.map(([column]) => column).join(', ')}`
+                    );
+                }
+            } else if (entry.fields.length > header.length) {
+                yield { line: entry.line, error: `Linha com ${entry.fields.length} colunas; o cabeçalho tem ${header.length}` };
+            } else {
+                const record = Object.fromEntries(header.map((column, position) => [column, entry.fields[position] ?? '']));
+                yield row(entry.line, toFields(record, true));
+            }
+        }
+    }
+
+    /**
+     * Copia um documento sem os campos de controle
+     * @private
+     * @param {Object} document - Documento
+     * @returns {Object} Campos de dados do documento
+     */
+    omitControlFields(document) {
+        return Object.fromEntries(
+            Object.entries(document || {}).filter(([field]) => !REVISION_CONTROL_FIELDS.includes(field))
+        );
+    }
+
+    /**
+     * Atualiza os índices em memória com alterações feitas no arquivo por outro processo
+     * @private
+     * @param {Array<Object>} changes - Operações detectadas ({ op, id, doc, before })
+     */
+    applyExternalChanges(changes) {
+        this.applyToIndexes(changes);
+    }
+
+    /**
+     * Reconstrói os índices em memória se o armazenamento foi alterado por outro processo
+     * Compara a assinatura do adaptador com a refletida pelos índices; adaptadores sem assinatura
+     * (estado restrito ao processo) e coleções ainda não abertas são ignorados
+     * @async
+     * @private
+     * @param {Array|null} [documents=null] - Estado a indexar (em persist, o resultado da escrita em
+     *   andamento); se omitido, os documentos são carregados do adaptador
+     * @returns {Promise<boolean>} true se os índices foram reconstruídos
+     */
+    async syncIndexes(documents = null) {
+        const key = this.collectionKey();
+        const index = collectionIndexes.get(key);
+        if (!index || !indexSignatures.has(key)) {
+            return false;
+        }
+
+        // A assinatura é lida antes dos documentos: uma escrita no meio da leitura é detectada na próxima
+        const signature = await this.adapter.signature();
+        if (signature === null || signature === indexSignatures.get(key)) {
+            return false;
+        }
+
+        const current = documents || await this.loadDocuments();
+        const textIndex = textIndexes.get(key);
+        index.rebuild(current);
+        if (textIndex) {
+            textIndex.rebuild(current);
+        }
+        indexSignatures.set(key, signature);
+        return true;
+    }
+
+    /**
+     * Aplica operações de escrita aos índices secundários e ao índice textual em memória
+     * @private
+     * @param {Array<Object>} changes - Operações ({ op, doc, before })
+     */
+    applyToIndexes(changes) {
+        const index = collectionIndexes.get(this.collectionKey());
+        const textIndex = textIndexes.get(this.collectionKey());
+
+        changes.forEach(change => {
+            index.apply(change);
+            if (textIndex) {
+                textIndex.apply(change);
+            }
+        });
+    }
+
+    /**
+     * Chave que identifica a coleção no processo (filas de escrita e estado compartilhado)
+     * @private
+     * @returns {string} Caminho absoluto do arquivo da coleção
+     */
+    collectionKey() {
+        return path.resolve(this.filePath);
+    }
+
+    /**
+     * Registro de intenção das transações do diretório de dados, compartilhado no processo
+     * @private
+     * @returns {TransactionLog} Registro do diretório
+     */
+    transactionLog() {
+        const key = path.resolve(this.dbPath);
+        if (!transactionLogs.has(key)) {
+            transactionLogs.set(key, new TransactionLog(this.dbPath));
+        }
+        return transactionLogs.get(key);
+    }
+
+    /**
+     * Abre os índices secundários da coleção
+     * Com adaptadores que gravam metadados (modo 'file'), reaproveita o arquivo de índice se ele
+     * corresponder ao checksum atual dos dados; caso contrário reconstrói a partir dos documentos
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     */
+    async openIndex() {
+        const key = this.collectionKey();
+        const existing = collectionIndexes.get(key);
+        const fields = [...new Set([...(existing ? existing.fields : []), ...this.indexFields])];
+
+        if (existing && existing.fields.length === fields.length) {
+            return;
+        }
+
+        const index = new SecondaryIndex(fields, resolvePath, this.indexOptions());
+        const meta = this.adapter.persistsIndex ? await this.adapter.readMeta() : null;
+        const stored = meta ? await inspectJsonFile(this.indexPath) : null;
+        const reusable = stored && stored.valid && index.load(stored.data, meta);
+
+        if (!reusable) {
+            index.rebuild(await this.loadDocuments());
+            if (this.adapter.persistsIndex) {
+                await this.writeIndex(index, meta);
+            }
+        }
+
+        collectionIndexes.set(key, index);
+    }
+
+    /**
+     * Abre o índice textual da coleção, construído a partir dos documentos
+     * Instâncias da mesma coleção compartilham o índice; pesos de campos ainda não indexados
+     * ou diferentes dos atuais fazem o índice ser reconstruído com a união dos campos
+     * @async
+     * @private
+     * @returns {Promise<void>}
+     */
+    async openTextIndex() {
+        const key = this.collectionKey();
+        const existing = textIndexes.get(key);
+
+        if (!this.textWeights || (existing && Object.entries(this.textWeights)
+            .every(([field, weight]) => existing.weights[field] === weight))) {
+            return;
+        }
+
+        const weights = { ...(existing ? existing.weights : {}), ...this.textWeights };
+        textIndexes.set(key, new TextIndex(weights, resolvePath).rebuild(await this.loadDocuments()));
+    }
+
+    /**
+     * Grava os índices secundários em disco
+     * @async
+     * @private
+     * @param {SecondaryIndex} index - Índices da coleção
+     * @param {Object} meta - Metadados (generation, checksum) dos dados refletidos pelo índice
+     * @returns {Promise<void>}
+     */
+    async writeIndex(index, meta) {
+        try {
+            await writeFileAtomic(this.indexPath, JSON.stringify(index.toJSON(meta), null, 2));
+        } catch (error) {
+            console.error('Erro ao atualizar índice:', error);
+        }
+    }
+
+    /**
+     * Seleciona os documentos que atendem a um filtro
+     * Usa o índice secundário mais seletivo quando o filtro tem igualdade em campo indexado e, em
+     * coleções particionadas, lê apenas as partições que podem conter os documentos
+     * @async
+     * @private
+     * @param {Object} [filter={}] - Critérios de busca
+     * @param {string} [scope='active'] - Documentos elegíveis (ver inScope)
+     * @returns {Promise<Object>} Documentos encontrados (sem cópia) e estatísticas da execução
+     */
+    async queryDocuments(filter = {}, scope = 'active') {
+        await this.ready;
+        await this.syncIndexes();
+
+        const hasFilter = Object.keys(filter).length > 0;
+        const partitions = hasFilter ? this.adapter.partitionsFor(filter) : null;
+        const documents = await this.loadDocuments(partitions);
+        const plan = hasFilter ? collectionIndexes.get(this.collectionKey()).plan(filter) : null;
+        const now = Date.now();
+        const candidates = (plan ? documents.filter(doc => plan.ids.has(doc.id)) : documents)
+            .filter(doc => this.inScope(doc, scope, now));
+
+        return {
+            documents: hasFilter ? candidates.filter(doc => this.matchesFilter(doc, filter)) : candidates,
+            stats: {
+                index: plan ? plan.field : null,
+                partitions,
+                totalDocuments: documents.length,
+                documentsExamined: candidates.length
+            }
+        };
+    }
+
+    /**
+     * Filtra, ordena, pagina e projeta documentos
+     * @async
+     * @private
+     * @param {Object} filter - Critérios de busca
+     * @param {Object} options - Opções de busca (sort, skip, limit, projection, after, before)
+     * @param {boolean} withCursors - Se true, sempre ordena com desempate por ID e gera cursores
+     * @param {string} [scope='active'] - Documentos elegíveis (ver inScope)
+     * @returns {Promise<Object>} Documentos da página, pageInfo e estatísticas da consulta (ver queryDocuments)
+     */
+    async queryPage(filter, options, withCursors, scope = 'active') {
+        const project = compileProjection(options.projection);
+        const paginated = withCursors || Boolean(options.after || options.before);
+        const sort = paginated ? this.cursorSort(options.sort) : options.sort;
+
+        // Aplicar filtro (usando índice secundário quando possível)
+        let { documents, stats } = await this.queryDocuments(filter, scope);
+
+        // Aplicar ordenação
+        const fields = sort ? Object.entries(sort) : [];
+        if (sort) {
+            documents = this.sortDocuments(documents, sort);
+        }
+
+        // Delimitar a janela pelos cursores
+        let start = 0;
+        let end = documents.length;
+        if (paginated) {
+            const keys = documents.map(doc => this.sortKey(doc, fields));
+            if (options.after) {
+                const cursor = this.decodeCursor(options.after, fields);
+                const position = keys.findIndex(key => this.compareSortKeys(key, cursor, fields) > 0);
+                start = position === -1 ? documents.length : position;
+            }
+            if (options.before) {
+                const cursor = this.decodeCursor(options.before, fields);
+                const position = keys.findIndex(key => this.compareSortKeys(key, cursor, fields) >= 0);
+                end = Math.max(start, position === -1 ? documents.length : position);
+            }
+        }
+
+        // Aplicar paginação (com apenas `before`, o limite pega os documentos mais próximos do cursor)
+        start = Math.min(end, start + (options.skip || 0));
+        if (options.limit) {
+            if (options.before && !options.after) {
+                start = Math.max(start, end - options.limit);
+            } else {
+                end = Math.min(end, start + options.limit);
+            }
+        }
+
+        const page = documents.slice(start, end);
+        return {
+            documents: page.map(doc => project(this.detach(doc))),
+            pageInfo: {
+                startCursor: paginated && page.length > 0 ? this.encodeCursor(page[0], fields) : null,
+                endCursor: paginated && page.length > 0 ? this.encodeCursor(page[page.length - 1], fields) : null,
+                hasNextPage: end < documents.length,
+                hasPreviousPage: start > 0
+            },
+            stats
+        };
+    }
+
+    /**
+     * Completa a ordenação com o ID como desempate, para que cada documento tenha posição única
+     * @private
+     * @param {Object} [sort] - Critérios de ordenação informados
+     * @returns {Object} Critérios de ordenação com desempate
+     */
+    cursorSort(sort) {
+        return sort && 'id' in sort ? sort : { ...(sort || {}), id: 1 };
+    }
+
+    /**
+     * Gera o cursor opaco de um documento a partir dos campos de ordenação
+     * @private
+     * @param {Object} document - Documento
+     * @param {Array<Array>} fields - Campos de ordenação ([campo, direção])
+     * @returns {string} Cursor em base64url
+     */
+    encodeCursor(document, fields) {
+        const payload = { sort: fields, key: this.sortKey(document, fields) };
+        return Buffer.from(JSON.stringify(payload)).toString('base64url');
+    }
+
+    /**
+     * Decodifica um cursor e verifica se ele foi gerado para a mesma ordenação
+     * @private
+     * @param {string} cursor - Cursor recebido
+     * @param {Array<Array>} fields - Campos de ordenação da consulta atual
+     * @returns {Array} Chave de ordenação do cursor
+     * @throws {InvalidCursorError} Se o cursor for malformado ou de outra ordenação
+     */
+    decodeCursor(cursor, fields) {
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new InvalidCursorError(this.collectionName, 'formato não reconhecido');
+        }
+
+        if (!payload || !Array.isArray(payload.key) || JSON.stringify(payload.sort) !== JSON.stringify(fields)) {
+            throw new InvalidCursorError(this.collectionName, 'ordenação diferente da consulta');
+        }
+        return payload.key;
+    }
+
+    /**
+     * Obtém os valores de ordenação de um documento
+     * @private
+     * @param {Object} document - Documento
+     * @param {Array<Array>} fields - Campos de ordenação ([campo, direção])
+     * @returns {Array} Valores na ordem dos campos (ausentes viram null)
+     */
+    sortKey(document, fields) {
+        return fields.map(([field]) => {
+            const value = this.getNestedValue(document, field);
+            return value === undefined ? null : value;
+        });
+    }
+
+    /**
+     * Compara duas chaves de ordenação respeitando a direção de cada campo
+     * @private
+     * @param {Array} keyA - Valores do primeiro documento
+     * @param {Array} keyB - Valores do segundo documento
+     * @param {Array<Array>} fields - Campos de ordenação ([campo, direção])
+     * @returns {number} Negativo, zero ou positivo
+     */
+    compareSortKeys(keyA, keyB, fields) {
+        for (let position = 0; position < fields.length; position++) {
+            const comparison = compareForSort(keyA[position], keyB[position]);
+            if (comparison !== 0) {
+                return fields[position][1] === -1 ? -comparison : comparison;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Desvincula um documento do estado interno antes de entregá-lo ao chamador
+     * @private
+     * @param {Object} document - Documento obtido via loadDocuments
+     * @returns {Object} O próprio documento ou uma cópia, se o adaptador mantém o estado em memória
+     */
+    detach(document) {
+        return this.adapter.shared ? JSON.parse(JSON.stringify(document)) : document;
+    }
+
+    /**
+     * Valida um documento a ser gravado contra o JSON Schema da coleção
+     * @private
+     * @param {Object} document - Documento novo ou atualizado
+     * @throws {SchemaValidationError} Se o documento não atender ao schema
+     */
+    checkSchema(document) {
+        if (!this.schema) {
+            return;
+        }
+
+        const data = this.omitControlFields(document);
+        if (this.softDelete) {
+            delete data.deletedAt;
+        }
+
+        const errors = validateSchema(data, this.schema);
+        if (errors.length > 0) {
+            throw new SchemaValidationError(this.collectionName, document.id, errors);
+        }
+    }
+
+    /**
+     * Verifica as restrições de unicidade para um documento a ser gravado
+     * Documentos sem valor em algum campo da restrição não são considerados (restrição esparsa)
+     * @private
+     * @param {Array} documents - Documentos atuais da coleção
+     * @param {Object} document - Documento novo ou atualizado
+     * @throws {DuplicateKeyError} Se outro documento já possuir os mesmos valores
+     */
+    checkUnique(documents, document) {
+        this.uniqueConstraints.forEach(fields => {
+            const values = fields.map(field => this.getNestedValue(document, field));
+            if (values.some(value => value === undefined || value === null)) {
+                return;
+            }
+
+            // Documentos expirados ainda não descartados não bloqueiam novos valores
+            const conflict = documents.some(other => other.id !== document.id
+                && !this.isExpired(other)
+                && fields.every((field, position) => this.getNestedValue(other, field) === values[position]));
+
+            if (conflict) {
+                throw new DuplicateKeyError(this.collectionName, fields, values);
+            }
+        });
+    }
+
+    /**
+     * Verifica se um documento atende aos critérios de filtro
+     * Aceita os operadores de consulta no estilo MongoDB (ver queryMatcher)
+     * @private
+     * @param {Object} document - Documento a ser verificado
+     * @param {Object} filter - Critérios de filtro
+     * @returns {boolean} true se o documento atende aos critérios
+     */
+    matchesFilter(document, filter) {
+        return matchesFilter(document, filter);
+    }
+
+    /**
+     * Obtém valor de propriedade aninhada usando notação de ponto
+     * @private
+     * @param {Object} obj - Objeto fonte
+     * @param {string} path - Caminho da propriedade (ex: "user.name")
+     * @returns {*} Valor da propriedade ou undefined
+     */
+    getNestedValue(obj, path) {
+        return path.split('.').reduce((current, key) => {
+            return current && current[key] !== undefined ? current[key] : undefined;
+        }, obj);
+    }
+
+    /**
+     * Ordena documentos baseado nas opções de ordenação
+     * @private
+     * @param {Array} documents - Documentos a serem ordenados
+     * @param {Object} sortOptions - Opções de ordenação
+     * @returns {Array} Documentos ordenados
+     */
+    sortDocuments(documents, sortOptions) {
+        const fields = Object.entries(sortOptions);
+        return documents.sort((a, b) => this.compareSortKeys(this.sortKey(a, fields), this.sortKey(b, fields), fields));
     }
 }
 
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Adaptador de armazenamento em memória, sem acesso a disco
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Documentos das coleções em memória, por diretório e nome da coleção
+ * Instâncias que apontam para a mesma coleção compartilham os mesmos documentos
+ * @type {Map<string, Array>}
+ */
+const stores = new Map();
+
+/**
+ * Mantém a coleção apenas em memória: nenhum arquivo é lido ou criado e os dados se perdem
+ * quando o processo termina. Indicado para testes e demonstrações
+ * @class MemoryStorageAdapter
+ * @extends StorageAdapter
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * Construtor do MemoryStorageAdapter
+     * @param {string} dbPath - Diretório de dados (apenas identifica a coleção)
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} [options={}] - Opções do adaptador
+     */
+    constructor(dbPath, collectionName, options = {}) {
+        super(dbPath, collectionName, options);
+        this.key = path.resolve(dbPath, collectionName);
+        this.shared = true;
+        this.durable = false;
+    }
+
+    /**
+     * Cria a coleção vazia, se ainda não existir no processo
+     * @async
+     * @returns {Promise<void>}
+     */
+    async open() {
+        if (!stores.has(this.key)) {
+            stores.set(this.key, []);
+        }
+    }
+
+    /**
+     * Retorna os documentos em memória, que não devem ser modificados
+     * @async
+     * @returns {Promise<Array>} Documentos
+     */
+    async load() {
+        return stores.get(this.key);
+    }
+
+    /**
+     * Substitui os documentos em memória pelo novo estado
+     * @async
+     * @param {Array} documents - Estado completo da coleção após as operações
+     * @param {Array<Object>} changes - Operações realizadas ({ op, id, doc })
+     * @returns {Promise<null>} Sem metadados
+     */
+    async write(documents, changes) {
+        // Guardar cópias para que os documentos retornados ao chamador não alterem o estado
+        const changed = new Set(changes.map(change => change.doc));
+        stores.set(this.key, documents.map(doc => changed.has(doc) ? JSON.parse(JSON.stringify(doc)) : doc));
+        return null;
+    }
+}
+
+module.exports = MemoryStorageAdapter;
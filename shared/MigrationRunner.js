@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Execução de migrações versionadas sobre as coleções de um serviço
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+const { withFileLock } = require('./fileLock');
+
+/**
+ * Formato do nome dos arquivos de migração: número sequencial, separador e descrição (ex: 001-add-field.js)
+ * @type {RegExp}
+ */
+const MIGRATION_FILE = /^(\d+)[-_](.+)\.js$/;
+
+/**
+ * Tempo máximo de espera pelas migrações de outra instância do serviço (ms)
+ * @type {number}
+ */
+const LOCK_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Aplica e reverte migrações numeradas de um serviço, registrando as já executadas
+ * na coleção `_migrations` do mesmo diretório de dados.
+ * Cada arquivo exporta { description, up(collections), down(collections, result) }; o valor
+ * retornado por up é guardado no registro e entregue ao down. Migrações sem down são irreversíveis.
+ * up e down mantêm a trava `_migrations-runner.lock` do diretório de dados: instâncias do serviço
+ * iniciadas ao mesmo tempo aplicam as migrações uma única vez (a trava da própria coleção
+ * `_migrations` é tomada a cada escrita e não pode ser usada aqui)
+ * @class MigrationRunner
+ */
+class MigrationRunner {
+    /**
+     * Construtor do MigrationRunner
+     * @param {string} dbPath - Diretório de dados do serviço
+     * @param {string} directory - Diretório com os arquivos de migração
+     * @param {Object<string, JsonDatabase>} collections - Coleções do serviço entregues às migrações
+     * @param {Object} [options={}] - Opções
+     * @param {string} [options.storage='file'] - Modo de armazenamento da coleção `_migrations`
+     */
+    constructor(dbPath, directory, collections, options = {}) {
+        this.directory = directory;
+        this.collections = collections;
+        this.migrationsDb = new JsonDatabase(dbPath, '_migrations', { storage: options.storage });
+        this.lockPath = path.join(dbPath, '_migrations-runner.lock');
+    }
+
+    /**
+     * Lista as migrações disponíveis e se já foram aplicadas
+     * Registros de migrações cujo arquivo não existe mais aparecem com missing: true
+     * @async
+     * @returns {Promise<Array<Object>>} Migrações ({ version, id, description, applied, appliedAt, missing })
+     */
+    async status() {
+        try {
+            const migrations = await this.loadMigrations();
+            const applied = await this.appliedRecords();
+            const known = new Set(migrations.map(migration => migration.id));
+
+            return [
+                ...migrations.map(migration => ({
+                    version: migration.version,
+                    id: migration.id,
+                    description: migration.description,
+                    applied: applied.has(migration.id),
+                    appliedAt: applied.has(migration.id) ? applied.get(migration.id).appliedAt : null,
+                    missing: false
+                })),
+                ...[...applied.values()]
+                    .filter(record => !known.has(record.id))
+                    .map(record => ({
+                        version: record.version,
+                        id: record.id,
+                        description: record.description,
+                        applied: true,
+                        appliedAt: record.appliedAt,
+                        missing: true
+                    }))
+            ].sort((a, b) => a.version - b.version);
+        } catch (error) {
+            console.error('Erro ao consultar migrações:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Aplica as migrações pendentes, em ordem crescente de versão
+     * Interrompe na primeira falha; as migrações anteriores permanecem registradas.
+     * As migrações já aplicadas são lidas depois de obtida a trava, para não repetir as aplicadas
+     * por outra instância enquanto esta esperava
+     * @async
+     * @param {Object} [options={}] - Opções
+     * @param {number} [options.to] - Última versão a aplicar (padrão: todas)
+     * @returns {Promise<Array<string>>} IDs das migrações aplicadas
+     * @throws {LockTimeoutError} Se outra instância não concluir suas migrações a tempo
+     */
+    async up(options = {}) {
+        try {
+            return await withFileLock(this.lockPath, () => this.applyPending(options), { timeout: LOCK_TIMEOUT });
+        } catch (error) {
+            console.error('Erro ao aplicar migrações:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Aplica as migrações pendentes com a trava já obtida (ver up)
+     * @async
+     * @private
+     * @param {Object} options - Opções de up
+     * @returns {Promise<Array<string>>} IDs das migrações aplicadas
+     */
+    async applyPending(options) {
+        const migrations = await this.loadMigrations();
+        const applied = await this.appliedRecords();
+        const pending = migrations.filter(migration => !applied.has(migration.id)
+            && (options.to === undefined || migration.version <= options.to));
+        const executed = [];
+
+        for (const migration of pending) {
+            const startedAt = Date.now();
+            const result = await migration.up(this.collections);
+
+            await this.migrationsDb.create({
+                id: migration.id,
+                version: migration.version,
+                description: migration.description,
+                appliedAt: new Date().toISOString(),
+                durationMs: Date.now() - startedAt,
+                result: result === undefined ? null : result
+            });
+            executed.push(migration.id);
+            console.log(`Migração ${migration.id} aplicada (${Date.now() - startedAt}ms)`);
+        }
+
+        return executed;
+    }
+
+    /**
+     * Reverte migrações aplicadas, da mais recente para a mais antiga
+     * Verifica antes de começar se todas as migrações a reverter possuem down
+     * @async
+     * @param {Object} [options={}] - Opções
+     * @param {number} [options.to] - Reverte as migrações com versão maior que este valor
+     * @param {number} [options.steps=1] - Quantidade de migrações a reverter, quando `to` não é informado
+     * @returns {Promise<Array<string>>} IDs das migrações revertidas
+     * @throws {Error} Se alguma migração a reverter não tiver arquivo ou down
+     * @throws {LockTimeoutError} Se outra instância não concluir suas migrações a tempo
+     */
+    async down(options = {}) {
+        try {
+            return await withFileLock(this.lockPath, () => this.revertApplied(options), { timeout: LOCK_TIMEOUT });
+        } catch (error) {
+            console.error('Erro ao reverter migrações:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reverte migrações aplicadas com a trava já obtida (ver down)
+     * @async
+     * @private
+     * @param {Object} options - Opções de down
+     * @returns {Promise<Array<string>>} IDs das migrações revertidas
+     * @throws {Error} Se alguma migração a reverter não tiver arquivo ou down
+     */
+    async revertApplied(options) {
+        const migrations = new Map((await this.loadMigrations()).map(migration => [migration.id, migration]));
+        const applied = [...(await this.appliedRecords()).values()].sort((a, b) => b.version - a.version);
+        const targets = options.to !== undefined
+            ? applied.filter(record => record.version > options.to)
+            : applied.slice(0, options.steps || 1);
+
+        targets.forEach(record => {
+            const migration = migrations.get(record.id);
+            if (!migration) {
+                throw new Error(`Arquivo da migração ${record.id} não encontrado`);
+            }
+            if (typeof migration.down !== 'function') {
+                throw new Error(`Migração ${record.id} não pode ser revertida`);
+            }
+        });
+
+        const reverted = [];
+        for (const record of targets) {
+            await migrations.get(record.id).down(this.collections, record.result);
+            await this.migrationsDb.delete(record.id);
+            reverted.push(record.id);
+            console.log(`Migração ${record.id} revertida`);
+        }
+
+        return reverted;
+    }
+
+    /**
+     * Relê do disco o registro de migrações aplicadas (ex: após a restauração de um snapshot)
+     * @async
+     * @returns {Promise<void>}
+     */
+    async reload() {
+        await this.migrationsDb.reload();
+    }
+
+    /**
+     * Carrega os arquivos de migração do diretório, ordenados por versão
+     * @async
+     * @private
+     * @returns {Promise<Array<Object>>} Migrações ({ version, id, description, up, down })
+     * @throws {Error} Se houver versões repetidas ou arquivos sem a função up
+     */
+    async loadMigrations() {
+        if (!(await fs.pathExists(this.directory))) {
+            return [];
+        }
+
+        const migrations = (await fs.readdir(this.directory))
+            .map(file => MIGRATION_FILE.exec(file))
+            .filter(Boolean)
+            .map(([file, version, name]) => {
+                const definition = require(path.join(this.directory, file));
+                if (typeof definition.up !== 'function') {
+                    throw new Error(`Migração ${file} não exporta a função up`);
+                }
+
+                return {
+                    version: Number(version),
+                    id: path.basename(file, '.js'),
+                    description: definition.description || name,
+                    up: definition.up,
+                    down: definition.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, position) => {
+            if (position > 0 && migrations[position - 1].version === migration.version) {
+                throw new Error(`Versão de migração repetida: ${migrations[position - 1].id} e ${migration.id}`);
+            }
+        });
+
+        return migrations;
+    }
+
+    /**
+     * Busca os registros das migrações já aplicadas
+     * @async
+     * @private
+     * @returns {Promise<Map<string, Object>>} Registros por ID da migração
+     */
+    async appliedRecords() {
+        const records = await this.migrationsDb.find();
+        return new Map(records.map(record => [record.id, record]));
+    }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Adaptador de armazenamento em NDJSON (um documento por linha)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const DocumentCache = require('./DocumentCache');
+const { writeFileAtomic, findOrphanedTempFiles, readFileSignature } = require('./atomicFile');
+
+/**
+ * Interpreta o conteúdo de um arquivo NDJSON
+ * @private
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Array<Object>} Documentos
+ * @throws {Error} Se alguma linha não for um objeto JSON válido
+ */
+function parseNdjson(content) {
+    return content.split('\n').filter(line => line.trim()).map((line, position) => {
+        const document = JSON.parse(line);
+        if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+            throw new Error(`Linha ${position + 1} não contém um documento`);
+        }
+        return document;
+    });
+}
+
+/**
+ * Lê e valida um arquivo NDJSON sem lançar erros
+ * @private
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Promise<Object>} Resultado ({ exists, valid, content, documents })
+ */
+async function inspectNdjsonFile(filePath) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { exists: false, valid: false };
+        }
+        throw error;
+    }
+
+    try {
+        return { exists: true, valid: true, content, documents: parseNdjson(content) };
+    } catch (error) {
+        return { exists: true, valid: false, content };
+    }
+}
+
+/**
+ * Armazena a coleção em `<colecao>.ndjson`, com um documento por linha
+ * O arquivo é reescrito de forma atômica a cada operação, preservando a versão anterior em
+ * `<colecao>.ndjson.bak`. O formato facilita a leitura linha a linha e o uso com ferramentas de texto.
+ * Com o cache habilitado (padrão), os documentos lidos ficam em memória até o arquivo mudar
+ * @class NdjsonStorageAdapter
+ * @extends StorageAdapter
+ */
+class NdjsonStorageAdapter extends StorageAdapter {
+    /**
+     * Construtor do NdjsonStorageAdapter
+     * @param {string} dbPath - Diretório de dados
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} [options={}] - Opções do adaptador
+     * @param {boolean} [options.cache=true] - Mantém em memória os documentos lidos (ver DocumentCache)
+     */
+    constructor(dbPath, collectionName, options = {}) {
+        super(dbPath, collectionName, options);
+        this.filePath = path.join(dbPath, `${collectionName}.ndjson`);
+        this.backupPath = `${this.filePath}.bak`;
+        this.watchPath = this.filePath;
+        this.lockPath = path.join(dbPath, `${collectionName}.lock`);
+        this.cache = options.cache === false ? null : DocumentCache.for(this.filePath);
+        this.shared = Boolean(this.cache);
+    }
+
+    /**
+     * Cria o diretório e valida o arquivo da coleção, recuperando a última cópia válida
+     * Candidatos, em ordem: arquivo atual, escritas temporárias concluídas de processos encerrados
+     * (a mais recente primeiro) e cópia de segurança
+     * @async
+     * @returns {Promise<void>}
+     * @throws {Error} Se o arquivo estiver corrompido e não houver cópia válida
+     */
+    async open() {
+        await fs.ensureDir(this.dbPath);
+
+        const current = await inspectNdjsonFile(this.filePath);
+        const tempFiles = await findOrphanedTempFiles(this.filePath);
+        if (current.valid) {
+            await Promise.all(tempFiles.map(tempPath => fs.remove(tempPath)));
+            return;
+        }
+
+        const candidates = [
+            ...await Promise.all(tempFiles.map(async tempPath => ({
+                source: 'temporário',
+                file: await inspectNdjsonFile(tempPath)
+            }))),
+            { source: 'backup', file: await inspectNdjsonFile(this.backupPath) }
+        ];
+        const recovered = candidates.find(({ file }) => file.valid);
+
+        if (!recovered) {
+            if (!current.exists) {
+                await writeFileAtomic(this.filePath, '');
+                return;
+            }
+            throw new Error(`Coleção ${this.collectionName} corrompida e sem cópia válida para recuperação`);
+        }
+
+        if (current.exists) {
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            await fs.move(this.filePath, corruptPath);
+            console.error(`Arquivo corrompido preservado em ${corruptPath}`);
+        }
+
+        await writeFileAtomic(this.filePath, recovered.file.content);
+        await Promise.all(tempFiles.map(tempPath => fs.remove(tempPath)));
+        console.warn(`Coleção ${this.collectionName} recuperada a partir do arquivo ${recovered.source} (${recovered.file.documents.length} documentos)`);
+    }
+
+    /**
+     * Lê todos os documentos do arquivo, ou da memória se o arquivo não mudou desde a última leitura
+     * @async
+     * @returns {Promise<Array>} Documentos (com cache, o estado em memória, que não deve ser modificado)
+     */
+    async load() {
+        return this.cache ? this.cache.read(() => this.readDocuments()) : this.readDocuments();
+    }
+
+    /**
+     * Identifica a versão gravada do arquivo da coleção pela sua assinatura no disco
+     * @async
+     * @returns {Promise<string|null>} Assinatura do arquivo (null se ele não existir)
+     */
+    async signature() {
+        return readFileSignature(this.filePath);
+    }
+
+    /**
+     * Lê e interpreta o arquivo da coleção
+     * @async
+     * @private
+     * @returns {Promise<Array>} Documentos
+     */
+    async readDocuments() {
+        try {
+            return parseNdjson(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Reescreve o arquivo com um documento por linha
+     * @async
+     * @param {Array} documents - Estado completo da coleção após as operações
+     * @param {Array<Object>} changes - Operações realizadas ({ op, id, doc })
+     * @returns {Promise<null>} Sem metadados: os índices são reconstruídos ao abrir a coleção
+     */
+    async write(documents, changes) {
+        const content = documents.map(doc => JSON.stringify(doc) + '\n').join('');
+        await writeFileAtomic(this.filePath, content, { backupPath: this.backupPath });
+        if (this.cache) {
+            await this.cache.store(documents, changes);
+        }
+        return null;
+    }
+}
+
+module.exports = NdjsonStorageAdapter;
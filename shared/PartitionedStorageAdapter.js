@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Adaptador de armazenamento que divide a coleção em partições por uma chave (ex: userId)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const { computeChecksum } = require('./atomicFile');
+const { resolvePath } = require('./queryMatcher');
+
+/**
+ * Nome da partição principal, gravada no arquivo da própria coleção
+ * @type {string}
+ */
+const MAIN_PARTITION = '';
+
+/**
+ * Valores da chave usados diretamente no nome do arquivo da partição
+ * Outros valores são representados por um hash (o sublinhado é reservado aos arquivos auxiliares)
+ * @type {RegExp}
+ */
+const SAFE_PARTITION_NAME = /^[A-Za-z0-9-]{1,64}$/;
+
+/**
+ * Tipos de valor da chave que definem uma partição
+ * @type {Set<string>}
+ */
+const PARTITION_TYPES = new Set(['string', 'number', 'boolean']);
+
+/**
+ * Partições abertas, por coleção (diretório e nome)
+ * Instâncias que apontam para a mesma coleção compartilham as partições e seus adaptadores
+ * @type {Map<string, Map<string, Object>>}
+ */
+const registries = new Map();
+
+/**
+ * Divide a coleção em um arquivo por valor da chave de partição: `<colecao>@<valor>.json`
+ * (ou o equivalente do armazenamento escolhido). Cada partição é um adaptador comum (file, journal,
+ * ndjson ou memory), e uma escrita grava apenas as partições dos documentos alterados.
+ * Documentos sem a chave, ou com valor que não seja texto, número ou booleano, ficam na partição
+ * principal (`<colecao>.json`); documentos com a chave encontrados nela, como os de uma coleção
+ * criada antes do particionamento, são movidos para suas partições ao abrir a coleção
+ * @class PartitionedStorageAdapter
+ * @extends StorageAdapter
+ */
+class PartitionedStorageAdapter extends StorageAdapter {
+    /**
+     * Construtor do PartitionedStorageAdapter
+     * @param {string} dbPath - Diretório de dados
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} options - Opções do adaptador
+     * @param {string} options.partitionBy - Campo que define a partição (notação de ponto permitida)
+     * @param {Function} options.create - Função (nome do arquivo da partição) => StorageAdapter de cada partição
+     */
+    constructor(dbPath, collectionName, options) {
+        super(dbPath, collectionName, options);
+        this.partitionKey = options.partitionBy;
+        this.create = options.create;
+        this.key = path.resolve(dbPath, collectionName);
+
+        const main = this.entry(MAIN_PARTITION).adapter;
+        this.shared = main.shared;
+        this.durable = main.durable;
+        this.compactable = main.compactable;
+        this.persistsIndex = false;
+        this.watchPath = null;
+        this.lockPath = main.lockPath;
+    }
+
+    /**
+     * Partições da coleção, compartilhadas entre as instâncias do processo
+     * @type {Map<string, Object>}
+     */
+    get partitions() {
+        if (!registries.has(this.key)) {
+            registries.set(this.key, new Map());
+        }
+        return registries.get(this.key);
+    }
+
+    /**
+     * Nome da partição de um valor da chave
+     * @static
+     * @param {*} value - Valor da chave de partição
+     * @returns {string} Nome da partição (MAIN_PARTITION para valores ausentes ou não escalares)
+     */
+    static partitionName(value) {
+        if (!PARTITION_TYPES.has(typeof value)) {
+            return MAIN_PARTITION;
+        }
+        return typeof value === 'string' && SAFE_PARTITION_NAME.test(value)
+            ? value
+            : `h-${computeChecksum(`${typeof value}:${value}`).slice(0, 24)}`;
+    }
+
+    /**
+     * Nome da partição de um documento
+     * @param {Object} document - Documento
+     * @returns {string} Nome da partição
+     */
+    partitionOf(document) {
+        return PartitionedStorageAdapter.partitionName(resolvePath(document, this.partitionKey));
+    }
+
+    /**
+     * Obtém (ou cria, sem abrir) o registro de uma partição
+     * @private
+     * @param {string} name - Nome da partição
+     * @returns {Object} Registro ({ adapter, ready, opened })
+     */
+    entry(name) {
+        if (!this.partitions.has(name)) {
+            const fileName = name === MAIN_PARTITION ? this.collectionName : `${this.collectionName}@${name}`;
+            this.partitions.set(name, { adapter: this.create(fileName), ready: null, opened: false });
+        }
+        return this.partitions.get(name);
+    }
+
+    /**
+     * Abre uma partição (criando seus arquivos, se necessário) uma única vez no processo
+     * @async
+     * @private
+     * @param {string} name - Nome da partição
+     * @returns {Promise<StorageAdapter>} Adaptador da partição
+     */
+    openPartition(name) {
+        const entry = this.entry(name);
+        if (!entry.ready) {
+            entry.ready = entry.adapter.open().then(() => {
+                entry.opened = true;
+                return entry.adapter;
+            }, error => {
+                entry.ready = null;
+                throw error;
+            });
+        }
+        return entry.ready;
+    }
+
+    /**
+     * Adaptadores das partições já abertas
+     * @private
+     * @returns {Array<StorageAdapter>} Adaptadores
+     */
+    openedAdapters() {
+        return [...this.partitions.values()].filter(entry => entry.opened).map(entry => entry.adapter);
+    }
+
+    /**
+     * Localiza as partições existentes, inclusive as criadas por outros processos
+     * @async
+     * @private
+     * @returns {Promise<Array<string>>} Nomes das partições, começando pela principal
+     */
+    async discover() {
+        if (this.durable) {
+            const prefix = `${this.collectionName}@`;
+            const names = (await fs.readdir(this.dbPath))
+                .filter(file => file.startsWith(prefix) && /\.(json|ndjson)$/.test(file))
+                .map(file => file.slice(prefix.length).replace(/\.(json|ndjson)$/, ''))
+                .filter(name => SAFE_PARTITION_NAME.test(name));
+            await Promise.all(names.map(name => this.openPartition(name)));
+        }
+
+        return [...this.partitions.keys()].sort();
+    }
+
+    /**
+     * Abre a partição principal e as existentes, movendo para suas partições os documentos da
+     * partição principal que têm a chave
+     * @async
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const main = await this.openPartition(MAIN_PARTITION);
+        await this.discover();
+
+        const documents = await main.load();
+        const moving = documents.filter(doc => this.partitionOf(doc) !== MAIN_PARTITION);
+        if (moving.length === 0) {
+            return;
+        }
+
+        const groups = this.groupByPartition(moving);
+        for (const [name, group] of groups) {
+            const adapter = await this.openPartition(name);
+            const existing = await adapter.load();
+            const ids = new Set(existing.map(doc => doc.id));
+            // Após uma interrupção no meio da divisão, a cópia já gravada na partição prevalece
+            const added = group.filter(doc => !ids.has(doc.id));
+            if (added.length > 0) {
+                await adapter.write([...existing, ...added], added.map(doc => ({ op: 'create', id: doc.id, doc })));
+            }
+        }
+
+        await main.write(
+            documents.filter(doc => this.partitionOf(doc) === MAIN_PARTITION),
+            moving.map(doc => ({ op: 'delete', id: doc.id, before: doc }))
+        );
+        console.log(`Coleção ${this.collectionName}: ${moving.length} documento(s) movido(s) para ${groups.size} partição(ões) por ${this.partitionKey}`);
+    }
+
+    /**
+     * Agrupa documentos por partição
+     * @private
+     * @param {Array<Object>} documents - Documentos
+     * @returns {Map<string, Array<Object>>} Documentos por nome da partição
+     */
+    groupByPartition(documents) {
+        const groups = new Map();
+        documents.forEach(doc => {
+            const name = this.partitionOf(doc);
+            groups.set(name, [...(groups.get(name) || []), doc]);
+        });
+        return groups;
+    }
+
+    /**
+     * Partições que podem conter documentos que atendem a um filtro
+     * Apenas igualdade ({ userId: 'x' } ou $eq) e $in na chave de partição restringem as partições
+     * @param {Object} filter - Critérios de busca
+     * @returns {Array<string>|null} Nomes das partições ou null se todas precisam ser consultadas
+     */
+    partitionsFor(filter) {
+        const condition = filter[this.partitionKey];
+        let values = null;
+
+        if (PARTITION_TYPES.has(typeof condition)) {
+            values = [condition];
+        } else if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+            const operators = Object.keys(condition);
+            if (operators.length === 1 && operators[0] === '$eq') {
+                values = [condition.$eq];
+            } else if (operators.length === 1 && operators[0] === '$in' && Array.isArray(condition.$in)) {
+                values = condition.$in;
+            }
+        }
+
+        if (!values || values.some(value => !PARTITION_TYPES.has(typeof value))) {
+            return null;
+        }
+        return [...new Set(values.map(PartitionedStorageAdapter.partitionName))];
+    }
+
+    /**
+     * Carrega os documentos de todas as partições ou apenas das informadas
+     * @async
+     * @param {Array<string>|null} [partitions=null] - Partições a carregar (ver partitionsFor)
+     * @returns {Promise<Array>} Documentos (o estado em memória das partições quando `shared`)
+     */
+    async load(partitions = null) {
+        let names = partitions;
+        if (!names || names.some(name => !this.partitions.has(name))) {
+            const existing = await this.discover();
+            names = names ? names.filter(name => existing.includes(name)) : existing;
+        }
+
+        const loaded = await Promise.all(names.map(async name => (await this.openPartition(name)).load()));
+        return [].concat(...loaded);
+    }
+
+    /**
+     * Identifica a versão gravada de todas as partições, inclusive as criadas por outros processos
+     * @async
+     * @returns {Promise<string|null>} Assinaturas das partições combinadas, ou null se o armazenamento
+     *   das partições não é compartilhado entre processos
+     */
+    async signature() {
+        const names = await this.discover();
+        const signatures = await Promise.all(names.map(async name => (await this.openPartition(name)).signature()));
+
+        if (signatures.some(signature => signature === null)) {
+            return null;
+        }
+        return names.map((name, position) => `${name}=${signatures[position]}`).join('|');
+    }
+
+    /**
+     * Grava apenas as partições afetadas pelas operações
+     * Um documento que muda de partição é removido da antiga e criado na nova; as partições são
+     * gravadas uma a uma, sem atomicidade entre elas
+     * @async
+     * @param {Array} documents - Estado completo da coleção após as operações
+     * @param {Array<Object>} changes - Operações realizadas ({ op, id, doc, before })
+     * @returns {Promise<null>} Sem metadados: os índices são reconstruídos ao abrir a coleção
+     */
+    async write(documents, changes) {
+        const groups = new Map();
+        const add = (name, change) => groups.set(name, [...(groups.get(name) || []), change]);
+
+        changes.forEach(change => {
+            const from = change.before ? this.partitionOf(change.before) : null;
+            const to = change.op !== 'delete' ? this.partitionOf(change.doc) : null;
+
+            if (from !== null && to !== null && from !== to) {
+                add(from, { op: 'delete', id: change.id, before: change.before });
+                add(to, { op: 'create', id: change.id, doc: change.doc });
+            } else {
+                add(to !== null ? to : from, change);
+            }
+        });
+
+        for (const [name, partitionChanges] of groups) {
+            const adapter = await this.openPartition(name);
+            await adapter.write(documents.filter(doc => this.partitionOf(doc) === name), partitionChanges);
+        }
+        return null;
+    }
+
+    /**
+     * Descarta o estado em memória de todas as partições; o próximo open as localiza novamente
+     * Partições sem armazenamento durável só existem no registro e são mantidas
+     * @async
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        for (const { adapter } of this.partitions.values()) {
+            await adapter.reset();
+        }
+        if (this.durable) {
+            registries.delete(this.key);
+            this.entry(MAIN_PARTITION);
+        }
+    }
+
+    /**
+     * Indica se alguma partição acumulou operações suficientes para uma compactação
+     * @returns {boolean} true se compact deve ser executado
+     */
+    needsCompaction() {
+        return this.openedAdapters().some(adapter => adapter.needsCompaction());
+    }
+
+    /**
+     * Consolida as operações acumuladas em cada partição
+     * @async
+     * @returns {Promise<boolean>} true se alguma partição foi compactada
+     */
+    async compact() {
+        let compacted = false;
+        for (const adapter of this.openedAdapters()) {
+            compacted = (await adapter.compact()) || compacted;
+        }
+        return compacted;
+    }
+
+    /**
+     * Estatísticas somadas dos caches de leitura das partições
+     * @returns {Object|null} Estatísticas (ver DocumentCache.getStats) com o número de partições,
+     *   ou null se as partições não usam cache
+     */
+    cacheStats() {
+        const stats = this.openedAdapters().map(adapter => adapter.cacheStats()).filter(Boolean);
+        if (stats.length === 0) {
+            return null;
+        }
+
+        const total = { hits: 0, misses: 0, externalChanges: 0, writes: 0, documents: 0 };
+        stats.forEach(partition => Object.keys(total).forEach(field => {
+            total[field] += partition[field];
+        }));
+        const reads = total.hits + total.misses;
+        return {
+            ...total,
+            hitRate: reads > 0 ? Math.round((total.hits / reads) * 1000) / 1000 : 0,
+            partitions: stats.length
+        };
+    }
+}
+
+module.exports = PartitionedStorageAdapter;
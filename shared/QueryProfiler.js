@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Perfil das operações de uma coleção e log de consultas lentas
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+
+/**
+ * Limite padrão (ms) a partir do qual uma operação entra no log de consultas lentas
+ * @type {number}
+ */
+const DEFAULT_SLOW_THRESHOLD = 100;
+
+/**
+ * Quantidade padrão de consultas lentas mantidas em memória (as mais recentes)
+ * @type {number}
+ */
+const DEFAULT_SLOW_LOG_SIZE = 50;
+
+/**
+ * Formatos de filtro distintos acompanhados por coleção; os demais contam apenas por operação
+ * @type {number}
+ */
+const MAX_SHAPES = 200;
+
+/**
+ * Formato de um filtro: mesmos campos e operadores, com os valores trocados por '?'
+ * Consultas que diferem apenas nos valores têm o mesmo formato, e os valores (e-mails, IDs)
+ * não aparecem nas estatísticas nem no log
+ * @private
+ * @param {*} value - Filtro ou parte dele
+ * @returns {*} Formato do valor
+ */
+function filterShape(value) {
+    if (Array.isArray(value)) {
+        // Listas de condições ($and, $or, $nor) mantêm sua estrutura; listas de valores ($in) não
+        return value.length > 0 && value.every(isPlainObject) ? value.map(filterShape) : '?';
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, filterShape(value[key])]));
+    }
+    return '?';
+}
+
+/**
+ * Verifica se um valor é um objeto simples (e não um array, data ou expressão regular)
+ * @private
+ * @param {*} value - Valor
+ * @returns {boolean} true se for um objeto simples
+ */
+function isPlainObject(value) {
+    return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Arredonda uma duração para centésimos de milissegundo
+ * @private
+ * @param {number} value - Duração (ms)
+ * @returns {number} Duração arredondada
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Acumula o tempo das operações de uma coleção, por operação e por formato de filtro, com os
+ * documentos examinados e retornados e o índice usado, e registra as operações acima do limite
+ * no log de consultas lentas (em memória e, opcionalmente, no console e em um arquivo NDJSON).
+ * O tempo de espera na fila de escrita é acumulado à parte (queueMs) e não conta para o limite:
+ * uma escrita barata atrás de muitas outras não é uma consulta lenta
+ * @class QueryProfiler
+ */
+class QueryProfiler {
+    /**
+     * Construtor do QueryProfiler
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} [options={}] - Opções do perfil
+     * @param {number} [options.slowThreshold=100] - Duração (ms) a partir da qual a operação é lenta
+     * @param {number} [options.slowLogSize=50] - Consultas lentas mantidas em memória
+     * @param {string} [options.slowLogFile] - Arquivo NDJSON onde as consultas lentas são acrescentadas
+     * @param {boolean} [options.logToConsole=false] - Avisa cada consulta lenta no console (console.warn)
+     */
+    constructor(collectionName, options = {}) {
+        this.collectionName = collectionName;
+        this.slowThreshold = options.slowThreshold !== undefined ? options.slowThreshold : DEFAULT_SLOW_THRESHOLD;
+        this.slowLogSize = options.slowLogSize || DEFAULT_SLOW_LOG_SIZE;
+        this.slowLogFile = options.slowLogFile || null;
+        this.logToConsole = Boolean(options.logToConsole);
+        this.reset();
+    }
+
+    /**
+     * Registra uma operação concluída
+     * @param {Object} entry - Operação
+     * @param {string} entry.operation - Nome do método (find, count, update...)
+     * @param {Object} [entry.filter] - Filtro usado (apenas o formato é guardado)
+     * @param {number} entry.durationMs - Duração da execução, em milissegundos (sem a espera na fila)
+     * @param {number} [entry.queueMs=0] - Espera na fila de escrita da coleção, em milissegundos
+     * @param {number} [entry.totalDocuments] - Documentos carregados
+     * @param {number} [entry.documentsExamined] - Documentos avaliados pelo filtro
+     * @param {number} entry.documentsReturned - Documentos retornados ou alterados
+     * @param {string|null} [entry.index] - Campo do índice secundário usado
+     * @param {Array<string>|null} [entry.partitions] - Partições lidas (null quando todas)
+     */
+    record(entry) {
+        const shape = JSON.stringify(filterShape(entry.filter || {}));
+        const examined = entry.documentsExamined !== undefined ? entry.documentsExamined : null;
+        const queueMs = entry.queueMs || 0;
+        const slow = entry.durationMs >= this.slowThreshold;
+
+        const operation = this.operations.get(entry.operation)
+            || { count: 0, totalMs: 0, maxMs: 0, queueMs: 0, maxQueueMs: 0, slow: 0 };
+        operation.count++;
+        operation.totalMs += entry.durationMs;
+        operation.maxMs = Math.max(operation.maxMs, entry.durationMs);
+        operation.queueMs += queueMs;
+        operation.maxQueueMs = Math.max(operation.maxQueueMs, queueMs);
+        operation.slow += slow ? 1 : 0;
+        this.operations.set(entry.operation, operation);
+
+        const key = `${entry.operation} ${shape}`;
+        if (this.shapes.has(key) || this.shapes.size < MAX_SHAPES) {
+            const stats = this.shapes.get(key) || {
+                operation: entry.operation,
+                filter: shape,
+                count: 0,
+                totalMs: 0,
+                maxMs: 0,
+                documentsExamined: 0,
+                documentsReturned: 0,
+                indexScans: 0,
+                index: null
+            };
+            stats.count++;
+            stats.totalMs += entry.durationMs;
+            stats.maxMs = Math.max(stats.maxMs, entry.durationMs);
+            stats.documentsExamined += examined || 0;
+            stats.documentsReturned += entry.documentsReturned;
+            stats.indexScans += entry.index ? 1 : 0;
+            stats.index = entry.index || stats.index;
+            this.shapes.set(key, stats);
+        } else {
+            this.untrackedShapes++;
+        }
+
+        if (slow) {
+            this.logSlowQuery({
+                timestamp: new Date().toISOString(),
+                collection: this.collectionName,
+                operation: entry.operation,
+                filter: shape,
+                durationMs: round(entry.durationMs),
+                queueMs: round(queueMs),
+                totalDocuments: entry.totalDocuments !== undefined ? entry.totalDocuments : null,
+                documentsExamined: examined,
+                documentsReturned: entry.documentsReturned,
+                index: entry.index || null,
+                ...(entry.partitions !== undefined && { partitions: entry.partitions })
+            });
+        }
+    }
+
+    /**
+     * Acrescenta uma operação ao log de consultas lentas
+     * A gravação no arquivo não bloqueia a operação; falhas são apenas reportadas no console
+     * @private
+     * @param {Object} record - Registro da consulta lenta
+     */
+    logSlowQuery(record) {
+        this.slowQueries.push(record);
+        if (this.slowQueries.length > this.slowLogSize) {
+            this.slowQueries.shift();
+        }
+
+        if (this.logToConsole) {
+            // Escritas não informam documentos examinados, apenas os alterados
+            const details = record.documentsExamined !== null
+                ? [
+                    record.index ? `índice ${record.index}` : 'sem índice',
+                    `${record.documentsExamined} examinado(s)`,
+                    `${record.documentsReturned} retornado(s)`
+                ]
+                : [`${record.documentsReturned} alterado(s)`];
+            console.warn(`Consulta lenta em ${this.collectionName}: ${record.operation} ${record.filter} ` +
+                `${record.durationMs} ms (${details.join(', ')})`);
+        }
+
+        if (this.slowLogFile) {
+            fs.appendFile(this.slowLogFile, `${JSON.stringify(record)}\n`)
+                .catch(error => console.error('Erro ao gravar log de consultas lentas:', error.message));
+        }
+    }
+
+    /**
+     * Estatísticas acumuladas desde a criação (ou o último reset)
+     * @param {Object} [options={}] - Opções
+     * @param {number} [options.top=20] - Formatos de filtro listados, pelo tempo total
+     * @returns {Object} { collection, since, slowThreshold, totals, operations, queries, slowQueries }
+     */
+    getStats(options = {}) {
+        const operations = {};
+        const totals = { count: 0, totalMs: 0, slow: 0 };
+        this.operations.forEach((stats, name) => {
+            operations[name] = {
+                count: stats.count,
+                totalMs: round(stats.totalMs),
+                avgMs: round(stats.totalMs / stats.count),
+                maxMs: round(stats.maxMs),
+                avgQueueMs: round(stats.queueMs / stats.count),
+                maxQueueMs: round(stats.maxQueueMs),
+                slow: stats.slow
+            };
+            totals.count += stats.count;
+            totals.totalMs += stats.totalMs;
+            totals.slow += stats.slow;
+        });
+
+        const queries = [...this.shapes.values()]
+            .sort((a, b) => b.totalMs - a.totalMs)
+            .slice(0, options.top || 20)
+            .map(stats => ({
+                operation: stats.operation,
+                filter: stats.filter,
+                count: stats.count,
+                totalMs: round(stats.totalMs),
+                avgMs: round(stats.totalMs / stats.count),
+                maxMs: round(stats.maxMs),
+                avgExamined: round(stats.documentsExamined / stats.count),
+                avgReturned: round(stats.documentsReturned / stats.count),
+                indexUsage: round(stats.indexScans / stats.count),
+                index: stats.index
+            }));
+
+        return {
+            collection: this.collectionName,
+            since: this.since,
+            slowThreshold: this.slowThreshold,
+            totals: { ...totals, totalMs: round(totals.totalMs) },
+            operations,
+            queries,
+            untrackedShapes: this.untrackedShapes,
+            slowQueries: [...this.slowQueries].reverse()
+        };
+    }
+
+    /**
+     * Descarta as estatísticas e o log em memória (o arquivo do log é mantido)
+     */
+    reset() {
+        this.operations = new Map();
+        this.shapes = new Map();
+        this.untrackedShapes = 0;
+        this.slowQueries = [];
+        this.since = new Date().toISOString();
+    }
+}
+
+module.exports = QueryProfiler;
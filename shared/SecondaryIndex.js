@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Índices secundários em memória para consultas do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+/**
+ * Tipos de valor que podem ser indexados e consultados por igualdade
+ * @type {Set<string>}
+ */
+const INDEXABLE_TYPES = new Set(['string', 'number', 'boolean']);
+
+/**
+ * Índices de igualdade por campo: valor → conjunto de IDs de documentos
+ * Apenas valores escalares (string, number, boolean) são indexados; campos com array
+ * são indexados por elemento (multikey), já que a igualdade casa com qualquer elemento.
+ * Campos com transformação (ex: índice cego de campos criptografados) guardam a chave transformada,
+ * tanto em memória quanto no arquivo de índice; as consultas são transformadas da mesma forma
+ * @class SecondaryIndex
+ */
+class SecondaryIndex {
+    /**
+     * Construtor do SecondaryIndex
+     * @param {Array<string>} fields - Campos indexados (notação de ponto permitida)
+     * @param {Function} getValue - Função (documento, campo) => valor
+     * @param {Object} [options={}] - Opções dos índices
+     * @param {Object<string, Function>} [options.transforms={}] - Função (chave) => chave gravada, por campo
+     * @param {string|null} [options.signature=null] - Identifica as transformações; índices gravados
+     *   com outra assinatura não são reaproveitados
+     */
+    constructor(fields, getValue, options = {}) {
+        this.fields = [...fields];
+        this.getValue = getValue;
+        this.transforms = options.transforms || {};
+        this.signature = options.signature || null;
+        this.entries = new Map(this.fields.map(field => [field, new Map()]));
+    }
+
+    /**
+     * Converte um valor na chave usada pelo índice
+     * @static
+     * @param {*} value - Valor do campo
+     * @returns {string|null} Chave do índice ou null se o valor não for indexável
+     */
+    static keyOf(value) {
+        return INDEXABLE_TYPES.has(typeof value) ? JSON.stringify(value) : null;
+    }
+
+    /**
+     * Obtém as chaves de índice de um valor de campo
+     * @static
+     * @param {*} value - Valor do campo (escalar ou array)
+     * @returns {Array<string>} Chaves distintas (vazio se nada for indexável)
+     */
+    static keysOf(value) {
+        const values = Array.isArray(value) ? value : [value];
+        const keys = values.map(SecondaryIndex.keyOf).filter(key => key !== null);
+        return [...new Set(keys)];
+    }
+
+    /**
+     * Obtém as chaves de índice de um valor em um campo, aplicando a transformação do campo
+     * @private
+     * @param {string} field - Campo indexado
+     * @param {*} value - Valor do campo (escalar ou array)
+     * @returns {Array<string>} Chaves distintas
+     */
+    keysFor(field, value) {
+        const transform = this.transforms[field];
+        const keys = SecondaryIndex.keysOf(value);
+        return transform ? keys.map(key => transform(key)) : keys;
+    }
+
+    /**
+     * Reconstrói todos os índices a partir dos documentos
+     * @param {Array} documents - Documentos da coleção
+     * @returns {SecondaryIndex} A própria instância
+     */
+    rebuild(documents) {
+        this.entries.forEach(values => values.clear());
+        documents.forEach(document => this.add(document));
+        return this;
+    }
+
+    /**
+     * Indexa um documento
+     * @param {Object} document - Documento a ser indexado
+     */
+    add(document) {
+        this.fields.forEach(field => {
+            const values = this.entries.get(field);
+
+            this.keysFor(field, this.getValue(document, field)).forEach(key => {
+                if (!values.has(key)) {
+                    values.set(key, new Set());
+                }
+                values.get(key).add(document.id);
+            });
+        });
+    }
+
+    /**
+     * Remove um documento dos índices
+     * @param {Object} document - Documento a ser removido
+     */
+    remove(document) {
+        this.fields.forEach(field => {
+            const values = this.entries.get(field);
+
+            this.keysFor(field, this.getValue(document, field)).forEach(key => {
+                if (!values.has(key)) {
+                    return;
+                }
+                values.get(key).delete(document.id);
+                if (values.get(key).size === 0) {
+                    values.delete(key);
+                }
+            });
+        });
+    }
+
+    /**
+     * Aplica uma operação de escrita aos índices
+     * @param {Object} change - Operação ({ op, doc, before })
+     */
+    apply(change) {
+        if (change.before) {
+            this.remove(change.before);
+        }
+        if (change.op !== 'delete') {
+            this.add(change.doc);
+        }
+    }
+
+    /**
+     * Obtém os IDs candidatos para uma condição de igualdade em um campo
+     * @private
+     * @param {string} field - Campo indexado
+     * @param {*} condition - Valor do filtro para o campo
+     * @returns {Set<string>|null} IDs candidatos ou null se a condição não usa o índice
+     */
+    candidatesFor(field, condition) {
+        const values = this.entries.get(field);
+        let keys;
+
+        if (SecondaryIndex.keyOf(condition) !== null) {
+            keys = [condition];
+        } else if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+            const operators = Object.keys(condition);
+            if (operators.length === 1 && operators[0] === '$eq') {
+                keys = [condition.$eq];
+            } else if (operators.length === 1 && operators[0] === '$in' && Array.isArray(condition.$in)) {
+                keys = condition.$in;
+            }
+        }
+
+        if (!keys || keys.some(value => SecondaryIndex.keyOf(value) === null)) {
+            return null;
+        }
+
+        const ids = new Set();
+        keys.forEach(value => {
+            this.keysFor(field, value).forEach(key => (values.get(key) || []).forEach(id => ids.add(id)));
+        });
+        return ids;
+    }
+
+    /**
+     * Escolhe o índice mais seletivo para um filtro
+     * @param {Object} filter - Critérios de busca
+     * @returns {Object|null} Plano ({ field, ids }) ou null se nenhum índice se aplica
+     */
+    plan(filter) {
+        let best = null;
+
+        Object.entries(filter).forEach(([field, condition]) => {
+            if (!this.entries.has(field)) {
+                return;
+            }
+            const ids = this.candidatesFor(field, condition);
+            if (ids && (!best || ids.size < best.ids.size)) {
+                best = { field, ids };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Serializa os índices para gravação em disco
+     * @param {Object} meta - Metadados (generation, checksum) dos dados que o índice reflete
+     * @returns {Object} Representação JSON dos índices
+     */
+    toJSON(meta) {
+        const indexes = {};
+        this.entries.forEach((values, field) => {
+            indexes[field] = {};
+            values.forEach((ids, key) => {
+                indexes[field][key] = [...ids];
+            });
+        });
+        return {
+            generation: meta.generation,
+            checksum: meta.checksum,
+            fields: this.fields,
+            ...(this.signature && { signature: this.signature }),
+            indexes
+        };
+    }
+
+    /**
+     * Carrega índices gravados em disco, se compatíveis com os campos, as transformações e os dados atuais
+     * @param {Object} data - Conteúdo do arquivo de índice
+     * @param {Object} meta - Metadados atuais da coleção (checksum)
+     * @returns {boolean} true se os índices foram carregados
+     */
+    load(data, meta) {
+        const compatible = data
+            && data.checksum === meta.checksum
+            && (data.signature || null) === this.signature
+            && Array.isArray(data.fields)
+            && data.fields.length === this.fields.length
+            && this.fields.every(field => data.fields.includes(field) && data.indexes && data.indexes[field]);
+
+        if (!compatible) {
+            return false;
+        }
+
+        this.fields.forEach(field => {
+            const values = this.entries.get(field);
+            values.clear();
+            Object.entries(data.indexes[field]).forEach(([key, ids]) => {
+                values.set(key, new Set(ids));
+            });
+        });
+        return true;
+    }
+}
+
+module.exports = SecondaryIndex;
@@ -0,0 +1,448 @@
+/**
+ * @fileoverview Snapshots compactados dos diretórios de dados dos serviços (backup e restauração)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { computeChecksum, writeFileAtomic } = require('./atomicFile');
+const { withFileLock } = require('./fileLock');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Arquivos de trabalho do JsonDatabase que não entram nos snapshots
+ * (escritas temporárias, cópias de segurança, arquivos corrompidos preservados e travas)
+ * @type {RegExp}
+ */
+const TRANSIENT_FILE = /\.(tmp|bak|lock)$|\.corrupt-\d+$/;
+
+/**
+ * Arquivo de dados de uma coleção: `<colecao>.json`, `<colecao>.ndjson` ou uma partição
+ * `<colecao>@<valor>.json`; o grupo captura o nome da coleção
+ * @type {RegExp}
+ */
+const COLLECTION_FILE = /^([^@]+?)(?:@.*)?\.(?:nd)?json$/;
+
+/**
+ * Arquivos auxiliares gravados sob a trava da coleção principal (metadados, índice e journal)
+ * @type {RegExp}
+ */
+const AUXILIARY_FILE = /_(meta|index|journal)$/;
+
+/**
+ * Executa uma operação com as travas de todas as coleções ocupadas
+ * As travas são ocupadas na mesma ordem usada pelas transações do JsonDatabase (pela chave da
+ * coleção), evitando que um snapshot e uma transação esperem um pelo outro
+ * @private
+ * @param {Array<Object>} collections - Coleções ({ key, lockPath }), ordenadas pela chave
+ * @param {Function} operation - Função assíncrona a ser executada
+ * @returns {Promise<*>} Resultado da operação
+ */
+function withCollectionLocks(collections, operation) {
+    const [first, ...rest] = collections;
+    return first ? withFileLock(first.lockPath, () => withCollectionLocks(rest, operation)) : operation();
+}
+
+/**
+ * Caracteres aceitos no ID de um snapshot (impede caminhos fora do diretório de snapshots)
+ * @type {RegExp}
+ */
+const SNAPSHOT_ID = /^[\w-]+$/;
+
+/**
+ * Formato do arquivo compactado de um snapshot
+ * @type {number}
+ */
+const FORMAT_VERSION = 1;
+
+/**
+ * Cria, lista, verifica, restaura e descarta snapshots dos diretórios de dados dos serviços
+ * Cada snapshot é um arquivo `<id>.snapshot.gz` (JSON compactado com o conteúdo de todos os
+ * arquivos de dados) acompanhado do manifesto `<id>.json`, com o checksum SHA-256 do arquivo
+ * compactado e de cada arquivo incluído
+ * @class SnapshotManager
+ */
+class SnapshotManager {
+    /**
+     * Construtor do SnapshotManager
+     * @param {string} snapshotDir - Diretório onde os snapshots são gravados
+     * @param {Object<string, string>} sources - Diretório de dados de cada serviço, por nome do serviço
+     */
+    constructor(snapshotDir, sources) {
+        this.snapshotDir = snapshotDir;
+        this.sources = sources;
+    }
+
+    /**
+     * Cria um SnapshotManager para todos os serviços com diretório `database`
+     * @static
+     * @param {string} servicesDir - Diretório com os serviços (ex: services/)
+     * @param {string} snapshotDir - Diretório onde os snapshots são gravados
+     * @returns {SnapshotManager} Gerenciador de snapshots
+     */
+    static forServices(servicesDir, snapshotDir) {
+        const sources = {};
+        fs.readdirSync(servicesDir).forEach(service => {
+            const dbPath = path.join(servicesDir, service, 'database');
+            if (fs.existsSync(dbPath)) {
+                sources[service] = dbPath;
+            }
+        });
+        return new SnapshotManager(snapshotDir, sources);
+    }
+
+    /**
+     * Cria um snapshot com os arquivos de dados de todos os serviços
+     * Os arquivos são lidos com as travas de todas as coleções, o que mantém o snapshot consistente
+     * entre coleções (ex: uma transação não fica gravada pela metade)
+     * @async
+     * @param {Object} [options={}] - Opções
+     * @param {string} [options.label] - Descrição do snapshot (ex: 'antes da migração 002')
+     * @returns {Promise<Object>} Manifesto do snapshot criado
+     */
+    async create(options = {}) {
+        try {
+            const createdAt = new Date();
+            const id = await this.nextId(createdAt);
+            const bundle = { format: FORMAT_VERSION, id, createdAt: createdAt.toISOString(), services: {} };
+            const services = {};
+
+            const collections = await this.collectionsOf(Object.values(this.sources));
+            await withCollectionLocks(collections, async () => {
+                for (const [service, dbPath] of Object.entries(this.sources)) {
+                    bundle.services[service] = await this.readDataFiles(dbPath);
+                }
+            });
+
+            for (const [service, files] of Object.entries(bundle.services)) {
+                services[service] = Object.entries(files).map(([name, content]) => ({
+                    name,
+                    size: Buffer.byteLength(content),
+                    checksum: computeChecksum(content)
+                }));
+            }
+
+            const archive = await gzip(JSON.stringify(bundle));
+            const manifest = {
+                id,
+                label: options.label || null,
+                createdAt: createdAt.toISOString(),
+                archive: `${id}.snapshot.gz`,
+                size: archive.length,
+                checksum: computeChecksum(archive),
+                services
+            };
+
+            await fs.ensureDir(this.snapshotDir);
+            await writeFileAtomic(path.join(this.snapshotDir, manifest.archive), archive);
+            await writeFileAtomic(this.manifestPath(id), JSON.stringify(manifest, null, 2));
+            return manifest;
+        } catch (error) {
+            console.error('Erro ao criar snapshot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Lista os snapshots existentes, do mais recente para o mais antigo
+     * @async
+     * @returns {Promise<Array<Object>>} Manifestos dos snapshots
+     */
+    async list() {
+        try {
+            if (!(await fs.pathExists(this.snapshotDir))) {
+                return [];
+            }
+
+            const manifests = (await fs.readdir(this.snapshotDir))
+                .filter(file => file.endsWith('.json'))
+                .map(file => fs.readJson(path.join(this.snapshotDir, file)));
+            return (await Promise.all(manifests)).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        } catch (error) {
+            console.error('Erro ao listar snapshots:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Confere os checksums de um snapshot (arquivo compactado e cada arquivo de dados)
+     * @async
+     * @param {string} id - ID do snapshot
+     * @returns {Promise<Object|null>} Resultado ({ id, valid, errors, services }) ou null se não encontrado
+     */
+    async verify(id) {
+        try {
+            const snapshot = await this.load(id);
+            if (!snapshot) {
+                return null;
+            }
+
+            return {
+                id,
+                valid: snapshot.errors.length === 0,
+                errors: snapshot.errors,
+                services: Object.keys(snapshot.manifest.services)
+            };
+        } catch (error) {
+            console.error('Erro ao verificar snapshot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Restaura os diretórios de dados a partir de um snapshot verificado
+     * O conteúdo atual de cada diretório restaurado é substituído (inclusive transações pendentes);
+     * por segurança, um snapshot 'pre-restore' do estado atual é criado antes. As travas das coleções
+     * atuais e das restauradas ficam ocupadas até que todos os arquivos sejam gravados, para que os
+     * serviços em execução não leiam nem gravem um diretório pela metade
+     * @async
+     * @param {string} id - ID do snapshot
+     * @param {Object} [options={}] - Opções
+     * @param {Array<string>} [options.services] - Serviços a restaurar (padrão: todos do snapshot)
+     * @param {boolean} [options.safety=true] - Cria o snapshot de segurança antes de restaurar
+     * @returns {Promise<Object|null>} Resultado ({ id, services, safetySnapshot }) ou null se não encontrado
+     * @throws {Error} Se o snapshot estiver corrompido ou não contiver um serviço pedido
+     */
+    async restore(id, options = {}) {
+        try {
+            const snapshot = await this.load(id);
+            if (!snapshot) {
+                return null;
+            }
+
+            const { bundle, errors } = snapshot;
+            if (errors.length > 0) {
+                throw new Error(`Snapshot ${id} com falha de integridade: ${errors.join('; ')}`);
+            }
+
+            const services = options.services || Object.keys(bundle.services);
+            services.forEach(service => {
+                if (!bundle.services[service]) {
+                    throw new Error(`Snapshot ${id} não contém o serviço ${service}`);
+                }
+                if (!this.sources[service]) {
+                    throw new Error(`Diretório de dados do serviço ${service} não configurado`);
+                }
+            });
+
+            const safety = options.safety === false ? null : await this.create({ label: `pre-restore ${id}` });
+
+            const collections = await this.collectionsOf(
+                services.map(service => this.sources[service]),
+                services.map(service => ({ dbPath: this.sources[service], names: Object.keys(bundle.services[service]) }))
+            );
+
+            await withCollectionLocks(collections, async () => {
+                for (const service of services) {
+                    const dbPath = this.sources[service];
+                    await fs.ensureDir(dbPath);
+                    await this.clearDataDir(dbPath);
+                    for (const [name, content] of Object.entries(bundle.services[service])) {
+                        await writeFileAtomic(path.join(dbPath, name), content);
+                    }
+                    console.log(`Snapshot ${id}: ${Object.keys(bundle.services[service]).length} arquivo(s) restaurado(s) em ${service}`);
+                }
+            });
+
+            return { id, services, safetySnapshot: safety ? safety.id : null };
+        } catch (error) {
+            console.error('Erro ao restaurar snapshot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Descarta snapshots pela política de retenção; o snapshot mais recente é sempre mantido
+     * @async
+     * @param {Object} [options={}] - Política de retenção
+     * @param {number} [options.keepLast] - Quantidade de snapshots mais recentes a manter
+     * @param {number} [options.maxAgeDays] - Idade máxima, em dias
+     * @returns {Promise<Array<string>>} IDs dos snapshots removidos
+     */
+    async prune(options = {}) {
+        try {
+            const limit = options.maxAgeDays !== undefined
+                ? Date.now() - options.maxAgeDays * 24 * 60 * 60 * 1000
+                : -Infinity;
+            const expired = (await this.list()).filter((manifest, position) => position > 0 && (
+                (options.keepLast !== undefined && position >= options.keepLast)
+                || new Date(manifest.createdAt).getTime() < limit
+            ));
+
+            for (const manifest of expired) {
+                await this.remove(manifest.id);
+            }
+            return expired.map(manifest => manifest.id);
+        } catch (error) {
+            console.error('Erro ao descartar snapshots:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove um snapshot (arquivo compactado e manifesto)
+     * @async
+     * @param {string} id - ID do snapshot
+     * @returns {Promise<boolean>} true se removido, false se não encontrado
+     */
+    async remove(id) {
+        const manifestPath = this.manifestPath(id);
+        if (!SNAPSHOT_ID.test(id) || !(await fs.pathExists(manifestPath))) {
+            return false;
+        }
+
+        await fs.remove(path.join(this.snapshotDir, `${id}.snapshot.gz`));
+        await fs.remove(manifestPath);
+        return true;
+    }
+
+    /**
+     * Lê um snapshot e confere seus checksums
+     * @async
+     * @private
+     * @param {string} id - ID do snapshot
+     * @returns {Promise<Object|null>} Conteúdo e falhas encontradas ({ manifest, bundle, errors }),
+     *   ou null se o snapshot não existir
+     */
+    async load(id) {
+        const manifestPath = this.manifestPath(id);
+        if (!SNAPSHOT_ID.test(id) || !(await fs.pathExists(manifestPath))) {
+            return null;
+        }
+
+        const manifest = await fs.readJson(manifestPath);
+        const archivePath = path.join(this.snapshotDir, manifest.archive);
+        if (!(await fs.pathExists(archivePath))) {
+            return { manifest, bundle: null, errors: [`arquivo ${manifest.archive} ausente`] };
+        }
+
+        const archive = await fs.readFile(archivePath);
+        if (computeChecksum(archive) !== manifest.checksum) {
+            return { manifest, bundle: null, errors: [`checksum de ${manifest.archive} divergente`] };
+        }
+
+        const bundle = JSON.parse((await gunzip(archive)).toString('utf8'));
+        const errors = [];
+        Object.entries(manifest.services).forEach(([service, files]) => {
+            files.forEach(file => {
+                const content = (bundle.services[service] || {})[file.name];
+                if (content === undefined) {
+                    errors.push(`${service}/${file.name} ausente`);
+                } else if (computeChecksum(content) !== file.checksum) {
+                    errors.push(`checksum de ${service}/${file.name} divergente`);
+                }
+            });
+        });
+
+        return { manifest, bundle, errors };
+    }
+
+    /**
+     * Lê os arquivos de dados de um diretório, ignorando arquivos de trabalho
+     * Arquivos removidos entre a listagem e a leitura (ex: temporários de outro processo) são ignorados
+     * @async
+     * @private
+     * @param {string} dbPath - Diretório de dados
+     * @returns {Promise<Object<string, string>>} Conteúdo por nome de arquivo
+     */
+    async readDataFiles(dbPath) {
+        const files = {};
+        if (!(await fs.pathExists(dbPath))) {
+            return files;
+        }
+
+        for (const name of (await fs.readdir(dbPath)).sort()) {
+            const filePath = path.join(dbPath, name);
+            if (TRANSIENT_FILE.test(name)) {
+                continue;
+            }
+            try {
+                if ((await fs.stat(filePath)).isFile()) {
+                    files[name] = await fs.readFile(filePath, 'utf8');
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Remove o conteúdo de um diretório de dados, exceto as travas (mantidas pelo restore e por
+     * outros processos)
+     * @async
+     * @private
+     * @param {string} dbPath - Diretório de dados
+     */
+    async clearDataDir(dbPath) {
+        for (const name of await fs.readdir(dbPath)) {
+            if (!name.endsWith('.lock')) {
+                await fs.remove(path.join(dbPath, name));
+            }
+        }
+    }
+
+    /**
+     * Coleções com arquivos de dados nos diretórios, ordenadas pela chave usada pelo JsonDatabase
+     * @async
+     * @private
+     * @param {Array<string>} dbPaths - Diretórios de dados
+     * @param {Array<Object>} [extra=[]] - Outros arquivos a considerar ({ dbPath, names }), ex: os de um snapshot
+     * @returns {Promise<Array<Object>>} Coleções ({ key, lockPath })
+     */
+    async collectionsOf(dbPaths, extra = []) {
+        const listed = await Promise.all(dbPaths.map(async dbPath => ({
+            dbPath,
+            names: (await fs.pathExists(dbPath)) ? await fs.readdir(dbPath) : []
+        })));
+        const collections = new Map();
+
+        [...listed, ...extra].forEach(({ dbPath, names }) => {
+            names.forEach(name => {
+                const match = COLLECTION_FILE.exec(name);
+                if (match && !AUXILIARY_FILE.test(match[1])) {
+                    const key = path.resolve(dbPath, `${match[1]}.json`);
+                    collections.set(key, { key, lockPath: path.join(dbPath, `${match[1]}.lock`) });
+                }
+            });
+        });
+
+        return [...collections.values()].sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Gera o ID de um novo snapshot a partir da data de criação
+     * @async
+     * @private
+     * @param {Date} createdAt - Data de criação
+     * @returns {Promise<string>} ID (ex: snapshot-2024-05-01T12-30-00-000Z)
+     */
+    async nextId(createdAt) {
+        const base = `snapshot-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+        let id = base;
+        for (let suffix = 1; await fs.pathExists(this.manifestPath(id)); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        return id;
+    }
+
+    /**
+     * Caminho do manifesto de um snapshot
+     * @private
+     * @param {string} id - ID do snapshot
+     * @returns {string} Caminho do manifesto
+     */
+    manifestPath(id) {
+        return path.join(this.snapshotDir, `${id}.json`);
+    }
+}
+
+module.exports = SnapshotManager;
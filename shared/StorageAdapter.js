@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Interface dos adaptadores de armazenamento usados pelo JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+/**
+ * Classe base dos adaptadores de armazenamento de uma coleção
+ * O JsonDatabase cuida de consultas, índices, filas de escrita e histórico; o adaptador apenas
+ * carrega e grava o conjunto de documentos. Implementações devem sobrescrever open, load e write;
+ * os demais métodos têm comportamento padrão.
+ * Propriedades que descrevem o adaptador:
+ * - shared: load retorna o estado em memória, que não deve ser modificado pelo chamador
+ * - durable: os dados sobrevivem ao reinício do processo
+ * - persistsIndex: write retorna metadados (generation, checksum) e os índices podem ser gravados em disco
+ * - compactable: o adaptador acumula operações que podem ser consolidadas com compact
+ * - watchPath: arquivo que pode ser observado para detectar alterações externas (ou null)
+ * - cache: DocumentCache com a última leitura do arquivo (ou null), usado em cacheStats e reset
+ * - lockPath: arquivo de trava que coordena as escritas de processos que compartilham o armazenamento
+ *   (ou null, quando o estado só é válido dentro de um processo)
+ * @class StorageAdapter
+ */
+class StorageAdapter {
+    /**
+     * Construtor do StorageAdapter
+     * @param {string} dbPath - Diretório de dados
+     * @param {string} collectionName - Nome da coleção
+     * @param {Object} [options={}] - Opções do adaptador
+     */
+    constructor(dbPath, collectionName, options = {}) {
+        this.dbPath = dbPath;
+        this.collectionName = collectionName;
+        this.options = options;
+        this.shared = false;
+        this.durable = true;
+        this.persistsIndex = false;
+        this.compactable = false;
+        this.watchPath = null;
+        this.cache = null;
+        this.lockPath = null;
+    }
+
+    /**
+     * Prepara o armazenamento antes da primeira operação (criação, recuperação e carga)
+     * @async
+     * @abstract
+     * @returns {Promise<void>}
+     */
+    async open() {
+        throw new Error(`Adaptador ${this.constructor.name} não implementa open`);
+    }
+
+    /**
+     * Carrega os documentos da coleção
+     * @async
+     * @abstract
+     * @param {Array<string>|null} [partitions] - Em adaptadores particionados, limita a carga a estas
+     *   partições (ver partitionsFor); os demais ignoram o parâmetro
+     * @returns {Promise<Array>} Documentos (o próprio estado em memória quando `shared`)
+     */
+    async load() {
+        throw new Error(`Adaptador ${this.constructor.name} não implementa load`);
+    }
+
+    /**
+     * Grava o resultado de operações de escrita
+     * @async
+     * @abstract
+     * @param {Array} documents - Estado completo da coleção após as operações
+     * @param {Array<Object>} changes - Operações realizadas ({ op, id, doc, before })
+     * @returns {Promise<Object|null>} Metadados (generation, checksum) quando `persistsIndex`, ou null
+     */
+    async write(documents, changes) {
+        throw new Error(`Adaptador ${this.constructor.name} não implementa write`);
+    }
+
+    /**
+     * Lê os metadados de integridade da coleção
+     * @async
+     * @returns {Promise<Object|null>} Metadados (generation, checksum) ou null
+     */
+    async readMeta() {
+        return null;
+    }
+
+    /**
+     * Identifica a versão gravada dos dados, para detectar escritas feitas por outros processos
+     * @async
+     * @returns {Promise<string|null>} Valor que muda a cada escrita, ou null se o adaptador não
+     *   compartilha o armazenamento entre processos
+     */
+    async signature() {
+        return null;
+    }
+
+    /**
+     * Descarta o estado mantido em memória no processo, para que o próximo open releia o armazenamento
+     * (ex: após a restauração de um snapshot)
+     * @async
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        if (this.cache) {
+            this.cache.invalidate();
+        }
+    }
+
+    /**
+     * Estatísticas do cache de leitura
+     * @returns {Object|null} Estatísticas (ver DocumentCache.getStats) ou null se o adaptador não usa cache
+     */
+    cacheStats() {
+        return this.cache ? this.cache.getStats() : null;
+    }
+
+    /**
+     * Partições que podem conter documentos que atendem a um filtro
+     * @param {Object} filter - Critérios de busca
+     * @returns {Array<string>|null} Nomes das partições ou null se todas precisam ser lidas
+     *   (sempre null em adaptadores não particionados)
+     */
+    partitionsFor(filter) {
+        return null;
+    }
+
+    /**
+     * Converte um documento para a forma gravada, usada também fora do adaptador (ex: registro de
+     * transações); adaptadores que transformam os documentos (ex: criptografia) sobrescrevem
+     * @param {Object} document - Documento
+     * @returns {Object} Documento na forma gravada (o próprio documento por padrão)
+     */
+    toStored(document) {
+        return document;
+    }
+
+    /**
+     * Converte um documento na forma gravada (ver toStored) de volta para a forma usada nas consultas
+     * @param {Object} document - Documento na forma gravada
+     * @returns {Object} Documento (o próprio documento por padrão)
+     */
+    fromStored(document) {
+        return document;
+    }
+
+    /**
+     * Indica se há operações acumuladas suficientes para uma compactação
+     * @returns {boolean} true se compact deve ser executado
+     */
+    needsCompaction() {
+        return false;
+    }
+
+    /**
+     * Consolida as operações acumuladas
+     * @async
+     * @returns {Promise<boolean>} true se houve compactação
+     */
+    async compact() {
+        return false;
+    }
+}
+
+module.exports = StorageAdapter;
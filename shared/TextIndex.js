@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Índice invertido em memória para a busca textual do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { analyzeText, analyzeQuery, highlightText } = require('./textAnalyzer');
+
+/**
+ * Peso de um termo encontrado apenas como prefixo, relativo ao termo completo
+ * @type {number}
+ */
+const PREFIX_FACTOR = 0.5;
+
+/**
+ * Tamanho mínimo de uma palavra da consulta para buscar termos que começam com ela
+ * @type {number}
+ */
+const MIN_PREFIX_LENGTH = 2;
+
+/**
+ * Índice invertido: termo → documentos e campos onde aparece
+ * Os termos vêm de textAnalyzer (sem acentos, sem palavras vazias, no singular e no masculino).
+ * A relevância de um documento soma, para cada palavra da consulta, o peso dos campos onde o
+ * termo aparece, ponderado pela frequência no campo e pela raridade do termo na coleção (IDF)
+ * @class TextIndex
+ */
+class TextIndex {
+    /**
+     * Construtor do TextIndex
+     * @param {Object<string, number>|null} weights - Peso de cada campo indexado (notação de ponto
+     *   permitida); null indexa todos os textos do documento com peso 1
+     * @param {Function} getValue - Função (documento, campo) => valor
+     */
+    constructor(weights, getValue) {
+        this.weights = weights ? { ...weights } : null;
+        this.getValue = getValue;
+        this.postings = new Map();
+        this.documentTerms = new Map();
+        this.sortedTerms = null;
+    }
+
+    /**
+     * Obtém os textos indexáveis de um documento
+     * Arrays de textos (ex: tags) são indexados como um único texto
+     * @param {Object} document - Documento
+     * @returns {Array<Array<string>>} Pares [campo, texto]
+     */
+    textsOf(document) {
+        if (!this.weights) {
+            return TextIndex.collectTexts(document, '');
+        }
+
+        return Object.keys(this.weights)
+            .map(field => {
+                const value = this.getValue(document, field);
+                const values = (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+                return [field, values.join(' ')];
+            })
+            .filter(([, text]) => text);
+    }
+
+    /**
+     * Percorre os textos de um objeto, com o caminho de cada um em notação de ponto
+     * @static
+     * @private
+     * @param {*} value - Valor a percorrer
+     * @param {string} prefix - Caminho do valor
+     * @returns {Array<Array<string>>} Pares [campo, texto]
+     */
+    static collectTexts(value, prefix) {
+        if (typeof value === 'string') {
+            return value ? [[prefix, value]] : [];
+        }
+        if (value && typeof value === 'object') {
+            return Object.entries(value).flatMap(([key, item]) => (
+                TextIndex.collectTexts(item, Array.isArray(value) ? prefix : (prefix ? `${prefix}.${key}` : key))
+            ));
+        }
+        return [];
+    }
+
+    /**
+     * Peso de um campo na relevância
+     * @param {string} field - Campo
+     * @returns {number} Peso (1 quando todos os textos são indexados)
+     */
+    weightOf(field) {
+        return this.weights ? this.weights[field] : 1;
+    }
+
+    /**
+     * Reconstrói o índice a partir dos documentos
+     * @param {Array} documents - Documentos da coleção
+     * @returns {TextIndex} A própria instância
+     */
+    rebuild(documents) {
+        this.postings.clear();
+        this.documentTerms.clear();
+        this.sortedTerms = null;
+        documents.forEach(document => this.add(document));
+        return this;
+    }
+
+    /**
+     * Indexa um documento
+     * @param {Object} document - Documento a ser indexado
+     */
+    add(document) {
+        const terms = new Set();
+
+        this.textsOf(document).forEach(([field, text]) => {
+            analyzeText(text).forEach(({ term }) => {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                    this.sortedTerms = null;
+                }
+                const documents = this.postings.get(term);
+                if (!documents.has(document.id)) {
+                    documents.set(document.id, {});
+                }
+                const fields = documents.get(document.id);
+                fields[field] = (fields[field] || 0) + 1;
+                terms.add(term);
+            });
+        });
+
+        if (terms.size > 0) {
+            this.documentTerms.set(document.id, terms);
+        }
+    }
+
+    /**
+     * Remove um documento do índice
+     * @param {Object} document - Documento a ser removido
+     */
+    remove(document) {
+        const terms = this.documentTerms.get(document.id);
+        if (!terms) {
+            return;
+        }
+
+        terms.forEach(term => {
+            const documents = this.postings.get(term);
+            documents.delete(document.id);
+            if (documents.size === 0) {
+                this.postings.delete(term);
+                this.sortedTerms = null;
+            }
+        });
+        this.documentTerms.delete(document.id);
+    }
+
+    /**
+     * Aplica uma operação de escrita ao índice
+     * @param {Object} change - Operação ({ op, doc, before })
+     */
+    apply(change) {
+        if (change.before) {
+            this.remove(change.before);
+        }
+        if (change.op !== 'delete') {
+            this.add(change.doc);
+        }
+    }
+
+    /**
+     * Obtém os termos do índice que começam com um prefixo, por busca binária na lista ordenada
+     * @private
+     * @param {string} prefix - Prefixo
+     * @returns {Array<string>} Termos
+     */
+    termsWithPrefix(prefix) {
+        if (!this.sortedTerms) {
+            this.sortedTerms = [...this.postings.keys()].sort();
+        }
+
+        const terms = this.sortedTerms;
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (terms[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const found = [];
+        for (let position = low; position < terms.length && terms[position].startsWith(prefix); position++) {
+            found.push(terms[position]);
+        }
+        return found;
+    }
+
+    /**
+     * Obtém os termos do índice que correspondem a uma palavra da consulta e o fator de cada um
+     * @private
+     * @param {Object} token - Palavra da consulta ({ term, folded })
+     * @param {boolean} prefix - Se true, inclui os termos que começam com a palavra
+     * @returns {Map<string, number>} Fator por termo (1 para o termo exato)
+     */
+    expand(token, prefix) {
+        const matches = new Map();
+
+        if (prefix) {
+            [...new Set([token.folded, token.term])]
+                .filter(start => start.length >= MIN_PREFIX_LENGTH)
+                .forEach(start => this.termsWithPrefix(start).forEach(term => matches.set(term, PREFIX_FACTOR)));
+        }
+        if (this.postings.has(token.term)) {
+            matches.set(token.term, 1);
+        }
+        return matches;
+    }
+
+    /**
+     * Busca os documentos que contêm as palavras da consulta, do mais para o menos relevante
+     * @param {string} query - Texto da consulta
+     * @param {Object} [options={}] - Opções da busca
+     * @param {Array<string>} [options.fields] - Restringe a busca a estes campos indexados
+     * @param {boolean} [options.prefix=true] - Palavras da consulta também encontram termos que
+     *   começam com elas (ex: 'arr' encontra 'arroz')
+     * @param {string} [options.operator='and'] - 'and' exige todas as palavras no documento;
+     *   'or' aceita qualquer uma
+     * @returns {Array<Object>} Resultados ({ id, score, terms }), com os termos encontrados em cada documento
+     */
+    search(query, options = {}) {
+        const { fields = null, prefix = true, operator = 'and' } = options;
+        const tokens = analyzeQuery(query);
+        const total = Math.max(this.documentTerms.size, 1);
+        const hits = new Map();
+
+        tokens.forEach(token => {
+            const scores = new Map();
+
+            this.expand(token, prefix).forEach((factor, term) => {
+                const documents = this.postings.get(term);
+                const idf = Math.log(1 + (total - documents.size + 0.5) / (documents.size + 0.5));
+
+                documents.forEach((counts, id) => {
+                    const weight = Object.entries(counts)
+                        .filter(([field]) => !fields || fields.includes(field))
+                        .reduce((sum, [field, count]) => sum + this.weightOf(field) * (count / (count + 1)), 0);
+                    if (weight === 0) {
+                        return;
+                    }
+
+                    const score = weight * idf * factor;
+                    const best = scores.get(id);
+                    if (!best) {
+                        scores.set(id, { score, terms: new Set([term]) });
+                    } else {
+                        best.score = Math.max(best.score, score);
+                        best.terms.add(term);
+                    }
+                });
+            });
+
+            scores.forEach(({ score, terms }, id) => {
+                if (!hits.has(id)) {
+                    hits.set(id, { id, score: 0, terms: new Set(), matched: 0 });
+                }
+                const hit = hits.get(id);
+                hit.score += score;
+                terms.forEach(term => hit.terms.add(term));
+                hit.matched++;
+            });
+        });
+
+        return [...hits.values()]
+            .filter(hit => operator === 'or' || hit.matched === tokens.length)
+            .sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)))
+            .map(({ id, score, terms }) => ({ id, score: Math.round(score * 1000) / 1000, terms }));
+    }
+
+    /**
+     * Gera os trechos destacados de um documento encontrado pela busca
+     * @param {Object} document - Documento
+     * @param {Set<string>} terms - Termos encontrados no documento (ver search)
+     * @param {Object} [options={}] - Opções do destaque (ver textAnalyzer.highlightText)
+     * @param {Array<string>} [options.fields] - Restringe os destaques a estes campos
+     * @returns {Object<string, string>} Trecho destacado por campo, apenas dos campos com termos encontrados
+     */
+    highlight(document, terms, options = {}) {
+        const highlights = {};
+
+        this.textsOf(document)
+            .filter(([field]) => !options.fields || options.fields.includes(field))
+            .forEach(([field, text]) => {
+                const snippet = highlightText(text, terms, options);
+                if (snippet && !highlights[field]) {
+                    highlights[field] = snippet;
+                }
+            });
+        return highlights;
+    }
+}
+
+module.exports = TextIndex;
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Transações envolvendo várias coleções de um mesmo diretório de dados do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const TransactionCollection = require('./TransactionCollection');
+
+/**
+ * Executa uma operação com as filas de escrita de todas as coleções ocupadas
+ * As filas são ocupadas sempre na mesma ordem (pela chave da coleção), evitando que duas
+ * transações esperem uma pela outra
+ * @private
+ * @param {Array<JsonDatabase>} databases - Coleções, ordenadas pela chave
+ * @param {Function} operation - Função assíncrona a ser executada
+ * @returns {Promise<*>} Resultado da operação
+ */
+function runExclusiveAll(databases, operation) {
+    const [first, ...rest] = databases;
+    return first ? first.runExclusive(() => runExclusiveAll(rest, operation)) : operation();
+}
+
+/**
+ * Transação entregue à função de JsonDatabase.transaction
+ * Cada coleção acessada recebe uma cópia de trabalho (TransactionCollection); na confirmação,
+ * as filas de escrita de todas as coleções envolvidas são ocupadas, as versões lidas são
+ * conferidas e as escritas são gravadas. Com mais de uma coleção alterada, o estado final é
+ * registrado antes no TransactionLog, permitindo concluir a gravação após uma falha
+ * @class Transaction
+ */
+class Transaction {
+    /**
+     * Construtor da Transaction
+     * @param {JsonDatabase} database - Coleção que iniciou a transação
+     * @param {Function} resolve - Função (nome) => JsonDatabase aberto no processo, ou undefined
+     */
+    constructor(database, resolve) {
+        this.database = database;
+        this.resolve = resolve;
+        this.collections = new Map();
+        this.finished = false;
+    }
+
+    /**
+     * Obtém a visão de uma coleção dentro da transação
+     * @param {string|JsonDatabase} target - Nome de uma coleção já aberta no processo ou a própria instância
+     * @returns {TransactionCollection} Cópia de trabalho da coleção
+     * @throws {Error} Se a transação já terminou, a coleção não estiver aberta ou for de outro diretório
+     */
+    collection(target) {
+        if (this.finished) {
+            throw new Error('Transação já encerrada');
+        }
+
+        const database = typeof target === 'string' ? this.resolve(target) : target;
+        if (!database) {
+            throw new Error(`Coleção ${target} não está aberta neste processo`);
+        }
+        if (path.resolve(database.dbPath) !== path.resolve(this.database.dbPath)) {
+            throw new Error(`Coleção ${database.collectionName} pertence a outro diretório de dados`);
+        }
+
+        const key = database.collectionKey();
+        if (!this.collections.has(key)) {
+            this.collections.set(key, new TransactionCollection(database));
+        }
+        return this.collections.get(key);
+    }
+
+    /**
+     * Grava as escritas da transação em todas as coleções, ou em nenhuma
+     * @async
+     * @param {TransactionLog} log - Registro de intenção do diretório de dados
+     * @returns {Promise<void>}
+     * @throws {TransactionConflictError} Se algum documento lido ou alterado mudou desde a leitura
+     * @throws {DuplicateKeyError} Se outra escrita tiver ocupado um valor único usado pela transação
+     */
+    async commit(log) {
+        this.finished = true;
+
+        const participants = [...this.collections.entries()]
+            .filter(([, collection]) => collection.documents)
+            .sort(([keyA], [keyB]) => keyA.localeCompare(keyB))
+            .map(([, collection]) => collection);
+
+        if (!participants.some(collection => collection.changes.size > 0)) {
+            return;
+        }
+
+        await runExclusiveAll(participants.map(collection => collection.database), async () => {
+            const writes = [];
+            for (const collection of participants) {
+                const { documents, changes } = collection.prepare(await collection.database.readAll());
+                if (changes.length > 0) {
+                    writes.push({ database: collection.database, documents, changes });
+                }
+            }
+
+            // Coleções em memória não sobrevivem a uma falha e ficam fora do registro de intenção.
+            // Os documentos são registrados na forma gravada (com os campos criptografados, se houver)
+            const durable = writes.filter(({ database }) => database.adapter.durable);
+            const entry = durable.length > 1
+                ? await log.record(Object.fromEntries(durable.map(({ database, changes }) => [
+                    database.collectionName,
+                    changes.map(({ id, doc }) => ({ id, doc: doc ? database.adapter.toStored(doc) : null }))
+                ])))
+                : null;
+
+            for (const { database, documents, changes } of writes) {
+                await database.persist(documents, changes);
+            }
+            if (entry) {
+                await log.remove(entry.id);
+            }
+        });
+    }
+
+    /**
+     * Descarta as escritas da transação
+     */
+    abort() {
+        this.finished = true;
+        this.collections.clear();
+    }
+}
+
+module.exports = Transaction;
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Visão de uma coleção dentro de uma transação do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { DuplicateKeyError, TransactionConflictError } = require('./databaseErrors');
+const { compileProjection } = require('./projection');
+
+/**
+ * Copia um documento para que o chamador não altere a cópia de trabalho
+ * @private
+ * @param {Object} document - Documento
+ * @returns {Object} Cópia do documento
+ */
+function clone(document) {
+    return JSON.parse(JSON.stringify(document));
+}
+
+/**
+ * Cópia de trabalho de uma coleção usada por uma transação
+ * Os documentos são carregados no primeiro acesso e as escritas ficam apenas em memória até
+ * a confirmação. As versões dos documentos lidos ou alterados são guardadas para detectar,
+ * na confirmação, escritas concorrentes feitas fora da transação
+ * @class TransactionCollection
+ */
+class TransactionCollection {
+    /**
+     * Construtor do TransactionCollection
+     * @param {JsonDatabase} database - Coleção de origem
+     */
+    constructor(database) {
+        this.database = database;
+        this.collectionName = database.collectionName;
+        this.documents = null;
+        this.versions = new Map();
+        this.touched = new Set();
+        this.changes = new Map();
+    }
+
+    /**
+     * Busca um documento pelo ID
+     * @async
+     * @param {string} id - ID do documento
+     * @returns {Promise<Object|null>} O documento encontrado ou null
+     */
+    async findById(id) {
+        const [document] = (await this.visible()).filter(doc => doc.id === id);
+        this.touched.add(id);
+        return document ? clone(document) : null;
+    }
+
+    /**
+     * Busca o primeiro documento que atende ao filtro
+     * @async
+     * @param {Object} filter - Critérios de busca
+     * @returns {Promise<Object|null>} O documento encontrado ou null
+     */
+    async findOne(filter) {
+        const [document] = await this.find(filter, { limit: 1 });
+        return document || null;
+    }
+
+    /**
+     * Busca documentos com filtros, incluindo as escritas ainda não confirmadas da transação
+     * @async
+     * @param {Object} [filter={}] - Critérios de busca
+     * @param {Object} [options={}] - Opções de busca (sort, skip, limit, projection)
+     * @returns {Promise<Array>} Documentos encontrados
+     */
+    async find(filter = {}, options = {}) {
+        const project = compileProjection(options.projection);
+        let documents = await this.select(filter);
+
+        if (options.sort) {
+            documents = this.database.sortDocuments(documents, options.sort);
+        }
+        if (options.skip) {
+            documents = documents.slice(options.skip);
+        }
+        if (options.limit) {
+            documents = documents.slice(0, options.limit);
+        }
+
+        return documents.map(doc => project(clone(doc)));
+    }
+
+    /**
+     * Conta os documentos que atendem ao filtro
+     * @async
+     * @param {Object} [filter={}] - Critérios de busca
+     * @returns {Promise<number>} Número de documentos
+     */
+    async count(filter = {}) {
+        return (await this.select(filter)).length;
+    }
+
+    /**
+     * Cria um documento na transação
+     * @async
+     * @param {Object} data - Dados do documento
+     * @param {Object} [options={}] - Opções da escrita (actor)
+     * @returns {Promise<Object>} O documento criado com ID e timestamps
+     * @throws {SchemaValidationError} Se o documento não atender ao schema da coleção
+     * @throws {DuplicateKeyError} Se o ID já existir ou o documento violar uma restrição de unicidade
+     */
+    async create(data, options = {}) {
+        const documents = await this.load();
+        const document = this.database.buildDocument(data);
+
+        if (documents.some(doc => doc.id === document.id)) {
+            throw new DuplicateKeyError(this.collectionName, ['id'], [document.id]);
+        }
+        this.database.checkSchema(document);
+        this.database.checkUnique(documents, document);
+        this.write(document.id, document, options.actor);
+        this.touched.add(document.id);
+        documents.push(document);
+
+        return clone(document);
+    }
+
+    /**
+     * Atualiza um documento na transação
+     * @async
+     * @param {string} id - ID do documento
+     * @param {Object|Function} updates - Dados/operadores ou função (documento) => dados
+     * @param {Object} [options={}] - Opções da atualização (arrayFilters, expectedVersion, actor)
+     * @returns {Promise<Object|null>} O documento atualizado ou null se não encontrado
+     * @throws {SchemaValidationError} Se o documento resultante não atender ao schema da coleção
+     * @throws {DuplicateKeyError} Se a atualização violar uma restrição de unicidade
+     * @throws {VersionConflictError} Se o documento estiver em outra versão
+     */
+    async update(id, updates, options = {}) {
+        const [updated] = await this.modify(doc => doc.id === id, updates, options);
+        this.touched.add(id);
+        return updated || null;
+    }
+
+    /**
+     * Atualiza todos os documentos que atendem ao filtro
+     * @async
+     * @param {Object} filter - Critérios de busca
+     * @param {Object|Function} updates - Dados/operadores ou função (documento) => dados
+     * @param {Object} [options={}] - Opções da atualização (arrayFilters, actor)
+     * @returns {Promise<number>} Número de documentos atualizados
+     */
+    async updateMany(filter, updates, options = {}) {
+        const updated = await this.modify(doc => this.database.matchesFilter(doc, filter), updates, options);
+        return updated.length;
+    }
+
+    /**
+     * Remove um documento na transação (para a lixeira, se a coleção tiver soft delete)
+     * @async
+     * @param {string} id - ID do documento
+     * @param {Object} [options={}] - Opções da remoção (expectedVersion, actor, hard)
+     * @returns {Promise<boolean>} true se removido, false se não encontrado
+     * @throws {VersionConflictError} Se o documento estiver em outra versão
+     */
+    async delete(id, options = {}) {
+        this.touched.add(id);
+        return (await this.remove(doc => doc.id === id, options)) > 0;
+    }
+
+    /**
+     * Remove todos os documentos que atendem ao filtro
+     * @async
+     * @param {Object} filter - Critérios de busca
+     * @param {Object} [options={}] - Opções da remoção (actor, hard)
+     * @returns {Promise<number>} Número de documentos removidos
+     */
+    async deleteMany(filter, options = {}) {
+        return this.remove(doc => this.database.matchesFilter(doc, filter), options);
+    }
+
+    /**
+     * Confere se os documentos lidos ou alterados pela transação continuam na versão carregada
+     * e monta o novo estado da coleção com as escritas da transação
+     * @param {Array} current - Documentos atuais da coleção, lidos dentro da fila de escrita
+     * @returns {Object} Estado a gravar ({ documents, changes })
+     * @throws {TransactionConflictError} Se algum documento tiver sido modificado por outra escrita
+     * @throws {DuplicateKeyError} Se outra escrita tiver ocupado um valor único usado pela transação
+     */
+    prepare(current) {
+        const currentVersions = new Map(current.map(doc => [doc.id, doc._version || 0]));
+
+        this.touched.forEach(id => {
+            if (currentVersions.get(id) !== this.versions.get(id)) {
+                throw new TransactionConflictError(this.collectionName, id);
+            }
+        });
+
+        const documents = [...current];
+        const changes = [];
+
+        this.changes.forEach(({ doc, actor }, id) => {
+            const position = documents.findIndex(existing => existing.id === id);
+
+            if (doc === null) {
+                // Documentos criados e removidos na própria transação não geram escrita
+                if (position !== -1) {
+                    changes.push({ op: 'delete', id, before: documents[position], actor });
+                    documents.splice(position, 1);
+                }
+                return;
+            }
+
+            this.database.checkUnique(documents, doc);
+            if (position === -1) {
+                documents.push(doc);
+                changes.push({ op: 'create', id, doc, actor });
+            } else {
+                changes.push({ op: 'update', id, doc, before: documents[position], actor });
+                documents[position] = doc;
+            }
+        });
+
+        return { documents, changes };
+    }
+
+    /**
+     * Carrega a cópia de trabalho da coleção no primeiro acesso
+     * @async
+     * @private
+     * @returns {Promise<Array>} Documentos da cópia de trabalho
+     */
+    async load() {
+        if (!this.documents) {
+            this.documents = await this.database.readAll();
+            this.documents.forEach(doc => this.versions.set(doc.id, doc._version || 0));
+        }
+        return this.documents;
+    }
+
+    /**
+     * Documentos visíveis no escopo informado
+     * @async
+     * @private
+     * @param {string} [scope='active'] - Escopo (ver JsonDatabase.inScope)
+     * @returns {Promise<Array>} Documentos no escopo
+     */
+    async visible(scope = 'active') {
+        const now = Date.now();
+        return (await this.load()).filter(doc => this.database.inScope(doc, scope, now));
+    }
+
+    /**
+     * Seleciona os documentos visíveis que atendem ao filtro, registrando-os como lidos
+     * @async
+     * @private
+     * @param {Object} filter - Critérios de busca
+     * @returns {Promise<Array>} Documentos selecionados
+     */
+    async select(filter) {
+        const documents = (await this.visible()).filter(doc => this.database.matchesFilter(doc, filter));
+        documents.forEach(doc => this.touched.add(doc.id));
+        return documents;
+    }
+
+    /**
+     * Aplica uma atualização aos documentos selecionados na cópia de trabalho
+     * @async
+     * @private
+     * @param {Function} predicate - Função (documento) => boolean
+     * @param {Object|Function} updates - Dados/operadores ou função (documento) => dados
+     * @param {Object} options - Opções da atualização (ver JsonDatabase.modifyDocuments)
+     * @returns {Promise<Array>} Cópias dos documentos atualizados
+     */
+    async modify(predicate, updates, options) {
+        const documents = await this.load();
+        const targets = (await this.visible(options.scope)).filter(predicate);
+        const updated = [];
+
+        targets.forEach(target => this.database.checkVersion(target, options.expectedVersion));
+
+        for (const target of targets) {
+            const changesForDoc = typeof updates === 'function' ? await updates(clone(target)) : updates;
+            const document = this.database.applyChanges(target, changesForDoc, options);
+
+            if (!options.skipSchema) {
+                this.database.checkSchema(document);
+            }
+            this.database.checkUnique(documents, document);
+            this.write(document.id, document, options.actor);
+            documents[documents.indexOf(target)] = document;
+            this.touched.add(document.id);
+            updated.push(clone(document));
+        }
+
+        return updated;
+    }
+
+    /**
+     * Remove os documentos selecionados da cópia de trabalho
+     * Com soft delete habilitado (e sem `hard`), os documentos apenas recebem `deletedAt`
+     * @async
+     * @private
+     * @param {Function} predicate - Função (documento) => boolean
+     * @param {Object} options - Opções da remoção (expectedVersion, actor, hard)
+     * @returns {Promise<number>} Número de documentos removidos
+     */
+    async remove(predicate, options) {
+        if (this.database.softDelete && !options.hard) {
+            const trashed = await this.modify(
+                predicate,
+                { $set: { deletedAt: new Date().toISOString() } },
+                { ...options, skipSchema: true }
+            );
+            return trashed.length;
+        }
+
+        const documents = await this.load();
+        const targets = (await this.visible(options.hard ? 'stored' : 'active')).filter(predicate);
+        targets.forEach(target => this.database.checkVersion(target, options.expectedVersion));
+
+        targets.forEach(target => {
+            this.write(target.id, null, options.actor);
+            this.touched.add(target.id);
+            documents.splice(documents.indexOf(target), 1);
+        });
+        return targets.length;
+    }
+
+    /**
+     * Registra o estado final de um documento; escritas repetidas no mesmo documento são combinadas
+     * @private
+     * @param {string} id - ID do documento
+     * @param {Object|null} doc - Documento após a escrita (null se removido)
+     * @param {string} [actor] - Autor da alteração, registrado no histórico
+     */
+    write(id, doc, actor) {
+        this.changes.set(id, { doc, actor });
+    }
+}
+
+module.exports = TransactionCollection;
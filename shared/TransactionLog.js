@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Registro de intenção das transações do JsonDatabase, usado na recuperação após falhas
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { writeFileAtomic } = require('./atomicFile');
+
+/**
+ * Sequência usada para ordenar transações confirmadas no mesmo milissegundo
+ * @type {number}
+ */
+let sequence = 0;
+
+/**
+ * Guarda, no subdiretório `_transactions` do diretório de dados, o estado final dos documentos de
+ * uma transação antes de ela ser gravada nas coleções. Cada entrada lista as coleções ainda
+ * pendentes; ao abrir uma coleção, o JsonDatabase reaplica as entradas que a incluem e a marca
+ * como aplicada. A entrada é removida quando todas as coleções foram gravadas
+ * @class TransactionLog
+ */
+class TransactionLog {
+    /**
+     * Construtor do TransactionLog
+     * @param {string} dbPath - Diretório de dados das coleções
+     */
+    constructor(dbPath) {
+        this.directory = path.join(dbPath, '_transactions');
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Grava a intenção de uma transação antes de alterar as coleções
+     * @async
+     * @param {Object<string, Array<Object>>} collections - Alterações por coleção ({ id, doc }; doc null remove)
+     * @returns {Promise<Object>} Entrada gravada ({ id, committedAt, pending, collections })
+     */
+    async record(collections) {
+        const entry = {
+            id: `${Date.now()}-${String(sequence++ % 1000000).padStart(6, '0')}`,
+            committedAt: new Date().toISOString(),
+            pending: Object.keys(collections),
+            collections
+        };
+
+        await fs.ensureDir(this.directory);
+        await writeFileAtomic(this.entryPath(entry.id), JSON.stringify(entry));
+        return entry;
+    }
+
+    /**
+     * Busca as entradas que ainda não foram aplicadas a uma coleção, em ordem de confirmação
+     * @async
+     * @param {string} collectionName - Nome da coleção
+     * @returns {Promise<Array<Object>>} Entradas pendentes
+     */
+    async pending(collectionName) {
+        if (!(await fs.pathExists(this.directory))) {
+            return [];
+        }
+
+        const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json')).sort();
+        const entries = await Promise.all(files.map(file => fs.readJson(path.join(this.directory, file))));
+        return entries.filter(entry => entry.pending.includes(collectionName));
+    }
+
+    /**
+     * Marca uma coleção como aplicada, removendo a entrada quando não restarem coleções pendentes
+     * @async
+     * @param {string} id - ID da entrada
+     * @param {string} collectionName - Nome da coleção
+     * @returns {Promise<void>}
+     */
+    markApplied(id, collectionName) {
+        return this.enqueue(async () => {
+            const entryPath = this.entryPath(id);
+            if (!(await fs.pathExists(entryPath))) {
+                return;
+            }
+
+            const entry = await fs.readJson(entryPath);
+            entry.pending = entry.pending.filter(name => name !== collectionName);
+            if (entry.pending.length === 0) {
+                await fs.remove(entryPath);
+            } else {
+                await writeFileAtomic(entryPath, JSON.stringify(entry));
+            }
+        });
+    }
+
+    /**
+     * Remove uma entrada depois que todas as coleções da transação foram gravadas
+     * @async
+     * @param {string} id - ID da entrada
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return this.enqueue(() => fs.remove(this.entryPath(id)));
+    }
+
+    /**
+     * Serializa as alterações nas entradas, que podem ser feitas por várias coleções ao mesmo tempo
+     * @async
+     * @private
+     * @param {Function} operation - Função assíncrona a ser executada
+     * @returns {Promise<*>} Resultado da operação
+     */
+    enqueue(operation) {
+        const result = this.queue.then(() => operation());
+        this.queue = result.then(() => {}, () => {});
+        return result;
+    }
+
+    /**
+     * Caminho do arquivo de uma entrada
+     * @private
+     * @param {string} id - ID da entrada
+     * @returns {string} Caminho do arquivo
+     */
+    entryPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+}
+
+module.exports = TransactionLog;
@@ -0,0 +1,376 @@
+/**
+ * @fileoverview Pipeline de agregação no estilo MongoDB para o JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { matchesFilter, resolvePath, compareForSort, isOperatorObject } = require('./queryMatcher');
+const { compileProjection } = require('./projection');
+
+/**
+ * Obtém o valor de um campo sem atravessar arrays (usado por $unwind e $sort)
+ * @private
+ * @param {Object} obj - Objeto fonte
+ * @param {string} path - Caminho com notação de ponto
+ * @returns {*} Valor encontrado ou undefined
+ */
+function getField(obj, path) {
+    return path.split('.').reduce((current, key) => {
+        return current !== null && current !== undefined && typeof current === 'object' ? current[key] : undefined;
+    }, obj);
+}
+
+/**
+ * Retorna uma cópia rasa do objeto com o caminho definido para o valor informado
+ * Apenas os objetos ao longo do caminho são copiados
+ * @private
+ * @param {Object} obj - Objeto original (não é modificado)
+ * @param {Array<string>} segments - Segmentos do caminho
+ * @param {*} value - Valor a ser definido
+ * @returns {Object} Novo objeto
+ */
+function setField(obj, segments, value) {
+    const [key, ...rest] = segments;
+    const base = obj !== null && typeof obj === 'object' && !Array.isArray(obj) ? obj : {};
+    return {
+        ...base,
+        [key]: rest.length === 0 ? value : setField(base[key], rest, value)
+    };
+}
+
+/**
+ * Retorna uma cópia rasa do objeto sem o caminho informado
+ * @private
+ * @param {Object} obj - Objeto original (não é modificado)
+ * @param {Array<string>} segments - Segmentos do caminho
+ * @returns {Object} Novo objeto
+ */
+function unsetField(obj, segments) {
+    const [key, ...rest] = segments;
+    if (obj === null || typeof obj !== 'object' || !(key in obj)) {
+        return obj;
+    }
+    const copy = { ...obj };
+    if (rest.length === 0) {
+        delete copy[key];
+    } else {
+        copy[key] = unsetField(obj[key], rest);
+    }
+    return copy;
+}
+
+/**
+ * Converte um valor em número para operadores aritméticos (não numéricos viram null)
+ * @private
+ * @param {*} value - Valor avaliado
+ * @returns {number|null} Número ou null
+ */
+function toNumber(value) {
+    return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+}
+
+/**
+ * Avalia uma expressão de agregação sobre um documento
+ * Aceita referências a campos ("$campo.sub"), literais, objetos e arrays de expressões e os
+ * operadores $add, $subtract, $multiply, $divide, $cond, $ifNull, $concat, $substr, $toLower e $toUpper
+ * @param {Object} document - Documento atual do pipeline
+ * @param {*} expression - Expressão a ser avaliada
+ * @returns {*} Resultado da expressão
+ * @throws {Error} Se um operador de expressão não for suportado
+ */
+function evaluateExpression(document, expression) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return resolvePath(document, expression.slice(1));
+    }
+    if (Array.isArray(expression)) {
+        return expression.map(element => evaluateExpression(document, element));
+    }
+    if (!expression || typeof expression !== 'object') {
+        return expression;
+    }
+    if (!isOperatorObject(expression)) {
+        const result = {};
+        Object.entries(expression).forEach(([key, value]) => {
+            result[key] = evaluateExpression(document, value);
+        });
+        return result;
+    }
+
+    const [operator, operand] = Object.entries(expression)[0];
+    const args = Array.isArray(operand) ? operand : [operand];
+    const values = () => args.map(arg => evaluateExpression(document, arg));
+
+    switch (operator) {
+        case '$add':
+        case '$multiply': {
+            const numbers = values().map(toNumber);
+            if (numbers.some(number => number === null)) {
+                return null;
+            }
+            return operator === '$add'
+                ? numbers.reduce((total, number) => total + number, 0)
+                : numbers.reduce((total, number) => total * number, 1);
+        }
+        case '$subtract':
+        case '$divide': {
+            const [a, b] = values().map(toNumber);
+            if (a === null || b === null || (operator === '$divide' && b === 0)) {
+                return null;
+            }
+            return operator === '$subtract' ? a - b : a / b;
+        }
+        case '$cond': {
+            const [condition, whenTrue, whenFalse] = Array.isArray(operand)
+                ? operand
+                : [operand.if, operand.then, operand.else];
+            return evaluateExpression(document, condition)
+                ? evaluateExpression(document, whenTrue)
+                : evaluateExpression(document, whenFalse);
+        }
+        case '$ifNull': {
+            const found = values().find(value => value !== null && value !== undefined);
+            return found === undefined ? null : found;
+        }
+        case '$concat': {
+            const parts = values();
+            return parts.every(part => typeof part === 'string') ? parts.join('') : null;
+        }
+        case '$substr': {
+            const [text, start, length] = values();
+            if (text === null || text === undefined) {
+                return '';
+            }
+            return String(text).substr(start, length < 0 ? undefined : length);
+        }
+        case '$toLower':
+        case '$toUpper': {
+            const [text] = values();
+            if (text === null || text === undefined) {
+                return '';
+            }
+            return operator === '$toLower' ? String(text).toLowerCase() : String(text).toUpperCase();
+        }
+        default:
+            throw new Error(`Operador de expressão não suportado: ${operator}`);
+    }
+}
+
+/**
+ * Cria os acumuladores de um $group
+ * @private
+ * @param {Object} spec - Especificação do $group (sem _id)
+ * @returns {Array<Object>} Acumuladores ({ field, operator, expression })
+ * @throws {Error} Se um acumulador for inválido
+ */
+function parseAccumulators(spec) {
+    return Object.entries(spec).map(([field, definition]) => {
+        const keys = definition && typeof definition === 'object' ? Object.keys(definition) : [];
+        if (keys.length !== 1) {
+            throw new Error(`Acumulador inválido para o campo ${field} no $group`);
+        }
+        const operator = keys[0];
+        if (!['$sum', '$avg', '$min', '$max', '$count'].includes(operator)) {
+            throw new Error(`Acumulador não suportado: ${operator}`);
+        }
+        return { field, operator, expression: definition[operator] };
+    });
+}
+
+/**
+ * Estágio $group: agrupa por _id e calcula os acumuladores de cada grupo
+ * Valores não numéricos são ignorados por $sum e $avg; $min e $max ignoram valores ausentes
+ * @private
+ * @param {Array<Object>} documents - Documentos de entrada
+ * @param {Object} spec - Especificação ({ _id: expressão, campo: { $acumulador: expressão } })
+ * @returns {Array<Object>} Um documento por grupo, na ordem em que os grupos aparecem
+ * @throws {Error} Se _id não for informado
+ */
+function groupStage(documents, spec) {
+    if (!spec || !('_id' in spec)) {
+        throw new Error('O estágio $group exige o campo _id');
+    }
+    const { _id: idExpression, ...rest } = spec;
+    const accumulators = parseAccumulators(rest);
+    const groups = new Map();
+
+    documents.forEach(document => {
+        const evaluated = evaluateExpression(document, idExpression);
+        const id = evaluated === undefined ? null : evaluated;
+        const key = JSON.stringify(id);
+
+        if (!groups.has(key)) {
+            groups.set(key, {
+                _id: id,
+                state: accumulators.map(() => ({ total: 0, count: 0, value: undefined }))
+            });
+        }
+        const group = groups.get(key);
+
+        accumulators.forEach(({ operator, expression }, position) => {
+            const state = group.state[position];
+            if (operator === '$count') {
+                state.count += 1;
+                return;
+            }
+
+            const value = evaluateExpression(document, expression);
+            if (operator === '$sum' || operator === '$avg') {
+                if (toNumber(value) !== null) {
+                    state.total += value;
+                    state.count += 1;
+                }
+            } else if (value !== null && value !== undefined) {
+                const comparison = state.value === undefined ? null : compareForSort(value, state.value);
+                if (comparison === null || (operator === '$min' ? comparison < 0 : comparison > 0)) {
+                    state.value = value;
+                }
+            }
+        });
+    });
+
+    return [...groups.values()].map(group => {
+        const result = { _id: group._id };
+        accumulators.forEach(({ field, operator }, position) => {
+            const state = group.state[position];
+            switch (operator) {
+                case '$sum':
+                    result[field] = state.total;
+                    break;
+                case '$avg':
+                    result[field] = state.count > 0 ? state.total / state.count : null;
+                    break;
+                case '$count':
+                    result[field] = state.count;
+                    break;
+                default:
+                    result[field] = state.value === undefined ? null : state.value;
+                    break;
+            }
+        });
+        return result;
+    });
+}
+
+/**
+ * Estágio $unwind: gera um documento para cada elemento de um campo array
+ * @private
+ * @param {Array<Object>} documents - Documentos de entrada
+ * @param {string|Object} spec - Caminho ("$items") ou { path, preserveNullAndEmptyArrays }
+ * @returns {Array<Object>} Documentos desmembrados
+ * @throws {Error} Se o caminho não for uma referência de campo
+ */
+function unwindStage(documents, spec) {
+    const options = typeof spec === 'string' ? { path: spec } : (spec || {});
+    if (typeof options.path !== 'string' || !options.path.startsWith('$')) {
+        throw new Error('O estágio $unwind exige um caminho iniciado por $');
+    }
+    const segments = options.path.slice(1).split('.');
+    const results = [];
+
+    documents.forEach(document => {
+        const value = getField(document, segments.join('.'));
+
+        if (Array.isArray(value) && value.length > 0) {
+            value.forEach(element => results.push(setField(document, segments, element)));
+        } else if (value !== null && value !== undefined && !Array.isArray(value)) {
+            results.push(document);
+        } else if (options.preserveNullAndEmptyArrays) {
+            results.push(value === undefined ? document : unsetField(document, segments));
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Estágio $project: inclui, exclui ou calcula campos
+ * Valores 1/true incluem, 0/false excluem e qualquer outro valor é avaliado como expressão.
+ * Inclusões e exclusões não podem ser misturadas (exceto a exclusão de _id)
+ * @private
+ * @param {Array<Object>} documents - Documentos de entrada
+ * @param {Object} spec - Especificação da projeção
+ * @returns {Array<Object>} Documentos projetados
+ * @throws {Error} Se inclusões e exclusões forem misturadas
+ */
+function projectStage(documents, spec) {
+    const entries = Object.entries(spec || {});
+    const isFlag = value => value === 1 || value === 0 || typeof value === 'boolean';
+    const flags = Object.fromEntries(entries.filter(([, value]) => isFlag(value)));
+    const computed = entries.filter(([, value]) => !isFlag(value));
+    const project = compileProjection(flags, { idField: '_id', inclusion: computed.length > 0 });
+
+    return documents.map(document => computed.reduce((result, [field, expression]) => {
+        const value = evaluateExpression(document, expression);
+        return value === undefined ? result : setField(result, field.split('.'), value);
+    }, project(document)));
+}
+
+/**
+ * Estágio $sort: ordena por um ou mais campos (1 crescente, -1 decrescente)
+ * @private
+ * @param {Array<Object>} documents - Documentos de entrada
+ * @param {Object} spec - Critérios de ordenação
+ * @returns {Array<Object>} Nova lista ordenada
+ */
+function sortStage(documents, spec) {
+    const fields = Object.entries(spec || {});
+    return [...documents].sort((a, b) => {
+        for (const [field, direction] of fields) {
+            const comparison = compareForSort(getField(a, field), getField(b, field));
+            if (comparison !== 0) {
+                return direction === -1 ? -comparison : comparison;
+            }
+        }
+        return 0;
+    });
+}
+
+/**
+ * Executa um pipeline de agregação sobre um conjunto de documentos
+ * Estágios suportados: $match, $group ($sum, $avg, $min, $max, $count), $unwind, $project,
+ * $sort e $limit. Os documentos de entrada não são modificados
+ * @param {Array<Object>} documents - Documentos de entrada
+ * @param {Array<Object>} pipeline - Estágios, cada um com uma única chave (ex: { $match: {...} })
+ * @returns {Array<Object>} Resultado do último estágio
+ * @throws {Error} Se o pipeline ou algum estágio for inválido
+ */
+function runPipeline(documents, pipeline) {
+    if (!Array.isArray(pipeline)) {
+        throw new Error('O pipeline de agregação deve ser um array de estágios');
+    }
+
+    return pipeline.reduce((current, stage, position) => {
+        const keys = stage && typeof stage === 'object' ? Object.keys(stage) : [];
+        if (keys.length !== 1) {
+            throw new Error(`Estágio ${position} do pipeline deve ter exatamente um operador`);
+        }
+        const [name] = keys;
+        const spec = stage[name];
+
+        switch (name) {
+            case '$match':
+                return current.filter(document => matchesFilter(document, spec || {}));
+            case '$group':
+                return groupStage(current, spec);
+            case '$unwind':
+                return unwindStage(current, spec);
+            case '$project':
+                return projectStage(current, spec);
+            case '$sort':
+                return sortStage(current, spec);
+            case '$limit':
+                if (!Number.isInteger(spec) || spec < 0) {
+                    throw new Error('O estágio $limit exige um inteiro não negativo');
+                }
+                return current.slice(0, spec);
+            default:
+                throw new Error(`Estágio de agregação não suportado: ${name}`);
+        }
+    }, documents);
+}
+
+module.exports = {
+    runPipeline,
+    evaluateExpression
+};
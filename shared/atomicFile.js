@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Utilitários de escrita atômica e verificação de integridade de arquivos
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Calcula o checksum SHA-256 de um conteúdo
+ * @param {string|Buffer} content - Conteúdo a ser verificado
+ * @returns {string} Checksum em hexadecimal
+ */
+function computeChecksum(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Caminho de um arquivo temporário exclusivo desta escrita
+ * Inclui o PID e um sufixo aleatório, para que escritas simultâneas (do mesmo ou de outros
+ * processos) no mesmo destino não usem o mesmo arquivo
+ * @private
+ * @param {string} filePath - Caminho do arquivo de destino
+ * @returns {string} Caminho do arquivo temporário (`<destino>.<pid>.<sufixo>.tmp`)
+ */
+function tempPathFor(filePath) {
+    return `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+}
+
+/**
+ * Verifica se um processo ainda está em execução nesta máquina
+ * @param {number} pid - PID do processo
+ * @returns {boolean} true se o processo existe
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Força a gravação em disco das entradas de um diretório (renomeações)
+ * Ignorado em plataformas que não permitem abrir diretórios (ex: Windows)
+ * @async
+ * @private
+ * @param {string} dirPath - Caminho do diretório
+ * @returns {Promise<void>}
+ */
+async function syncDirectory(dirPath) {
+    let handle;
+    try {
+        handle = await fs.promises.open(dirPath, 'r');
+        await handle.sync();
+    } catch (error) {
+        // Sincronização de diretório não suportada nesta plataforma
+    } finally {
+        if (handle) {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * Preserva a versão atual de um arquivo como cópia de segurança
+ * Usa hard link para não duplicar dados, com cópia como alternativa
+ * @async
+ * @private
+ * @param {string} filePath - Arquivo a ser preservado
+ * @param {string} backupPath - Caminho da cópia de segurança
+ * @returns {Promise<void>}
+ */
+async function preserveBackup(filePath, backupPath) {
+    if (!await fs.pathExists(filePath)) {
+        return;
+    }
+
+    const staging = tempPathFor(backupPath);
+    try {
+        await fs.link(filePath, staging);
+    } catch (error) {
+        await fs.copyFile(filePath, staging);
+    }
+    await fs.rename(staging, backupPath);
+}
+
+/**
+ * Escreve um arquivo de forma atômica
+ * O conteúdo é gravado em um arquivo temporário exclusivo, sincronizado com fsync e então
+ * renomeado sobre o destino, de modo que leitores nunca observem um arquivo truncado
+ * @async
+ * @param {string} filePath - Caminho do arquivo de destino
+ * @param {string|Buffer} content - Conteúdo a ser gravado
+ * @param {Object} [options={}] - Opções de escrita
+ * @param {string} [options.backupPath] - Se informado, preserva a versão anterior neste caminho
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content, options = {}) {
+    const tempPath = tempPathFor(filePath);
+    const handle = await fs.promises.open(tempPath, 'wx');
+
+    try {
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        if (options.backupPath) {
+            await preserveBackup(filePath, options.backupPath);
+        }
+
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.remove(tempPath);
+        throw error;
+    }
+    await syncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Versão síncrona de writeFileAtomic, sem cópia de segurança, para quem não pode aguardar promessas
+ * (ex: arquivos gravados no evento 'exit' do processo)
+ * @param {string} filePath - Caminho do arquivo de destino
+ * @param {string|Buffer} content - Conteúdo a ser gravado
+ */
+function writeFileAtomicSync(filePath, content) {
+    const tempPath = tempPathFor(filePath);
+    const descriptor = fs.openSync(tempPath, 'wx');
+
+    try {
+        try {
+            fs.writeFileSync(descriptor, content, 'utf8');
+            fs.fsyncSync(descriptor);
+        } finally {
+            fs.closeSync(descriptor);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.removeSync(tempPath);
+        throw error;
+    }
+}
+
+/**
+ * Localiza os arquivos temporários de um destino deixados por processos que não estão mais em execução
+ * (escritas interrompidas). Temporários de processos ativos são ignorados, pois podem estar sendo gravados
+ * @async
+ * @param {string} filePath - Caminho do arquivo de destino
+ * @returns {Promise<Array<string>>} Caminhos dos temporários, do mais recente para o mais antigo
+ */
+async function findOrphanedTempFiles(filePath) {
+    const base = path.basename(filePath);
+    const dirPath = path.dirname(filePath);
+    let files;
+    try {
+        files = await fs.readdir(dirPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const orphaned = files.filter(file => {
+        if (file === `${base}.tmp`) {
+            // Nome usado por versões anteriores, sem PID
+            return true;
+        }
+        if (!file.startsWith(`${base}.`)) {
+            return false;
+        }
+        const match = /^(\d+)\.[0-9a-f]+\.tmp$/.exec(file.slice(base.length + 1));
+        return Boolean(match) && (Number(match[1]) !== process.pid && !isProcessAlive(Number(match[1])));
+    });
+
+    const entries = await Promise.all(orphaned.map(async file => {
+        const tempPath = path.join(dirPath, file);
+        try {
+            return { tempPath, mtimeMs: (await fs.stat(tempPath)).mtimeMs };
+        } catch (error) {
+            return null;
+        }
+    }));
+    return entries.filter(Boolean).sort((a, b) => b.mtimeMs - a.mtimeMs).map(entry => entry.tempPath);
+}
+
+/**
+ * Assinatura de um arquivo no disco (inode, tamanho e data de modificação)
+ * Como as escritas substituem o arquivo por rename, qualquer escrita muda a assinatura
+ * @async
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Promise<string|null>} Assinatura ou null se o arquivo não existir
+ */
+async function readFileSignature(filePath) {
+    try {
+        const stats = await fs.stat(filePath);
+        return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Lê um arquivo JSON e verifica se é válido
+ * @async
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Promise<Object>} Resultado com exists, valid, content, data e checksum
+ */
+async function inspectJsonFile(filePath) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { exists: false, valid: false };
+        }
+        throw error;
+    }
+
+    try {
+        return {
+            exists: true,
+            valid: true,
+            content,
+            data: JSON.parse(content),
+            checksum: computeChecksum(content)
+        };
+    } catch (error) {
+        return { exists: true, valid: false, content, error };
+    }
+}
+
+module.exports = {
+    computeChecksum,
+    writeFileAtomic,
+    writeFileAtomicSync,
+    inspectJsonFile,
+    findOrphanedTempFiles,
+    readFileSignature,
+    isProcessAlive
+};
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Linha de comando dos snapshots dos bancos dos serviços (npm run backup)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { numericOption } = require('./migrationCli');
+
+/**
+ * Texto de ajuda exibido para comandos desconhecidos
+ * @type {string}
+ */
+const USAGE = [
+    'Uso: npm run backup -- [comando] [opções]',
+    '  create [--label texto]                      cria um snapshot de todos os serviços (padrão)',
+    '  list                                        lista os snapshots, do mais recente ao mais antigo',
+    '  verify <id>                                 confere os checksums de um snapshot',
+    '  restore <id> [--service nome]               restaura todos os serviços ou apenas os informados',
+    '  prune [--keep-last N] [--max-age-days D]    descarta snapshots antigos (padrão: BACKUP_KEEP_LAST',
+    '                                              e BACKUP_MAX_AGE_DAYS)',
+    '  delete <id>                                 remove um snapshot'
+].join('\n');
+
+/**
+ * Opções que recebem valor no argumento seguinte
+ * @type {Array<string>}
+ */
+const VALUE_OPTIONS = ['--label', '--service', '--keep-last', '--max-age-days'];
+
+/**
+ * Lê os valores de uma opção de texto (--service x ou --service=x), que pode ser repetida
+ * @private
+ * @param {Array<string>} args - Argumentos da linha de comando
+ * @param {string} name - Nome da opção, sem os hífens
+ * @returns {Array<string>} Valores informados
+ */
+function textOptions(args, name) {
+    return args.flatMap((arg, position) => {
+        if (arg === `--${name}`) {
+            return args[position + 1] !== undefined ? [args[position + 1]] : [];
+        }
+        return arg.startsWith(`--${name}=`) ? [arg.slice(name.length + 3)] : [];
+    });
+}
+
+/**
+ * Argumentos que não são opções nem valores de opções (comando e ID)
+ * @private
+ * @param {Array<string>} args - Argumentos da linha de comando
+ * @returns {Array<string>} Argumentos posicionais
+ */
+function positionalArgs(args) {
+    return args.filter((arg, position) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[position - 1]));
+}
+
+/**
+ * Lê um número inteiro não negativo de uma variável de ambiente
+ * @private
+ * @param {string} variable - Nome da variável
+ * @returns {number|undefined} Valor definido
+ * @throws {Error} Se o valor não for um número inteiro
+ */
+function numericEnv(variable) {
+    const raw = process.env[variable];
+    if (raw === undefined || raw === '') {
+        return undefined;
+    }
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Valor inválido para ${variable}: ${raw}`);
+    }
+    return value;
+}
+
+/**
+ * Política de retenção; cada opção ausente é lida da variável de ambiente correspondente
+ * @private
+ * @param {Array<string>} args - Argumentos da linha de comando
+ * @returns {Object} Política ({ keepLast, maxAgeDays })
+ */
+function retentionPolicy(args) {
+    return {
+        keepLast: numericOption(args, 'keep-last') ?? numericEnv('BACKUP_KEEP_LAST'),
+        maxAgeDays: numericOption(args, 'max-age-days') ?? numericEnv('BACKUP_MAX_AGE_DAYS')
+    };
+}
+
+/**
+ * Tamanho em bytes em formato legível
+ * @private
+ * @param {number} bytes - Tamanho
+ * @returns {string} Tamanho formatado (ex: 12.3 KB)
+ */
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Executa um comando de backup e define o código de saída do processo
+ * @async
+ * @param {SnapshotManager} manager - Gerenciador de snapshots
+ * @param {Array<string>} args - Argumentos (process.argv.slice(2))
+ * @returns {Promise<void>}
+ */
+async function runBackupCli(manager, args) {
+    const [command = 'create', id] = positionalArgs(args);
+
+    try {
+        if (['verify', 'restore', 'delete'].includes(command) && !id) {
+            throw new Error('Informe o ID do snapshot');
+        }
+
+        switch (command) {
+            case 'create': {
+                const [label] = textOptions(args, 'label');
+                const snapshot = await manager.create({ label });
+                const files = Object.values(snapshot.services).reduce((total, entries) => total + entries.length, 0);
+                console.log(`Snapshot ${snapshot.id} criado: ${files} arquivo(s), ${formatSize(snapshot.size)}`);
+                break;
+            }
+            case 'list': {
+                const snapshots = await manager.list();
+                if (snapshots.length === 0) {
+                    console.log('Nenhum snapshot encontrado');
+                }
+                snapshots.forEach(snapshot => {
+                    const label = snapshot.label ? ` - ${snapshot.label}` : '';
+                    console.log(`${snapshot.id} (${formatSize(snapshot.size)}, ${Object.keys(snapshot.services).join(', ')})${label}`);
+                });
+                break;
+            }
+            case 'verify': {
+                const result = await manager.verify(id);
+                if (!result) {
+                    throw new Error(`Snapshot ${id} não encontrado`);
+                }
+                if (!result.valid) {
+                    result.errors.forEach(error => console.error(`  ${error}`));
+                    throw new Error(`Snapshot ${id} com falha de integridade`);
+                }
+                console.log(`Snapshot ${id} íntegro`);
+                break;
+            }
+            case 'restore': {
+                const services = textOptions(args, 'service').flatMap(value => value.split(','));
+                const result = await manager.restore(id, { services: services.length > 0 ? services : undefined });
+                if (!result) {
+                    throw new Error(`Snapshot ${id} não encontrado`);
+                }
+                console.log(`Snapshot ${id} restaurado em ${result.services.join(', ')} (estado anterior salvo em ${result.safetySnapshot})`);
+                console.log('Serviços em execução devem ser reiniciados para carregar os dados restaurados');
+                break;
+            }
+            case 'prune': {
+                const policy = retentionPolicy(args);
+                if (policy.keepLast === undefined && policy.maxAgeDays === undefined) {
+                    throw new Error('Informe --keep-last e/ou --max-age-days (ou BACKUP_KEEP_LAST/BACKUP_MAX_AGE_DAYS)');
+                }
+                const removed = await manager.prune(policy);
+                console.log(removed.length > 0
+                    ? `${removed.length} snapshot(s) removido(s): ${removed.join(', ')}`
+                    : 'Nenhum snapshot a remover');
+                break;
+            }
+            case 'delete': {
+                if (!(await manager.remove(id))) {
+                    throw new Error(`Snapshot ${id} não encontrado`);
+                }
+                console.log(`Snapshot ${id} removido`);
+                break;
+            }
+            default:
+                console.error(USAGE);
+                process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`Falha ao executar "${command}": ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    runBackupCli
+};
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Requisições condicionais (ETag/If-Match) baseadas na versão dos documentos
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+/**
+ * Gera o ETag de um documento a partir do seu campo _version
+ * @param {number} [version] - Versão do documento (documentos sem versão são tratados como 0)
+ * @returns {string} ETag forte (ex: "3")
+ */
+function etagFor(version) {
+    return `"${version || 0}"`;
+}
+
+/**
+ * Obtém as versões aceitas pelo cabeçalho If-Match da requisição
+ * ETags fracos (W/"3") ou desconhecidos nunca correspondem, como exige a comparação forte do If-Match
+ * @param {Object} req - Requisição Express
+ * @returns {Array<number>|undefined} Versões aceitas; undefined se o cabeçalho estiver ausente ou for "*"
+ */
+function expectedVersionFrom(req) {
+    const header = req.header('If-Match');
+
+    if (!header || header.trim() === '*') {
+        return undefined;
+    }
+
+    return header
+        .split(',')
+        .map(tag => /^\s*"(\d+)"\s*$/.exec(tag))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+}
+
+module.exports = {
+    etagFor,
+    expectedVersionFrom
+};
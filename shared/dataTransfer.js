@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Leitura e escrita de documentos em NDJSON e CSV para importação/exportação do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { StringDecoder } = require('string_decoder');
+const { resolvePath } = require('./queryMatcher');
+
+/**
+ * Formatos aceitos na importação e na exportação
+ * @type {Array<string>}
+ */
+const TRANSFER_FORMATS = ['ndjson', 'csv'];
+
+/**
+ * Percorre o conteúdo de uma fonte como texto, pedaço a pedaço
+ * Caracteres multibyte divididos entre dois pedaços são decodificados corretamente
+ * @private
+ * @param {string|Buffer|AsyncIterable<string|Buffer>} source - Conteúdo ou stream (ex: requisição HTTP)
+ * @returns {AsyncGenerator<string>} Pedaços de texto
+ */
+async function* readText(source) {
+    const decoder = new StringDecoder('utf8');
+    const chunks = typeof source === 'string' || Buffer.isBuffer(source) ? [source] : source;
+    let first = true;
+
+    for await (const chunk of chunks) {
+        let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        if (first && text.length > 0) {
+            // Planilhas costumam gravar o BOM do UTF-8 no início do arquivo
+            text = text.replace(/^\uFEFF/, '');
+            first = false;
+        }
+        yield text;
+    }
+    yield decoder.end();
+}
+
+/**
+ * Lê os registros de um conteúdo NDJSON, um objeto JSON por linha (linhas em branco são ignoradas)
+ * @param {string|Buffer|AsyncIterable<string|Buffer>} source - Conteúdo ou stream
+ * @returns {AsyncGenerator<Object>} Registros ({ line, record }) ou falhas ({ line, error })
+ */
+async function* parseNdjsonRecords(source) {
+    let pending = '';
+    let line = 0;
+
+    const parseLine = text => {
+        line++;
+        if (!text.trim()) {
+            return null;
+        }
+        try {
+            const record = JSON.parse(text);
+            if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+                return { line, error: 'Linha não contém um objeto JSON' };
+            }
+            return { line, record };
+        } catch (error) {
+            return { line, error: `JSON inválido: ${error.message}` };
+        }
+    };
+
+    for await (const text of readText(source)) {
+        const lines = (pending + text).split('\n');
+        pending = lines.pop();
+        for (const entry of lines.map(parseLine).filter(Boolean)) {
+            yield entry;
+        }
+    }
+
+    const last = parseLine(pending);
+    if (last) {
+        yield last;
+    }
+}
+
+/**
+ * Lê os registros de um conteúdo CSV (RFC 4180): campos entre aspas podem conter o delimitador,
+ * quebras de linha e aspas duplicadas; linhas em branco são ignoradas
+ * @param {string|Buffer|AsyncIterable<string|Buffer>} source - Conteúdo ou stream
+ * @param {string} [delimiter=','] - Separador de campos
+ * @returns {AsyncGenerator<Object>} Registros ({ line, fields }), com a linha onde cada um começa,
+ *   ou falha ({ line, error }) se o conteúdo terminar com aspas abertas
+ */
+async function* parseCsvRecords(source, delimiter = ',') {
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let afterQuote = false;
+    let empty = true;
+    let line = 1;
+    let start = 1;
+
+    for await (const text of readText(source)) {
+        const records = [];
+
+        for (const char of text) {
+            if (inQuotes) {
+                if (afterQuote && char === '"') {
+                    field += '"';
+                    afterQuote = false;
+                    continue;
+                }
+                if (!afterQuote) {
+                    if (char === '"') {
+                        afterQuote = true;
+                    } else {
+                        field += char;
+                        line += char === '\n' ? 1 : 0;
+                    }
+                    continue;
+                }
+                // Aspas seguidas de outro caractere encerram o campo entre aspas
+                inQuotes = false;
+                afterQuote = false;
+            }
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+                empty = false;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+                empty = false;
+            } else if (char === '\n') {
+                if (!empty) {
+                    fields.push(field);
+                    records.push({ line: start, fields });
+                }
+                fields = [];
+                field = '';
+                empty = true;
+                line++;
+                start = line;
+            } else if (char !== '\r') {
+                field += char;
+                empty = false;
+            }
+        }
+
+        yield* records;
+    }
+
+    if (inQuotes && !afterQuote) {
+        yield { line: start, error: 'Campo entre aspas não foi fechado' };
+    } else if (!empty) {
+        fields.push(field);
+        yield { line: start, fields };
+    }
+}
+
+/**
+ * Formata um valor como campo CSV
+ * Objetos e arrays são gravados como JSON; null e undefined como campo vazio
+ * @private
+ * @param {*} value - Valor
+ * @param {string} delimiter - Separador de campos
+ * @returns {string} Campo, entre aspas quando necessário
+ */
+function formatCsvField(value, delimiter) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Gera as linhas CSV de um conjunto de documentos, começando pelo cabeçalho
+ * @param {Array<Object>} documents - Documentos
+ * @param {Array<Array<string>>} columns - Colunas como pares [coluna, campo com notação de ponto]
+ * @param {string} [delimiter=','] - Separador de campos
+ * @returns {Generator<string>} Linhas terminadas em '\n'
+ */
+function* toCsvLines(documents, columns, delimiter = ',') {
+    yield columns.map(([column]) => formatCsvField(column, delimiter)).join(delimiter) + '\n';
+    for (const document of documents) {
+        yield columns.map(([, field]) => formatCsvField(resolvePath(document, field), delimiter)).join(delimiter) + '\n';
+    }
+}
+
+/**
+ * Gera as linhas NDJSON de um conjunto de documentos
+ * @param {Array<Object>} documents - Documentos
+ * @param {Array<Array<string>>|null} columns - Pares [coluna, campo] a gravar; null grava o documento inteiro
+ * @returns {Generator<string>} Linhas terminadas em '\n'
+ */
+function* toNdjsonLines(documents, columns) {
+    for (const document of documents) {
+        const record = columns
+            ? Object.fromEntries(columns
+                .map(([column, field]) => [column, resolvePath(document, field)])
+                .filter(([, value]) => value !== undefined))
+            : document;
+        yield JSON.stringify(record) + '\n';
+    }
+}
+
+/**
+ * Localiza no JSON Schema a definição de um campo com notação de ponto
+ * @param {Object|null} schema - JSON Schema da coleção
+ * @param {string} field - Campo (ex: 'preferences.currency')
+ * @returns {Object|undefined} Definição do campo
+ */
+function schemaProperty(schema, field) {
+    return field.split('.').reduce(
+        (definition, key) => (definition && definition.properties ? definition.properties[key] : undefined),
+        schema || undefined
+    );
+}
+
+/**
+ * Converte o texto de um campo CSV para o tipo declarado no schema
+ * Sem tipo declarado, apenas textos no formato de objeto ou array JSON são convertidos.
+ * Textos que não puderem ser convertidos são mantidos, para que a validação aponte o erro
+ * @param {string} raw - Texto do campo
+ * @param {Object} [definition] - Definição do campo no schema (ver schemaProperty)
+ * @returns {*} Valor convertido; undefined para campos vazios
+ */
+function coerceCsvValue(raw, definition) {
+    if (raw === '') {
+        return undefined;
+    }
+
+    const types = [].concat((definition && definition.type) || []);
+    const parseJson = () => {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw;
+        }
+    };
+
+    if (types.includes('number') || types.includes('integer')) {
+        const value = Number(raw.trim());
+        return raw.trim() !== '' && Number.isFinite(value) ? value : raw;
+    }
+    if (types.includes('boolean')) {
+        const normalized = raw.trim().toLowerCase();
+        return { true: true, false: false, 1: true, 0: false }[normalized] ?? raw;
+    }
+    if (types.includes('object') || types.includes('array') || (types.length === 0 && /^\s*[[{]/.test(raw))) {
+        return parseJson();
+    }
+    return raw;
+}
+
+module.exports = {
+    TRANSFER_FORMATS,
+    parseNdjsonRecords,
+    parseCsvRecords,
+    toCsvLines,
+    toNdjsonLines,
+    schemaProperty,
+    coerceCsvValue
+};
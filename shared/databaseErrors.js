@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Erros tipados lançados pelo JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+/**
+ * Erro lançado quando uma escrita viola uma restrição de unicidade
+ * @class DuplicateKeyError
+ * @extends Error
+ */
+class DuplicateKeyError extends Error {
+    /**
+     * Construtor do DuplicateKeyError
+     * @param {string} collection - Nome da coleção
+     * @param {Array<string>} fields - Campos da restrição violada
+     * @param {Array} values - Valores duplicados, na ordem dos campos
+     */
+    constructor(collection, fields, values) {
+        super(`Valor duplicado em ${collection} para ${fields.join(' + ')}: ${values.join(', ')}`);
+        this.name = 'DuplicateKeyError';
+        this.code = 'DUPLICATE_KEY';
+        this.collection = collection;
+        this.fields = fields;
+        this.values = values;
+    }
+}
+
+/**
+ * Erro lançado quando um campo criptografado não pode ser decifrado (chave ausente ou valor adulterado)
+ * @class EncryptionError
+ * @extends Error
+ */
+class EncryptionError extends Error {
+    /**
+     * Construtor do EncryptionError
+     * @param {string} collection - Nome da coleção
+     * @param {string} id - ID do documento
+     * @param {string} field - Campo criptografado
+     * @param {string} reason - Motivo da falha
+     */
+    constructor(collection, id, field, reason) {
+        super(`Não foi possível decifrar ${field} em ${collection}/${id}: ${reason}`);
+        this.name = 'EncryptionError';
+        this.code = 'ENCRYPTION';
+        this.collection = collection;
+        this.id = id;
+        this.field = field;
+    }
+}
+
+/**
+ * Erro lançado quando um cursor de paginação é inválido ou não corresponde à ordenação da consulta
+ * @class InvalidCursorError
+ * @extends Error
+ */
+class InvalidCursorError extends Error {
+    /**
+     * Construtor do InvalidCursorError
+     * @param {string} collection - Nome da coleção
+     * @param {string} reason - Motivo da rejeição
+     */
+    constructor(collection, reason) {
+        super(`Cursor inválido para ${collection}: ${reason}`);
+        this.name = 'InvalidCursorError';
+        this.code = 'INVALID_CURSOR';
+        this.collection = collection;
+    }
+}
+
+/**
+ * Erro lançado quando um filtro usa um operador desconhecido ou com operando inválido
+ * (ex: $in sem array, $regex com expressão inválida)
+ * @class InvalidQueryError
+ * @extends Error
+ */
+class InvalidQueryError extends Error {
+    /**
+     * Construtor do InvalidQueryError
+     * @param {string} reason - Motivo da rejeição
+     */
+    constructor(reason) {
+        super(`Consulta inválida: ${reason}`);
+        this.name = 'InvalidQueryError';
+        this.code = 'INVALID_QUERY';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Erro lançado quando uma atualização é inválida: operadores misturados com campos simples,
+ * operador desconhecido, operando de tipo incompatível ou caminho proibido (ex: __proto__)
+ * @class InvalidUpdateError
+ * @extends Error
+ */
+class InvalidUpdateError extends Error {
+    /**
+     * Construtor do InvalidUpdateError
+     * @param {string} reason - Motivo da rejeição
+     */
+    constructor(reason) {
+        super(`Atualização inválida: ${reason}`);
+        this.name = 'InvalidUpdateError';
+        this.code = 'INVALID_UPDATE';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Erro lançado quando a trava de escrita de uma coleção, mantida por outro processo, não é liberada
+ * dentro do tempo limite
+ * @class LockTimeoutError
+ * @extends Error
+ */
+class LockTimeoutError extends Error {
+    /**
+     * Construtor do LockTimeoutError
+     * @param {string} lockPath - Arquivo de trava
+     * @param {number} timeout - Tempo de espera em milissegundos
+     * @param {Object|null} holder - Processo que mantém a trava ({ pid, hostname, acquiredAt }), se conhecido
+     */
+    constructor(lockPath, timeout, holder) {
+        super(`Trava ${lockPath} não liberada em ${timeout} ms${holder ? ` (mantida pelo processo ${holder.pid} em ${holder.hostname})` : ''}`);
+        this.name = 'LockTimeoutError';
+        this.code = 'LOCK_TIMEOUT';
+        this.lockPath = lockPath;
+        this.timeout = timeout;
+        this.holder = holder;
+    }
+}
+
+/**
+ * Erro lançado quando uma escrita condicional encontra o documento em outra versão
+ * (outro cliente o modificou desde a leitura)
+ * @class VersionConflictError
+ * @extends Error
+ */
+class VersionConflictError extends Error {
+    /**
+     * Construtor do VersionConflictError
+     * @param {string} collection - Nome da coleção
+     * @param {string} id - ID do documento
+     * @param {number|Array<number>} expectedVersion - Versão(ões) esperada(s) pelo cliente
+     * @param {number} currentVersion - Versão atual do documento
+     */
+    constructor(collection, id, expectedVersion, currentVersion) {
+        super(`Conflito de versão em ${collection}/${id}: esperada ${[].concat(expectedVersion).join(' ou ')}, atual ${currentVersion}`);
+        this.name = 'VersionConflictError';
+        this.code = 'VERSION_CONFLICT';
+        this.collection = collection;
+        this.id = id;
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+    }
+}
+
+/**
+ * Erro lançado quando um documento não atende ao JSON Schema da coleção
+ * @class SchemaValidationError
+ * @extends Error
+ */
+class SchemaValidationError extends Error {
+    /**
+     * Construtor do SchemaValidationError
+     * @param {string} collection - Nome da coleção
+     * @param {string} id - ID do documento
+     * @param {Array<Object>} errors - Violações encontradas ({ path, rule, message })
+     */
+    constructor(collection, id, errors) {
+        super(`Documento inválido em ${collection}/${id}: ${errors.map(error => `${error.path || '(raiz)'} ${error.message}`).join('; ')}`);
+        this.name = 'SchemaValidationError';
+        this.code = 'SCHEMA_VALIDATION';
+        this.collection = collection;
+        this.id = id;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Erro lançado quando o formato de uma importação/exportação não é suportado ou o cabeçalho
+ * do conteúdo importado é inválido (nenhuma linha é processada)
+ * @class TransferFormatError
+ * @extends Error
+ */
+class TransferFormatError extends Error {
+    /**
+     * Construtor do TransferFormatError
+     * @param {string} collection - Nome da coleção
+     * @param {string} reason - Motivo da rejeição
+     */
+    constructor(collection, reason) {
+        super(`Importação/exportação inválida em ${collection}: ${reason}`);
+        this.name = 'TransferFormatError';
+        this.code = 'TRANSFER_FORMAT';
+        this.collection = collection;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Erro lançado quando uma transação não pode ser confirmada porque um documento lido ou
+ * alterado por ela foi modificado por outra escrita depois da leitura
+ * @class TransactionConflictError
+ * @extends Error
+ */
+class TransactionConflictError extends Error {
+    /**
+     * Construtor do TransactionConflictError
+     * @param {string} collection - Nome da coleção
+     * @param {string} id - ID do documento modificado por outra escrita
+     */
+    constructor(collection, id) {
+        super(`Conflito de transação em ${collection}/${id}: documento modificado por outra escrita`);
+        this.name = 'TransactionConflictError';
+        this.code = 'TRANSACTION_CONFLICT';
+        this.collection = collection;
+        this.id = id;
+    }
+}
+
+module.exports = {
+    DuplicateKeyError,
+    EncryptionError,
+    InvalidCursorError,
+    InvalidQueryError,
+    InvalidUpdateError,
+    LockTimeoutError,
+    SchemaValidationError,
+    TransactionConflictError,
+    TransferFormatError,
+    VersionConflictError
+};
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Comparação campo a campo entre revisões de documentos do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { deepEqual } = require('./queryMatcher');
+
+/**
+ * Verifica se um valor é um objeto simples (não array e não null)
+ * @private
+ * @param {*} value - Valor
+ * @returns {boolean} true se for um objeto simples
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Lista as diferenças entre duas versões de um documento
+ * Objetos são comparados recursivamente; arrays e valores simples são comparados por inteiro
+ * @param {Object} before - Versão anterior
+ * @param {Object} after - Versão posterior
+ * @param {string} [basePath=''] - Prefixo dos caminhos (uso recursivo)
+ * @returns {Array<Object>} Diferenças ({ path, type: 'added'|'removed'|'changed', from, to })
+ */
+function diffDocuments(before, after, basePath = '') {
+    const differences = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+        const path = basePath ? `${basePath}.${key}` : key;
+        const from = before ? before[key] : undefined;
+        const to = after ? after[key] : undefined;
+
+        if (from === undefined) {
+            differences.push({ path, type: 'added', to });
+        } else if (to === undefined) {
+            differences.push({ path, type: 'removed', from });
+        } else if (isPlainObject(from) && isPlainObject(to)) {
+            differences.push(...diffDocuments(from, to, path));
+        } else if (!deepEqual(from, to)) {
+            differences.push({ path, type: 'changed', from, to });
+        }
+    });
+
+    return differences;
+}
+
+module.exports = {
+    diffDocuments
+};
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Trava de escrita entre processos baseada em arquivo
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { isProcessAlive } = require('./atomicFile');
+const { LockTimeoutError } = require('./databaseErrors');
+
+/**
+ * Tempo máximo de espera por uma trava mantida por outro processo (ms)
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Intervalo base entre tentativas de obter a trava (ms), acrescido de uma variação aleatória
+ * @type {number}
+ */
+const RETRY_DELAY = 10;
+
+/**
+ * Idade a partir da qual a trava de um processo que não pode ser verificado (outra máquina ou
+ * conteúdo ilegível) é considerada abandonada (ms)
+ * @type {number}
+ */
+const STALE_AFTER = 60000;
+
+/**
+ * Travas mantidas por este processo, pelo caminho absoluto
+ * @type {Set<string>}
+ */
+const heldLocks = new Set();
+
+/**
+ * Lê o processo que mantém uma trava
+ * @async
+ * @private
+ * @param {string} lockPath - Arquivo de trava
+ * @returns {Promise<Object|null>} { holder, ageMs } (holder null enquanto o arquivo é criado), ou null
+ *   se a trava foi liberada
+ */
+async function readHolder(lockPath) {
+    try {
+        const [content, stats] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+        return describeHolder(content, stats);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Versão síncrona de readHolder
+ * @private
+ * @param {string} lockPath - Arquivo de trava
+ * @returns {Object|null} { holder, ageMs } ou null se a trava foi liberada
+ */
+function readHolderSync(lockPath) {
+    try {
+        return describeHolder(fs.readFileSync(lockPath, 'utf8'), fs.statSync(lockPath));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Interpreta o conteúdo de um arquivo de trava
+ * @private
+ * @param {string} content - Conteúdo do arquivo
+ * @param {fs.Stats} stats - Informações do arquivo
+ * @returns {Object} { holder, ageMs } (holder null enquanto o arquivo é criado)
+ */
+function describeHolder(content, stats) {
+    let holder = null;
+    try {
+        holder = JSON.parse(content);
+    } catch (error) {
+        // Conteúdo ainda não gravado pelo processo que criou a trava
+    }
+    return { holder, ageMs: Date.now() - stats.mtimeMs };
+}
+
+/**
+ * Conteúdo gravado no arquivo de trava, que identifica o processo
+ * @private
+ * @returns {string} JSON com pid, hostname e acquiredAt
+ */
+function holderContent() {
+    return JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() });
+}
+
+/**
+ * Verifica se uma trava foi abandonada por um processo encerrado
+ * Na mesma máquina, o PID informa se o processo ainda existe (o próprio PID sem a trava registrada
+ * indica um processo anterior, ex: reinício de contêiner); nos demais casos vale a idade da trava
+ * @private
+ * @param {string} lockPath - Arquivo de trava (absoluto)
+ * @param {Object} current - Resultado de readHolder
+ * @returns {boolean} true se a trava pode ser removida
+ */
+function isStale(lockPath, { holder, ageMs }) {
+    if (holder && holder.hostname === os.hostname()) {
+        return holder.pid === process.pid ? !heldLocks.has(lockPath) : !isProcessAlive(holder.pid);
+    }
+    return ageMs > STALE_AFTER;
+}
+
+/**
+ * Intervalo entre tentativas, com variação aleatória para que os processos não tentem juntos
+ * @private
+ * @returns {number} Intervalo em milissegundos
+ */
+function retryDelay() {
+    return RETRY_DELAY + Math.random() * RETRY_DELAY;
+}
+
+/**
+ * Aguarda um intervalo entre tentativas
+ * @private
+ * @returns {Promise<void>}
+ */
+function pause() {
+    return new Promise(resolve => setTimeout(resolve, retryDelay()));
+}
+
+/**
+ * Bloqueia o processo por um intervalo entre tentativas (versão síncrona de pause)
+ * @private
+ */
+function pauseSync() {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, retryDelay());
+}
+
+/**
+ * Obtém a trava, criando o arquivo de forma exclusiva
+ * @async
+ * @private
+ * @param {string} lockPath - Arquivo de trava (absoluto)
+ * @param {number} timeout - Tempo máximo de espera (ms)
+ * @returns {Promise<void>}
+ * @throws {LockTimeoutError} Se a trava não for liberada dentro do tempo limite
+ */
+async function acquire(lockPath, timeout) {
+    const deadline = Date.now() + timeout;
+    const content = holderContent();
+
+    await fs.ensureDir(path.dirname(lockPath));
+    for (;;) {
+        try {
+            await fs.writeFile(lockPath, content, { flag: 'wx' });
+            heldLocks.add(lockPath);
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const current = await readHolder(lockPath);
+        if (current && isStale(lockPath, current)) {
+            console.warn(`Trava abandonada removida: ${lockPath}`);
+            await fs.remove(lockPath);
+        } else if (Date.now() >= deadline) {
+            throw new LockTimeoutError(lockPath, timeout, current ? current.holder : null);
+        } else if (current) {
+            await pause();
+        }
+    }
+}
+
+/**
+ * Versão síncrona de acquire
+ * @private
+ * @param {string} lockPath - Arquivo de trava (absoluto)
+ * @param {number} timeout - Tempo máximo de espera (ms)
+ * @throws {LockTimeoutError} Se a trava não for liberada dentro do tempo limite
+ */
+function acquireSync(lockPath, timeout) {
+    const deadline = Date.now() + timeout;
+    const content = holderContent();
+
+    fs.ensureDirSync(path.dirname(lockPath));
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, content, { flag: 'wx' });
+            heldLocks.add(lockPath);
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const current = readHolderSync(lockPath);
+        if (current && isStale(lockPath, current)) {
+            console.warn(`Trava abandonada removida: ${lockPath}`);
+            fs.removeSync(lockPath);
+        } else if (Date.now() >= deadline) {
+            throw new LockTimeoutError(lockPath, timeout, current ? current.holder : null);
+        } else if (current) {
+            pauseSync();
+        }
+    }
+}
+
+/**
+ * Executa uma operação mantendo a trava de um arquivo, que exclui os demais processos
+ * A trava é o próprio arquivo, criado de forma exclusiva com o PID e a máquina do processo e removido
+ * ao final; travas deixadas por processos encerrados são removidas. Não é reentrante: a mesma trava
+ * não deve ser pedida de novo dentro da operação
+ * @async
+ * @param {string} lockPath - Arquivo de trava
+ * @param {Function} operation - Função assíncrona a ser executada
+ * @param {Object} [options={}] - Opções da trava
+ * @param {number} [options.timeout=10000] - Tempo máximo de espera pela trava (ms)
+ * @returns {Promise<*>} Resultado da operação
+ * @throws {LockTimeoutError} Se a trava não for liberada dentro do tempo limite
+ */
+async function withFileLock(lockPath, operation, options = {}) {
+    const absolutePath = path.resolve(lockPath);
+
+    await acquire(absolutePath, options.timeout || DEFAULT_TIMEOUT);
+    try {
+        return await operation();
+    } finally {
+        heldLocks.delete(absolutePath);
+        await fs.remove(absolutePath);
+    }
+}
+
+/**
+ * Versão síncrona de withFileLock, para operações curtas de código síncrono (ex: o registro de
+ * serviços, atualizado também no evento 'exit' do processo). A espera pela trava bloqueia o processo
+ * @param {string} lockPath - Arquivo de trava
+ * @param {Function} operation - Função síncrona a ser executada
+ * @param {Object} [options={}] - Opções da trava
+ * @param {number} [options.timeout=10000] - Tempo máximo de espera pela trava (ms)
+ * @returns {*} Resultado da operação
+ * @throws {LockTimeoutError} Se a trava não for liberada dentro do tempo limite
+ */
+function withFileLockSync(lockPath, operation, options = {}) {
+    const absolutePath = path.resolve(lockPath);
+
+    acquireSync(absolutePath, options.timeout || DEFAULT_TIMEOUT);
+    try {
+        return operation();
+    } finally {
+        heldLocks.delete(absolutePath);
+        fs.removeSync(absolutePath);
+    }
+}
+
+module.exports = {
+    withFileLock,
+    withFileLockSync
+};
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Linha de comando da rotação de chaves de criptografia (npm run rotate-keys)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+/**
+ * Texto de ajuda exibido para comandos desconhecidos
+ * @type {string}
+ */
+const USAGE = [
+    'Uso: npm run rotate-keys -- [comando]',
+    '  rotate    cifra novamente com a chave ativa os valores de chaves anteriores ou em texto puro (padrão)',
+    '  status    mostra quantos valores gravados usam cada chave'
+].join('\n');
+
+/**
+ * Exibe o resultado da rotação de uma coleção e de seu histórico
+ * @private
+ * @param {Object} result - Resultado de JsonDatabase.rotateEncryptionKey
+ */
+function printRotation(result) {
+    console.log(`${result.collection}: ${result.reencrypted} de ${result.total} documento(s) cifrado(s) novamente com a chave ${result.keyId}`);
+    if (result.history) {
+        printRotation(result.history);
+    }
+}
+
+/**
+ * Executa um comando de rotação de chaves nas coleções criptografadas e define o código de saída
+ * @async
+ * @param {Object<string, JsonDatabase>} collections - Coleções do serviço
+ * @param {Array<string>} args - Argumentos (process.argv.slice(2))
+ * @returns {Promise<void>}
+ */
+async function runKeyRotationCli(collections, args) {
+    const [command = 'rotate'] = args.filter(arg => !arg.startsWith('--'));
+    const encrypted = Object.values(collections).filter(collection => collection.cipher);
+
+    try {
+        if (!['rotate', 'status'].includes(command)) {
+            console.error(USAGE);
+            process.exitCode = 1;
+            return;
+        }
+        if (encrypted.length === 0) {
+            console.log('Nenhuma coleção com criptografia configurada');
+            return;
+        }
+
+        for (const collection of encrypted) {
+            if (command === 'rotate') {
+                printRotation(await collection.rotateEncryptionKey());
+                continue;
+            }
+
+            const status = await collection.encryptionStatus();
+            const keys = Object.entries(status.keys).map(([keyId, count]) => `${keyId}: ${count}`);
+            if (status.plaintext > 0) {
+                keys.push(`texto puro: ${status.plaintext}`);
+            }
+            console.log(`${status.collection} (chave ativa ${status.keyId}; campos ${status.fields.join(', ')}): ${keys.join(', ') || 'nenhum valor gravado'}`);
+        }
+    } catch (error) {
+        console.error(`Falha ao executar "${command}": ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    runKeyRotationCli
+};
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Interpretação dos parâmetros de listagem (campos, ordenação e paginação por cursor)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { hasForbiddenSegment } = require('./updateOperators');
+
+/**
+ * Limite máximo de documentos por página aceito nos endpoints de listagem
+ * @type {number}
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * Converte uma lista separada por vírgulas em campos, onde o prefixo "-" indica o valor alternativo
+ * @private
+ * @param {string} value - Ex: "name,-createdAt"
+ * @returns {Array<Array>} Pares [campo, negado]
+ */
+function parseFieldList(value) {
+    return String(value)
+        .split(',')
+        .map(field => field.trim())
+        .filter(Boolean)
+        .map(field => (field.startsWith('-') ? [field.slice(1), true] : [field, false]));
+}
+
+/**
+ * Encontra um campo que passe por __proto__, constructor ou prototype
+ * @private
+ * @param {Array<Array>} fields - Pares [campo, negado] de parseFieldList
+ * @returns {string|undefined} Primeiro campo proibido
+ */
+function findForbiddenField(fields) {
+    const forbidden = fields.find(([field]) => hasForbiddenSegment(field));
+    return forbidden && forbidden[0];
+}
+
+/**
+ * Converte a query string de um endpoint de listagem nas opções do JsonDatabase.findPage
+ * Parâmetros aceitos:
+ * - fields: campos a incluir ("name,category") ou excluir ("-items"), com notação de ponto
+ * - sort: campos de ordenação, "-" para decrescente ("-createdAt,name")
+ * - limit: tamanho da página (1 a 100)
+ * - after / before: cursores retornados em pagination.endCursor / pagination.startCursor
+ * @param {Object} query - req.query
+ * @param {Object} [defaults={}] - Valores padrão
+ * @param {Object} [defaults.sort] - Ordenação padrão quando `sort` não é informado
+ * @returns {Object} { options } ou { error } com a mensagem de validação
+ */
+function parseListingQuery(query, defaults = {}) {
+    const options = {};
+
+    if (query.fields) {
+        const fields = parseFieldList(query.fields);
+        const forbidden = findForbiddenField(fields);
+        if (forbidden) {
+            return { error: `Parâmetro "fields" não pode usar o campo "${forbidden}"` };
+        }
+        const excluded = fields.filter(([, negated]) => negated);
+        if (excluded.length > 0 && excluded.length !== fields.length) {
+            return { error: 'Parâmetro "fields" não pode misturar inclusão e exclusão de campos' };
+        }
+        options.projection = Object.fromEntries(fields.map(([field, negated]) => [field, negated ? 0 : 1]));
+    }
+
+    if (query.sort) {
+        const fields = parseFieldList(query.sort);
+        const forbidden = findForbiddenField(fields);
+        if (forbidden) {
+            return { error: `Parâmetro "sort" não pode usar o campo "${forbidden}"` };
+        }
+        options.sort = Object.fromEntries(fields.map(([field, negated]) => [field, negated ? -1 : 1]));
+    } else if (defaults.sort) {
+        options.sort = defaults.sort;
+    }
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return { error: `Parâmetro "limit" deve ser um inteiro entre 1 e ${MAX_LIMIT}` };
+        }
+        options.limit = limit;
+    }
+
+    if (query.after) {
+        options.after = String(query.after);
+    }
+    if (query.before) {
+        options.before = String(query.before);
+    }
+
+    return { options };
+}
+
+/**
+ * Lê parâmetros de texto da query string usados para montar filtros
+ * O parser do Express converte `?category[$regex]=...` em objeto; repassar esse valor ao filtro
+ * permitiria ao cliente escolher operadores (e expressões regulares) da consulta
+ * @param {Object} query - req.query
+ * @param {Array<string>} names - Parâmetros lidos (ex: ['category', 'name'])
+ * @returns {Object} { values } com os parâmetros informados ou { error } com a mensagem de validação
+ */
+function parseTextParams(query, names) {
+    const values = {};
+
+    for (const name of names) {
+        if (query[name] === undefined) {
+            continue;
+        }
+        if (typeof query[name] !== 'string') {
+            return { error: `Parâmetro "${name}" deve ser um texto` };
+        }
+        values[name] = query[name];
+    }
+
+    return { values };
+}
+
+module.exports = {
+    parseListingQuery,
+    parseTextParams
+};
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Linha de comando das migrações (npm run migrate) usada pelos serviços
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+/**
+ * Texto de ajuda exibido para comandos desconhecidos
+ * @type {string}
+ */
+const USAGE = [
+    'Uso: npm run migrate -- [comando] [opções]',
+    '  up [--to N]                 aplica as migrações pendentes (padrão)',
+    '  down [--steps N | --to N]   reverte as últimas migrações (padrão: 1)',
+    '  status                      lista as migrações e se já foram aplicadas'
+].join('\n');
+
+/**
+ * Lê o valor numérico de uma opção (--to N ou --to=N)
+ * @param {Array<string>} args - Argumentos da linha de comando
+ * @param {string} name - Nome da opção, sem os hífens
+ * @returns {number|undefined} Valor informado
+ * @throws {Error} Se o valor não for um número inteiro
+ */
+function numericOption(args, name) {
+    const position = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (position === -1) {
+        return undefined;
+    }
+
+    const raw = args[position].includes('=') ? args[position].split('=')[1] : args[position + 1];
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Valor inválido para --${name}: ${raw}`);
+    }
+    return value;
+}
+
+/**
+ * Executa um comando de migração e define o código de saída do processo
+ * @async
+ * @param {MigrationRunner} runner - Executor de migrações do serviço
+ * @param {Array<string>} args - Argumentos (process.argv.slice(2))
+ * @returns {Promise<void>}
+ */
+async function runMigrationCli(runner, args) {
+    const [command = 'up'] = args.filter(arg => !arg.startsWith('--') && !/^\d+$/.test(arg));
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await runner.up({ to: numericOption(args, 'to') });
+                console.log(applied.length > 0
+                    ? `${applied.length} migração(ões) aplicada(s)`
+                    : 'Nenhuma migração pendente');
+                break;
+            }
+            case 'down': {
+                const reverted = await runner.down({ to: numericOption(args, 'to'), steps: numericOption(args, 'steps') });
+                console.log(reverted.length > 0
+                    ? `${reverted.length} migração(ões) revertida(s)`
+                    : 'Nenhuma migração a reverter');
+                break;
+            }
+            case 'status': {
+                const migrations = await runner.status();
+                if (migrations.length === 0) {
+                    console.log('Nenhuma migração encontrada');
+                }
+                migrations.forEach(migration => {
+                    const state = migration.applied ? `aplicada em ${migration.appliedAt}` : 'pendente';
+                    const missing = migration.missing ? ' (arquivo ausente)' : '';
+                    console.log(`${migration.id} - ${migration.description}: ${state}${missing}`);
+                });
+                break;
+            }
+            default:
+                console.error(USAGE);
+                process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`Falha ao executar "${command}": ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    runMigrationCli,
+    numericOption
+};
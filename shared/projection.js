@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Projeção de campos (inclusão/exclusão) para consultas do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { hasForbiddenSegment } = require('./updateOperators');
+const { InvalidQueryError } = require('./databaseErrors');
+
+/**
+ * Verifica se um objeto tem a propriedade como própria (não herdada do protótipo)
+ * @private
+ * @param {Object} object - Objeto
+ * @param {string} key - Propriedade
+ * @returns {boolean} true se a propriedade é do próprio objeto
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Monta a árvore de caminhos de uma projeção
+ * Ex: ['name', 'items.itemName'] → { name: true, items: { itemName: true } }
+ * Os nós não têm protótipo, para que nenhum segmento alcance Object.prototype
+ * @private
+ * @param {Array<string>} paths - Caminhos com notação de ponto
+ * @returns {Object} Árvore de caminhos
+ */
+function buildTree(paths) {
+    const tree = Object.create(null);
+
+    paths.forEach(path => {
+        const segments = path.split('.');
+        let node = tree;
+
+        segments.forEach((segment, position) => {
+            if (node === true || node[segment] === true) {
+                node = true;
+                return;
+            }
+            if (position === segments.length - 1) {
+                node[segment] = true;
+                return;
+            }
+            if (!hasOwn(node, segment)) {
+                node[segment] = Object.create(null);
+            }
+            node = node[segment];
+        });
+    });
+
+    return tree;
+}
+
+/**
+ * Mantém apenas os caminhos da árvore; arrays de subdocumentos são projetados elemento a elemento
+ * @private
+ * @param {*} value - Valor a ser projetado
+ * @param {Object|boolean} tree - Árvore de caminhos (true mantém o valor inteiro)
+ * @returns {*} Valor projetado ou undefined se nada restar
+ */
+function includePaths(value, tree) {
+    if (tree === true) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value
+            .filter(element => element !== null && typeof element === 'object')
+            .map(element => includePaths(element, tree));
+    }
+    if (value === null || typeof value !== 'object') {
+        return undefined;
+    }
+
+    const result = {};
+    Object.entries(tree).forEach(([key, subtree]) => {
+        const projected = includePaths(hasOwn(value, key) ? value[key] : undefined, subtree);
+        if (projected !== undefined) {
+            result[key] = projected;
+        }
+    });
+    return result;
+}
+
+/**
+ * Remove os caminhos da árvore, sem modificar o valor original
+ * @private
+ * @param {*} value - Valor a ser projetado
+ * @param {Object} tree - Árvore de caminhos a remover
+ * @returns {*} Cópia sem os caminhos removidos
+ */
+function excludePaths(value, tree) {
+    if (Array.isArray(value)) {
+        return value.map(element => excludePaths(element, tree));
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    const result = { ...value };
+    Object.entries(tree).forEach(([key, subtree]) => {
+        if (!hasOwn(result, key)) {
+            return;
+        }
+        if (subtree === true) {
+            delete result[key];
+        } else {
+            result[key] = excludePaths(result[key], subtree);
+        }
+    });
+    return result;
+}
+
+/**
+ * Compila uma projeção no estilo MongoDB em uma função aplicável a documentos
+ * Valores 1/true incluem e 0/false excluem o campo (notação de ponto permitida).
+ * Inclusões e exclusões não podem ser misturadas, exceto para excluir o campo identificador,
+ * que é mantido por padrão nas projeções de inclusão
+ * @param {Object} projection - Projeção (ex: { name: 1, 'summary.totalItems': 1 } ou { items: 0 })
+ * @param {Object} [options={}] - Opções
+ * @param {string} [options.idField='id'] - Campo identificador mantido por padrão
+ * @param {boolean} [options.inclusion] - Força o modo de inclusão (usado quando há campos calculados)
+ * @returns {Function} Função (documento) => documento projetado
+ * @throws {InvalidQueryError} Se algum campo passar por __proto__, constructor ou prototype
+ * @throws {Error} Se a projeção tiver valores inválidos ou misturar inclusão e exclusão
+ */
+function compileProjection(projection, options = {}) {
+    const idField = options.idField || 'id';
+    const entries = Object.entries(projection || {});
+
+    entries.forEach(([field, value]) => {
+        if (hasForbiddenSegment(field)) {
+            throw new InvalidQueryError(`campo ${field} não pode ser usado em projeções`);
+        }
+        if (value !== 0 && value !== 1 && typeof value !== 'boolean') {
+            throw new Error(`Valor de projeção inválido para ${field}: use 1/true para incluir ou 0/false para excluir`);
+        }
+    });
+
+    const included = entries.filter(([, value]) => value).map(([field]) => field);
+    const excluded = entries.filter(([, value]) => !value).map(([field]) => field);
+    const inclusion = options.inclusion || included.length > 0;
+
+    if (inclusion && excluded.some(field => field !== idField)) {
+        throw new Error('A projeção não pode misturar inclusão e exclusão de campos');
+    }
+
+    if (!inclusion) {
+        const tree = buildTree(excluded);
+        return document => (excluded.length > 0 ? excludePaths(document, tree) : document);
+    }
+
+    const paths = excluded.includes(idField) || included.includes(idField) ? included : [idField, ...included];
+    const tree = buildTree(paths);
+    return document => includePaths(document, tree);
+}
+
+module.exports = {
+    compileProjection
+};
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Avaliação de filtros no estilo MongoDB para o JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { InvalidQueryError } = require('./databaseErrors');
+
+/**
+ * Operadores lógicos aceitos no nível do documento
+ * @type {Set<string>}
+ */
+const LOGICAL_OPERATORS = new Set(['$and', '$or', '$nor']);
+
+/**
+ * Ordem entre tipos diferentes usada na ordenação (valores ausentes primeiro)
+ * @type {Array<string>}
+ */
+const TYPE_ORDER = ['undefined', 'number', 'string', 'object', 'boolean'];
+
+/**
+ * Resolve um caminho com notação de ponto, percorrendo arrays intermediários
+ * Ex: resolvePath(lista, 'items.itemId') retorna o array com o itemId de cada item
+ * @param {Object} obj - Objeto fonte
+ * @param {string} path - Caminho da propriedade (ex: "preferences.currency")
+ * @returns {*} Valor encontrado, array de valores (ao atravessar arrays) ou undefined
+ */
+function resolvePath(obj, path) {
+    const [key, ...rest] = path.split('.');
+
+    if (obj === null || obj === undefined) {
+        return undefined;
+    }
+
+    if (Array.isArray(obj) && !/^\d+$/.test(key)) {
+        const values = obj
+            .map(element => resolvePath(element, path))
+            .filter(value => value !== undefined);
+        return values.length > 0 ? values.flat() : undefined;
+    }
+
+    const value = typeof obj === 'object' ? obj[key] : undefined;
+    return rest.length === 0 ? value : resolvePath(value, rest.join('.'));
+}
+
+/**
+ * Compara dois valores por igualdade profunda
+ * @param {*} a - Primeiro valor
+ * @param {*} b - Segundo valor
+ * @returns {boolean} true se os valores forem equivalentes
+ */
+function deepEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Compara dois valores de mesmo tipo (números, strings ou booleanos)
+ * @param {*} a - Valor do documento
+ * @param {*} b - Valor do filtro
+ * @returns {number|null} Negativo, zero ou positivo; null se os tipos não forem comparáveis
+ */
+function compareValues(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined || typeof a !== typeof b) {
+        return null;
+    }
+    if (!['number', 'string', 'boolean'].includes(typeof a)) {
+        return null;
+    }
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+/**
+ * Compara dois valores para ordenação, definindo uma ordem total inclusive entre tipos diferentes
+ * (ausentes/null < números < strings < objetos < booleanos)
+ * @param {*} a - Primeiro valor
+ * @param {*} b - Segundo valor
+ * @returns {number} Negativo, zero ou positivo
+ */
+function compareForSort(a, b) {
+    const comparison = compareValues(a, b);
+    if (comparison !== null) {
+        return comparison;
+    }
+    const typeA = a === null || a === undefined ? 'undefined' : typeof a;
+    const typeB = b === null || b === undefined ? 'undefined' : typeof b;
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+}
+
+/**
+ * Verifica igualdade no estilo MongoDB: arrays no documento casam se algum elemento for igual,
+ * e null casa com campos ausentes
+ * @param {*} docValue - Valor no documento
+ * @param {*} value - Valor do filtro
+ * @returns {boolean} true se houver correspondência
+ */
+function valueMatches(docValue, value) {
+    if (value instanceof RegExp) {
+        return anyValue(docValue, element => typeof element === 'string' && value.test(element));
+    }
+    if (value === null) {
+        return docValue === null || docValue === undefined;
+    }
+    if (deepEqual(docValue, value)) {
+        return true;
+    }
+    return Array.isArray(docValue) && docValue.some(element => deepEqual(element, value));
+}
+
+/**
+ * Aplica um predicado ao valor ou, se for array, a cada elemento
+ * @private
+ * @param {*} docValue - Valor no documento
+ * @param {Function} predicate - Predicado a ser aplicado
+ * @returns {boolean} true se o valor ou algum elemento satisfizer o predicado
+ */
+function anyValue(docValue, predicate) {
+    return Array.isArray(docValue) ? docValue.some(predicate) : predicate(docValue);
+}
+
+/**
+ * Verifica se um objeto de condição contém apenas operadores (ex: { $gt: 0, $lt: 10 })
+ * @param {*} condition - Condição do filtro
+ * @returns {boolean} true se for um objeto de operadores
+ */
+function isOperatorObject(condition) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition) || condition instanceof RegExp) {
+        return false;
+    }
+    const keys = Object.keys(condition);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+/**
+ * Cria a expressão regular de um operador $regex
+ * Mantém o comportamento histórico do banco: sem $options, a busca ignora maiúsculas/minúsculas
+ * @private
+ * @param {string|RegExp} pattern - Padrão
+ * @param {string} [options] - Flags
+ * @returns {RegExp} Expressão regular
+ * @throws {InvalidQueryError} Se o padrão ou as flags forem inválidos
+ */
+function buildRegex(pattern, options) {
+    if (pattern instanceof RegExp && options === undefined) {
+        return pattern;
+    }
+    if (!(pattern instanceof RegExp) && typeof pattern !== 'string') {
+        throw new InvalidQueryError('o operador $regex exige um texto ou uma expressão regular');
+    }
+    try {
+        return pattern instanceof RegExp
+            ? new RegExp(pattern.source, options)
+            : new RegExp(pattern, options === undefined ? 'i' : options);
+    } catch (error) {
+        throw new InvalidQueryError(`expressão regular inválida em $regex: ${error.message}`);
+    }
+}
+
+/**
+ * Avalia um conjunto de operadores sobre o valor de um campo
+ * Todos os operadores do objeto precisam ser satisfeitos
+ * @param {*} docValue - Valor do campo no documento
+ * @param {Object} operators - Objeto de operadores (ex: { $gte: 1, $ne: 5 })
+ * @returns {boolean} true se todos os operadores forem satisfeitos
+ * @throws {InvalidQueryError} Se um operador não for suportado ou tiver operando inválido
+ */
+function matchesOperators(docValue, operators) {
+    return Object.entries(operators).every(([operator, operand]) => {
+        switch (operator) {
+            case '$eq':
+                return valueMatches(docValue, operand);
+            case '$ne':
+                return !valueMatches(docValue, operand);
+            case '$gt':
+                return compareWith(docValue, operand, comparison => comparison > 0);
+            case '$gte':
+                return compareWith(docValue, operand, comparison => comparison >= 0);
+            case '$lt':
+                return compareWith(docValue, operand, comparison => comparison < 0);
+            case '$lte':
+                return compareWith(docValue, operand, comparison => comparison <= 0);
+            case '$in':
+                return ensureArray(operator, operand).some(value => valueMatches(docValue, value));
+            case '$nin':
+                return !ensureArray(operator, operand).some(value => valueMatches(docValue, value));
+            case '$exists':
+                return (docValue !== undefined) === Boolean(operand);
+            case '$regex': {
+                const regex = buildRegex(operand, operators.$options);
+                return anyValue(docValue, element => typeof element === 'string' && regex.test(element));
+            }
+            case '$options':
+                // Consumido junto com $regex
+                return true;
+            case '$not':
+                return operand instanceof RegExp || typeof operand === 'string'
+                    ? !matchesOperators(docValue, { $regex: operand })
+                    : !matchesOperators(docValue, operand);
+            case '$size':
+                return Array.isArray(docValue) && docValue.length === operand;
+            case '$all':
+                return Array.isArray(docValue)
+                    && ensureArray(operator, operand).every(value => valueMatches(docValue, value));
+            case '$elemMatch':
+                return Array.isArray(docValue) && docValue.some(element => elementMatches(element, operand));
+            default:
+                throw new InvalidQueryError(`operador não suportado: ${operator}`);
+        }
+    });
+}
+
+/**
+ * Compara o valor (ou cada elemento, se for array) com um operando
+ * Valores de tipos diferentes nunca satisfazem a comparação
+ * @private
+ * @param {*} docValue - Valor no documento
+ * @param {*} operand - Valor do filtro
+ * @param {Function} predicate - Recebe o resultado de compareValues e decide a correspondência
+ * @returns {boolean} true se o valor ou algum elemento satisfizer a comparação
+ */
+function compareWith(docValue, operand, predicate) {
+    return anyValue(docValue, element => {
+        const comparison = compareValues(element, operand);
+        return comparison !== null && predicate(comparison);
+    });
+}
+
+/**
+ * Verifica um elemento de array contra a condição de um $elemMatch
+ * Condições só com operadores (ex: { $gt: 5 }) se aplicam ao próprio elemento;
+ * as demais são tratadas como filtro sobre o subdocumento
+ * @private
+ * @param {*} element - Elemento do array
+ * @param {Object} condition - Condição do $elemMatch
+ * @returns {boolean} true se o elemento atender à condição
+ */
+function elementMatches(element, condition) {
+    if (isOperatorObject(condition) && !hasLogicalKeys(condition)) {
+        return matchesOperators(element, condition);
+    }
+    return element !== null && typeof element === 'object' && matchesFilter(element, condition);
+}
+
+/**
+ * Verifica se uma condição contém operadores lógicos de documento
+ * @private
+ * @param {Object} condition - Condição
+ * @returns {boolean} true se houver $and/$or/$nor
+ */
+function hasLogicalKeys(condition) {
+    return Object.keys(condition).some(key => LOGICAL_OPERATORS.has(key));
+}
+
+/**
+ * Garante que o operando de um operador seja um array
+ * @private
+ * @param {string} operator - Nome do operador
+ * @param {*} operand - Operando
+ * @returns {Array} O operando
+ * @throws {InvalidQueryError} Se o operando não for um array
+ */
+function ensureArray(operator, operand) {
+    if (!Array.isArray(operand)) {
+        throw new InvalidQueryError(`o operador ${operator} exige um array`);
+    }
+    return operand;
+}
+
+/**
+ * Verifica se um documento atende a um filtro no estilo MongoDB
+ * Suporta igualdade (com semântica de arrays), $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+ * $exists, $regex, $not, $size, $all, $elemMatch e os operadores lógicos $and, $or e $nor
+ * @param {Object} document - Documento a ser verificado
+ * @param {Object} filter - Critérios de filtro
+ * @returns {boolean} true se o documento atende aos critérios
+ * @throws {InvalidQueryError} Se o filtro usar um operador desconhecido ou com operando inválido
+ */
+function matchesFilter(document, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        switch (key) {
+            case '$and':
+                return ensureArray(key, condition).every(sub => matchesFilter(document, sub));
+            case '$or':
+                return ensureArray(key, condition).some(sub => matchesFilter(document, sub));
+            case '$nor':
+                return !ensureArray(key, condition).some(sub => matchesFilter(document, sub));
+            default: {
+                const docValue = resolvePath(document, key);
+                return isOperatorObject(condition)
+                    ? matchesOperators(docValue, condition)
+                    : valueMatches(docValue, condition);
+            }
+        }
+    });
+}
+
+module.exports = {
+    matchesFilter,
+    matchesOperators,
+    resolvePath,
+    deepEqual,
+    compareValues,
+    compareForSort,
+    isOperatorObject
+};
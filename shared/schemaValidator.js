@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Validação de documentos com JSON Schema (subconjunto) para o JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { deepEqual } = require('./queryMatcher');
+
+/**
+ * Validadores das palavras-chave `format` suportadas
+ * Formatos desconhecidos são ignorados, como recomenda a especificação
+ * @type {Object<string, Function>}
+ */
+const FORMATS = {
+    'date-time': value => !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+/**
+ * Obtém o tipo JSON Schema de um valor
+ * @private
+ * @param {*} value - Valor
+ * @returns {string} 'null', 'array', 'object', 'string', 'number', 'boolean' ou 'undefined'
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Verifica se um valor é do tipo declarado (integer é aceito onde se espera number)
+ * @private
+ * @param {*} value - Valor
+ * @param {string} type - Tipo JSON Schema
+ * @returns {boolean} true se o valor for do tipo
+ */
+function matchesType(value, type) {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    if (type === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    return typeOf(value) === type;
+}
+
+/**
+ * Junta o caminho de um campo ao caminho do objeto pai (notação de ponto)
+ * @private
+ * @param {string} basePath - Caminho do pai
+ * @param {string|number} key - Campo ou posição
+ * @returns {string} Caminho completo
+ */
+function joinPath(basePath, key) {
+    return basePath ? `${basePath}.${key}` : String(key);
+}
+
+/**
+ * Valida um valor contra um JSON Schema
+ * Palavras-chave suportadas: type, enum, const, minLength, maxLength, pattern, format (date-time,
+ * email, uuid), minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, items, minItems,
+ * maxItems, uniqueItems, properties, required, additionalProperties, allOf, anyOf, oneOf e not
+ * @param {*} value - Valor a validar
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path=''] - Caminho do valor no documento (uso recursivo)
+ * @returns {Array<Object>} Erros encontrados ({ path, rule, message }); vazio se válido
+ */
+function validateSchema(value, schema, path = '') {
+    const errors = [];
+    const fail = (rule, message, errorPath = path) => errors.push({ path: errorPath, rule, message });
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            fail('type', `Deve ser do tipo ${types.join(' ou ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+        fail('enum', `Deve ser um dos valores: ${schema.enum.join(', ')}`);
+    }
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+        fail('const', `Deve ser igual a ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail('minLength', `Deve ter no mínimo ${schema.minLength} caractere(s)`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail('maxLength', `Deve ter no máximo ${schema.maxLength} caractere(s)`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            fail('pattern', `Não corresponde ao padrão ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            fail('format', `Formato inválido (${schema.format})`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail('minimum', `Deve ser maior ou igual a ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail('maximum', `Deve ser menor ou igual a ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail('exclusiveMinimum', `Deve ser maior que ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            fail('exclusiveMaximum', `Deve ser menor que ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf !== undefined && !Number.isInteger(parseFloat((value / schema.multipleOf).toFixed(10)))) {
+            fail('multipleOf', `Deve ser múltiplo de ${schema.multipleOf}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail('minItems', `Deve ter no mínimo ${schema.minItems} elemento(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail('maxItems', `Deve ter no máximo ${schema.maxItems} elemento(s)`);
+        }
+        if (schema.uniqueItems && value.some((element, i) => value.findIndex(other => deepEqual(other, element)) !== i)) {
+            fail('uniqueItems', 'Não pode ter elementos repetidos');
+        }
+        if (schema.items) {
+            value.forEach((element, i) => errors.push(...validateSchema(element, schema.items, joinPath(path, i))));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(field => {
+            if (value[field] === undefined) {
+                fail('required', 'Campo obrigatório', joinPath(path, field));
+            }
+        });
+
+        Object.keys(value).forEach(field => {
+            const fieldPath = joinPath(path, field);
+            if (value[field] === undefined) {
+                return;
+            }
+            if (properties[field]) {
+                errors.push(...validateSchema(value[field], properties[field], fieldPath));
+            } else if (schema.additionalProperties === false) {
+                fail('additionalProperties', 'Campo não permitido', fieldPath);
+            } else if (typeOf(schema.additionalProperties) === 'object') {
+                errors.push(...validateSchema(value[field], schema.additionalProperties, fieldPath));
+            }
+        });
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach(subschema => errors.push(...validateSchema(value, subschema, path)));
+    }
+    if (schema.anyOf && !schema.anyOf.some(subschema => validateSchema(value, subschema, path).length === 0)) {
+        fail('anyOf', 'Não atende a nenhum dos formatos permitidos');
+    }
+    if (schema.oneOf && schema.oneOf.filter(subschema => validateSchema(value, subschema, path).length === 0).length !== 1) {
+        fail('oneOf', 'Deve atender a exatamente um dos formatos permitidos');
+    }
+    if (schema.not && validateSchema(value, schema.not, path).length === 0) {
+        fail('not', 'Não atende à restrição de exclusão');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateSchema
+};
@@ -7,10 +7,31 @@
 
 const fs = require('fs');
 const path = require('path');
+const { writeFileAtomicSync } = require('./atomicFile');
+const { withFileLockSync } = require('./fileLock');
+
+/**
+ * Estratégias de escolha entre as instâncias saudáveis de um serviço
+ * Cada uma recebe as instâncias (ordenadas pelo ID) e o número da chamada para o serviço
+ * @type {Object<string, Function>}
+ */
+const DISCOVERY_STRATEGIES = {
+    'round-robin': (instances, call) => instances[call % instances.length],
+    'random': instances => instances[Math.floor(Math.random() * instances.length)],
+    // A instância cuja última falha é a mais antiga (ou que nunca falhou); empates em rodízio
+    'least-recently-failed': (instances, call) => {
+        const oldest = Math.min(...instances.map(instance => instance.lastFailure || 0));
+        const candidates = instances.filter(instance => (instance.lastFailure || 0) === oldest);
+        return candidates[call % candidates.length];
+    }
+};
 
 /**
  * Implementação de Service Registry usando arquivo compartilhado
- * Permite registro, descoberta e health checks de microsserviços
+ * Permite registro, descoberta e health checks de microsserviços. Cada serviço pode ter várias
+ * instâncias (identificadas pelo host e porta da URL, ou por `instanceId`), e discover escolhe
+ * uma das saudáveis pela estratégia configurada. Várias instâncias gravam no mesmo arquivo: cada
+ * alteração relê o registro sob uma trava de arquivo e o grava de forma atômica
  * @class FileBasedServiceRegistry
  */
 class FileBasedServiceRegistry {
@@ -19,7 +40,15 @@ class FileBasedServiceRegistry {
      * Inicializa o arquivo de registro se não existir
      */
     constructor() {
-        this.registryFile = path.join(__dirname, 'services-registry.json');
+        this.registryFile = process.env.REGISTRY_FILE || path.join(__dirname, 'services-registry.json');
+        this.lockFile = `${this.registryFile}.lock`;
+        this.strategy = process.env.REGISTRY_STRATEGY || 'round-robin';
+        if (!DISCOVERY_STRATEGIES[this.strategy]) {
+            console.warn(`REGISTRY_STRATEGY desconhecida: ${this.strategy}; usando round-robin`);
+            this.strategy = 'round-robin';
+        }
+        // Chamadas a discover por serviço, usadas no rodízio entre instâncias
+        this.calls = new Map();
         this.ensureRegistryFile();
         console.log('File-based Service Registry inicializado:', this.registryFile);
     }
@@ -29,160 +58,322 @@ class FileBasedServiceRegistry {
      * @private
      */
     ensureRegistryFile() {
-        if (!fs.existsSync(this.registryFile)) {
-            this.writeRegistry({});
-        }
+        this.updateRegistry(() => !fs.existsSync(this.registryFile));
     }
 
     /**
      * Lê o arquivo de registro de serviços
+     * Registros no formato anterior (um objeto por serviço, com `url`) são lidos como uma instância.
+     * Um arquivo ilegível não é tratado como registro vazio, para que a próxima gravação não apague
+     * as instâncias dos outros processos
      * @private
-     * @returns {Object} Objeto com serviços registrados
+     * @returns {Object} Objeto com serviços registrados ({ nome: { instances: { id: instância } } })
+     * @throws {Error} Se o arquivo não puder ser lido ou não for um JSON válido
      */
     readRegistry() {
+        let data;
         try {
-            const data = fs.readFileSync(this.registryFile, 'utf8');
-            return JSON.parse(data);
+            data = fs.readFileSync(this.registryFile, 'utf8');
         } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
             console.error('Erro ao ler registry file:', error.message);
-            return {};
+            throw error;
+        }
+
+        try {
+            const services = JSON.parse(data);
+
+            Object.entries(services).forEach(([name, service]) => {
+                if (!service.instances) {
+                    const id = this.instanceIdFor(service);
+                    services[name] = { instances: { [id]: { ...service, id } } };
+                }
+            });
+            return services;
+        } catch (error) {
+            console.error('Registry file inválido:', error.message);
+            throw error;
         }
     }
 
     /**
-     * Escreve dados no arquivo de registro
+     * Escreve dados no arquivo de registro de forma atômica (arquivo temporário e rename)
+     * Deve ser chamado com a trava do registro (ver updateRegistry)
      * @private
      * @param {Object} services - Objeto com serviços para salvar
      */
     writeRegistry(services) {
+        writeFileAtomicSync(this.registryFile, JSON.stringify(services, null, 2));
+    }
+
+    /**
+     * Altera o registro sob a trava de arquivo: relê os serviços, aplica a alteração e grava
+     * Erros são apenas registrados no log, para não derrubar o serviço (ex: na saída do processo)
+     * @private
+     * @param {Function} change - Recebe os serviços lidos e os altera; retorna false se nada mudou
+     * @returns {boolean} true se o registro foi gravado
+     */
+    updateRegistry(change) {
         try {
-            fs.writeFileSync(this.registryFile, JSON.stringify(services, null, 2));
+            return withFileLockSync(this.lockFile, () => {
+                const services = this.readRegistry();
+                if (change(services) === false) {
+                    return false;
+                }
+                this.writeRegistry(services);
+                return true;
+            });
         } catch (error) {
             console.error('Erro ao escrever registry file:', error.message);
+            return false;
         }
     }
 
     /**
-     * Registra um novo serviço no registry
+     * ID de uma instância: `instanceId` informado no registro ou host e porta da URL
+     * @private
+     * @param {Object} serviceInfo - Informações da instância (url, instanceId)
+     * @returns {string} ID da instância
+     */
+    instanceIdFor(serviceInfo) {
+        if (serviceInfo.instanceId) {
+            return serviceInfo.instanceId;
+        }
+        try {
+            return new URL(serviceInfo.url).host;
+        } catch (error) {
+            return String(serviceInfo.url);
+        }
+    }
+
+    /**
+     * Instâncias de um serviço, ordenadas pelo ID
+     * @private
+     * @param {Object} services - Serviços lidos do registro
+     * @param {string} serviceName - Nome do serviço
+     * @returns {Array<Object>} Instâncias (vazio se o serviço não estiver registrado)
+     */
+    instancesOf(services, serviceName) {
+        const service = services[serviceName];
+        return service
+            ? Object.values(service.instances).sort((a, b) => a.id.localeCompare(b.id))
+            : [];
+    }
+
+    /**
+     * Registra uma instância de um serviço no registry
+     * Uma instância já registrada com o mesmo ID (ex: o serviço reiniciado na mesma porta) é substituída
      * @param {string} serviceName - Nome do serviço
-     * @param {Object} serviceInfo - Informações do serviço (url, version, endpoints)
+     * @param {Object} serviceInfo - Informações do serviço (url, version, endpoints e, opcionalmente, instanceId)
+     * @returns {string} ID da instância registrada
      */
     register(serviceName, serviceInfo) {
-        const services = this.readRegistry();
-        
-        services[serviceName] = {
-            ...serviceInfo,
-            registeredAt: Date.now(),
-            lastHealthCheck: Date.now(),
-            healthy: true,
-            pid: process.pid
-        };
-        
-        this.writeRegistry(services);
-        console.log(`Serviço registrado: ${serviceName} - ${serviceInfo.url} (PID: ${process.pid})`);
-        console.log(`Total de serviços: ${Object.keys(services).length}`);
+        const id = this.instanceIdFor(serviceInfo);
+
+        this.updateRegistry(services => {
+            services[serviceName] = services[serviceName] || { instances: {} };
+            services[serviceName].instances[id] = {
+                ...serviceInfo,
+                id,
+                registeredAt: Date.now(),
+                lastHealthCheck: Date.now(),
+                healthy: true,
+                failures: 0,
+                lastFailure: null,
+                pid: process.pid
+            };
+
+            console.log(`Serviço registrado: ${serviceName} - ${serviceInfo.url} (instância ${id}, PID: ${process.pid})`);
+            console.log(`Total de serviços: ${Object.keys(services).length}, instâncias de ${serviceName}: ${Object.keys(services[serviceName].instances).length}`);
+        });
+        return id;
     }
 
     /**
-     * Descobre um serviço pelo nome
+     * Descobre uma instância saudável de um serviço
      * @param {string} serviceName - Nome do serviço a ser descoberto
-     * @returns {Object} Informações do serviço encontrado
-     * @throws {Error} Se o serviço não for encontrado ou estiver indisponível
+     * @param {Object} [options={}] - Opções da descoberta
+     * @param {string} [options.strategy] - 'round-robin', 'random' ou 'least-recently-failed'
+     *   (padrão: REGISTRY_STRATEGY ou 'round-robin')
+     * @param {Array<string>} [options.exclude=[]] - IDs de instâncias a ignorar (ex: já tentadas)
+     * @returns {Object} Informações da instância escolhida (url, id, ...)
+     * @throws {Error} Se o serviço não for encontrado, nenhuma instância estiver disponível ou a
+     *   estratégia não existir
      */
-    discover(serviceName) {
+    discover(serviceName, options = {}) {
         const services = this.readRegistry();
         console.log(`Procurando serviço: ${serviceName}`);
         console.log(`Serviços disponíveis: ${Object.keys(services).join(', ')}`);
-        
-        const service = services[serviceName];
-        if (!service) {
+
+        const strategyName = options.strategy || this.strategy;
+        const strategy = DISCOVERY_STRATEGIES[strategyName];
+        if (!strategy) {
+            throw new Error(`Estratégia de descoberta desconhecida: ${strategyName} (use ${Object.keys(DISCOVERY_STRATEGIES).join(', ')})`);
+        }
+
+        const instances = this.instancesOf(services, serviceName);
+        if (instances.length === 0) {
             console.error(`Serviço não encontrado: ${serviceName}`);
             console.error(`Serviços registrados:`, Object.keys(services));
             throw new Error(`Serviço não encontrado: ${serviceName}`);
         }
-        
-        if (!service.healthy) {
+
+        const excluded = new Set(options.exclude || []);
+        const available = instances.filter(instance => instance.healthy && !excluded.has(instance.id));
+        if (available.length === 0) {
             console.error(`Serviço indisponível: ${serviceName}`);
             throw new Error(`Serviço indisponível: ${serviceName}`);
         }
-        
-        console.log(`Serviço encontrado: ${serviceName} - ${service.url}`);
+
+        const call = this.calls.get(serviceName) || 0;
+        this.calls.set(serviceName, call + 1);
+        const service = strategy(available, call);
+
+        console.log(`Serviço encontrado: ${serviceName} - ${service.url} (${strategyName}, ${available.length} instância(s))`);
         return service;
     }
 
+    /**
+     * Lista as instâncias saudáveis de um serviço (ex: para operações que devem alcançar todas)
+     * @param {string} serviceName - Nome do serviço
+     * @returns {Array<Object>} Instâncias saudáveis, ordenadas pelo ID
+     */
+    discoverAll(serviceName) {
+        return this.instancesOf(this.readRegistry(), serviceName).filter(instance => instance.healthy);
+    }
+
     /**
      * Lista todos os serviços registrados
-     * @returns {Object} Objeto com informações de todos os serviços
+     * `url` e `healthy` resumem o serviço (primeira instância saudável; alguma instância saudável)
+     * @returns {Object} Objeto com informações de todos os serviços e de suas instâncias
      */
     listServices() {
         const services = this.readRegistry();
         const serviceList = {};
-        
-        Object.entries(services).forEach(([name, service]) => {
+
+        Object.keys(services).forEach(name => {
+            const instances = this.instancesOf(services, name).map(instance => ({
+                id: instance.id,
+                url: instance.url,
+                healthy: instance.healthy,
+                registeredAt: new Date(instance.registeredAt).toISOString(),
+                uptime: Date.now() - instance.registeredAt,
+                failures: instance.failures || 0,
+                lastFailure: instance.lastFailure ? new Date(instance.lastFailure).toISOString() : null,
+                pid: instance.pid
+            }));
+            const healthy = instances.filter(instance => instance.healthy);
+
             serviceList[name] = {
-                url: service.url,
-                healthy: service.healthy,
-                registeredAt: new Date(service.registeredAt).toISOString(),
-                uptime: Date.now() - service.registeredAt,
-                pid: service.pid
+                url: (healthy[0] || instances[0]).url,
+                healthy: healthy.length > 0,
+                healthyInstances: healthy.length,
+                instances
             };
         });
-        
+
         return serviceList;
     }
 
     /**
-     * Remove um serviço do registry
+     * Remove uma instância (ou todas as instâncias) de um serviço do registry
      * @param {string} serviceName - Nome do serviço a ser removido
+     * @param {string} [instanceId] - Instância a remover; sem ela, remove o serviço inteiro
      * @returns {boolean} true se removido com sucesso
      */
-    unregister(serviceName) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            delete services[serviceName];
-            this.writeRegistry(services);
-            console.log(`Serviço removido: ${serviceName}`);
-            return true;
+    unregister(serviceName, instanceId) {
+        const removed = this.updateRegistry(services => {
+            const service = services[serviceName];
+            if (!service || (instanceId && !service.instances[instanceId])) {
+                return false;
+            }
+
+            if (instanceId) {
+                delete service.instances[instanceId];
+            }
+            if (!instanceId || Object.keys(service.instances).length === 0) {
+                delete services[serviceName];
+            }
+        });
+
+        if (removed) {
+            console.log(`Serviço removido: ${serviceName}${instanceId ? ` (instância ${instanceId})` : ''}`);
         }
-        return false;
+        return removed;
     }
 
     /**
-     * Atualiza o status de saúde de um serviço
+     * Atualiza o status de saúde de uma instância
      * @param {string} serviceName - Nome do serviço
      * @param {boolean} healthy - Status de saúde do serviço
+     * @param {string} [instanceId] - Instância; sem ela, as instâncias registradas por este processo
      */
-    updateHealth(serviceName, healthy) {
-        const services = this.readRegistry();
-        if (services[serviceName]) {
-            services[serviceName].healthy = healthy;
-            services[serviceName].lastHealthCheck = Date.now();
-            this.writeRegistry(services);
+    updateHealth(serviceName, healthy, instanceId) {
+        let instances = [];
+        const updated = this.updateRegistry(services => {
+            instances = this.instancesOf(services, serviceName)
+                .filter(instance => instanceId ? instance.id === instanceId : instance.pid === process.pid);
+            instances.forEach(instance => {
+                instance.healthy = healthy;
+                instance.lastHealthCheck = Date.now();
+            });
+            return instances.length > 0;
+        });
+
+        if (updated) {
             const status = healthy ? 'OK' : 'FAIL';
-            console.log(`Health check: ${serviceName} - ${status}`);
+            console.log(`Health check: ${serviceName} (${instances.map(instance => instance.id).join(', ')}) - ${status}`);
+        }
+    }
+
+    /**
+     * Registra uma falha de comunicação com uma instância (usada pela estratégia least-recently-failed)
+     * A instância continua disponível; apenas os health checks a marcam como indisponível
+     * @param {string} serviceName - Nome do serviço
+     * @param {string} instanceId - Instância que falhou
+     */
+    reportFailure(serviceName, instanceId) {
+        let failures = 0;
+        const reported = this.updateRegistry(services => {
+            const instance = services[serviceName] && services[serviceName].instances[instanceId];
+            if (!instance) {
+                return false;
+            }
+            instance.failures = (instance.failures || 0) + 1;
+            instance.lastFailure = Date.now();
+            failures = instance.failures;
+        });
+
+        if (reported) {
+            console.log(`Falha registrada: ${serviceName} (${instanceId}) - ${failures} falha(s)`);
         }
     }
 
     /**
-     * Executa health checks em todos os serviços registrados
+     * Executa health checks em todas as instâncias registradas
      * @async
      */
     async performHealthChecks() {
         const axios = require('axios');
         const services = this.readRegistry();
-        
-        console.log(`Executando health checks de ${Object.keys(services).length} serviços...`);
-        
-        for (const [serviceName, service] of Object.entries(services)) {
+        const instances = Object.keys(services).flatMap(serviceName => (
+            this.instancesOf(services, serviceName).map(instance => ({ serviceName, instance }))
+        ));
+
+        console.log(`Executando health checks de ${Object.keys(services).length} serviços (${instances.length} instâncias)...`);
+
+        for (const { serviceName, instance } of instances) {
             try {
-                await axios.get(`${service.url}/health`, { 
+                await axios.get(`${instance.url}/health`, {
                     timeout: 5000,
                     family: 4
                 });
-                this.updateHealth(serviceName, true);
+                this.updateHealth(serviceName, true, instance.id);
             } catch (error) {
-                console.error(`Health check falhou para ${serviceName}:`, error.message);
-                this.updateHealth(serviceName, false);
+                console.error(`Health check falhou para ${serviceName} (${instance.id}):`, error.message);
+                this.updateHealth(serviceName, false, instance.id);
             }
         }
     }
@@ -192,9 +383,11 @@ class FileBasedServiceRegistry {
      */
     debugListServices() {
         const services = this.readRegistry();
-        console.log('DEBUG - Serviços registrados:');
-        Object.entries(services).forEach(([name, service]) => {
-            console.log(`   ${name}: ${service.url} (${service.healthy ? 'healthy' : 'unhealthy'}) PID:${service.pid}`);
+        console.log(`DEBUG - Serviços registrados (estratégia ${this.strategy}):`);
+        Object.keys(services).forEach(name => {
+            this.instancesOf(services, name).forEach(instance => {
+                console.log(`   ${name} [${instance.id}]: ${instance.url} (${instance.healthy ? 'healthy' : 'unhealthy'}) PID:${instance.pid} falhas:${instance.failures || 0}`);
+            });
         });
     }
 
@@ -210,53 +403,66 @@ class FileBasedServiceRegistry {
 
     /**
      * Obtém estatísticas dos serviços registrados
-     * @returns {Object} Estatísticas (total, healthy, unhealthy)
+     * Um serviço é considerado saudável se tiver ao menos uma instância saudável
+     * @returns {Object} Estatísticas (total, healthy, unhealthy) dos serviços e, em `instances`, das instâncias
      */
     getStats() {
         const services = this.readRegistry();
         const total = Object.keys(services).length;
+        const instances = { total: 0, healthy: 0, unhealthy: 0 };
         let healthy = 0;
         let unhealthy = 0;
 
-        Object.values(services).forEach(service => {
-            if (service.healthy) {
+        Object.keys(services).forEach(name => {
+            const serviceInstances = this.instancesOf(services, name);
+            const healthyInstances = serviceInstances.filter(instance => instance.healthy).length;
+
+            instances.total += serviceInstances.length;
+            instances.healthy += healthyInstances;
+            instances.unhealthy += serviceInstances.length - healthyInstances;
+            if (healthyInstances > 0) {
                 healthy++;
             } else {
                 unhealthy++;
             }
         });
 
-        return { total, healthy, unhealthy };
+        return { total, healthy, unhealthy, instances };
     }
 
     /**
      * Limpa todos os serviços do registry (para desenvolvimento)
      */
     clear() {
-        this.writeRegistry({});
+        // Não lê o arquivo atual, para que também sirva para descartar um registro ilegível
+        withFileLockSync(this.lockFile, () => this.writeRegistry({}));
         console.log('Registry limpo');
     }
 
     /**
-     * Remove serviços do PID atual ao sair do processo
+     * Remove instâncias do PID atual ao sair do processo
      */
     cleanup() {
-        // Remove serviços deste PID ao sair
-        const services = this.readRegistry();
+        // Remove instâncias deste PID ao sair
         const currentPid = process.pid;
-        let changed = false;
 
-        Object.entries(services).forEach(([name, service]) => {
-            if (service.pid === currentPid) {
-                delete services[name];
-                changed = true;
-                console.log(`Removendo serviço ${name} do PID ${currentPid}`);
-            }
-        });
+        this.updateRegistry(services => {
+            let changed = false;
 
-        if (changed) {
-            this.writeRegistry(services);
-        }
+            Object.entries(services).forEach(([name, service]) => {
+                Object.values(service.instances).forEach(instance => {
+                    if (instance.pid === currentPid) {
+                        delete service.instances[instance.id];
+                        changed = true;
+                        console.log(`Removendo serviço ${name} (instância ${instance.id}) do PID ${currentPid}`);
+                    }
+                });
+                if (Object.keys(service.instances).length === 0) {
+                    delete services[name];
+                }
+            });
+            return changed;
+        });
     }
 }
 
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Registro dos adaptadores de armazenamento disponíveis para o JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+const FileStorageAdapter = require('./FileStorageAdapter');
+const JournalStorageAdapter = require('./JournalStorageAdapter');
+const NdjsonStorageAdapter = require('./NdjsonStorageAdapter');
+const MemoryStorageAdapter = require('./MemoryStorageAdapter');
+const PartitionedStorageAdapter = require('./PartitionedStorageAdapter');
+const EncryptedStorageAdapter = require('./EncryptedStorageAdapter');
+
+/**
+ * Adaptadores por nome, usados na opção `storage` do JsonDatabase
+ * @type {Map<string, Function>}
+ */
+const adapters = new Map([
+    ['file', FileStorageAdapter],
+    ['journal', JournalStorageAdapter],
+    ['ndjson', NdjsonStorageAdapter],
+    ['memory', MemoryStorageAdapter]
+]);
+
+/**
+ * Registra um adaptador de armazenamento com um nome
+ * @param {string} name - Nome usado na opção `storage`
+ * @param {Function} Adapter - Classe derivada de StorageAdapter
+ * @throws {Error} Se a classe não derivar de StorageAdapter
+ */
+function registerStorageAdapter(name, Adapter) {
+    if (!(Adapter.prototype instanceof StorageAdapter)) {
+        throw new Error(`Adaptador ${name} deve estender StorageAdapter`);
+    }
+    adapters.set(name, Adapter);
+}
+
+/**
+ * Cria o adaptador de armazenamento de uma coleção
+ * Com `partitionBy`, retorna um PartitionedStorageAdapter cujas partições usam o armazenamento informado;
+ * com `encryption`, o adaptador resultante é envolvido por um EncryptedStorageAdapter
+ * @param {string|Function} storage - Nome de um adaptador registrado ou classe derivada de StorageAdapter
+ * @param {string} dbPath - Diretório de dados
+ * @param {string} collectionName - Nome da coleção
+ * @param {Object} [options={}] - Opções repassadas ao adaptador
+ * @param {string} [options.partitionBy] - Campo que divide a coleção em um arquivo por valor
+ * @param {Object} [options.encryption] - Campos cifrados e chaves: { fields, cipher } (ver EncryptedStorageAdapter)
+ * @returns {StorageAdapter} Adaptador da coleção
+ * @throws {Error} Se o adaptador não for conhecido
+ */
+function createStorageAdapter(storage, dbPath, collectionName, options = {}) {
+    const Adapter = typeof storage === 'function' ? storage : adapters.get(storage);
+    if (!Adapter) {
+        throw new Error(`Armazenamento desconhecido: ${storage} (disponíveis: ${[...adapters.keys()].join(', ')})`);
+    }
+
+    const { partitionBy, encryption, ...adapterOptions } = options;
+    const adapter = partitionBy
+        ? new PartitionedStorageAdapter(dbPath, collectionName, {
+            partitionBy,
+            create: partitionName => new Adapter(dbPath, partitionName, adapterOptions)
+        })
+        : new Adapter(dbPath, collectionName, adapterOptions);
+
+    return encryption
+        ? new EncryptedStorageAdapter(dbPath, collectionName, { ...encryption, adapter })
+        : adapter;
+}
+
+module.exports = {
+    StorageAdapter,
+    registerStorageAdapter,
+    createStorageAdapter
+};
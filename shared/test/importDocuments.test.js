@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Testes da importação de documentos (NDJSON/CSV) do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../JsonDatabase');
+const { TransferFormatError } = require('../databaseErrors');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-import-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+test('campos que passam por protótipos recusam a importação inteira', async () => {
+    const db = new JsonDatabase(dbPath, 'items');
+    const contents = [
+        ['ndjson', '{"name":"Arroz"}\n{"__proto__.polluted":"sim"}\n', {}],
+        ['ndjson', '{"constructor.prototype.polluted":"sim"}\n', {}],
+        ['csv', 'name,__proto__.polluted\nArroz,sim\n', {}],
+        ['csv', 'name,extra\nArroz,sim\n', { mapping: { name: 'name', extra: 'preferences.__proto__.polluted' } }]
+    ];
+
+    for (const [format, content, options] of contents) {
+        await assert.rejects(db.importDocuments(content, { format, ...options }), TransferFormatError);
+    }
+
+    assert.equal({}.polluted, undefined);
+    assert.equal(await db.count(), 0);
+});
+
+test('linhas válidas continuam sendo importadas', async () => {
+    const db = new JsonDatabase(dbPath, 'items');
+
+    const report = await db.importDocuments('{"name":"Arroz","price.value":5}\n{"name":"Feijão"}\n');
+
+    assert.equal(report.created, 2);
+    assert.equal(report.rejected, 0);
+    assert.equal((await db.findOne({ name: 'Arroz' })).price.value, 5);
+});
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Testes do MigrationRunner com instâncias do serviço iniciadas ao mesmo tempo
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const JsonDatabase = require('../JsonDatabase');
+
+let rootPath;
+
+beforeEach(async () => {
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-migrations-'));
+    await fs.outputFile(path.join(rootPath, 'migrations', '001-count-runs.js'), `
+        module.exports = {
+            async up({ runs }) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+                await runs.create({ pid: process.pid });
+            },
+            async down({ runs }) {
+                await runs.deleteMany({});
+            }
+        };
+    `);
+});
+
+afterEach(async () => {
+    await fs.remove(rootPath);
+});
+
+/**
+ * Executa as migrações em outro processo, como uma instância do serviço ao iniciar
+ * @param {string} command - 'up' ou 'down'
+ * @returns {Promise<Object>} Saída do processo
+ */
+function migrateInChildProcess(command) {
+    const script = `
+        const path = require('path');
+        const JsonDatabase = require(${JSON.stringify(path.join(__dirname, '..', 'JsonDatabase'))});
+        const MigrationRunner = require(${JSON.stringify(path.join(__dirname, '..', 'MigrationRunner'))});
+        const [rootPath, command] = process.argv.slice(1);
+        const dbPath = path.join(rootPath, 'database');
+        const runner = new MigrationRunner(dbPath, path.join(rootPath, 'migrations'), {
+            runs: new JsonDatabase(dbPath, 'runs')
+        });
+        runner[command]().catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+    `;
+    return promisify(execFile)(process.execPath, ['-e', script, rootPath, command]);
+}
+
+test('instâncias iniciadas ao mesmo tempo aplicam cada migração uma única vez', async () => {
+    await Promise.all([migrateInChildProcess('up'), migrateInChildProcess('up')]);
+
+    const dbPath = path.join(rootPath, 'database');
+    assert.equal(await new JsonDatabase(dbPath, 'runs').count(), 1);
+    assert.deepEqual((await new JsonDatabase(dbPath, '_migrations').find()).map(record => record.id), ['001-count-runs']);
+
+    await Promise.all([migrateInChildProcess('down'), migrateInChildProcess('down')]);
+    assert.equal(await new JsonDatabase(dbPath, '_migrations').count(), 0);
+    assert.deepEqual((await fs.readdir(dbPath)).filter(file => file.endsWith('.lock')), []);
+});
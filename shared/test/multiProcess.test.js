@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Testes de escritas de vários processos na mesma coleção do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const JsonDatabase = require('../JsonDatabase');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-processes-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+/**
+ * Cria documentos em paralelo em outro processo
+ * @param {Object} options - { storage, category, count }
+ * @returns {Promise<Object>} Saída do processo
+ */
+function createInChildProcess({ storage, category, count }) {
+    const script = `
+        const JsonDatabase = require(${JSON.stringify(path.join(__dirname, '..', 'JsonDatabase'))});
+        const db = new JsonDatabase(process.argv[1], 'items', { storage: process.argv[2], indexes: ['category'] });
+        Promise.all(Array.from({ length: Number(process.argv[4]) }, (_, i) => (
+            db.create({ name: 'Item ' + i, category: process.argv[3] })
+        ))).catch(error => {
+            console.error(error);
+            process.exit(1);
+        });
+    `;
+    return promisify(execFile)(process.execPath, ['-e', script, dbPath, storage, category, String(count)]);
+}
+
+for (const storage of ['file', 'ndjson']) {
+    test(`escritas simultâneas de dois processos não se perdem (${storage})`, async () => {
+        const db = new JsonDatabase(dbPath, 'items', { storage, indexes: ['category'] });
+        await db.create({ name: 'Arroz', category: 'Grãos' });
+
+        await Promise.all([
+            createInChildProcess({ storage, category: 'Limpeza', count: 100 }),
+            createInChildProcess({ storage, category: 'Bebidas', count: 100 })
+        ]);
+
+        assert.equal(await db.count(), 201);
+        // O índice em memória deste processo é reconstruído após as escritas dos outros
+        assert.equal((await db.find({ category: 'Limpeza' })).length, 100);
+        assert.equal((await db.explain({ category: 'Bebidas' })).stage, 'IXSCAN');
+
+        await db.create({ name: 'Feijão', category: 'Grãos' });
+        assert.equal((await db.find({ category: 'Grãos' })).length, 2);
+
+        const leftovers = (await fs.readdir(dbPath)).filter(file => /\.(tmp|lock)$/.test(file));
+        assert.deepEqual(leftovers, []);
+    });
+}
+
+test('travas e temporários de processos encerrados não bloqueiam a coleção', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const filePath = path.join(dbPath, 'items.json');
+    await fs.writeFile(filePath, '[]');
+    await fs.writeFile(`${filePath}.999999.abcd1234.tmp`, JSON.stringify([{ id: 'a', name: 'Arroz' }]));
+    await fs.writeFile(path.join(dbPath, 'items.lock'), JSON.stringify({
+        pid: 999999,
+        hostname: os.hostname(),
+        acquiredAt: new Date().toISOString()
+    }));
+
+    const db = new JsonDatabase(dbPath, 'items');
+    await db.create({ name: 'Feijão' });
+    assert.equal(await db.count(), 1);
+
+    assert.deepEqual((await fs.readdir(dbPath)).filter(file => /\.(tmp|lock)$/.test(file)), []);
+});
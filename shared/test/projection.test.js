@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Testes da projeção de campos e dos parâmetros fields/sort das listagens
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileProjection } = require('../projection');
+const { parseListingQuery } = require('../listingQuery');
+const { InvalidQueryError } = require('../databaseErrors');
+
+test('projeções com caminhos por __proto__, constructor ou prototype são recusadas', () => {
+    const projections = [
+        { '__proto__.isAdmin': 1 },
+        { 'constructor.prototype.isAdmin': 0 },
+        { name: 1, 'preferences.__proto__.isAdmin': 1 }
+    ];
+
+    for (const projection of projections) {
+        assert.throws(() => compileProjection(projection), InvalidQueryError);
+    }
+    assert.equal({}.isAdmin, undefined);
+});
+
+test('parâmetros fields e sort com caminhos proibidos retornam erro de validação', () => {
+    assert.match(parseListingQuery({ fields: '__proto__.isAdmin' }).error, /"fields"/);
+    assert.match(parseListingQuery({ fields: '-constructor.prototype.isAdmin' }).error, /"fields"/);
+    assert.match(parseListingQuery({ sort: 'name,-__proto__' }).error, /"sort"/);
+    assert.equal({}.isAdmin, undefined);
+});
+
+test('projeções de inclusão e exclusão com notação de ponto', () => {
+    const document = { id: '1', name: 'Arroz', price: { value: 5, unit: 'kg' }, toString: 'texto' };
+
+    assert.deepEqual(compileProjection({ name: 1, 'price.value': 1 })(document), {
+        id: '1', name: 'Arroz', price: { value: 5 }
+    });
+    assert.deepEqual(compileProjection({ price: 1, 'price.unit': 1 })(document), {
+        id: '1', price: { value: 5, unit: 'kg' }
+    });
+    assert.deepEqual(compileProjection({ 'price.unit': 0, toString: 0 })(document), {
+        id: '1', name: 'Arroz', price: { value: 5 }
+    });
+    assert.deepEqual(compileProjection({ valueOf: 1 })({ id: '1' }), { id: '1' });
+});
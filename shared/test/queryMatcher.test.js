@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Testes da validação de filtros (operadores e parâmetros da query string)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesFilter } = require('../queryMatcher');
+const { parseTextParams } = require('../listingQuery');
+const { InvalidQueryError } = require('../databaseErrors');
+
+test('operadores desconhecidos e operandos inválidos lançam InvalidQueryError', () => {
+    const document = { category: 'Limpeza', tags: ['a'] };
+
+    assert.throws(() => matchesFilter(document, { category: { $foo: 1 } }), InvalidQueryError);
+    assert.throws(() => matchesFilter(document, { category: { $in: 'Limpeza' } }), InvalidQueryError);
+    assert.throws(() => matchesFilter(document, { category: { $regex: '(' } }), InvalidQueryError);
+    assert.throws(() => matchesFilter(document, { category: { $regex: { a: 1 } } }), InvalidQueryError);
+    assert.throws(() => matchesFilter(document, { $or: { category: 'Limpeza' } }), InvalidQueryError);
+});
+
+test('parâmetros de filtro da query string precisam ser texto', () => {
+    assert.deepEqual(parseTextParams({ category: 'Limpeza' }, ['category', 'name']), {
+        values: { category: 'Limpeza' }
+    });
+
+    // ?category[$regex]=(a+)+$ e ?category=a&category=b
+    const { error } = parseTextParams({ category: { $regex: '(a+)+$' } }, ['category']);
+    assert.match(error, /"category" deve ser um texto/);
+    assert.ok(parseTextParams({ category: ['a', 'b'] }, ['category']).error);
+});
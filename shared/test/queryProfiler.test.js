@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Testes do perfil de consultas do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../JsonDatabase');
+const QueryProfiler = require('../QueryProfiler');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-profile-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+test('a espera na fila de escrita é registrada à parte da duração', async () => {
+    const db = new JsonDatabase(dbPath, 'items', { profile: { slowThreshold: 50 } });
+
+    await Promise.all(Array.from({ length: 100 }, (_, i) => db.create({ name: `Item ${i}` })));
+
+    const { operations, slowQueries } = db.queryStats();
+    assert.equal(operations.create.count, 100);
+    assert.ok(operations.create.maxQueueMs > operations.create.avgMs);
+    assert.equal(slowQueries.length, 0);
+});
+
+test('consultas lentas só são avisadas no console com logToConsole', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const entry = { operation: 'find', filter: { name: 'Arroz' }, durationMs: 150, documentsReturned: 1 };
+
+    new QueryProfiler('items').record(entry);
+    assert.equal(warn.mock.callCount(), 0);
+
+    const profiler = new QueryProfiler('items', { logToConsole: true });
+    profiler.record(entry);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(profiler.getStats().slowQueries[0].filter, '{"name":"?"}');
+});
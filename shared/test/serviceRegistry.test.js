@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Testes do Service Registry com vários processos gravando no mesmo arquivo
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+
+let registryFile;
+
+beforeEach(async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'service-registry-'));
+    registryFile = path.join(dir, 'services-registry.json');
+});
+
+afterEach(async () => {
+    await fs.remove(path.dirname(registryFile));
+});
+
+/**
+ * Executa operações no registry em outro processo, como uma instância de serviço
+ * Cada processo registra a própria instância (removida ao sair) e registra falhas da instância "item-a"
+ * @param {string} port - Porta da instância registrada pelo processo
+ * @param {number} failures - Falhas a registrar
+ * @returns {Promise<Object>} Saída do processo
+ */
+function runInChildProcess(port, failures) {
+    const script = `
+        const registry = require(${JSON.stringify(path.join(__dirname, '..', 'serviceRegistry'))});
+        const [port, failures] = process.argv.slice(1);
+        registry.register('item-service', { url: 'http://localhost:' + port });
+        for (let i = 0; i < Number(failures); i++) {
+            registry.reportFailure('item-service', 'item-a');
+        }
+    `;
+    return promisify(execFile)(process.execPath, ['-e', script, port, String(failures)], {
+        env: { ...process.env, REGISTRY_FILE: registryFile }
+    });
+}
+
+test('alterações simultâneas de vários processos não se perdem', async () => {
+    await fs.writeJson(registryFile, {
+        'item-service': { instances: { 'item-a': { id: 'item-a', url: 'http://item-a', healthy: true, failures: 0, pid: 0 } } }
+    });
+
+    await Promise.all([
+        runInChildProcess('4001', 50),
+        runInChildProcess('4002', 50),
+        runInChildProcess('4003', 50)
+    ]);
+
+    // As instâncias dos processos foram removidas ao sair, sem apagar a que já estava registrada
+    const services = await fs.readJson(registryFile);
+    assert.deepEqual(Object.keys(services['item-service'].instances), ['item-a']);
+    assert.equal(services['item-service'].instances['item-a'].failures, 150);
+
+    const leftovers = (await fs.readdir(path.dirname(registryFile))).filter(file => /\.(tmp|lock)$/.test(file));
+    assert.deepEqual(leftovers, []);
+});
+
+test('um arquivo de registro ilegível não é sobrescrito como registro vazio', async () => {
+    await fs.writeFile(registryFile, '{"item-service": {"instances"');
+
+    await runInChildProcess('4001', 1);
+
+    assert.equal(await fs.readFile(registryFile, 'utf8'), '{"item-service": {"instances"');
+});
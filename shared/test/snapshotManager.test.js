@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Testes do SnapshotManager com coleções em uso por outros processos
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const SnapshotManager = require('../SnapshotManager');
+const { withFileLock } = require('../fileLock');
+
+let rootPath;
+let dbPath;
+let manager;
+
+beforeEach(async () => {
+    rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-'));
+    dbPath = path.join(rootPath, 'database');
+    manager = new SnapshotManager(path.join(rootPath, 'snapshots'), { 'item-service': dbPath });
+    await fs.outputJson(path.join(dbPath, 'items.json'), [{ id: 'a', name: 'Arroz' }]);
+    await fs.outputJson(path.join(dbPath, 'categories.json'), [{ id: 'c', name: 'Grãos' }]);
+});
+
+afterEach(async () => {
+    await fs.remove(rootPath);
+});
+
+/**
+ * Aguarda um intervalo
+ * @param {number} ms - Intervalo em milissegundos
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('o snapshot espera as travas das coleções e não inclui arquivos de trava', async () => {
+    let snapshot;
+    await withFileLock(path.join(dbPath, 'items.lock'), async () => {
+        snapshot = manager.create();
+        await delay(100);
+        // Escrita de outro processo ainda em andamento quando o snapshot começou
+        await fs.writeJson(path.join(dbPath, 'items.json'), [{ id: 'a', name: 'Arroz' }, { id: 'b', name: 'Feijão' }]);
+    });
+
+    const manifest = await snapshot;
+    assert.deepEqual(manifest.services['item-service'].map(file => file.name), ['categories.json', 'items.json']);
+
+    await fs.writeJson(path.join(dbPath, 'items.json'), []);
+    await manager.restore(manifest.id, { safety: false });
+    assert.equal((await fs.readJson(path.join(dbPath, 'items.json'))).length, 2);
+});
+
+test('a restauração espera as travas e só as libera com todos os arquivos gravados', async () => {
+    const manifest = await manager.create();
+    await fs.writeJson(path.join(dbPath, 'items.json'), []);
+    await fs.writeJson(path.join(dbPath, 'categories.json'), []);
+
+    let restore;
+    await withFileLock(path.join(dbPath, 'categories.lock'), async () => {
+        restore = manager.restore(manifest.id, { safety: false });
+        await delay(100);
+        assert.deepEqual(await fs.readJson(path.join(dbPath, 'items.json')), []);
+    });
+    await restore;
+
+    assert.equal((await fs.readJson(path.join(dbPath, 'items.json'))).length, 1);
+    assert.equal((await fs.readJson(path.join(dbPath, 'categories.json'))).length, 1);
+    assert.deepEqual((await fs.readdir(dbPath)).filter(file => file.endsWith('.lock')), []);
+});
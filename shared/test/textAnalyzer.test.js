@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Testes dos trechos destacados da busca textual
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../JsonDatabase');
+const { highlightText } = require('../textAnalyzer');
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-highlight-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+test('com marcadores HTML, o texto do campo é escapado', () => {
+    const text = 'Arroz <img src=x onerror="alert(1)"> & <b>feijão</b>';
+
+    assert.equal(
+        highlightText(text, new Set(['arroz', 'feijao'])),
+        '<mark>Arroz</mark> &lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &lt;b&gt;<mark>feijão</mark>&lt;/b&gt;'
+    );
+    assert.equal(highlightText(text, new Set(['arroz']), { pre: '[', post: ']' }), `[Arroz]${text.slice(5)}`);
+    assert.equal(highlightText('Arroz & feijão', new Set(['arroz']), { escape: false }), '<mark>Arroz</mark> & feijão');
+});
+
+test('os destaques da busca não trazem HTML dos documentos', async () => {
+    const db = new JsonDatabase(dbPath, 'items', { textIndex: { name: 2, description: 1 } });
+    await db.create({ name: 'Arroz <script>alert(1)</script>', description: 'Tipo 1' });
+
+    const [result] = await db.search('arroz');
+    assert.equal(result.highlights.name, '<mark>Arroz</mark> &lt;script&gt;alert(1)&lt;/script&gt;');
+});
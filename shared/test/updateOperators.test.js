@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Testes da validação dos operadores de atualização
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyUpdate, isOperatorUpdate } = require('../updateOperators');
+const { InvalidUpdateError } = require('../databaseErrors');
+
+test('caminhos por __proto__, constructor ou prototype são recusados', () => {
+    const paths = ['__proto__.polluted', 'constructor.prototype.polluted', 'preferences.__proto__.polluted'];
+
+    for (const path of paths) {
+        for (const operator of ['$set', '$inc', '$push']) {
+            assert.throws(() => applyUpdate({ preferences: {} }, { [operator]: { [path]: 1 } }), InvalidUpdateError);
+        }
+    }
+    assert.equal({}.polluted, undefined);
+    assert.equal(Object.prototype.polluted, undefined);
+});
+
+test('$set com undefined remove o campo', () => {
+    const updated = applyUpdate({ name: 'Arroz', tags: ['a', 'b'] }, { $set: { name: undefined, 'tags.0': undefined } });
+
+    assert.equal('name' in updated, false);
+    assert.deepEqual(updated.tags, [null, 'b']);
+});
+
+test('atualizações inválidas lançam InvalidUpdateError', () => {
+    assert.throws(() => isOperatorUpdate({ $set: { name: 'x' }, updatedAt: 'agora' }), InvalidUpdateError);
+    assert.throws(() => applyUpdate({}, { $rename: { a: 'b' } }), InvalidUpdateError);
+    assert.throws(() => applyUpdate({}, { $set: 'name' }), InvalidUpdateError);
+    assert.throws(() => applyUpdate({ count: 'um' }, { $inc: { count: 1 } }), InvalidUpdateError);
+});
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Testes de concorrência da fila de escrita do JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JsonDatabase = require('../JsonDatabase');
+
+/**
+ * Escritas disparadas em paralelo em cada teste
+ * @type {number}
+ */
+const PARALLEL_WRITES = 300;
+
+let dbPath;
+
+beforeEach(async () => {
+    dbPath = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-queue-'));
+});
+
+afterEach(async () => {
+    await fs.remove(dbPath);
+});
+
+test('criações em paralelo não perdem documentos', async () => {
+    const db = new JsonDatabase(dbPath, 'items');
+
+    const created = await Promise.all(
+        Array.from({ length: PARALLEL_WRITES }, (_, i) => db.create({ name: `Item ${i}` }))
+    );
+
+    const stored = await fs.readJson(path.join(dbPath, 'items.json'));
+    assert.equal(stored.length, PARALLEL_WRITES);
+    assert.equal(new Set(stored.map(doc => doc.id)).size, PARALLEL_WRITES);
+    assert.deepEqual(
+        stored.map(doc => doc.id).sort(),
+        created.map(doc => doc.id).sort()
+    );
+    assert.equal(await db.count(), PARALLEL_WRITES);
+});
+
+test('instâncias da mesma coleção compartilham a fila de escrita', async () => {
+    const first = new JsonDatabase(dbPath, 'items');
+    const second = new JsonDatabase(dbPath, 'items');
+
+    await Promise.all(
+        Array.from({ length: PARALLEL_WRITES }, (_, i) => (i % 2 ? first : second).create({ name: `Item ${i}` }))
+    );
+
+    const stored = await fs.readJson(path.join(dbPath, 'items.json'));
+    assert.equal(stored.length, PARALLEL_WRITES);
+});
+
+test('atualizações em paralelo do mesmo documento são aplicadas em sequência', async () => {
+    const db = new JsonDatabase(dbPath, 'counters');
+    const counter = await db.create({ value: 0 });
+
+    await Promise.all(
+        Array.from({ length: PARALLEL_WRITES }, () => db.update(counter.id, { $inc: { value: 1 } }))
+    );
+
+    const updated = await db.findById(counter.id);
+    assert.equal(updated.value, PARALLEL_WRITES);
+    assert.equal(updated._version, PARALLEL_WRITES + 1);
+});
+
+test('criações e remoções intercaladas mantêm a coleção consistente', async () => {
+    const db = new JsonDatabase(dbPath, 'items');
+    const initial = await Promise.all(
+        Array.from({ length: 100 }, (_, i) => db.create({ name: `Inicial ${i}` }))
+    );
+
+    await Promise.all([
+        ...initial.map(doc => db.delete(doc.id)),
+        ...Array.from({ length: 100 }, (_, i) => db.create({ name: `Novo ${i}` }))
+    ]);
+
+    const remaining = await db.find();
+    assert.equal(remaining.length, 100);
+    assert.ok(remaining.every(doc => doc.name.startsWith('Novo')));
+});
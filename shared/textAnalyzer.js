@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Análise de texto em português para a busca textual do JsonDatabase
+ * (tokenização, remoção de acentos, palavras vazias e redução de flexões)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+/**
+ * Sequências de letras e dígitos que formam uma palavra
+ * @type {RegExp}
+ */
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Palavras sem valor de busca (artigos, preposições e conjunções), já sem acentos
+ * @type {Set<string>}
+ */
+const STOPWORDS = new Set([
+    'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'ao', 'aos',
+    'de', 'da', 'do', 'das', 'dos', 'em', 'na', 'no', 'nas', 'nos',
+    'num', 'numa', 'e', 'ou', 'com', 'sem', 'para', 'pra', 'por', 'pelo', 'pela',
+    'que', 'se'
+]);
+
+/**
+ * Terminações de plural e sua forma no singular, na ordem em que são testadas
+ * (feijões → feijão, pães → pão, papéis → papel, atuns → atum, colheres → colher)
+ * @type {Array<Array<string>>}
+ */
+const PLURAL_SUFFIXES = [
+    ['oes', 'ao'], ['aes', 'ao'], ['ais', 'al'], ['eis', 'el'], ['ois', 'ol'],
+    ['ns', 'm'], ['res', 'r']
+];
+
+/**
+ * Terminações femininas de adjetivos e sua forma no masculino (preta → preto, moída → moído)
+ * @type {Array<Array<string>>}
+ */
+const FEMININE_SUFFIXES = [
+    ['eira', 'eiro'], ['osa', 'oso'], ['iva', 'ivo'], ['ica', 'ico'], ['ada', 'ado'], ['ida', 'ido'],
+    ['lha', 'lho'], ['nha', 'nho'], ['ta', 'to'], ['ca', 'co']
+];
+
+/**
+ * Tamanho mínimo de uma palavra para que suas flexões sejam reduzidas
+ * @type {number}
+ */
+const MIN_STEM_LENGTH = 4;
+
+/**
+ * Converte para minúsculas e remove os acentos (Açúcar → acucar)
+ * @param {string} text - Texto
+ * @returns {string} Texto sem acentos, em minúsculas
+ */
+function foldText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Troca a terminação de uma palavra pela primeira regra que se aplica
+ * @private
+ * @param {string} word - Palavra sem acentos
+ * @param {Array<Array<string>>} rules - Pares [terminação, substituição]
+ * @returns {string|null} Palavra reduzida ou null se nenhuma regra se aplica
+ */
+function replaceSuffix(word, rules) {
+    const rule = rules.find(([suffix]) => word.endsWith(suffix) && word.length > suffix.length);
+    return rule ? word.slice(0, -rule[0].length) + rule[1] : null;
+}
+
+/**
+ * Reduz uma palavra à forma usada no índice: plural para singular e feminino para masculino
+ * É uma redução leve, que não trata tempos verbais nem derivações; palavras diferentes podem
+ * coincidir (fruta e fruto), o que é aceitável para a busca de itens
+ * @param {string} word - Palavra sem acentos, em minúsculas (ver foldText)
+ * @returns {string} Forma reduzida
+ */
+function stemWord(word) {
+    if (word.length < MIN_STEM_LENGTH || /\d/.test(word)) {
+        return word;
+    }
+
+    let stem = word;
+    if (stem.endsWith('s')) {
+        stem = replaceSuffix(stem, PLURAL_SUFFIXES) || (stem.endsWith('ss') ? stem : stem.slice(0, -1));
+    }
+    if (stem.length >= MIN_STEM_LENGTH) {
+        stem = replaceSuffix(stem, FEMININE_SUFFIXES) || stem;
+    }
+    return stem;
+}
+
+/**
+ * Divide um texto nos termos indexados, com a posição de cada palavra no texto original
+ * Palavras vazias (de, com, para...) são descartadas
+ * @param {string} text - Texto original
+ * @returns {Array<Object>} Termos ({ term, folded, start, end }), na ordem do texto
+ */
+function analyzeText(text) {
+    const tokens = [];
+
+    for (const match of String(text).matchAll(WORD)) {
+        const folded = foldText(match[0]);
+        if (!STOPWORDS.has(folded)) {
+            tokens.push({
+                term: stemWord(folded),
+                folded,
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Extrai os termos distintos de uma consulta, na ordem em que aparecem
+ * @param {string} query - Texto da consulta
+ * @returns {Array<Object>} Termos ({ term, folded }); vazio se a consulta só tiver palavras vazias
+ */
+function analyzeQuery(query) {
+    const seen = new Set();
+    return analyzeText(query)
+        .filter(({ term }) => !seen.has(term) && seen.add(term))
+        .map(({ term, folded }) => ({ term, folded }));
+}
+
+/**
+ * Caracteres especiais do HTML e suas entidades
+ * @type {Object<string, string>}
+ */
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escapa os caracteres especiais do HTML em um texto
+ * @private
+ * @param {string} text - Texto original
+ * @returns {string} Texto seguro para inserir em HTML
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+}
+
+/**
+ * Destaca em um texto as palavras cujos termos foram encontrados pela busca
+ * Textos longos são recortados em um trecho de até `length` caracteres em volta do primeiro destaque.
+ * Com marcadores HTML (como os padrão), o texto do campo é escapado, já que vem dos usuários
+ * @param {string} text - Texto original do campo
+ * @param {Set<string>} terms - Termos encontrados (formas reduzidas)
+ * @param {Object} [options={}] - Opções do destaque
+ * @param {string} [options.pre='<mark>'] - Marcador antes de cada palavra destacada
+ * @param {string} [options.post='</mark>'] - Marcador depois de cada palavra destacada
+ * @param {number} [options.length=160] - Tamanho máximo do trecho, sem contar os marcadores
+ * @param {boolean} [options.escape] - Escapa o texto para HTML (padrão: true se os marcadores contêm tags)
+ * @returns {string|null} Trecho com os destaques ou null se nenhuma palavra do texto foi encontrada
+ */
+function highlightText(text, terms, options = {}) {
+    const { pre = '<mark>', post = '</mark>', length = 160 } = options;
+    const escape = options.escape !== undefined ? options.escape : /[<>]/.test(pre + post);
+    const output = escape ? escapeHtml : value => value;
+    const matches = analyzeText(text).filter(({ term }) => terms.has(term));
+    if (matches.length === 0) {
+        return null;
+    }
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > length) {
+        // Começar um pouco antes do primeiro destaque, sem cortar palavras nas bordas
+        start = Math.max(0, Math.min(matches[0].start - Math.floor(length / 4), text.length - length));
+        if (start > 0 && /\S/.test(text[start - 1])) {
+            const space = text.indexOf(' ', start);
+            start = space !== -1 && space < matches[0].start ? space + 1 : start;
+        }
+        end = Math.min(text.length, start + length);
+        if (end < text.length && /\S/.test(text[end])) {
+            const space = text.lastIndexOf(' ', end);
+            end = space > matches[0].end ? space : end;
+        }
+    }
+
+    let snippet = '';
+    let position = start;
+    matches.filter(match => match.start >= start && match.end <= end).forEach(match => {
+        snippet += output(text.slice(position, match.start)) + pre + output(text.slice(match.start, match.end)) + post;
+        position = match.end;
+    });
+    snippet += output(text.slice(position, end));
+
+    return (start > 0 ? '…' : '') + snippet.trim() + (end < text.length ? '…' : '');
+}
+
+module.exports = {
+    foldText,
+    stemWord,
+    analyzeText,
+    analyzeQuery,
+    highlightText
+};
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Interpretação dos parâmetros dos endpoints de importação e exportação (NDJSON/CSV)
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { TRANSFER_FORMATS } = require('./dataTransfer');
+
+/**
+ * Content-Type das respostas de exportação, por formato
+ * @type {Object<string, string>}
+ */
+const TRANSFER_CONTENT_TYPES = {
+    ndjson: 'application/x-ndjson; charset=utf-8',
+    csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Converte uma lista separada por vírgulas em valores
+ * @private
+ * @param {string} value - Ex: "name,category"
+ * @returns {Array<string>} Valores
+ */
+function parseList(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Interpreta os parâmetros comuns à importação e à exportação (format, mapping, delimiter)
+ * @private
+ * @param {Object} query - req.query
+ * @param {string} format - Formato informado ou deduzido
+ * @returns {Object} { options } ou { error } com a mensagem de validação
+ */
+function parseTransferQuery(query, format) {
+    const options = { format };
+
+    if (!TRANSFER_FORMATS.includes(format)) {
+        return { error: `Parâmetro "format" deve ser ${TRANSFER_FORMATS.join(' ou ')}` };
+    }
+
+    if (query.mapping) {
+        let mapping;
+        try {
+            mapping = JSON.parse(query.mapping);
+        } catch (error) {
+            mapping = null;
+        }
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)
+            || Object.keys(mapping).length === 0
+            || Object.values(mapping).some(field => typeof field !== 'string' || !field)) {
+            return { error: 'Parâmetro "mapping" deve ser um objeto JSON { "coluna": "campo" }' };
+        }
+        options.mapping = mapping;
+    }
+
+    if (query.delimiter !== undefined) {
+        if (typeof query.delimiter !== 'string' || query.delimiter.length !== 1 || /["\r\n]/.test(query.delimiter)) {
+            return { error: 'Parâmetro "delimiter" deve ser um único caractere (ex: ";")' };
+        }
+        options.delimiter = query.delimiter;
+    }
+
+    return { options };
+}
+
+/**
+ * Converte a query string de um endpoint de exportação nas opções do JsonDatabase.exportDocuments
+ * Parâmetros aceitos:
+ * - format: ndjson (padrão) ou csv
+ * - fields: campos exportados ("name,category"), com notação de ponto
+ * - mapping: JSON { "coluna": "campo" } com o nome de cada coluna exportada
+ * - delimiter: separador do CSV (padrão ",")
+ * - sort: campos de ordenação, "-" para decrescente ("-createdAt,name")
+ * @param {Object} query - req.query
+ * @returns {Object} { options } ou { error } com a mensagem de validação
+ */
+function parseExportQuery(query) {
+    const { options, error } = parseTransferQuery(query, query.format || 'ndjson');
+    if (error) {
+        return { error };
+    }
+
+    if (query.fields) {
+        options.fields = parseList(query.fields);
+    }
+    if (query.sort) {
+        options.sort = Object.fromEntries(parseList(query.sort).map(field => (field.startsWith('-')
+            ? [field.slice(1), -1]
+            : [field, 1])));
+    }
+
+    return { options };
+}
+
+/**
+ * Converte a query string de um endpoint de importação nas opções do JsonDatabase.importDocuments
+ * Parâmetros aceitos:
+ * - format: ndjson ou csv (padrão: deduzido do Content-Type text/csv ou application/x-ndjson)
+ * - mapping: JSON { "coluna": "campo" }; colunas fora do mapeamento são ignoradas
+ * - upsertBy: campo(s) chave ("barcode"); linhas com chave existente atualizam o documento
+ * - dryRun: "true" apenas valida e retorna o relatório, sem gravar
+ * - delimiter: separador do CSV (padrão ",")
+ * @param {Object} query - req.query
+ * @param {string} [contentType] - Cabeçalho Content-Type da requisição
+ * @returns {Object} { options } ou { error } com a mensagem de validação
+ */
+function parseImportQuery(query, contentType = '') {
+    const format = query.format || (/^text\/csv/i.test(contentType) ? 'csv' : 'ndjson');
+    const { options, error } = parseTransferQuery(query, format);
+    if (error) {
+        return { error };
+    }
+
+    if (query.upsertBy) {
+        options.upsertBy = parseList(query.upsertBy);
+    }
+    options.dryRun = query.dryRun === 'true' || query.dryRun === '1';
+
+    return { options };
+}
+
+module.exports = {
+    TRANSFER_CONTENT_TYPES,
+    parseExportQuery,
+    parseImportQuery
+};
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Operadores de atualização no estilo MongoDB para o JsonDatabase
+ * Sistema de Lista de Compras - PUC Minas
+ * @author Lucas Cerqueira Azevedo
+ * @version 1.0.0
+ */
+
+const { matchesFilter, matchesOperators, deepEqual, isOperatorObject } = require('./queryMatcher');
+const { InvalidUpdateError } = require('./databaseErrors');
+
+/**
+ * Operadores de atualização suportados
+ * @type {Set<string>}
+ */
+const UPDATE_OPERATORS = new Set(['$set', '$unset', '$inc', '$push', '$pull']);
+
+/**
+ * Segmentos de caminho recusados: atravessá-los alteraria os protótipos dos objetos do processo
+ * @type {Set<string>}
+ */
+const FORBIDDEN_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Verifica se um caminho com notação de ponto passa por __proto__, constructor ou prototype
+ * @param {string} fieldPath - Caminho (ex: "preferences.currency")
+ * @returns {boolean} true se algum segmento for proibido
+ */
+function hasForbiddenSegment(fieldPath) {
+    return String(fieldPath).split('.').some(segment => FORBIDDEN_SEGMENTS.has(segment));
+}
+
+/**
+ * Verifica se uma atualização usa operadores ($set, $inc, ...) em vez de merge simples
+ * @param {Object} update - Atualização
+ * @returns {boolean} true se todas as chaves forem operadores
+ * @throws {InvalidUpdateError} Se operadores e campos simples forem misturados
+ */
+function isOperatorUpdate(update) {
+    const keys = Object.keys(update || {});
+    const operators = keys.filter(key => key.startsWith('$'));
+
+    if (operators.length > 0 && operators.length !== keys.length) {
+        throw new InvalidUpdateError('não é possível misturar operadores de atualização com campos simples');
+    }
+    return operators.length > 0;
+}
+
+/**
+ * Obtém o filtro de arrayFilters correspondente a um identificador posicional ($[id])
+ * @private
+ * @param {string} identifier - Identificador usado no caminho
+ * @param {Array<Object>} arrayFilters - Filtros informados na atualização
+ * @returns {Object} Filtro combinado para o identificador
+ * @throws {InvalidUpdateError} Se nenhum filtro referenciar o identificador
+ */
+function filterFor(identifier, arrayFilters) {
+    const filters = arrayFilters.filter(filter => Object.keys(filter)
+        .every(key => key === identifier || key.startsWith(`${identifier}.`)));
+
+    if (filters.length === 0) {
+        throw new InvalidUpdateError(`nenhum arrayFilter definido para o identificador ${identifier}`);
+    }
+    return Object.assign({}, ...filters);
+}
+
+/**
+ * Percorre um caminho com notação de ponto e chama o callback para cada destino
+ * Suporta índices numéricos, todos os elementos ($[]) e elementos filtrados ($[id])
+ * @private
+ * @param {Object|Array} container - Objeto atual
+ * @param {Array<string>} segments - Segmentos restantes do caminho
+ * @param {Object} context - Contexto ({ arrayFilters, create })
+ * @param {Function} callback - Função (objetoPai, chave) chamada para cada destino
+ * @throws {InvalidUpdateError} Se o caminho passar por __proto__, constructor ou prototype, ou não
+ *   puder ser atravessado
+ */
+function forEachTarget(container, segments, context, callback) {
+    const [segment, ...rest] = segments;
+    const positional = /^\$\[(\w*)\]$/.exec(segment);
+
+    if (FORBIDDEN_SEGMENTS.has(segment)) {
+        throw new InvalidUpdateError(`campo ${segment} não pode ser usado em caminhos de atualização`);
+    }
+
+    if (positional) {
+        if (!Array.isArray(container)) {
+            throw new InvalidUpdateError(`operador posicional ${segment} aplicado a um campo que não é array`);
+        }
+        const identifier = positional[1];
+        const filter = identifier ? filterFor(identifier, context.arrayFilters) : null;
+
+        container.forEach((element, index) => {
+            if (filter && !matchesFilter({ [identifier]: element }, filter)) {
+                return;
+            }
+            if (rest.length === 0) {
+                callback(container, index);
+            } else {
+                forEachTarget(element, rest, context, callback);
+            }
+        });
+        return;
+    }
+
+    const key = Array.isArray(container) && /^\d+$/.test(segment) ? Number(segment) : segment;
+
+    if (rest.length === 0) {
+        callback(container, key);
+        return;
+    }
+
+    if (container[key] === undefined || container[key] === null) {
+        if (!context.create) {
+            return;
+        }
+        container[key] = {};
+    }
+    if (typeof container[key] !== 'object') {
+        throw new InvalidUpdateError(`não é possível atravessar o campo ${segment}: valor não é um objeto`);
+    }
+    forEachTarget(container[key], rest, context, callback);
+}
+
+/**
+ * Verifica se um elemento de array deve ser removido por $pull
+ * @private
+ * @param {*} element - Elemento do array
+ * @param {*} condition - Valor ou condição do $pull
+ * @returns {boolean} true se o elemento corresponde à condição
+ */
+function pullMatches(element, condition) {
+    if (isOperatorObject(condition)) {
+        return matchesOperators(element, condition);
+    }
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        return element !== null && typeof element === 'object' && matchesFilter(element, condition);
+    }
+    return deepEqual(element, condition);
+}
+
+/**
+ * Copia um valor informado em uma atualização, como será gravado em JSON
+ * @private
+ * @param {*} value - Valor
+ * @returns {*} Cópia profunda (undefined permanece undefined)
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Remove um campo (em arrays, o elemento vira null para manter as posições)
+ * @private
+ * @param {Object|Array} target - Objeto pai
+ * @param {string|number} key - Campo ou índice
+ */
+function unsetField(target, key) {
+    if (Array.isArray(target)) {
+        target[key] = null;
+    } else {
+        delete target[key];
+    }
+}
+
+/**
+ * Aplica operadores de atualização a uma cópia do documento
+ * @param {Object} document - Documento original (não é modificado)
+ * @param {Object} update - Operadores ($set, $unset, $inc, $push, $pull) com caminhos em notação de ponto
+ * @param {Array<Object>} [arrayFilters=[]] - Filtros para identificadores posicionais $[id]
+ * @returns {Object} Novo documento com as alterações aplicadas; `$set` com undefined remove o campo,
+ *   como aconteceria ao gravá-lo em JSON
+ * @throws {InvalidUpdateError} Se um operador não for suportado, for aplicado a um tipo incompatível
+ *   ou usar um caminho proibido
+ */
+function applyUpdate(document, update, arrayFilters = []) {
+    const result = JSON.parse(JSON.stringify(document));
+
+    Object.entries(update).forEach(([operator, fields]) => {
+        if (!UPDATE_OPERATORS.has(operator)) {
+            throw new InvalidUpdateError(`operador não suportado: ${operator}`);
+        }
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            throw new InvalidUpdateError(`${operator} exige um objeto { campo: valor }`);
+        }
+
+        Object.entries(fields).forEach(([fieldPath, operand]) => {
+            const context = { arrayFilters, create: operator !== '$unset' && operator !== '$pull' };
+
+            forEachTarget(result, fieldPath.split('.'), context, (target, key) => {
+                const current = target[key];
+
+                switch (operator) {
+                    case '$set':
+                        if (operand === undefined) {
+                            unsetField(target, key);
+                        } else {
+                            target[key] = clone(operand);
+                        }
+                        break;
+                    case '$unset':
+                        unsetField(target, key);
+                        break;
+                    case '$inc':
+                        if (typeof operand !== 'number' || (current !== undefined && typeof current !== 'number')) {
+                            throw new InvalidUpdateError(`$inc exige valores numéricos em ${fieldPath}`);
+                        }
+                        target[key] = (current || 0) + operand;
+                        break;
+                    case '$push': {
+                        if (current !== undefined && !Array.isArray(current)) {
+                            throw new InvalidUpdateError(`$push exige um array em ${fieldPath}`);
+                        }
+                        const values = operand && typeof operand === 'object' && Array.isArray(operand.$each)
+                            ? operand.$each
+                            : [operand];
+                        target[key] = [...(current || []), ...clone(values)];
+                        break;
+                    }
+                    case '$pull':
+                        if (Array.isArray(current)) {
+                            target[key] = current.filter(element => !pullMatches(element, operand));
+                        }
+                        break;
+                    default:
+                        break;
+                }
+            });
+        });
+    });
+
+    return result;
+}
+
+module.exports = {
+    isOperatorUpdate,
+    applyUpdate,
+    hasForbiddenSegment
+};